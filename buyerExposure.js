@@ -0,0 +1,277 @@
+//buyerExposure.js
+
+// JavaScript source code
+
+// Credit cover exposure per buyer and per buyer country, with limit alerts.
+// A cover line is one seller's cover on one buyer through one partner (export) factor. Its
+// MSG05 and MSG07 requests are replayed in the order received to find the cover in force
+// (approved in an MSG06/MSG08 answer, or stated as CurrentCreditCoverAmt in an MSG07) and
+// the cover requested by an unanswered request. The lines are summed in USD per buyer,
+// across sellers and partner factors, and per buyer country; an alert is raised when the
+// total would go over the buyer's or the country's limit if every request were granted.
+// Works on rows from `generateCombinedDisplayData` (creditLog.js).
+
+import { normalizePartyName } from './partyDirectory.js';
+
+// Key of the limits saved in browser storage.
+const LIMITS_STORAGE_KEY = 'creditLog.exposureLimits';
+
+/**
+ * No limits: a limit of null means none applies.
+ * `buyers` and `countries` hold limits for single buyers (by buyer key, see `buyerKey`) and
+ * countries (by ISO code) that replace the default limits.
+ */
+export const DEFAULT_EXPOSURE_LIMITS = {
+    buyerLimitUSD: null,
+    countryLimitUSD: null,
+    buyers: {},
+    countries: {},
+};
+
+/**
+ * The kinds of limit alert.
+ */
+export const ALERT_LEVELS = {
+    over: 'Over limit',       // The cover in force is already over the limit.
+    wouldExceed: 'Would exceed', // Granting the open requests would take the cover over the limit.
+};
+
+/**
+ * The key a buyer's exposure is summed under: the import factor and buyer number when the
+ * buyer has a number, otherwise the buyer's normalized name (see `normalizePartyName`).
+ * @param {object} row - A credit log row.
+ * @returns {string} The key, e.g. 'US200:B1' or 'name:acme textile'.
+ */
+export function buyerKey(row) {
+    const fields = row.fields || {};
+    const buyerNr = fields['Buyer.BuyerNr'];
+    if (buyerNr !== null && buyerNr !== undefined && String(buyerNr).trim() !== '') {
+        return `${fields['IF.FactorCode'] || ''}:${String(buyerNr).trim()}`;
+    }
+    return `name:${normalizePartyName(row.buyerName)}`;
+}
+
+/**
+ * Converts an amount in a row's currency to USD with the row's rate.
+ * @param {number} amount - The amount.
+ * @param {object} row - The credit log row (`currency` and `usdRate`, in units per USD).
+ * @returns {number|null} The amount in USD, or null if there is no rate.
+ */
+function toUSD(amount, row) {
+    if (typeof amount !== 'number' || !Number.isFinite(amount)) return null;
+    if (String(row.currency || '').toUpperCase() === 'USD') return amount;
+    const rate = parseFloat(row.usdRate);
+    return rate > 0 ? Math.round((amount / rate) * 100) / 100 : null;
+}
+
+/**
+ * Replays the requests of a cover line.
+ * @param {Array<object>} rows - The line's MSG05 and MSG07 rows.
+ * @returns {{current: number, requested: number, pending: boolean, latest: object, missingRate: boolean}}
+ *   The cover in force and the cover asked for by the latest open request (the cover in force if
+ *   none is open), in USD; `missingRate` is true if an amount could not be converted.
+ */
+function replayLine(rows) {
+    const ordered = [...rows].sort((a, b) =>
+        String(a.fields['MsgInfo.DateTime'] || a.dateReceived).localeCompare(String(b.fields['MsgInfo.DateTime'] || b.dateReceived))
+        || (a.fields['MsgInfo.SequenceNr'] || 0) - (b.fields['MsgInfo.SequenceNr'] || 0));
+    let current = 0;
+    let requested = null;
+    let missingRate = false;
+    const convert = (amount, row) => {
+        const usd = toUSD(amount, row);
+        if (usd === null) missingRate = true;
+        return usd ?? 0;
+    };
+
+    ordered.forEach(row => {
+        if (row.messageType === '7') {
+            const stated = row.fields['CurrentCreditCoverDetails.CurrentCreditCoverAmt'];
+            if (typeof stated === 'number') current = convert(stated, row);
+        }
+        const asked = row.fields[row.messageType === '7' ? 'NewCreditCoverDetails.NewCreditCoverAmt' : 'CreditCoverDetails.NewCreditCoverAmt'];
+        if (row.responseDate) {
+            // An answer replaces the cover with what it approved (nothing if declined).
+            if (row.amtApproved !== '' && row.amtApproved !== null) current = convert(Number(row.amtApproved), row);
+            requested = null;
+        } else if (typeof asked === 'number') {
+            requested = convert(asked, row);
+        }
+    });
+    return {
+        current,
+        requested: requested ?? current,
+        pending: requested !== null,
+        latest: ordered[ordered.length - 1],
+        missingRate,
+    };
+}
+
+/**
+ * Sums the cover of every line per buyer and per buyer country.
+ * MSG02 rows (preliminary assessments) are not cover and are left out.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {{buyers: Array<object>, countries: Array<object>, missingRate: number}} The buyers and
+ *   countries, largest requested exposure first, and the number of lines with an amount that could
+ *   not be converted to USD (counted as 0). A buyer is `{key, name, buyerNr, country, currentUSD,
+ *   requestedUSD, lines}`, a line `{key, sellerName, partnerName, currentUSD, requestedUSD, pending,
+ *   rowKeys}`; a country is `{country, currentUSD, requestedUSD, buyers}`.
+ */
+export function buildExposure(rows) {
+    const lines = new Map();
+    const countries = new Map(); // Buyer key -> last known country; MSG07 does not carry it.
+    rows.filter(row => row.messageType === '5' || row.messageType === '7').forEach(row => {
+        const fields = row.fields || {};
+        const buyer = buyerKey(row);
+        const key = [fields['EF.FactorCode'] || row.clientCode, fields['Seller.SellerNr'], buyer].join('|');
+        if (!lines.has(key)) lines.set(key, { key, buyer, rows: [] });
+        lines.get(key).rows.push({ ...row, fields });
+        if (row.buyerCountry) countries.set(buyer, row.buyerCountry);
+    });
+
+    const buyers = new Map();
+    let missingRate = 0;
+    lines.forEach(line => {
+        const replayed = replayLine(line.rows);
+        if (replayed.missingRate) missingRate++;
+        const latest = replayed.latest;
+        if (!buyers.has(line.buyer)) {
+            buyers.set(line.buyer, {
+                key: line.buyer,
+                name: '',
+                buyerNr: latest.fields['Buyer.BuyerNr'] || '',
+                country: countries.get(line.buyer) || '',
+                currentUSD: 0,
+                requestedUSD: 0,
+                lines: [],
+                latestDate: '',
+            });
+        }
+        const buyer = buyers.get(line.buyer);
+        // The buyer's name as last sent.
+        if (latest.buyerName && latest.dateReceived >= buyer.latestDate) {
+            buyer.name = latest.buyerName;
+            buyer.latestDate = latest.dateReceived;
+        }
+        buyer.currentUSD += replayed.current;
+        buyer.requestedUSD += replayed.requested;
+        buyer.lines.push({
+            key: line.key,
+            sellerName: line.rows.map(row => row.sellerName).filter(Boolean).pop() || latest.fields['Seller.SellerNr'] || '',
+            partnerName: [latest.partnerName, latest.clientCode].filter(Boolean).join(' - '),
+            currentUSD: replayed.current,
+            requestedUSD: replayed.requested,
+            pending: replayed.pending,
+            rowKeys: line.rows.map(row => row.rowKey),
+        });
+    });
+
+    const byCountry = new Map();
+    buyers.forEach(buyer => {
+        delete buyer.latestDate;
+        const country = buyer.country || '';
+        if (!byCountry.has(country)) byCountry.set(country, { country, currentUSD: 0, requestedUSD: 0, buyers: [] });
+        const entry = byCountry.get(country);
+        entry.currentUSD += buyer.currentUSD;
+        entry.requestedUSD += buyer.requestedUSD;
+        entry.buyers.push(buyer);
+    });
+
+    const largestFirst = (a, b) => b.requestedUSD - a.requestedUSD || b.currentUSD - a.currentUSD;
+    return {
+        buyers: [...buyers.values()].sort(largestFirst),
+        countries: [...byCountry.values()].sort(largestFirst),
+        missingRate,
+    };
+}
+
+/**
+ * The limit that applies to a buyer or a country.
+ * @param {object} limits - The limits (see `DEFAULT_EXPOSURE_LIMITS`).
+ * @param {string} kind - 'buyer' or 'country'.
+ * @param {string} key - The buyer key or the country code.
+ * @returns {number|null} The limit in USD, or null if none applies.
+ */
+export function limitFor(limits, kind, key) {
+    const own = (kind === 'buyer' ? limits.buyers : limits.countries)[key];
+    if (typeof own === 'number') return own;
+    const fallback = kind === 'buyer' ? limits.buyerLimitUSD : limits.countryLimitUSD;
+    return typeof fallback === 'number' ? fallback : null;
+}
+
+/**
+ * Lists the buyers and countries whose exposure goes over their limit.
+ * @param {object} exposure - The exposure from `buildExposure`.
+ * @param {object} limits - The limits (see `DEFAULT_EXPOSURE_LIMITS`).
+ * @returns {Array<{kind: string, key: string, label: string, level: string, limitUSD: number, currentUSD: number, requestedUSD: number}>}
+ *   The alerts, buyers first; `level` is one of `ALERT_LEVELS`.
+ */
+export function checkExposureLimits(exposure, limits) {
+    const alerts = [];
+    const check = (kind, key, label, entry) => {
+        const limitUSD = limitFor(limits, kind, key);
+        if (limitUSD === null) return;
+        const level = entry.currentUSD > limitUSD ? ALERT_LEVELS.over : (entry.requestedUSD > limitUSD ? ALERT_LEVELS.wouldExceed : '');
+        if (level) alerts.push({ kind, key, label, level, limitUSD, currentUSD: entry.currentUSD, requestedUSD: entry.requestedUSD });
+    };
+    exposure.buyers.forEach(buyer => check('buyer', buyer.key, [buyer.name, buyer.buyerNr].filter(Boolean).join(' - '), buyer));
+    // Buyers without a known country are not held against a country limit.
+    exposure.countries.filter(entry => entry.country).forEach(entry => check('country', entry.country, entry.country, entry));
+    return alerts;
+}
+
+/**
+ * Describes an alert in a sentence.
+ * @param {object} alert - An alert from `checkExposureLimits`.
+ * @returns {string} E.g. 'Buyer Acme Ltd - B1 would exceed its limit of 1,000,000 USD: 1,200,000 USD requested (800,000 USD in force).'
+ */
+export function describeAlert(alert) {
+    const usd = (value) => `${Math.round(value).toLocaleString('en-US')} USD`;
+    const subject = `${alert.kind === 'buyer' ? 'Buyer' : 'Country'} ${alert.label}`;
+    const verb = alert.level === ALERT_LEVELS.over ? 'is over' : 'would exceed';
+    return `${subject} ${verb} its limit of ${usd(alert.limitUSD)}: ${usd(alert.requestedUSD)} requested (${usd(alert.currentUSD)} in force).`;
+}
+
+/**
+ * Reads a limit from a stored or typed value.
+ * @param {*} value - The value.
+ * @returns {number|null} The limit, or null for none (empty, not a number or negative).
+ */
+export function readLimit(value) {
+    if (value === null || value === undefined || String(value).trim() === '') return null;
+    const number = Number(String(value).replace(/[,\s]/g, ''));
+    return Number.isFinite(number) && number >= 0 ? number : null;
+}
+
+/**
+ * Loads the limits saved in browser storage.
+ * @param {Storage} storage - The storage (e.g. `localStorage`).
+ * @returns {object} The limits; no limits if none are saved or they cannot be read.
+ */
+export function loadExposureLimits(storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(LIMITS_STORAGE_KEY) || 'null');
+        if (!saved || typeof saved !== 'object') return structuredClone(DEFAULT_EXPOSURE_LIMITS);
+        const readMap = (map) => Object.fromEntries(Object.entries(map && typeof map === 'object' ? map : {})
+            .map(([key, value]) => [key, readLimit(value)])
+            .filter(([, value]) => value !== null));
+        return {
+            buyerLimitUSD: readLimit(saved.buyerLimitUSD),
+            countryLimitUSD: readLimit(saved.countryLimitUSD),
+            buyers: readMap(saved.buyers),
+            countries: readMap(saved.countries),
+        };
+    } catch (error) {
+        console.warn('Ignoring unreadable exposure limits.', error);
+        return structuredClone(DEFAULT_EXPOSURE_LIMITS);
+    }
+}
+
+/**
+ * Saves the limits to browser storage, so they apply on every visit and on other pages.
+ * @param {Storage} storage - The storage.
+ * @param {object} limits - The limits.
+ */
+export function saveExposureLimits(storage, limits) {
+    storage.setItem(LIMITS_STORAGE_KEY, JSON.stringify(limits));
+}
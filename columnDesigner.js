@@ -0,0 +1,360 @@
+//columnDesigner.js
+
+// JavaScript source code
+
+// Page script of custom-format.html: designs the column presets (see columnTemplates.js)
+// used by the credit log table and its exports. A preset is edited as a copy and only
+// stored when saved; built-in presets can be copied but not changed. The preview shows
+// the first stored rows of the credit log (see creditLogStore.js) with the edited columns.
+
+import { openCreditLogStore } from './creditLogStore.js';
+import { CREDIT_LOG_COLUMNS, getRowCells } from './creditLog.js';
+import { FUNCTIONS } from './columnExpression.js';
+import {
+    TEMPLATE_VERSION, TEMPLATE_STORAGE_KEY, FIELD_SOURCES, COLUMN_TYPES,
+    listMessageFields, validateTemplate, parseTemplate, stringifyTemplate,
+    loadColumnTemplates, saveColumnTemplates, getActiveTemplate, resolveTemplate,
+} from './columnTemplates.js';
+
+const presetSelect = document.getElementById('presetSelect');
+const designerStatus = document.getElementById('designerStatus');
+const columnList = document.getElementById('columnList');
+const addColumnSelect = document.getElementById('addColumnSelect');
+const computedHeader = document.getElementById('computedHeader');
+const computedFormula = document.getElementById('computedFormula');
+const computedType = document.getElementById('computedType');
+const templateErrors = document.getElementById('templateErrors');
+const designerPreview = document.getElementById('designerPreview');
+const importPresetInput = document.getElementById('importPresetInput');
+
+// Number of stored rows shown in the preview.
+const PREVIEW_ROW_COUNT = 10;
+
+let state = loadColumnTemplates(localStorage); // Every preset and the active one's name.
+let editing = null;                            // The preset being edited (a copy until saved).
+let previewRows = [];                          // Stored rows for the preview.
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `type`, `value`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Describes where a template column's value comes from.
+ * @param {object} column - A template column.
+ * @returns {string} E.g. 'Credit log: Buyer Name' or 'Field: Buyer.BuyerNr'.
+ */
+function describeSource(column) {
+    if (column.source === 'column') {
+        const base = CREDIT_LOG_COLUMNS.find(candidate => candidate.key === column.key);
+        return `Credit log: ${base ? base.header : column.key}`;
+    }
+    if (column.source === 'field') return `Field: ${column.path}`;
+    return `Formula: ${column.expression}`;
+}
+
+/**
+ * Asks for a preset name that is not taken yet.
+ * @param {string} question - The prompt text.
+ * @param {string} suggestion - The suggested name.
+ * @returns {string|null} The name, or null if cancelled or taken.
+ */
+function askPresetName(question, suggestion) {
+    const name = (prompt(question, suggestion) || '').trim();
+    if (!name) return null;
+    if (state.templates.some(template => template.name === name)) {
+        designerStatus.textContent = `A preset named '${name}' already exists.`;
+        return null;
+    }
+    return name;
+}
+
+/**
+ * Refills the preset drop-down, marking built-in presets and the active one.
+ */
+function renderPresetOptions() {
+    presetSelect.innerHTML = '';
+    state.templates.forEach(template => {
+        const marks = [template.builtIn ? 'built-in' : '', template.name === state.active ? 'active' : ''].filter(Boolean);
+        presetSelect.appendChild(new Option(marks.length > 0 ? `${template.name} (${marks.join(', ')})` : template.name, template.name));
+    });
+    presetSelect.value = editing.name;
+}
+
+/**
+ * Starts editing a preset.
+ * @param {string} name - The preset name.
+ */
+function selectPreset(name) {
+    editing = structuredClone(state.templates.find(template => template.name === name) || getActiveTemplate(state));
+    renderDesigner();
+}
+
+/**
+ * Renders the edited preset: its columns, its problems and the preview.
+ * Built-in presets are shown read-only.
+ */
+function renderDesigner() {
+    renderPresetOptions();
+    const readOnly = editing.builtIn;
+    document.querySelectorAll('.designer-edit').forEach(control => { control.disabled = readOnly; });
+    document.getElementById('deletePresetButton').disabled = readOnly;
+    document.getElementById('renamePresetButton').disabled = readOnly;
+
+    columnList.innerHTML = '';
+    editing.columns.forEach((column, index) => {
+        const headerInput = createElement('input', { type: 'text', value: column.header || '', disabled: readOnly });
+        headerInput.placeholder = resolvedHeader(column);
+        headerInput.addEventListener('change', () => {
+            if (headerInput.value.trim()) column.header = headerInput.value.trim();
+            else delete column.header;
+            renderProblems();
+        });
+
+        const typeSelect = createElement('select', { disabled: readOnly || column.source === 'column' });
+        typeSelect.appendChild(new Option('(default)', ''));
+        COLUMN_TYPES.forEach(type => typeSelect.appendChild(new Option(type, type)));
+        typeSelect.value = column.type || '';
+        typeSelect.addEventListener('change', () => {
+            if (typeSelect.value) column.type = typeSelect.value;
+            else delete column.type;
+            renderProblems();
+        });
+
+        const moveButton = (label, title, offset) => {
+            const button = createElement('button', { type: 'button', textContent: label, title, disabled: readOnly || !editing.columns[index + offset] });
+            button.addEventListener('click', () => {
+                [editing.columns[index], editing.columns[index + offset]] = [editing.columns[index + offset], editing.columns[index]];
+                renderDesigner();
+            });
+            return button;
+        };
+        const removeButton = createElement('button', { type: 'button', textContent: 'Remove', disabled: readOnly });
+        removeButton.addEventListener('click', () => {
+            editing.columns.splice(index, 1);
+            renderDesigner();
+        });
+
+        columnList.appendChild(createElement('tr', {}, [
+            createElement('td', { textContent: String(index + 1) }),
+            createElement('td', {}, [headerInput]),
+            createElement('td', { textContent: describeSource(column) }),
+            createElement('td', {}, [typeSelect]),
+            createElement('td', {}, [moveButton('↑', 'Move up', -1), moveButton('↓', 'Move down', 1), removeButton]),
+        ]));
+    });
+    renderProblems();
+}
+
+/**
+ * The header a column gets when it is not renamed.
+ * @param {object} column - A template column.
+ * @returns {string} The header.
+ */
+function resolvedHeader(column) {
+    if (column.source === 'column') {
+        const base = CREDIT_LOG_COLUMNS.find(candidate => candidate.key === column.key);
+        return base ? base.header : column.key;
+    }
+    return column.source === 'field' ? column.path : '';
+}
+
+/**
+ * Lists the problems of the edited preset and refreshes the preview.
+ */
+function renderProblems() {
+    const errors = validateTemplate(editing);
+    templateErrors.innerHTML = '';
+    errors.forEach(error => templateErrors.appendChild(createElement('li', { textContent: error })));
+    renderPreview(errors.length === 0);
+}
+
+/**
+ * Shows the first stored rows with the edited columns.
+ * @param {boolean} valid - Whether the edited preset is valid.
+ */
+function renderPreview(valid) {
+    designerPreview.innerHTML = '';
+    if (!valid) return;
+    if (previewRows.length === 0) {
+        designerPreview.textContent = 'No stored rows to preview. Process files on the Credit Log page first.';
+        return;
+    }
+    const columns = resolveTemplate(editing);
+    const table = createElement('table', { className: 'excel-table' });
+    const headerRow = table.createTHead().insertRow();
+    columns.forEach(column => headerRow.appendChild(createElement('th', { textContent: column.header })));
+    const body = table.createTBody();
+    previewRows.forEach(row => {
+        const tr = body.insertRow();
+        getRowCells(row, columns).forEach(value => { tr.insertCell().textContent = value ?? ''; });
+    });
+    designerPreview.appendChild(table);
+}
+
+/**
+ * Fills the "add column" drop-down: credit log columns first, then the message fields by source.
+ */
+function renderFieldOptions() {
+    const group = (label, options) => {
+        const optgroup = createElement('optgroup', { label });
+        options.forEach(option => optgroup.appendChild(option));
+        addColumnSelect.appendChild(optgroup);
+    };
+    group('Credit log columns', CREDIT_LOG_COLUMNS.map(column => new Option(column.header, `column:${column.key}`)));
+    const fields = listMessageFields();
+    FIELD_SOURCES.forEach(({ label }) => {
+        group(`${label} fields`, fields
+            .filter(field => field.source === label)
+            .map(field => new Option(`${field.path} (${field.messageTypes.join(', ')})`, `field:${field.path}`)));
+    });
+}
+
+/**
+ * Saves the edited preset under its name, replacing the stored one.
+ * @param {string} successText - Shown when saved.
+ */
+function saveEditing(successText) {
+    const errors = validateTemplate(editing);
+    if (errors.length > 0) {
+        designerStatus.textContent = 'Fix the problems listed below before saving.';
+        return;
+    }
+    const saved = { ...structuredClone(editing), version: TEMPLATE_VERSION, builtIn: false };
+    const index = state.templates.findIndex(template => template.name === saved.name);
+    if (index === -1) state.templates.push(saved);
+    else state.templates[index] = saved;
+    saveColumnTemplates(localStorage, state);
+    designerStatus.textContent = successText;
+    renderPresetOptions();
+}
+
+presetSelect.addEventListener('change', () => selectPreset(presetSelect.value));
+
+document.getElementById('newPresetButton').addEventListener('click', () => {
+    const name = askPresetName('Name of the new preset:', 'My Preset');
+    if (!name) return;
+    editing = { version: TEMPLATE_VERSION, name, columns: [{ source: 'column', key: CREDIT_LOG_COLUMNS[0].key }] };
+    saveEditing(`Created '${name}'.`);
+    renderDesigner();
+});
+
+document.getElementById('copyPresetButton').addEventListener('click', () => {
+    const name = askPresetName('Name of the copy:', `${editing.name} (copy)`);
+    if (!name) return;
+    editing = { ...structuredClone(editing), name, builtIn: false };
+    saveEditing(`Copied to '${name}'.`);
+    renderDesigner();
+});
+
+document.getElementById('renamePresetButton').addEventListener('click', () => {
+    if (validateTemplate(editing).length > 0) {
+        designerStatus.textContent = 'Fix the problems listed below before renaming.';
+        return;
+    }
+    const oldName = editing.name;
+    const name = askPresetName('New name:', oldName);
+    if (!name) return;
+    state.templates = state.templates.filter(template => template.name !== oldName);
+    if (state.active === oldName) state.active = name;
+    editing.name = name;
+    saveEditing(`Renamed '${oldName}' to '${name}'.`);
+    renderDesigner();
+});
+
+document.getElementById('deletePresetButton').addEventListener('click', () => {
+    if (!confirm(`Delete the preset '${editing.name}'?`)) return;
+    state.templates = state.templates.filter(template => template.name !== editing.name);
+    saveColumnTemplates(localStorage, state);
+    designerStatus.textContent = `Deleted '${editing.name}'.`;
+    selectPreset(getActiveTemplate(state).name);
+});
+
+document.getElementById('savePresetButton').addEventListener('click', () => saveEditing(`Saved '${editing.name}'.`));
+
+document.getElementById('activatePresetButton').addEventListener('click', () => {
+    if (!editing.builtIn) saveEditing(`Saved '${editing.name}'.`);
+    if (!state.templates.some(template => template.name === editing.name)) return;
+    state.active = editing.name;
+    saveColumnTemplates(localStorage, state);
+    designerStatus.textContent = `The credit log table and its exports now use '${editing.name}'.`;
+    renderPresetOptions();
+});
+
+document.getElementById('addColumnButton').addEventListener('click', () => {
+    const [source, ...rest] = addColumnSelect.value.split(':');
+    const name = rest.join(':');
+    editing.columns.push(source === 'column' ? { source, key: name } : { source, path: name });
+    renderDesigner();
+});
+
+document.getElementById('addComputedButton').addEventListener('click', () => {
+    const column = { source: 'computed', header: computedHeader.value.trim(), expression: computedFormula.value };
+    if (computedType.value) column.type = computedType.value;
+    // Checked on its own first so a mistake is reported before the column is added.
+    const errors = validateTemplate({ name: editing.name, columns: [column] });
+    if (errors.length > 0) {
+        designerStatus.textContent = errors.join(' ');
+        return;
+    }
+    editing.columns.push(column);
+    computedHeader.value = '';
+    computedFormula.value = '';
+    designerStatus.textContent = `Added '${column.header}'.`;
+    renderDesigner();
+});
+
+document.getElementById('exportPresetButton').addEventListener('click', () => {
+    const link = createElement('a', {
+        href: URL.createObjectURL(new Blob([stringifyTemplate(editing)], { type: 'application/json' })),
+        download: `${editing.name.replace(/[^\w-]+/g, '_')}.json`,
+    });
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+});
+
+importPresetInput.addEventListener('change', async () => {
+    const file = importPresetInput.files[0];
+    if (!file) return;
+    try {
+        const template = parseTemplate(await file.text());
+        const existing = state.templates.find(candidate => candidate.name === template.name);
+        if (existing && existing.builtIn) throw new Error(`'${template.name}' is a built-in preset; rename the imported preset first.`);
+        editing = template;
+        saveEditing(`Imported '${template.name}' from ${file.name}.`);
+        renderDesigner();
+    } catch (error) {
+        designerStatus.textContent = `${file.name}: ${error.message}`;
+    }
+    importPresetInput.value = '';
+});
+
+// Pick up presets saved on another page, e.g. the active preset chosen on the Credit Log page.
+window.addEventListener('storage', (event) => {
+    if (event.key !== TEMPLATE_STORAGE_KEY) return;
+    state = loadColumnTemplates(localStorage);
+    renderPresetOptions();
+});
+
+COLUMN_TYPES.forEach(type => computedType.appendChild(new Option(type, type)));
+document.getElementById('formulaHelp').textContent = `Functions: ${Object.values(FUNCTIONS).map(definition => definition.description).join('; ')}.`;
+renderFieldOptions();
+selectPreset(state.active);
+
+try {
+    const store = await openCreditLogStore();
+    previewRows = (await store.loadRows()).slice(0, PREVIEW_ROW_COUNT);
+    renderProblems();
+} catch (error) {
+    console.error('Could not open the stored credit log.', error);
+    designerPreview.textContent = `Could not open the stored credit log: ${error.message}`;
+}
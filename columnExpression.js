@@ -0,0 +1,282 @@
+//columnExpression.js
+
+// JavaScript source code
+
+// A small, Excel-like formula language for the computed columns of a column template
+// (see columnTemplates.js). Formulas are parsed into a tree once and evaluated per row;
+// nothing is passed to `eval`. A formula can still return any text, e.g. markup: pages must
+// show the computed values as text (the credit log table escapes every cell, see renderTable).
+//
+//   {amountReqUSD} / 1000                  column keys and message fields in braces
+//   ROUND({Response.CreditCoverAnswer.CreditCoverAmtAppr} / {amountReq} * 100, 1)
+//   IF({amountReqUSD} > 500000, "Large", "Standard")
+//   {buyerName} & " (" & {buyerCountry} & ")"     & joins text
+//   DAYS({requestDate}, {responseDate})     days between two dates
+//
+// Operators: + - * / &, comparisons = <> < > <= >=. Functions: see FUNCTIONS below.
+
+/**
+ * The functions a formula can call, with their argument counts and descriptions.
+ */
+export const FUNCTIONS = {
+    IF: { min: 2, max: 3, description: 'IF(condition, then, else)' },
+    AND: { min: 1, max: Infinity, description: 'AND(a, b, ...): true if all are true' },
+    OR: { min: 1, max: Infinity, description: 'OR(a, b, ...): true if any is true' },
+    NOT: { min: 1, max: 1, description: 'NOT(a)' },
+    ROUND: { min: 1, max: 2, description: 'ROUND(number, decimals)' },
+    ABS: { min: 1, max: 1, description: 'ABS(number)' },
+    MIN: { min: 1, max: Infinity, description: 'MIN(a, b, ...): the smallest number' },
+    MAX: { min: 1, max: Infinity, description: 'MAX(a, b, ...): the largest number' },
+    DAYS: { min: 2, max: 2, description: 'DAYS(from, to): whole days between two dates' },
+    TODAY: { min: 0, max: 0, description: 'TODAY(): today as YYYY-MM-DD' },
+    UPPER: { min: 1, max: 1, description: 'UPPER(text)' },
+    LOWER: { min: 1, max: 1, description: 'LOWER(text)' },
+    LEFT: { min: 2, max: 2, description: 'LEFT(text, count)' },
+    RIGHT: { min: 2, max: 2, description: 'RIGHT(text, count)' },
+    LEN: { min: 1, max: 1, description: 'LEN(text)' },
+    BLANK: { min: 1, max: 1, description: 'BLANK(a): true if a is empty' },
+};
+
+const BINARY_PRECEDENCE = { '=': 1, '<>': 1, '<': 1, '>': 1, '<=': 1, '>=': 1, '&': 2, '+': 3, '-': 3, '*': 4, '/': 4 };
+
+/**
+ * Splits a formula into tokens.
+ * @param {string} text - The formula.
+ * @returns {Array<{type: string, value: *, position: number}>} The tokens.
+ * @throws {Error} On an unexpected character or an unclosed string or reference.
+ */
+function tokenize(text) {
+    const tokens = [];
+    let i = 0;
+    while (i < text.length) {
+        const char = text[i];
+        if (/\s/.test(char)) {
+            i++;
+        } else if (/[0-9.]/.test(char)) {
+            const match = text.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+            if (!match) throw new Error(`Unexpected '${char}' at position ${i + 1}.`);
+            tokens.push({ type: 'number', value: Number(match[1]), position: i });
+            i += match[1].length;
+        } else if (char === '"') {
+            const end = text.indexOf('"', i + 1);
+            if (end === -1) throw new Error(`Text starting at position ${i + 1} is missing its closing quote.`);
+            tokens.push({ type: 'string', value: text.slice(i + 1, end), position: i });
+            i = end + 1;
+        } else if (char === '{') {
+            const end = text.indexOf('}', i + 1);
+            if (end === -1) throw new Error(`Reference starting at position ${i + 1} is missing its closing brace.`);
+            tokens.push({ type: 'reference', value: text.slice(i + 1, end).trim(), position: i });
+            i = end + 1;
+        } else if (/[A-Za-z_]/.test(char)) {
+            const name = text.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/)[0];
+            tokens.push({ type: 'name', value: name.toUpperCase(), position: i });
+            i += name.length;
+        } else if (['<=', '>=', '<>'].includes(text.slice(i, i + 2))) {
+            tokens.push({ type: 'operator', value: text.slice(i, i + 2), position: i });
+            i += 2;
+        } else if ('+-*/&=<>(),'.includes(char)) {
+            tokens.push({ type: char === '(' || char === ')' || char === ',' ? char : 'operator', value: char, position: i });
+            i++;
+        } else {
+            throw new Error(`Unexpected '${char}' at position ${i + 1}.`);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Parses tokens into an expression tree (recursive descent with operator precedence).
+ * @param {Array<object>} tokens - The tokens from `tokenize`.
+ * @returns {object} The root node.
+ * @throws {Error} On a syntax error.
+ */
+function parse(tokens) {
+    let index = 0;
+    const peek = () => tokens[index];
+    const expect = (type) => {
+        const token = tokens[index];
+        if (!token || token.type !== type) {
+            throw new Error(token ? `Expected '${type}' at position ${token.position + 1}.` : `Expected '${type}' at the end.`);
+        }
+        index++;
+        return token;
+    };
+
+    const parsePrimary = () => {
+        const token = tokens[index++];
+        if (!token) throw new Error('The formula ends too early.');
+        if (token.type === 'number' || token.type === 'string') return { kind: 'literal', value: token.value };
+        if (token.type === 'reference') {
+            if (!token.value) throw new Error(`Empty reference at position ${token.position + 1}.`);
+            return { kind: 'reference', name: token.value };
+        }
+        if (token.type === 'operator' && token.value === '-') return { kind: 'negate', operand: parsePrimary() };
+        if (token.type === '(') {
+            const inner = parseBinary(0);
+            expect(')');
+            return inner;
+        }
+        if (token.type === 'name') {
+            if (token.value === 'TRUE' || token.value === 'FALSE') return { kind: 'literal', value: token.value === 'TRUE' };
+            const definition = FUNCTIONS[token.value];
+            if (!definition) throw new Error(`Unknown function '${token.value}' at position ${token.position + 1}.`);
+            expect('(');
+            const args = [];
+            if (peek() && peek().type !== ')') {
+                args.push(parseBinary(0));
+                while (peek() && peek().type === ',') {
+                    index++;
+                    args.push(parseBinary(0));
+                }
+            }
+            expect(')');
+            if (args.length < definition.min || args.length > definition.max) {
+                throw new Error(`Wrong number of arguments for ${token.value}: ${definition.description}.`);
+            }
+            return { kind: 'call', name: token.value, args };
+        }
+        throw new Error(`Unexpected '${token.value}' at position ${token.position + 1}.`);
+    };
+
+    const parseBinary = (minPrecedence) => {
+        let left = parsePrimary();
+        while (peek() && peek().type === 'operator' && BINARY_PRECEDENCE[peek().value] > minPrecedence) {
+            const operator = tokens[index++].value;
+            const right = parseBinary(BINARY_PRECEDENCE[operator]);
+            left = { kind: 'binary', operator, left, right };
+        }
+        return left;
+    };
+
+    const root = parseBinary(0);
+    if (index < tokens.length) {
+        throw new Error(`Unexpected '${tokens[index].value}' at position ${tokens[index].position + 1}.`);
+    }
+    return root;
+}
+
+/**
+ * Whether a value counts as empty.
+ * @param {*} value - The value.
+ * @returns {boolean} True for null, undefined and ''.
+ */
+function isBlank(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Converts a value to a number; empty values count as 0, like in Excel.
+ * @param {*} value - The value.
+ * @returns {number} The number, or NaN.
+ */
+function toNumber(value) {
+    if (isBlank(value)) return 0;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return Number(value);
+}
+
+/**
+ * Compares two values: numerically when both are numbers, otherwise as text (case-insensitive).
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @returns {number} Negative, zero or positive.
+ */
+function compare(a, b) {
+    const numberA = Number(a);
+    const numberB = Number(b);
+    if (!isBlank(a) && !isBlank(b) && !isNaN(numberA) && !isNaN(numberB)) return numberA - numberB;
+    return String(a ?? '').localeCompare(String(b ?? ''), undefined, { sensitivity: 'base' });
+}
+
+/**
+ * Evaluates an expression tree.
+ * @param {object} node - The node.
+ * @param {function(string): *} lookup - Returns the value of a reference.
+ * @returns {*} The value.
+ */
+function evaluateNode(node, lookup) {
+    switch (node.kind) {
+        case 'literal':
+            return node.value;
+        case 'reference':
+            return lookup(node.name);
+        case 'negate':
+            return -toNumber(evaluateNode(node.operand, lookup));
+        case 'binary': {
+            const left = evaluateNode(node.left, lookup);
+            const right = evaluateNode(node.right, lookup);
+            switch (node.operator) {
+                case '&': return `${left ?? ''}${right ?? ''}`;
+                case '+': return toNumber(left) + toNumber(right);
+                case '-': return toNumber(left) - toNumber(right);
+                case '*': return toNumber(left) * toNumber(right);
+                case '/': return toNumber(left) / toNumber(right);
+                case '=': return compare(left, right) === 0;
+                case '<>': return compare(left, right) !== 0;
+                case '<': return compare(left, right) < 0;
+                case '>': return compare(left, right) > 0;
+                case '<=': return compare(left, right) <= 0;
+                default: return compare(left, right) >= 0;
+            }
+        }
+        default: {
+            // Function call. IF only evaluates the branch it returns.
+            if (node.name === 'IF') {
+                const condition = evaluateNode(node.args[0], lookup);
+                const branch = condition && condition !== '0' ? node.args[1] : node.args[2];
+                return branch ? evaluateNode(branch, lookup) : '';
+            }
+            const args = node.args.map(arg => evaluateNode(arg, lookup));
+            const text = (value) => String(value ?? '');
+            switch (node.name) {
+                case 'AND': return args.every(Boolean);
+                case 'OR': return args.some(Boolean);
+                case 'NOT': return !args[0];
+                case 'ROUND': {
+                    const factor = 10 ** toNumber(args[1] ?? 0);
+                    return Math.round(toNumber(args[0]) * factor) / factor;
+                }
+                case 'ABS': return Math.abs(toNumber(args[0]));
+                case 'MIN': return Math.min(...args.filter(arg => !isBlank(arg)).map(toNumber));
+                case 'MAX': return Math.max(...args.filter(arg => !isBlank(arg)).map(toNumber));
+                case 'DAYS': {
+                    if (isBlank(args[0]) || isBlank(args[1])) return '';
+                    const from = new Date(text(args[0]).slice(0, 10));
+                    const to = new Date(text(args[1]).slice(0, 10));
+                    return isNaN(from) || isNaN(to) ? '' : Math.round((to - from) / (24 * 60 * 60 * 1000));
+                }
+                case 'TODAY': return new Date().toISOString().slice(0, 10);
+                case 'UPPER': return text(args[0]).toUpperCase();
+                case 'LOWER': return text(args[0]).toLowerCase();
+                case 'LEFT': return text(args[0]).slice(0, Math.max(0, toNumber(args[1])));
+                case 'RIGHT': return toNumber(args[1]) > 0 ? text(args[0]).slice(-toNumber(args[1])) : '';
+                case 'LEN': return text(args[0]).length;
+                default: return isBlank(args[0]);
+            }
+        }
+    }
+}
+
+/**
+ * Compiles a formula.
+ * @param {string} text - The formula.
+ * @returns {{references: Array<string>, evaluate: function(function(string): *): *}} The names in braces
+ *   the formula uses, and a function that evaluates it given a lookup for those names. Numbers that are
+ *   not finite (e.g. a division by an empty cell) evaluate to ''; true and false become 'Yes' and 'No'.
+ * @throws {Error} If the formula is empty or has a syntax error; the message says where.
+ */
+export function compileExpression(text) {
+    if (!String(text || '').trim()) throw new Error('The formula is empty.');
+    const tokens = tokenize(String(text));
+    const root = parse(tokens);
+    const references = [...new Set(tokens.filter(token => token.type === 'reference').map(token => token.value))];
+    return {
+        references,
+        evaluate(lookup) {
+            const value = evaluateNode(root, lookup);
+            if (typeof value === 'number') return Number.isFinite(value) ? value : '';
+            if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+            return value ?? '';
+        },
+    };
+}
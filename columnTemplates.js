@@ -0,0 +1,269 @@
+//columnTemplates.js
+
+// JavaScript source code
+
+// Column templates: which columns the credit log table and its exports show, in which
+// order and under which headers. Different desks keep their own named presets, designed on
+// the Custom Format page and exported or imported as JSON:
+//
+// {
+//   "version": 1,
+//   "name": "Credit Desk",
+//   "columns": [
+//     { "source": "column", "key": "buyerName" },                              a credit log column
+//     { "source": "field", "path": "Buyer.BuyerNr", "header": "Buyer Nr" },   a parsed message field
+//     { "source": "computed", "header": "Approved %", "type": "number",       a formula (see columnExpression.js)
+//       "expression": "ROUND({amtApproved} / {amountReq} * 100, 1)" }
+//   ]
+// }
+//
+// Message fields are addressed by their dotted path in the request (MSG02/05/07), or with
+// 'MSG01.' for the seller's MSG01 and 'Response.' for the import factor's answer.
+// Every column may set "header" to rename it.
+
+import { CREDIT_LOG_COLUMNS } from './creditLog.js';
+import { MSG_SCHEMAS, schemaFieldPaths } from './msgSchemas.js';
+import { compileExpression } from './columnExpression.js';
+
+export const TEMPLATE_VERSION = 1;
+
+// Key of the saved templates and the active template name in browser storage.
+// Exported so pages can notice changes made on another page (the 'storage' event).
+export const TEMPLATE_STORAGE_KEY = 'creditLog.columnTemplates';
+
+/**
+ * Where message fields come from, with the path prefix used for them in a row's `fields`
+ * (see generateCombinedDisplayData in creditLog.js).
+ */
+export const FIELD_SOURCES = [
+    { prefix: '', label: 'Request', messageTypes: ['MSG02', 'MSG05', 'MSG07'] },
+    { prefix: 'MSG01.', label: 'Seller (MSG01)', messageTypes: ['MSG01'] },
+    { prefix: 'Response.', label: 'Response', messageTypes: ['MSG03', 'MSG06', 'MSG08'] },
+];
+
+/**
+ * The value types a column can have (see `type` in `CREDIT_LOG_COLUMNS`).
+ */
+export const COLUMN_TYPES = ['text', 'number', 'integer', 'date'];
+
+/**
+ * The presets every user has. They cannot be changed or deleted, only copied.
+ */
+export const BUILT_IN_TEMPLATES = [
+    {
+        version: TEMPLATE_VERSION,
+        name: 'Full Credit Log',
+        builtIn: true,
+        columns: CREDIT_LOG_COLUMNS.map(column => ({ source: 'column', key: column.key })),
+    },
+    {
+        version: TEMPLATE_VERSION,
+        name: 'AE Desk',
+        builtIn: true,
+        columns: CREDIT_LOG_COLUMNS
+            .filter(column => !['ofacDate', 'ofacStatus', 'ofacList'].includes(column.key))
+            .map(column => ({ source: 'column', key: column.key })),
+    },
+    {
+        version: TEMPLATE_VERSION,
+        name: 'Credit Desk',
+        builtIn: true,
+        columns: CREDIT_LOG_COLUMNS.flatMap(column => {
+            const own = { source: 'column', key: column.key };
+            if (column.key === 'buyerName') return [own, { source: 'field', path: 'Buyer.BuyerNr', header: 'Buyer Nr' }];
+            if (column.key === 'messageType') return [own, { source: 'field', path: 'RequestNr', header: 'Request Nr' }];
+            return [own];
+        }),
+    },
+];
+
+/**
+ * The name of the template used when none has been chosen.
+ */
+export const DEFAULT_TEMPLATE_NAME = BUILT_IN_TEMPLATES[0].name;
+
+/**
+ * Lists every message field a template can show.
+ * @returns {Array<{path: string, type: string, source: string, messageTypes: Array<string>}>}
+ *   One entry per path: `type` is a column type, `source` the label from `FIELD_SOURCES` and
+ *   `messageTypes` the types that carry the field.
+ */
+export function listMessageFields() {
+    const fields = new Map();
+    FIELD_SOURCES.forEach(({ prefix, label, messageTypes }) => {
+        messageTypes.forEach(messageType => {
+            schemaFieldPaths(MSG_SCHEMAS[messageType]).forEach(({ path, type }) => {
+                const fullPath = prefix + path;
+                if (!fields.has(fullPath)) {
+                    fields.set(fullPath, { path: fullPath, type: type === 'datetime' ? 'date' : type, source: label, messageTypes: [] });
+                }
+                fields.get(fullPath).messageTypes.push(messageType);
+            });
+        });
+    });
+    return [...fields.values()];
+}
+
+/**
+ * Checks a template and lists every problem found.
+ * @param {object} template - The template.
+ * @returns {Array<string>} The problems; empty if the template is valid.
+ */
+export function validateTemplate(template) {
+    const errors = [];
+    if (!template || typeof template !== 'object') return ['The template must be an object.'];
+    if (typeof template.name !== 'string' || template.name.trim() === '') errors.push('The template needs a name.');
+    if (!Array.isArray(template.columns) || template.columns.length === 0) {
+        errors.push('The template needs at least one column.');
+        return errors;
+    }
+
+    const columnKeys = new Set(CREDIT_LOG_COLUMNS.map(column => column.key));
+    const fieldPaths = new Set(listMessageFields().map(field => field.path));
+    template.columns.forEach((column, index) => {
+        const label = `Column ${index + 1}${column && column.header ? ` (${column.header})` : ''}`;
+        if (!column || typeof column !== 'object') {
+            errors.push(`${label} must be an object.`);
+            return;
+        }
+        if (column.header !== undefined && typeof column.header !== 'string') errors.push(`${label}: the header must be text.`);
+        if (column.type !== undefined && !COLUMN_TYPES.includes(column.type)) {
+            errors.push(`${label}: unknown type '${column.type}' (use ${COLUMN_TYPES.join(', ')}).`);
+        }
+        if (column.source === 'column') {
+            if (!columnKeys.has(column.key)) errors.push(`${label}: unknown credit log column '${column.key}'.`);
+        } else if (column.source === 'field') {
+            if (!fieldPaths.has(column.path)) errors.push(`${label}: unknown message field '${column.path}'.`);
+        } else if (column.source === 'computed') {
+            if (!column.header || !column.header.trim()) errors.push(`${label}: a computed column needs a header.`);
+            try {
+                compileExpression(column.expression).references
+                    .filter(name => !columnKeys.has(name) && !fieldPaths.has(name))
+                    .forEach(name => errors.push(`${label}: the formula refers to {${name}}, which is neither a column nor a message field.`));
+            } catch (error) {
+                errors.push(`${label}: ${error.message}`);
+            }
+        } else {
+            errors.push(`${label}: unknown source '${column.source}' (use column, field or computed).`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Parses a template from JSON, e.g. an imported file.
+ * @param {string} text - The JSON text.
+ * @returns {object} The template (never marked built-in).
+ * @throws {Error} If the text is not valid JSON or the template is invalid.
+ */
+export function parseTemplate(text) {
+    const template = JSON.parse(text);
+    const errors = validateTemplate(template);
+    if (errors.length > 0) {
+        throw new Error(`Invalid column template: ${errors.join(' ')}`);
+    }
+    const { builtIn, ...rest } = template;
+    return { version: TEMPLATE_VERSION, ...rest };
+}
+
+/**
+ * Serializes a template to JSON for export.
+ * @param {object} template - The template.
+ * @returns {string} The JSON text.
+ */
+export function stringifyTemplate(template) {
+    const { builtIn, ...rest } = template;
+    return JSON.stringify(rest, null, 2) + '\n';
+}
+
+/**
+ * Loads the templates from browser storage, after the built-in presets.
+ * Saved templates that are no longer valid are skipped with a warning.
+ * @param {Storage} storage - The storage (e.g. `localStorage`).
+ * @returns {{active: string, templates: Array<object>}} The name of the active template and every template.
+ */
+export function loadColumnTemplates(storage) {
+    const state = { active: DEFAULT_TEMPLATE_NAME, templates: structuredClone(BUILT_IN_TEMPLATES) };
+    try {
+        const saved = JSON.parse(storage.getItem(TEMPLATE_STORAGE_KEY) || 'null');
+        if (saved) {
+            (saved.templates || []).forEach(template => {
+                const errors = validateTemplate(template);
+                if (errors.length > 0 || state.templates.some(existing => existing.name === template.name)) {
+                    console.warn(`Ignoring saved column template '${template && template.name}'.`, errors);
+                    return;
+                }
+                state.templates.push({ ...template, builtIn: false });
+            });
+            if (state.templates.some(template => template.name === saved.active)) state.active = saved.active;
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable column templates.', error);
+    }
+    return state;
+}
+
+/**
+ * Saves the user's templates and the active template name to browser storage.
+ * @param {Storage} storage - The storage.
+ * @param {{active: string, templates: Array<object>}} state - As returned by `loadColumnTemplates`.
+ */
+export function saveColumnTemplates(storage, state) {
+    storage.setItem(TEMPLATE_STORAGE_KEY, JSON.stringify({
+        active: state.active,
+        templates: state.templates.filter(template => !template.builtIn).map(({ builtIn, ...template }) => template),
+    }));
+}
+
+/**
+ * Finds the active template.
+ * @param {{active: string, templates: Array<object>}} state - As returned by `loadColumnTemplates`.
+ * @returns {object} The active template, or the default one if it no longer exists.
+ */
+export function getActiveTemplate(state) {
+    return state.templates.find(template => template.name === state.active)
+        || state.templates.find(template => template.name === DEFAULT_TEMPLATE_NAME);
+}
+
+/**
+ * Turns a template into the columns the table and the exports use, in the same shape as
+ * `CREDIT_LOG_COLUMNS` (`key`, `header`, `type`). Field and computed columns also have a
+ * `value(row)` function; see `getRowCells` in creditLog.js.
+ * @param {object} template - A valid template.
+ * @returns {Array<{key: string, header: string, type: string, value?: function(object): *}>} The columns.
+ * @throws {Error} If the template is invalid.
+ */
+export function resolveTemplate(template) {
+    const errors = validateTemplate(template);
+    if (errors.length > 0) throw new Error(`Invalid column template: ${errors.join(' ')}`);
+
+    const fields = new Map(listMessageFields().map(field => [field.path, field]));
+    const columnKeys = new Set(CREDIT_LOG_COLUMNS.map(column => column.key));
+    const fieldValue = (row, path) => {
+        const value = row.fields ? row.fields[path] : undefined;
+        return value === null || value === undefined ? '' : value;
+    };
+    return template.columns.map((column, index) => {
+        if (column.source === 'column') {
+            const base = CREDIT_LOG_COLUMNS.find(candidate => candidate.key === column.key);
+            return { ...base, header: column.header || base.header };
+        }
+        if (column.source === 'field') {
+            return {
+                key: `field:${column.path}`,
+                header: column.header || column.path,
+                type: column.type || fields.get(column.path).type,
+                value: (row) => fieldValue(row, column.path),
+            };
+        }
+        // Computed: column keys are read from the row, everything else from its message fields.
+        const expression = compileExpression(column.expression);
+        const lookup = (row) => (name) => (columnKeys.has(name) ? row[name] ?? '' : fieldValue(row, name));
+        return {
+            key: `computed:${index}`,
+            header: column.header,
+            type: column.type || 'text',
+            value: (row) => expression.evaluate(lookup(row)),
+        };
+    });
+}
@@ -0,0 +1,94 @@
+//conflictReview.js
+
+// JavaScript source code
+
+// The "Duplicates and Conflicts" panel of the Credit Log page: each conflict with a
+// field-by-field diff of its versions and a button to keep one, then the messages skipped as
+// duplicates. The detection itself is done by messageConflicts.js; this module only deals with the page.
+
+import { DUPLICATE_REASONS, CONFLICT_KINDS, versionInUse, diffVersions, describeVersion } from './messageConflicts.js';
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `className`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Creates a table row of text cells.
+ * @param {string} cellTag - 'th' or 'td'.
+ * @param {Array<string|Node>} cells - The cells; strings become text.
+ * @returns {HTMLTableRowElement} The row.
+ */
+function tableRow(cellTag, cells) {
+    return createElement('tr', {}, cells.map(cell => (cell instanceof Node
+        ? createElement(cellTag, {}, [cell])
+        : createElement(cellTag, { textContent: cell }))));
+}
+
+/**
+ * Renders one conflict: its versions side by side, the fields they disagree on, and the choice of version.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {object} conflict - A conflict from `collections.conflicts`.
+ * @param {function(object, Message): void} onKeep - Called with the conflict and the version to keep.
+ * @returns {HTMLElement} The conflict's section.
+ */
+function renderConflict(collections, conflict, onKeep) {
+    const inUse = versionInUse(collections, conflict);
+    const table = createElement('table', { className: 'excel-table conflict-diff' });
+    table.appendChild(tableRow('th', ['Field', ...conflict.versions.map((version, index) => `Version ${index + 1}`)]));
+    table.appendChild(tableRow('td', ['Received', ...conflict.versions.map(describeVersion)]));
+    const diff = diffVersions(conflict);
+    diff.forEach(({ path, values }) => table.appendChild(tableRow('td', [path, ...values])));
+    table.appendChild(tableRow('td', ['Use', ...conflict.versions.map(version => {
+        if (version === inUse) return createElement('strong', { textContent: 'In use' });
+        const button = createElement('button', { textContent: 'Keep this version' });
+        button.addEventListener('click', () => onKeep(conflict, version));
+        return button;
+    })]));
+
+    return createElement('div', { className: 'conflict' }, [
+        createElement('h4', { textContent: `${conflict.type} ${conflict.key}: ${CONFLICT_KINDS[conflict.kind]}` }),
+        ...(diff.length === 0 ? [createElement('div', { textContent: 'The versions differ only in their envelope.' })] : []),
+        table,
+    ]);
+}
+
+/**
+ * Renders the duplicates and conflicts of the log into a container, replacing its content.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {function(object, Message): void} onKeep - Called with a conflict and the version the
+ *   user chose to keep (see `keepVersion` in creditLog.js).
+ */
+export function renderConflictReview(container, collections, onKeep) {
+    container.innerHTML = '';
+    const { conflicts, duplicates } = collections;
+    if (conflicts.size === 0 && duplicates.length === 0) {
+        container.appendChild(createElement('div', { textContent: 'No duplicate or conflicting messages.' }));
+        return;
+    }
+
+    if (conflicts.size > 0) {
+        container.appendChild(createElement('h3', { textContent: `Conflicts (${conflicts.size})` }));
+        conflicts.forEach(conflict => container.appendChild(renderConflict(collections, conflict, onKeep)));
+    }
+
+    if (duplicates.length > 0) {
+        container.appendChild(createElement('h3', { textContent: `Duplicates skipped (${duplicates.length})` }));
+        const table = createElement('table', { className: 'excel-table' });
+        table.appendChild(tableRow('th', ['Type', 'Message', 'Reason', 'Same as']));
+        duplicates.forEach(({ reason, instance, original }) => {
+            table.appendChild(tableRow('td', [instance.type, describeVersion(instance), DUPLICATE_REASONS[reason], describeVersion(original)]));
+        });
+        container.appendChild(table);
+    }
+}
@@ -0,0 +1,173 @@
+//converter-script.js
+
+// JavaScript source code
+
+// Page script of currency-converter.html. Loads the same exchange rates as the credit log
+// (uploaded table, live rates, cached rates; see loadStandardRateBook in exchangeRates.js)
+// and converts single amounts or a pasted column of amounts, showing the rate, its source
+// and its date for every figure.
+
+import { loadStandardRateBook, summarizeRateSources, parseRateFile } from './exchangeRates.js';
+import { convertCurrency, parseAmount, parseAmountList } from './currencyConverter.js';
+
+const rateFileInput = document.getElementById('rateFileInput');
+const rateStatus = document.getElementById('rateStatus');
+const currencyList = document.getElementById('currencyList');
+
+const amountInput = document.getElementById('amountInput');
+const fromCurrency = document.getElementById('fromCurrency');
+const toCurrency = document.getElementById('toCurrency');
+const asOfDate = document.getElementById('asOfDate');
+const swapButton = document.getElementById('swapButton');
+const convertButton = document.getElementById('convertButton');
+const conversionResult = document.getElementById('conversionResult');
+
+const bulkInput = document.getElementById('bulkInput');
+const bulkCurrency = document.getElementById('bulkCurrency');
+const bulkConvertButton = document.getElementById('bulkConvertButton');
+const copyBulkButton = document.getElementById('copyBulkButton');
+const bulkOutput = document.getElementById('bulkOutput');
+
+let rateBook = null;        // The loaded rates.
+let manualRateTables = [];  // Tables from the rate file input.
+let bulkResults = [];       // The rows of the last bulk conversion, for copying.
+
+/**
+ * Formats a number with 2 decimals and thousands separators.
+ * @param {number} value - The number.
+ * @returns {string} The formatted number.
+ */
+function formatAmount(value) {
+    return value.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * Describes where a conversion's rates came from, including when they were fetched.
+ * @param {object} conversion - A result of `convertCurrency`.
+ * @returns {string} The rate, source and timestamps.
+ */
+function describeConversion(conversion) {
+    const fetched = [conversion.fromQuote, conversion.toQuote]
+        .filter(quote => quote.retrievedAt)
+        .map(quote => `${quote.source} retrieved ${quote.retrievedAt.replace('T', ' ').slice(0, 19)} UTC`);
+    return [...conversion.notes, ...new Set(fetched)].join('; ') || 'No conversion needed';
+}
+
+/**
+ * (Re)loads the rates and refreshes the currency list and the status line.
+ */
+async function loadRates() {
+    rateStatus.textContent = 'Loading exchange rates...';
+    const loaded = await loadStandardRateBook(manualRateTables, localStorage);
+    rateBook = loaded.rateBook;
+    loaded.warnings.forEach(warning => console.warn(warning));
+    rateStatus.textContent = summarizeRateSources(rateBook);
+    currencyList.innerHTML = '';
+    rateBook.currencies().forEach(code => currencyList.appendChild(new Option(code)));
+}
+
+/**
+ * Converts the single amount and shows the result with the rates used.
+ */
+function convertSingle() {
+    const conversion = convertCurrency(rateBook, parseAmount(amountInput.value), fromCurrency.value, toCurrency.value, asOfDate.value);
+    conversionResult.innerHTML = '';
+    const result = document.createElement('div');
+    result.className = 'conversion-figure';
+    const details = document.createElement('div');
+    details.className = 'conversion-details';
+    if (conversion.error) {
+        result.textContent = conversion.error;
+    } else {
+        const from = fromCurrency.value.trim().toUpperCase();
+        const to = toCurrency.value.trim().toUpperCase();
+        result.textContent = `${formatAmount(parseAmount(amountInput.value))} ${from} = ${formatAmount(conversion.result)} ${to}`;
+        details.textContent = `1 ${from} = ${conversion.rate.toPrecision(6)} ${to}. ${describeConversion(conversion)}`;
+    }
+    conversionResult.append(result, details);
+}
+
+/**
+ * Converts every line of the pasted column and shows a table of the results.
+ */
+function convertBulk() {
+    const target = bulkCurrency.value.trim().toUpperCase() || 'USD';
+    bulkResults = parseAmountList(bulkInput.value).map(entry => {
+        const date = entry.date || asOfDate.value;
+        const conversion = entry.error ? null : convertCurrency(rateBook, entry.amount, entry.currency, target, date);
+        return {
+            line: entry.line,
+            amount: isNaN(entry.amount) ? '' : entry.amount,
+            currency: entry.currency,
+            date,
+            converted: conversion && !conversion.error ? conversion.result : '',
+            rate: conversion && !conversion.error ? conversion.rate : '',
+            details: entry.error ? `Line ${entry.line}: ${entry.error} ('${entry.text}')` : (conversion.error || describeConversion(conversion)),
+        };
+    });
+
+    const headers = ['Line', 'Amount', 'Currency', 'As Of', `Amount (${target})`, `Rate (${target} per unit)`, 'Rate Used'];
+    const table = document.createElement('table');
+    table.className = 'excel-table';
+    const headerRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    bulkResults.forEach(entry => {
+        const tr = body.insertRow();
+        if (entry.converted === '') tr.className = 'report-problem';
+        [entry.line, entry.amount === '' ? '' : formatAmount(entry.amount), entry.currency, entry.date,
+            entry.converted === '' ? '' : formatAmount(entry.converted), entry.rate === '' ? '' : entry.rate.toPrecision(6), entry.details]
+            .forEach(value => { tr.insertCell().textContent = value; });
+    });
+    bulkOutput.innerHTML = '';
+    bulkOutput.appendChild(table);
+    copyBulkButton.disabled = bulkResults.length === 0;
+}
+
+// Copies the bulk results as tab-separated text, to paste next to the original column in Excel.
+copyBulkButton.addEventListener('click', async () => {
+    const target = bulkCurrency.value.trim().toUpperCase() || 'USD';
+    const lines = [['Amount', 'Currency', 'As Of', `Amount (${target})`, 'Rate', 'Rate Used'].join('\t')];
+    bulkResults.forEach(entry => lines.push([entry.amount, entry.currency, entry.date, entry.converted, entry.rate, entry.details].join('\t')));
+    try {
+        await navigator.clipboard.writeText(lines.join('\n'));
+        copyBulkButton.textContent = 'Copied!';
+        setTimeout(() => { copyBulkButton.textContent = 'Copy Results as TSV'; }, 1500);
+    } catch (error) {
+        console.error('Could not copy the results.', error);
+    }
+});
+
+// Optional manual rate tables (CSV or JSON), as on the Credit Log page. They take precedence over live and cached rates of the same date.
+rateFileInput.addEventListener('change', async (event) => {
+    manualRateTables = [];
+    const messages = [];
+    for (const file of Array.from(event.target.files)) {
+        try {
+            manualRateTables.push(...parseRateFile(await file.text(), file.name));
+        } catch (error) {
+            messages.push(`${file.name}: ${error.message}`);
+        }
+    }
+    await loadRates();
+    if (messages.length > 0) rateStatus.textContent += ` (${messages.join('; ')})`;
+});
+
+swapButton.addEventListener('click', () => {
+    [fromCurrency.value, toCurrency.value] = [toCurrency.value, fromCurrency.value];
+    convertSingle();
+});
+convertButton.addEventListener('click', convertSingle);
+amountInput.addEventListener('keydown', (event) => {
+    if (event.key === 'Enter') convertSingle();
+});
+bulkConvertButton.addEventListener('click', convertBulk);
+
+asOfDate.value = new Date().toISOString().slice(0, 10);
+await loadRates();
+convertButton.disabled = false;
+bulkConvertButton.disabled = false;
@@ -0,0 +1,604 @@
+//creditLog.js
+
+// JavaScript source code
+
+// This module builds the credit log from parsed message collections.
+// It has no dependency on the page (`document`, `FileReader`, ...), so the same
+// rows are produced by the browser page (script.js) and the command-line
+// builder (creditLogCli.js).
+
+import { describeRate } from './exchangeRates.js';
+import { DEFAULT_ROUTING_RULES, routeCreditManager } from './routingRules.js';
+import { detectRequestFlags } from './messageFlags.js';
+import { MSG_SCHEMAS, schemaFieldValues } from './msgSchemas.js';
+import { BusinessCalendar, getSlaStatus } from './slaCalendar.js';
+import { buildThreads, applyThreads } from './requestThreads.js';
+import { contentKey, sameSellerDetails, preferredVersion, recordDuplicate, recordConflict } from './messageConflicts.js';
+
+/**
+ * The columns of the credit log table, in display order.
+ * New columns go at the end, so logs pasted from earlier exports keep their layout.
+ * `key` is the property of a row object from `generateCombinedDisplayData`.
+ * `type` is the kind of value the column holds ('text', 'number', 'integer' or 'date'),
+ * used by exports that keep cell types (see xlsxExport.js).
+ */
+export const CREDIT_LOG_COLUMNS = [
+    { key: 'requestDate', header: 'Request Date', type: 'date' },
+    { key: 'dateReceived', header: 'Date Received', type: 'date' },
+    { key: 'reminder', header: 'Reminder (Yes/No)', type: 'text' },
+    { key: 'newAcctNameAddressChange', header: 'New Acct / Name Address Change (Yes/No)', type: 'text' },
+    { key: 'cancellation', header: 'Cancellation (Yes/No)', type: 'text' },
+    { key: 'buyerName', header: 'Buyer', type: 'text' },
+    { key: 'buyerCountry', header: 'Buyer Country', type: 'text' },
+    { key: 'sellerName', header: 'Seller', type: 'text' },
+    { key: 'sellerCountry', header: 'Seller Country', type: 'text' },
+    { key: 'partnerName', header: 'Partner', type: 'text' },
+    { key: 'partnerCountry', header: 'Partner Country', type: 'text' },
+    { key: 'messageType', header: '2,5,7', type: 'text' },
+    { key: 'amountReq', header: 'Amount Req', type: 'number' },
+    { key: 'currency', header: 'Currency', type: 'text' },
+    { key: 'term', header: 'Term', type: 'integer' },
+    { key: 'contactAllowed', header: 'Contact Allowed (Yes/No)', type: 'text' },
+    { key: 'msgFunctionCode', header: '3, 6, 8', type: 'text' },
+    { key: 'amtApproved', header: 'Amt Appr', type: 'number' },
+    { key: 'msg3ExpirationDate', header: 'Msg 3 Expiration Date', type: 'date' },
+    { key: 'insurance', header: 'Insurance (Yes/No)', type: 'text' },
+    { key: 'responseDate', header: 'Response Date', type: 'date' },
+    // Filled in by the sanctions screening of the row's parties (see sanctionsScreening.js).
+    { key: 'ofacDate', header: 'OFAC Date', type: 'date' },
+    { key: 'rate', header: 'Rate', type: 'number' },
+    { key: 'incomingComments', header: 'Incoming Comments', type: 'text' },
+    { key: 'creditComments', header: 'Credit Comments', type: 'text' },
+    { key: 'aeComments', header: 'AE Comments', type: 'text' },
+    { key: 'daysToRespond', header: '# Days to Respond', type: 'integer' },
+    { key: 'creditManager', header: 'Credit Manager', type: 'text' },
+    { key: 'aeCso', header: 'AE/CSO', type: 'text' },
+    { key: 'industryProduct', header: 'Industry / Product', type: 'text' },
+    { key: 'clientCode', header: 'Client Code', type: 'text' },
+    // How the requested amount was converted to USD for routing (see exchangeRates.js).
+    { key: 'amountReqUSD', header: 'Amount Req (USD)', type: 'number' },
+    { key: 'usdRate', header: 'USD Rate', type: 'number' },
+    { key: 'rateSource', header: 'Rate Source', type: 'text' },
+    { key: 'rateDate', header: 'Rate Date', type: 'date' },
+    // The routing rule that assigned the credit manager (see routingRules.js).
+    { key: 'routingRule', header: 'Routing Rule', type: 'text' },
+    // The lifecycle thread of the row's seller and buyer (see requestThreads.js).
+    { key: 'threadState', header: 'Thread State', type: 'text' },
+    { key: 'threadSize', header: 'Thread Requests', type: 'integer' },
+    // The agreed response deadline and whether it is met (see slaCalendar.js).
+    { key: 'responseDue', header: 'Response Due', type: 'date' },
+    { key: 'slaStatus', header: 'SLA Status', type: 'text' },
+    // The result of the sanctions screening that filled in OFAC Date (see sanctionsScreening.js).
+    { key: 'ofacStatus', header: 'OFAC Result', type: 'text' },
+    { key: 'ofacList', header: 'OFAC List', type: 'text' },
+];
+
+/**
+ * The columns filled in by hand rather than derived from the messages.
+ * Their values are kept per row (see `applyManualFields`) and survive re-processing.
+ */
+export const MANUAL_FIELDS = ['creditComments', 'aeComments', 'aeCso'];
+
+/**
+ * The message fields each column is read from by `generateCombinedDisplayData`, for the
+ * row drill-down (see rowDetail.js). Keyed by column key; a value is either a list of paths
+ * for every request type or an object with a list per type. Paths starting with 'MSG01.'
+ * are read from the seller's MSG01.
+ */
+export const ROW_SOURCE_FIELDS = {
+    requestDate: ['RequestDate'],
+    dateReceived: ['MsgInfo.DateTime'],
+    buyerName: ['Buyer.BuyerName'],
+    buyerCountry: { MSG02: ['Buyer.Country'], MSG05: ['Buyer.Country'], MSG07: [] },
+    sellerName: ['Seller.SellerName'],
+    sellerCountry: ['EF.FactorCode'],
+    partnerName: ['EF.FactorName'],
+    partnerCountry: ['EF.FactorCode'],
+    amountReq: {
+        MSG02: ['PrelCreditAssessDetails.AmtCreditAssessReq'],
+        MSG05: ['CreditCoverDetails.NewCreditCoverAmt'],
+        MSG07: ['NewCreditCoverDetails.NewCreditCoverAmt'],
+    },
+    currency: {
+        MSG02: ['PrelCreditAssessDetails.Currency'],
+        MSG05: ['CreditCoverDetails.Currency'],
+        MSG07: ['CurrentCreditCoverDetails.Currency'],
+    },
+    term: {
+        MSG02: ['PrelCreditAssessDetails.NetPmtTerms'],
+        MSG05: ['CreditCoverDetails.NetPmtTerms'],
+        MSG07: ['NewCreditCoverDetails.LongCreditPeriodDays'],
+    },
+    contactAllowed: { MSG02: ['Buyer.DirectContact'], MSG05: ['Buyer.DirectContact'], MSG07: [] },
+    incomingComments: ['MsgText'],
+    industryProduct: ['MSG01.SellerDetails.BusinessProduct'],
+    clientCode: ['EF.FactorCode'],
+    daysToRespond: ['MsgInfo.DateTime', 'IF.FactorCode'],
+    responseDue: ['MsgInfo.DateTime', 'IF.FactorCode'],
+};
+
+/**
+ * Returns the cell values of a row in column order, exactly as the table shows them.
+ * A row may also carry `notes`, keyed by column key, with an explanation of how a
+ * value was derived; the page shows them as cell tooltips.
+ * Missing values become empty strings.
+ * @param {object} row - A row object from `generateCombinedDisplayData`.
+ * @param {Array<object>} [columns=CREDIT_LOG_COLUMNS] - The columns to show, e.g. from a column
+ *   template (see `resolveTemplate` in columnTemplates.js); a column with a `value` function is read through it.
+ * @returns {Array<string|number>} One value per column.
+ */
+export function getRowCells(row, columns = CREDIT_LOG_COLUMNS) {
+    return columns.map(column => {
+        if (column.value) return column.value(row);
+        const value = row[column.key];
+        return value === null || value === undefined ? '' : value;
+    });
+}
+
+/**
+ * Creates an empty set of message collections.
+ * @returns {{messageIds: Set<string>, messagesById: Map<string, Message>, contentKeys: Map<string, Message>, duplicates: Array<object>, conflicts: Map<string, object>, allMsg01s: Map<string, MSG01>, msg01History: Array<MSG01>, allMsg02s: Array<MSG02>, allMsg05s: Array<MSG05>, allMsg07s: Array<MSG07>, allResponses: Map<string, Message>}}
+ *   `messageIds` holds the id of every message added (see `getMessageId`), and `messagesById`
+ *   the messages themselves in the order added; `contentKeys` maps each content key to its
+ *   message (see `contentKey` in messageConflicts.js); `duplicates` and `conflicts` list the
+ *   messages that were skipped or disagree (see `recordDuplicate` and `recordConflict`);
+ *   `allMsg01s` is keyed by SenderCode_SellerNr and holds the MSG01 in use per seller (see
+ *   `preferredVersion`); `msg01History` keeps every MSG01 to detect seller name/address changes;
+ *   `allResponses` is keyed by the request key (see `getRequestKey`).
+ */
+export function createMessageCollections() {
+    return {
+        messageIds: new Set(),
+        messagesById: new Map(),
+        contentKeys: new Map(),
+        duplicates: [],
+        conflicts: new Map(),
+        allMsg01s: new Map(),
+        msg01History: [],
+        allMsg02s: [],
+        allMsg05s: [],
+        allMsg07s: [],
+        allResponses: new Map(),
+    };
+}
+
+/**
+ * Clears all data from a set of message collections.
+ * @param {object} collections - The collections from `createMessageCollections`.
+ */
+export function resetMessageCollections(collections) {
+    collections.messageIds.clear();
+    collections.messagesById.clear();
+    collections.contentKeys.clear();
+    collections.duplicates.length = 0;
+    collections.conflicts.clear();
+    collections.allMsg01s.clear();
+    collections.msg01History.length = 0;
+    collections.allMsg02s.length = 0;
+    collections.allMsg05s.length = 0;
+    collections.allMsg07s.length = 0;
+    collections.allResponses.clear();
+}
+
+/**
+ * Returns the id that identifies a message across uploads: its sender code and SequenceNr.
+ * Messages without a SequenceNr fall back to their type, sender, date/time and request or seller number.
+ * @param {Message} instance - A parsed message.
+ * @returns {string} The message id.
+ */
+export function getMessageId(instance) {
+    const { SenderCode, SequenceNr, DateTime } = instance.msgInfo;
+    if (SequenceNr !== null && SequenceNr !== undefined) {
+        return `${SenderCode}_${SequenceNr}`;
+    }
+    return `${instance.type}_${SenderCode}_${DateTime || ''}_${instance.requestNr || (instance.seller && instance.seller.SellerNr) || ''}`;
+}
+
+/**
+ * Adds a parsed message to the matching collection.
+ * Used for messages from both XML and CSV files. A message whose id (see `getMessageId`) or
+ * content (see `contentKey`) was already added is skipped as a duplicate, so uploading the same
+ * file again adds nothing. A message reusing an id for different content is skipped as a
+ * conflict; an MSG01 whose seller details differ from the seller's earlier MSG01 is added and
+ * recorded as a conflict. See messageConflicts.js.
+ * @param {object} collections - The collections from `createMessageCollections`.
+ * @param {Message} instance - A parsed MSG01/02/03/05/06/07/08 instance.
+ * @returns {boolean} True if the message was added, false if it was a duplicate or a conflict.
+ */
+export function addMessage(collections, instance) {
+    const id = getMessageId(instance);
+    const content = contentKey(instance);
+    const existing = collections.messagesById.get(id);
+    if (existing) {
+        if (contentKey(existing) === content) recordDuplicate(collections, instance, existing, 'sequence');
+        else recordConflict(collections, 'sequence', id, existing, instance);
+        return false;
+    }
+    const sameContent = collections.contentKeys.get(content);
+    if (sameContent) {
+        recordDuplicate(collections, instance, sameContent, 'content');
+        return false;
+    }
+    collections.messageIds.add(id);
+    collections.messagesById.set(id, instance);
+    collections.contentKeys.set(content, instance);
+
+    if (instance.type === 'MSG01') {
+        const key = `${instance.msgInfo.SenderCode}_${instance.seller.SellerNr}`;
+        const current = collections.allMsg01s.get(key);
+        if (current && !sameSellerDetails(current, instance)) recordConflict(collections, 'seller', key, current, instance);
+        if (!current || preferredVersion(current, instance) === instance) collections.allMsg01s.set(key, instance);
+        collections.msg01History.push(instance);
+    } else if (instance.type === 'MSG02') {
+        collections.allMsg02s.push(instance);
+    } else if (instance.type === 'MSG05') {
+        collections.allMsg05s.push(instance);
+    } else if (instance.type === 'MSG07') {
+        collections.allMsg07s.push(instance);
+    } else if (instance.type === 'MSG03' || instance.type === 'MSG06' || instance.type === 'MSG08') {
+        addResponse(collections.allResponses, instance);
+    }
+    return true;
+}
+
+/**
+ * Resolves a conflict by keeping one of its versions (see `recordConflict` in messageConflicts.js).
+ * The kept version is marked with `keptAt`, which makes it the MSG01 in use for its seller (see
+ * `preferredVersion`). A version that was skipped for reusing a SequenceNr replaces the message
+ * under that id, and the collections are rebuilt around it.
+ * @param {object} collections - The collections from `createMessageCollections`.
+ * @param {object} conflict - A conflict from `collections.conflicts`.
+ * @param {Message} instance - The version to keep.
+ * @param {string} [keptAt=new Date().toISOString()] - When the choice was made.
+ */
+export function keepVersion(collections, conflict, instance, keptAt = new Date().toISOString()) {
+    instance.keptAt = keptAt;
+    if (conflict.kind === 'seller') {
+        collections.allMsg01s.set(conflict.key, instance);
+        return;
+    }
+    const messages = [...collections.messagesById.values()].map(message => (getMessageId(message) === conflict.key ? instance : message));
+    const duplicates = [...collections.duplicates];
+    const sequenceConflicts = [...collections.conflicts.values()].filter(({ kind }) => kind === 'sequence');
+    resetMessageCollections(collections);
+    messages.forEach(message => addMessage(collections, message));
+    collections.duplicates.push(...duplicates);
+    sequenceConflicts.forEach(sequenceConflict => collections.conflicts.set(`sequence:${sequenceConflict.key}`, sequenceConflict));
+}
+
+/**
+ * Builds the key that links a request (MSG02/05/07) to its response (MSG03/06/08).
+ * A response travels in the opposite direction, so the original request's sender
+ * is the response's receiver. Seller and RequestNr are shared by both messages.
+ * @param {string} requestType - The request message type ('MSG02', 'MSG05' or 'MSG07').
+ * @param {string} senderCode - The SenderCode of the original request.
+ * @param {string} sellerNr - The seller number.
+ * @param {string} requestNr - The request number.
+ * @returns {string} The key used in `allResponses`.
+ */
+export function getRequestKey(requestType, senderCode, sellerNr, requestNr) {
+    return `${requestType}_${senderCode}_${sellerNr}_${requestNr}`;
+}
+
+/**
+ * Stores a response message under the key of the request it answers.
+ * If the same request was answered more than once, the most recent answer is kept.
+ * @param {Map<string, Message>} allResponses - The response collection.
+ * @param {MSG03|MSG06|MSG08} response - The parsed response message.
+ */
+function addResponse(allResponses, response) {
+    const key = getRequestKey(
+        response.constructor.requestType,
+        response.msgInfo.ReceiverCode,
+        response.seller.SellerNr,
+        response.requestNr
+    );
+    const existing = allResponses.get(key);
+    if (!existing || new Date(response.msgInfo.DateTime) >= new Date(existing.msgInfo.DateTime)) {
+        allResponses.set(key, response);
+    }
+}
+
+/**
+ * Calculates the number of calendar days between two dates.
+ * @param {string} fromDate - The start date (any format accepted by `Date`).
+ * @param {string} toDate - The end date.
+ * @returns {number|string} The whole number of days, or '' if either date is missing or invalid.
+ */
+export function daysBetween(fromDate, toDate) {
+    if (!fromDate || !toDate) return '';
+    const start = new Date(fromDate.slice(0, 10));
+    const end = new Date(toDate.slice(0, 10));
+    if (isNaN(start) || isNaN(end)) return '';
+    return Math.round((end - start) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Generates an array of row objects ready for display.
+ * It iterates through transactional messages (02, 05, 07), combines them with
+ * their corresponding seller info message (01), and structures the data for the table.
+ * @param {object} collections - The collections from `createMessageCollections`.
+ * @param {RateBook|null} rateBook - The exchange rates from exchangeRates.js, or null if unavailable.
+ *   Each amount is converted with the rate as of its message's MsgInfo/DateTime.
+ * @param {object} [ruleSet=DEFAULT_ROUTING_RULES] - The credit-manager routing rules (see routingRules.js).
+ * @param {BusinessCalendar} [calendar] - The weekend and holiday calendars and agreed response times
+ *   (see slaCalendar.js); by default Saturday/Sunday weekends without holidays.
+ *   Turnaround and deadlines are counted in business days of the import factor's country.
+ * @returns {Array<object>} An array of objects, where each object represents a row in the final table.
+ */
+export function generateCombinedDisplayData(collections, rateBook, ruleSet = DEFAULT_ROUTING_RULES, calendar = new BusinessCalendar()) {
+    const { allMsg01s, allMsg02s, allMsg05s, allMsg07s, allResponses } = collections;
+    const combinedData = [];
+    const requestFlags = detectRequestFlags(collections);
+
+    // Combine all transactional messages into a single array to iterate over.
+    [...allMsg02s, ...allMsg05s, ...allMsg07s].forEach(msg => {
+        const msgType = msg.type;
+        // Create a unique key based on the sender and seller number to find the matching MSG01.
+        const key = `${msg.msgInfo.SenderCode}_${msg.seller.SellerNr}`;
+        const matchedMsg01 = allMsg01s.get(key);
+
+        // Create a structured 'row' object with default/empty values.
+        let row = {
+            requestDate: '',
+            dateReceived: msg.msgInfo.DateTime ? msg.msgInfo.DateTime.slice(0, 10) : '',
+            reminder: 'No',
+            newAcctNameAddressChange: 'No',
+            cancellation: 'No',
+            buyerName: msg.buyer ? msg.buyer.BuyerName : '',
+            buyerCountry: msg.buyer ? msg.buyer.Country || '' : '', // MSG07 might not have Country
+            sellerName: msg.seller ? msg.seller.SellerName : '',
+            sellerCountry: '', // To be inferred
+            partnerName: msg.ef ? msg.ef.FactorName : '',
+            partnerCountry: '', // To be inferred
+            messageType: msgType.slice(-1), // '2', '5', '7'
+            amountReq: '',
+            currency: '',
+            term: '',
+            contactAllowed: 'No',
+            msgFunctionCode: '', // 3, 6, 8
+            amtApproved: '',
+            msg3ExpirationDate: '',
+            insurance: '',
+            responseDate: '',
+            ofacDate: '', // Filled in by the sanctions screening
+            ofacStatus: '',
+            ofacList: '',
+            rate: '',
+            incomingComments: msg.msgText || '',
+            creditComments: '',
+            aeComments: '',
+            daysToRespond: '',
+            responseDue: '',
+            slaStatus: '',
+            slaWarnFrom: '', // The day an open request becomes "due soon"
+            creditManager: '', // To be calculated
+            aeCso: '',
+            industryProduct: '', // From MSG01
+            clientCode: msg.ef ? msg.ef.FactorCode : '',
+            amountReqUSD: '', // To be calculated
+            usdRate: '',
+            rateSource: '',
+            rateDate: '',
+            routingRule: '', // Id of the rule that assigned the credit manager
+            rowKey: getMessageId(msg), // Identifies the row across uploads, e.g. for its manual columns
+            notes: {}, // Tooltip text per column key
+            fields: {} // Every parsed message field, for custom column templates (see columnTemplates.js)
+        };
+
+        // Populate fields that vary based on the message type (Amount, Currency, Term, etc.).
+        if (msgType === 'MSG02') {
+            row.requestDate = msg.requestDate || '';
+            row.amountReq = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.AmtCreditAssessReq : '';
+            row.currency = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.Currency : '';
+            row.term = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.NetPmtTerms : '';
+            row.contactAllowed = (msg.buyer && msg.buyer.DirectContact == 1) ? 'Yes' : 'No';
+        } else if (msgType === 'MSG05') {
+            row.requestDate = msg.requestDate || '';
+            row.amountReq = msg.creditCoverDetails ? msg.creditCoverDetails.NewCreditCoverAmt : '';
+            row.currency = msg.creditCoverDetails ? msg.creditCoverDetails.Currency : '';
+            row.term = msg.creditCoverDetails ? msg.creditCoverDetails.NetPmtTerms : '';
+            row.contactAllowed = (msg.buyer && msg.buyer.DirectContact == 1) ? 'Yes' : 'No';
+        } else if (msgType === 'MSG07') {
+            row.requestDate = msg.requestDate || '';
+            row.amountReq = msg.newCreditCoverDetails ? msg.newCreditCoverDetails.NewCreditCoverAmt : '';
+            row.currency = msg.currentCreditCoverDetails ? msg.currentCreditCoverDetails.Currency : '';
+            row.term = msg.newCreditCoverDetails ? msg.newCreditCoverDetails.LongCreditPeriodDays : '';
+            // MSG07 buyer doesn't have DirectContact
+        }
+
+        // Set the Reminder, Cancellation and Name/Address Change flags, with their reasons as notes.
+        const flags = requestFlags.get(msg);
+        ['reminder', 'cancellation', 'newAcctNameAddressChange'].forEach(flag => {
+            if (flags && flags[flag].length > 0) {
+                row[flag] = 'Yes';
+                row.notes[flag] = flags[flag].join('\n');
+            }
+        });
+
+        // If a matching MSG01 was found, populate the row with its data.
+        if (matchedMsg01) {
+            row.industryProduct = matchedMsg01.sellerDetails ? matchedMsg01.sellerDetails.BusinessProduct : '';
+            // If MSG01 MsgDate is relevant for Request Date when the paired msg doesn't have it, uncomment below
+            // if (!row.requestDate) {
+            //     row.requestDate = matchedMsg01.msgDate || '';
+            // }
+        }
+
+        // If the import factor has answered this request, populate the response columns.
+        const response = allResponses.get(getRequestKey(msgType, msg.msgInfo.SenderCode, msg.seller.SellerNr, msg.requestNr));
+        if (response) {
+            row.msgFunctionCode = response.type.slice(-1); // '3', '6', '8'
+            row.amtApproved = response.getApprovedAmount() ?? '';
+            if (response.type === 'MSG03') {
+                row.msg3ExpirationDate = response.getExpiryDate() || '';
+            }
+            row.responseDate = response.responseDate || (response.msgInfo.DateTime ? response.msgInfo.DateTime.slice(0, 10) : '');
+        }
+
+        // Measure turnaround and the response deadline in business days of the import factor's
+        // country (the first two letters of its FactorCode, else the buyer's country).
+        const importFactorCode = msg.payload.IF && msg.payload.IF.FactorCode ? msg.payload.IF.FactorCode : '';
+        const calendarCountry = importFactorCode ? importFactorCode.substring(0, 2) : row.buyerCountry;
+        const responseDays = calendar.responseDays[msgType];
+        if (row.dateReceived && responseDays !== undefined) {
+            row.responseDue = calendar.addBusinessDays(row.dateReceived, responseDays, calendarCountry);
+            row.slaWarnFrom = calendar.addBusinessDays(row.dateReceived, Math.max(responseDays - calendar.warningDays, 0), calendarCountry);
+            row.notes.responseDue = `${responseDays} business days after ${row.dateReceived} (${calendar.describe(calendarCountry)})`;
+            const holidays = calendar.holidaysBetween(row.dateReceived, row.responseDue, calendarCountry);
+            if (holidays.length > 0) row.notes.responseDue += `; skips ${holidays.join(', ')}`;
+        }
+        if (row.responseDate) {
+            row.daysToRespond = calendar.businessDaysBetween(row.dateReceived, row.responseDate, calendarCountry);
+            if (row.daysToRespond !== '') {
+                row.notes.daysToRespond = `Business days from ${row.dateReceived} to ${row.responseDate} (${calendar.describe(calendarCountry)})`;
+            }
+        }
+        row.slaStatus = getSlaStatus(row);
+
+        // Keep every parsed field: the request's by path ('Buyer.BuyerNr'), the seller's MSG01
+        // and the response under a prefix ('MSG01.SellerDetails.BusinessProduct', 'Response.MsgText').
+        row.fields = {
+            ...schemaFieldValues(MSG_SCHEMAS[msgType], msg.payload),
+            ...(matchedMsg01 ? schemaFieldValues(MSG_SCHEMAS.MSG01, matchedMsg01.payload, 'MSG01.') : {}),
+            ...(response ? schemaFieldValues(MSG_SCHEMAS[response.type], response.payload, 'Response.') : {}),
+        };
+
+        // Infer country names from the 2-letter country codes in the FactorCode.
+        const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        const exportFactorCodeCharacters = msg.ef ? msg.ef.FactorCode.substring(0, 2) : '';
+        row.partnerCountry = exportFactorCodeCharacters ? regionNames.of(exportFactorCodeCharacters) : '';
+        row.sellerCountry = row.partnerCountry; // Assuming seller country is same as export factor country based on current script's logic
+
+        // Calculate the USD equivalent for the requested amount, using the rate as of the message date.
+        let creditAmountUSDformat = convertRowAmountToUSD(row, msg.msgInfo.DateTime, rateBook);
+
+        // Determine the assigned credit manager with the routing rules.
+        const routing = routeCreditManager(ruleSet, {
+            amountUSD: creditAmountUSDformat,
+            countryCode: exportFactorCodeCharacters,
+            factorCode: msg.ef ? msg.ef.FactorCode : '',
+            factorName: row.partnerName || '',
+            messageType: msgType,
+        });
+        row.creditManager = routing.manager;
+        row.routingRule = routing.rule ? routing.rule.id : '(default)';
+        row.notes.creditManager = routing.reason;
+        if (row.amountReqUSD !== '') {
+            row.notes.creditManager += `; routed on ${row.amountReqUSD.toFixed(2)} USD (${row.notes.amountReq})`;
+        }
+        combinedData.push(row);
+    });
+
+    // Sort the final data by the date the message was received for a chronological view.
+    combinedData.sort((a, b) => new Date(a.dateReceived) - new Date(b.dateReceived));
+
+    // Group the requests of each seller and buyer into a thread with their MSG01s and answers.
+    applyThreads(combinedData, buildThreads(combinedData, collections.msg01History));
+
+    return combinedData;
+}
+
+/**
+ * Copies the manual column values (see `MANUAL_FIELDS`) into the rows.
+ * OFAC Date was typed by hand before the sanctions screening filled it in; a date stored then
+ * still shows until the row is screened (see `applyScreenings` in sanctionsScreening.js).
+ * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`; updated in place.
+ * @param {Map<string, object>} manualFields - The manual values, keyed by row key.
+ * @returns {Array<object>} The same rows.
+ */
+export function applyManualFields(rows, manualFields) {
+    rows.forEach(row => {
+        const values = manualFields.get(row.rowKey);
+        if (!values) return;
+        MANUAL_FIELDS.forEach(key => {
+            if (values[key] !== undefined) row[key] = values[key];
+        });
+        if (values.ofacDate) row.ofacDate = values.ofacDate;
+    });
+    return rows;
+}
+
+/**
+ * Converts a row's requested amount to USD and records the rate that was used
+ * (`amountReqUSD`, `usdRate`, `rateSource`, `rateDate` and a note on the amount),
+ * so the routing decision can be reproduced later.
+ * @param {object} row - The row being built; updated in place.
+ * @param {string} asOfDate - The message's MsgInfo/DateTime.
+ * @param {RateBook|null} rateBook - The available exchange rates.
+ * @returns {number} The amount in USD, or NaN when there is no rate for it, so routing does not
+ *   take a foreign amount for dollars (`convertToUSD` returns e.g. '1000.00 EUR (No Rate)').
+ */
+function convertRowAmountToUSD(row, asOfDate, rateBook) {
+    const hasRates = Boolean(rateBook && rateBook.hasRates());
+    const quote = hasRates && row.currency ? rateBook.lookup(row.currency, asOfDate) : null;
+    // convertToUSD expects a rate map: give it just the rate for this row's date.
+    const rates = !hasRates ? null : (quote ? { [row.currency.toUpperCase()]: quote.rate } : {});
+    const amountUSD = convertToUSD(row.amountReq, row.currency, rates);
+
+    if (quote && Number.isFinite(parseFloat(amountUSD))) {
+        row.amountReqUSD = Math.round(parseFloat(amountUSD) * 100) / 100;
+        row.usdRate = quote.rate;
+        row.rateSource = quote.source;
+        row.rateDate = quote.date || '';
+        row.notes.amountReq = describeRate(quote, row.currency);
+    } else if (row.amountReq !== '' && row.currency) {
+        row.notes.amountReq = hasRates ? `No exchange rate for ${row.currency}` : 'No exchange rates available';
+    }
+    return row.amountReqUSD !== '' ? parseFloat(amountUSD) : NaN;
+}
+
+/**
+ * Converts an amount from a given currency to USD using the fetched exchange rates.
+ * @param {string|number} amount - The amount to convert.
+ * @param {string} currency - The currency code of the amount (e.g., 'EUR', 'TRY').
+ * @param {object|null} rates - The exchange rate data object where keys are currency codes.
+ * @returns {string} A formatted string representing the amount in USD or an error/status message.
+ */
+export function convertToUSD(amount, currency, rates) {
+    if (amount == null || amount === '') return ' ';
+    if (currency == null || currency === '') return 'N/A';
+
+    // Ensure the amount is a valid number.
+    const numericAmount = parseFloat(amount);
+    if (isNaN(numericAmount)) return 'Invalid Amount';
+
+    // Handle cases where the exchange rates could not be fetched.
+    if (!rates) {
+        return `Failed to fetch rates`;
+    }
+
+    // If the currency is already USD, just format and return it.
+    if (currency.toUpperCase() === 'USD') {
+        return amount;
+    }
+
+    const rate = rates[currency.toUpperCase()];
+    if (!rate) {
+        console.warn(`Exchange rate for ${currency.toUpperCase()} not found.`);
+        return `${numericAmount.toFixed(2)} ${currency} (No Rate)`;
+    }
+
+    // Perform the conversion (rates are relative to 1 USD).
+    const amountInUSD = numericAmount / rate;
+    return amountInUSD;
+}
+
+/**
+ * Determines the responsible credit manager with the default routing rules.
+ * Kept for callers of the original function; the credit log itself uses the
+ * configurable rule set (see `routeCreditManager` in routingRules.js).
+ * @param {string} countryCode - The two-letter country code of the partner.
+ * @param {string|number} creditLine - The requested credit amount.
+ * @param {string} factorName - The name of the factoring partner.
+ * @returns {string} The name of the assigned credit manager ('lux', 'trey', or 'bost').
+ */
+export function getCreditManager(countryCode, creditLine, factorName) {
+    return routeCreditManager(DEFAULT_ROUTING_RULES, {
+        amountUSD: creditLine,
+        countryCode,
+        factorCode: '',
+        factorName: factorName || '',
+        messageType: '',
+    }).manager;
+}
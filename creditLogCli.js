@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+//creditLogCli.js
+
+// JavaScript source code
+
+// Command-line credit log builder.
+// Reads EDIFactoring XML (and CSV) files with the same message classes as the page
+// and writes the credit log table as TSV, CSV, JSON or an Excel workbook, e.g. for a nightly job:
+//
+//   node creditLogCli.js --format csv --output log.csv --rates rates.json "inbox/**/*.xml"
+//
+// Exit codes: 0 = success, 1 = at least one message or file failed to parse
+// (the table is still written), 2 = invalid arguments or no input files.
+
+import { readFileSync, writeFileSync, readdirSync, statSync, existsSync } from 'node:fs';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { DOMParser } from './xmlParser.js';
+import { decodeFile, readMessages } from './messageReader.js';
+import { CREDIT_LOG_COLUMNS, createMessageCollections, addMessage, generateCombinedDisplayData, getRowCells } from './creditLog.js';
+import { creditLogToXlsx } from './xlsxExport.js';
+import { parseRuleSet } from './routingRules.js';
+import { parseTemplate, resolveTemplate } from './columnTemplates.js';
+import { createFileReport, formatValidationReport } from './validationReport.js';
+import { formatConflictReport } from './messageConflicts.js';
+import { buildRateBook, createLiveRateProvider, createManualRateProvider, parseRateFile } from './exchangeRates.js';
+import { BusinessCalendar, parseCalendarFile } from './slaCalendar.js';
+import { WatchList, parseWatchList, screenRows, applyScreenings, getScreeningStatus, SCREENING_STATUS } from './sanctionsScreening.js';
+
+// Node.js has no DOMParser; the message classes use this one instead.
+globalThis.DOMParser = globalThis.DOMParser || DOMParser;
+
+const USAGE = `Usage: node creditLogCli.js [options] <directory|file|glob>...
+
+Options:
+  -f, --format <tsv|csv|json|xlsx>
+                               Output format (default: tsv)
+  -o, --output <file>          Write to a file instead of standard output (required for xlsx)
+  -r, --rates <file>           Read exchange rates from a CSV or JSON rate table instead of
+                               fetching them (repeatable; see exchangeRates.js for the layouts)
+      --rules <file>           Assign credit managers with a routing rules JSON file
+                               (as exported by the page's rule editor)
+      --template <file>        Choose, order and name the columns with a column template
+                               JSON file (as exported from the Custom Format page)
+      --calendars <file>       Count turnaround and response deadlines with a weekend/holiday
+                               calendar (CSV or JSON; repeatable; see slaCalendar.js)
+      --watch-list <file>      Screen buyers, sellers and factors against a sanctions watch list
+                               (OFAC SDN XML or CSV, or any CSV/XML list; repeatable; see
+                               sanctionsScreening.js) and fill the OFAC columns
+      --one-row-per-thread     Keep only the latest request of each seller and buyer
+                               (see requestThreads.js)
+      --report <file>          Write a validation report (messages found and parsed per
+                               file, and every failure) to a text file
+      --conflicts <file>       Write the duplicate messages skipped and the conflicting
+                               messages, with a field-by-field diff, to a text file
+                               (see messageConflicts.js)
+      --no-header              Leave out the header row (tsv and csv only)
+  -h, --help                   Show this help`;
+
+// File extensions read from a directory argument.
+const INPUT_EXTENSIONS = ['.xml', '.csv'];
+
+/**
+ * Converts a glob pattern to a regular expression.
+ * Supports '*' (any characters except '/'), '**' (any number of directories) and '?'.
+ * @param {string} pattern - The glob pattern, with '/' as separator.
+ * @returns {RegExp} The matching regular expression.
+ */
+function globToRegExp(pattern) {
+    let source = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '*' && pattern[i + 1] === '*') {
+            // '**/' matches zero or more directories.
+            source += pattern[i + 2] === '/' ? '(?:.*/)?' : '.*';
+            i += pattern[i + 2] === '/' ? 2 : 1;
+        } else if (char === '*') {
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else {
+            source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Lists all files below a directory, recursively.
+ * @param {string} directory - The directory to walk.
+ * @returns {Array<string>} The file paths.
+ */
+function listFilesRecursive(directory) {
+    return readdirSync(directory, { withFileTypes: true }).flatMap(entry => {
+        const entryPath = path.join(directory, entry.name);
+        return entry.isDirectory() ? listFilesRecursive(entryPath) : [entryPath];
+    });
+}
+
+/**
+ * Expands the input arguments into a sorted list of files.
+ * A directory contributes its .xml and .csv files (not its subdirectories);
+ * a glob is matched against every file below its non-wildcard base directory.
+ * @param {Array<string>} inputs - Directories, files or glob patterns.
+ * @returns {Array<string>} The unique file paths.
+ */
+function expandInputs(inputs) {
+    const files = new Set();
+    inputs.forEach(input => {
+        if (existsSync(input) && statSync(input).isDirectory()) {
+            readdirSync(input)
+                .filter(name => INPUT_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+                .forEach(name => files.add(path.join(input, name)));
+        } else if (existsSync(input)) {
+            files.add(input);
+        } else if (/[*?]/.test(input)) {
+            const pattern = input.split(path.sep).join('/');
+            const wildcardIndex = pattern.search(/[*?]/);
+            const base = pattern.slice(0, pattern.lastIndexOf('/', wildcardIndex) + 1) || './';
+            const matcher = globToRegExp(pattern.startsWith('./') ? pattern.slice(2) : pattern);
+            if (existsSync(base)) {
+                listFilesRecursive(base)
+                    .filter(file => matcher.test(file.split(path.sep).join('/')))
+                    .forEach(file => files.add(file));
+            }
+        } else {
+            console.error(`Input not found: ${input}`);
+        }
+    });
+    return Array.from(files).sort();
+}
+
+/**
+ * Loads exchange rates for the conversion to USD.
+ * With rate files, only their rates are used, so a run can be repeated with exactly
+ * the same rates. Without them, the latest rates are fetched, as the page does.
+ * @param {Array<string>} ratesFiles - Paths to CSV or JSON rate tables (see `parseRateFile`).
+ * @returns {Promise<RateBook>} The rates; empty if they could not be fetched.
+ * @throws {Error} If a rates file cannot be read or parsed.
+ */
+async function loadExchangeRates(ratesFiles) {
+    const provider = ratesFiles.length > 0
+        ? createManualRateProvider(ratesFiles.flatMap(file => parseRateFile(readFileSync(file, 'utf-8'), path.basename(file))))
+        : createLiveRateProvider();
+    const { rateBook, warnings } = await buildRateBook([provider]);
+    warnings.forEach(warning => console.error(`${warning}. Conversion to USD will not be available.`));
+    return rateBook;
+}
+
+/**
+ * Formats the table in the requested output format.
+ * @param {Array<object>} rows - Row objects from `generateCombinedDisplayData`.
+ * @param {string} format - 'tsv', 'csv' or 'json'.
+ * @param {boolean} includeHeader - Whether to write the header row (tsv/csv).
+ * @param {Array<object>} [columns=CREDIT_LOG_COLUMNS] - The columns, e.g. of a column template.
+ * @returns {string} The formatted table.
+ */
+function formatTable(rows, format, includeHeader, columns = CREDIT_LOG_COLUMNS) {
+    const headers = columns.map(column => column.header);
+    const cellRows = rows.map(row => getRowCells(row, columns));
+
+    if (format === 'json') {
+        // One object per row, keyed by column header.
+        const objects = cellRows.map(cells => Object.fromEntries(headers.map((header, i) => [header, cells[i]])));
+        return JSON.stringify(objects, null, 2) + '\n';
+    }
+
+    const lines = includeHeader ? [headers, ...cellRows] : cellRows;
+    if (format === 'csv') {
+        const quote = (value) => {
+            const text = String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return lines.map(cells => cells.map(quote).join(',')).join('\r\n') + '\r\n';
+    }
+    // TSV, sanitized like the page's "Copy as TSV".
+    return lines.map(cells => cells.map(value => String(value).replace(/\t/g, ' ').replace(/\n/g, ' ')).join('\t')).join('\n') + '\n';
+}
+
+/**
+ * Runs the command with the given arguments.
+ * @param {Array<string>} argv - The command-line arguments (without node and script path).
+ * @returns {Promise<number>} The exit code.
+ */
+async function main(argv) {
+    let args;
+    try {
+        args = parseArgs({
+            args: argv,
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'tsv' },
+                output: { type: 'string', short: 'o' },
+                rates: { type: 'string', short: 'r', multiple: true, default: [] },
+                rules: { type: 'string' },
+                template: { type: 'string' },
+                calendars: { type: 'string', multiple: true, default: [] },
+                'watch-list': { type: 'string', multiple: true, default: [] },
+                'one-row-per-thread': { type: 'boolean', default: false },
+                report: { type: 'string' },
+                conflicts: { type: 'string' },
+                'no-header': { type: 'boolean', default: false },
+                help: { type: 'boolean', short: 'h', default: false },
+            },
+        });
+    } catch (error) {
+        console.error(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values, positionals } = args;
+    if (values.help) {
+        console.log(USAGE);
+        return 0;
+    }
+    if (!['tsv', 'csv', 'json', 'xlsx'].includes(values.format)) {
+        console.error(`Unknown format '${values.format}'.\n\n${USAGE}`);
+        return 2;
+    }
+    if (values.format === 'xlsx' && !values.output) {
+        console.error(`The xlsx format needs --output.\n\n${USAGE}`);
+        return 2;
+    }
+
+    const files = expandInputs(positionals);
+    if (files.length === 0) {
+        console.error(`No input files found.\n\n${USAGE}`);
+        return 2;
+    }
+
+    let rateBook;
+    try {
+        rateBook = await loadExchangeRates(values.rates);
+    } catch (error) {
+        console.error(`Could not read rates file: ${error.message}`);
+        return 2;
+    }
+
+    let routingRules;
+    try {
+        routingRules = values.rules ? parseRuleSet(readFileSync(values.rules, 'utf-8')) : undefined;
+    } catch (error) {
+        console.error(`Could not read rules file ${values.rules}: ${error.message}`);
+        return 2;
+    }
+
+    let columns;
+    try {
+        columns = values.template ? resolveTemplate(parseTemplate(readFileSync(values.template, 'utf-8'))) : CREDIT_LOG_COLUMNS;
+    } catch (error) {
+        console.error(`Could not read template file ${values.template}: ${error.message}`);
+        return 2;
+    }
+
+    let calendar;
+    try {
+        calendar = new BusinessCalendar(values.calendars.map(file => parseCalendarFile(readFileSync(file, 'utf-8'), path.basename(file))));
+    } catch (error) {
+        console.error(`Could not read calendar file: ${error.message}`);
+        return 2;
+    }
+
+    let watchList;
+    try {
+        watchList = new WatchList(values['watch-list'].map(file => parseWatchList(readFileSync(file, 'utf-8'), path.basename(file))));
+    } catch (error) {
+        console.error(`Could not read watch list: ${error.message}`);
+        return 2;
+    }
+
+    // Read and parse every file, collecting the messages like the page does.
+    const collections = createMessageCollections();
+    let failureCount = 0;
+    const reports = [];
+    files.forEach(file => {
+        const decoded = decodeFile(new Uint8Array(readFileSync(file)));
+        const result = readMessages(decoded.text, path.basename(file));
+        const { messages, errors } = result;
+        // A message with the same sender and SequenceNr, or the same content, as an earlier one is
+        // skipped, as is one reusing a SequenceNr for other content (see messageConflicts.js).
+        const duplicates = messages.filter(instance => !addMessage(collections, instance)).length;
+        reports.push(createFileReport(file, decoded, result, duplicates));
+        errors.forEach(error => {
+            console.error(`Error parsing ${error.msgType || 'file'} from file ${file}:`, error.message);
+        });
+        failureCount += errors.length;
+    });
+
+    const allRows = generateCombinedDisplayData(collections, rateBook, routingRules, calendar);
+    const rows = values['one-row-per-thread'] ? allRows.filter(row => row.threadLatest) : allRows;
+    if (watchList.names.length > 0) {
+        const screenings = new Map();
+        screenRows(rows, watchList, screenings);
+        applyScreenings(rows, screenings);
+        const hitCount = [...screenings.values()].filter(record => getScreeningStatus(record) === SCREENING_STATUS.potentialHit).length;
+        console.error(`Screened ${rows.length} row(s) against ${watchList.version}: ${hitCount} with potential hits to review.`);
+    }
+    const table = values.format === 'xlsx' ? creditLogToXlsx(rows, columns) : formatTable(rows, values.format, !values['no-header'], columns);
+    if (values.output) {
+        writeFileSync(values.output, table);
+    } else {
+        process.stdout.write(table);
+    }
+
+    if (values.report) {
+        writeFileSync(values.report, formatValidationReport(reports));
+    }
+    if (values.conflicts) {
+        writeFileSync(values.conflicts, formatConflictReport(collections));
+    }
+
+    console.error(`${files.length} file(s), ${rows.length} row(s), ${failureCount} parse failure(s), ${collections.duplicates.length} duplicate message(s) skipped, ${collections.conflicts.size} conflict(s).`);
+    return failureCount > 0 ? 1 : 0;
+}
+
+process.exitCode = await main(process.argv.slice(2));
@@ -0,0 +1,381 @@
+//creditLogStore.js
+
+// JavaScript source code
+
+// Persistent credit log storage in the browser's IndexedDB.
+// Parsed messages, the last generated rows, the manual column values and the sanctions
+// screenings are kept between visits, so new uploads add to the log instead of replacing it.
+//
+// Object stores:
+//   messages     - { id, type, payload, source, fileName, storedAt, keptAt }, keyed by message id
+//                  (sender code + SequenceNr, see getMessageId in creditLog.js); `source` is
+//                  where the message was read from, with its original XML (see Message in msgClasses.js);
+//                  `keptAt` is set when the message was chosen to resolve a conflict (see keepVersion)
+//   conflicts    - { key, id, type, payload, source, fileName, storedAt }, the versions skipped for
+//                  reusing the id of a stored message with different content (see recordConflict in
+//                  messageConflicts.js), keyed by message id + content key
+//   rows         - the rows of the last generated table, keyed by rowKey
+//   manualFields - { rowKey, creditComments, aeComments, aeCso }, keyed by rowKey; records saved
+//                  before the sanctions screening may also hold a typed `ofacDate` (see applyManualFields)
+//   screenings   - sanctions screening records (see screenRow in sanctionsScreening.js), keyed by rowKey
+//   watchLists   - the parsed watch list files (see parseWatchList), keyed by file name (`source`)
+//   snapshots    - named snapshots of the credit log rows (see createSnapshot in logSnapshots.js), keyed by name
+
+import { MESSAGE_CLASSES } from './msgClasses.js';
+import { getMessageId } from './creditLog.js';
+import { contentKey } from './messageConflicts.js';
+
+const DB_NAME = 'creditLog';
+const DB_VERSION = 4;
+
+// Pages showing the stored log (e.g. the dashboard) hear about changes on this channel.
+const CHANGE_CHANNEL = 'creditLog.changes';
+
+/**
+ * Tells other pages of this site that stored data has changed.
+ * @param {string} storeName - The object store that changed.
+ */
+function notifyChange(storeName) {
+    if (typeof BroadcastChannel === 'undefined') return;
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.postMessage({ storeName });
+    channel.close();
+}
+
+/**
+ * Calls a function whenever another page changes the stored log.
+ * @param {function(string): void} callback - Called with the name of the object store that changed.
+ * @returns {function(): void} Stops listening.
+ */
+export function onStoreChange(callback) {
+    if (typeof BroadcastChannel === 'undefined') return () => {};
+    const channel = new BroadcastChannel(CHANGE_CHANNEL);
+    channel.onmessage = (event) => callback(event.data.storeName);
+    return () => channel.close();
+}
+
+/**
+ * Wraps an IndexedDB request in a promise.
+ * @param {IDBRequest} request - The request.
+ * @returns {Promise<*>} Resolves with the request's result.
+ */
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Waits for a transaction to finish.
+ * @param {IDBTransaction} transaction - The transaction.
+ * @returns {Promise<void>} Resolves when the transaction has committed.
+ */
+function transactionDone(transaction) {
+    return new Promise((resolve, reject) => {
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+}
+
+/**
+ * Turns a stored message record back into a message class instance.
+ * @param {object} record - A record of the messages or conflicts store.
+ * @returns {Message} The message, with its `source` and `keptAt`.
+ */
+function recordToMessage(record) {
+    return Object.assign(new MESSAGE_CLASSES[record.type](record.payload), { source: record.source || null, keptAt: record.keptAt || null });
+}
+
+/**
+ * The key of a skipped version in the conflicts store.
+ * @param {Message} instance - The version.
+ * @returns {string} The message id and content key.
+ */
+function conflictVersionKey(instance) {
+    return `${getMessageId(instance)}|${contentKey(instance)}`;
+}
+
+/**
+ * Credit Log Store
+ * Reads and writes the stored messages, rows and manual column values.
+ * Create one with `openCreditLogStore`.
+ */
+export class CreditLogStore {
+    /**
+     * Constructs a new CreditLogStore.
+     * @param {IDBDatabase} db - The opened database.
+     */
+    constructor(db) {
+        this.db = db;
+    }
+
+    /**
+     * Loads every stored message as a message class instance.
+     * @returns {Promise<Array<Message>>} The messages, in the order they were stored.
+     */
+    async loadMessages() {
+        const records = await requestToPromise(this.db.transaction('messages').objectStore('messages').getAll());
+        return records
+            .sort((a, b) => a.storedAt.localeCompare(b.storedAt))
+            .filter(record => MESSAGE_CLASSES[record.type])
+            .map(recordToMessage);
+    }
+
+    /**
+     * Loads the versions skipped for reusing a stored message's id. Adding them after the stored
+     * messages (see `addMessage` in creditLog.js) records their conflicts again.
+     * @returns {Promise<Array<Message>>} The versions, in the order they were stored.
+     */
+    async loadConflictVersions() {
+        const records = await requestToPromise(this.db.transaction('conflicts').objectStore('conflicts').getAll());
+        return records
+            .sort((a, b) => a.storedAt.localeCompare(b.storedAt))
+            .filter(record => MESSAGE_CLASSES[record.type])
+            .map(recordToMessage);
+    }
+
+    /**
+     * Stores versions skipped for reusing a stored message's id. Versions already stored are left unchanged.
+     * @param {Array<Message>} versions - The skipped versions.
+     * @param {string} [fileName=''] - The file they came from.
+     * @returns {Promise<void>}
+     */
+    async addConflictVersions(versions, fileName = '') {
+        const transaction = this.db.transaction('conflicts', 'readwrite');
+        const store = transaction.objectStore('conflicts');
+        const storedAt = new Date().toISOString();
+        for (const instance of versions) {
+            const key = conflictVersionKey(instance);
+            const existing = await requestToPromise(store.getKey(key));
+            if (existing === undefined) {
+                store.put({ key, id: getMessageId(instance), type: instance.type, payload: instance.payload, source: instance.source, fileName, storedAt });
+            }
+        }
+        await transactionDone(transaction);
+        notifyChange('conflicts');
+    }
+
+    /**
+     * Stores the version of a message chosen to resolve a conflict (see `keepVersion` in creditLog.js),
+     * replacing the message stored under its id. It keeps its place in the stored order.
+     * A replaced version moves to the conflicts store, so the choice can be changed after a reload.
+     * @param {Message} instance - The kept version, with its `keptAt` set.
+     * @param {Message} [replaced=null] - The version that was in use under the same id, if any.
+     * @returns {Promise<void>}
+     */
+    async keepMessage(instance, replaced = null) {
+        const transaction = this.db.transaction(['messages', 'conflicts'], 'readwrite');
+        const store = transaction.objectStore('messages');
+        const conflicts = transaction.objectStore('conflicts');
+        const id = getMessageId(instance);
+        const existing = await requestToPromise(store.get(id));
+        store.put({
+            id,
+            type: instance.type,
+            payload: instance.payload,
+            source: instance.source,
+            fileName: instance.source ? instance.source.fileName : (existing ? existing.fileName : ''),
+            storedAt: existing ? existing.storedAt : new Date().toISOString(),
+            keptAt: instance.keptAt || null,
+        });
+        if (replaced) {
+            const kept = await requestToPromise(conflicts.get(conflictVersionKey(instance)));
+            conflicts.delete(conflictVersionKey(instance));
+            conflicts.put({
+                key: conflictVersionKey(replaced),
+                id,
+                type: replaced.type,
+                payload: replaced.payload,
+                source: replaced.source,
+                fileName: existing ? existing.fileName : '',
+                storedAt: kept ? kept.storedAt : new Date().toISOString(),
+            });
+        }
+        await transactionDone(transaction);
+        notifyChange('messages');
+    }
+
+    /**
+     * Stores messages. Messages with an id that is already stored are left unchanged.
+     * @param {Array<Message>} messages - The messages to store.
+     * @param {string} [fileName=''] - The file they came from.
+     * @returns {Promise<number>} The number of messages that were new.
+     */
+    async addMessages(messages, fileName = '') {
+        const transaction = this.db.transaction('messages', 'readwrite');
+        const store = transaction.objectStore('messages');
+        const storedAt = new Date().toISOString();
+        let added = 0;
+        for (const instance of messages) {
+            const id = getMessageId(instance);
+            const existing = await requestToPromise(store.getKey(id));
+            if (existing === undefined) {
+                store.put({ id, type: instance.type, payload: instance.payload, source: instance.source, fileName, storedAt });
+                added++;
+            }
+        }
+        await transactionDone(transaction);
+        if (added > 0) notifyChange('messages');
+        return added;
+    }
+
+    /**
+     * Loads the rows of the last generated table.
+     * @returns {Promise<Array<object>>} The rows, sorted by date received like the table.
+     */
+    async loadRows() {
+        const rows = await requestToPromise(this.db.transaction('rows').objectStore('rows').getAll());
+        return rows.sort((a, b) => new Date(a.dateReceived) - new Date(b.dateReceived));
+    }
+
+    /**
+     * Replaces the stored rows.
+     * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`.
+     * @returns {Promise<void>}
+     */
+    async saveRows(rows) {
+        const transaction = this.db.transaction('rows', 'readwrite');
+        const store = transaction.objectStore('rows');
+        store.clear();
+        rows.forEach(row => store.put(row));
+        await transactionDone(transaction);
+        notifyChange('rows');
+    }
+
+    /**
+     * Loads the manual column values.
+     * @returns {Promise<Map<string, object>>} The values, keyed by row key.
+     */
+    async loadManualFields() {
+        const records = await requestToPromise(this.db.transaction('manualFields').objectStore('manualFields').getAll());
+        return new Map(records.map(record => [record.rowKey, record]));
+    }
+
+    /**
+     * Saves the manual column values of one row.
+     * @param {string} rowKey - The row key.
+     * @param {object} values - The values, keyed by column key (see `MANUAL_FIELDS` in creditLog.js).
+     * @returns {Promise<void>}
+     */
+    async saveManualFields(rowKey, values) {
+        const transaction = this.db.transaction('manualFields', 'readwrite');
+        transaction.objectStore('manualFields').put({ ...values, rowKey });
+        await transactionDone(transaction);
+        notifyChange('manualFields');
+    }
+
+    /**
+     * Loads the sanctions screening records.
+     * @returns {Promise<Map<string, object>>} The records, keyed by row key.
+     */
+    async loadScreenings() {
+        const records = await requestToPromise(this.db.transaction('screenings').objectStore('screenings').getAll());
+        return new Map(records.map(record => [record.rowKey, record]));
+    }
+
+    /**
+     * Saves sanctions screening records, replacing earlier ones of the same rows.
+     * @param {Array<object>} records - Records from `screenRows` (see sanctionsScreening.js).
+     * @returns {Promise<void>}
+     */
+    async saveScreenings(records) {
+        const transaction = this.db.transaction('screenings', 'readwrite');
+        const store = transaction.objectStore('screenings');
+        records.forEach(record => store.put(record));
+        await transactionDone(transaction);
+        notifyChange('screenings');
+    }
+
+    /**
+     * Loads the stored watch list files.
+     * @returns {Promise<Array<object>>} The parsed files (see `parseWatchList`).
+     */
+    async loadWatchLists() {
+        return requestToPromise(this.db.transaction('watchLists').objectStore('watchLists').getAll());
+    }
+
+    /**
+     * Replaces the stored watch list files.
+     * @param {Array<object>} lists - The parsed files.
+     * @returns {Promise<void>}
+     */
+    async saveWatchLists(lists) {
+        const transaction = this.db.transaction('watchLists', 'readwrite');
+        const store = transaction.objectStore('watchLists');
+        store.clear();
+        lists.forEach(list => store.put(list));
+        await transactionDone(transaction);
+        notifyChange('watchLists');
+    }
+
+    /**
+     * Loads the saved snapshots of the credit log.
+     * @returns {Promise<Array<object>>} The snapshots (see `createSnapshot`), oldest first.
+     */
+    async loadSnapshots() {
+        const snapshots = await requestToPromise(this.db.transaction('snapshots').objectStore('snapshots').getAll());
+        return snapshots.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    /**
+     * Saves a snapshot of the credit log, replacing a snapshot with the same name.
+     * @param {object} snapshot - The snapshot (see `createSnapshot`).
+     * @returns {Promise<void>}
+     */
+    async saveSnapshot(snapshot) {
+        const transaction = this.db.transaction('snapshots', 'readwrite');
+        transaction.objectStore('snapshots').put(snapshot);
+        await transactionDone(transaction);
+        notifyChange('snapshots');
+    }
+
+    /**
+     * Deletes a snapshot.
+     * @param {string} name - The snapshot's name.
+     * @returns {Promise<void>}
+     */
+    async deleteSnapshot(name) {
+        const transaction = this.db.transaction('snapshots', 'readwrite');
+        transaction.objectStore('snapshots').delete(name);
+        await transactionDone(transaction);
+        notifyChange('snapshots');
+    }
+
+    /**
+     * Deletes everything that is stored, except the watch lists and the snapshots.
+     * @returns {Promise<void>}
+     */
+    async clear() {
+        const names = ['messages', 'conflicts', 'rows', 'manualFields', 'screenings'];
+        const transaction = this.db.transaction(names, 'readwrite');
+        names.forEach(name => transaction.objectStore(name).clear());
+        await transactionDone(transaction);
+        notifyChange('messages');
+    }
+}
+
+/**
+ * Opens (and on first use creates) the credit log database.
+ * @param {IDBFactory} [factory=indexedDB] - The IndexedDB factory.
+ * @returns {Promise<CreditLogStore>} The store.
+ * @throws {Error} If IndexedDB is unavailable or the database cannot be opened.
+ */
+export async function openCreditLogStore(factory = globalThis.indexedDB) {
+    if (!factory) {
+        throw new Error('IndexedDB is not available in this browser.');
+    }
+    const request = factory.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains('messages')) db.createObjectStore('messages', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('conflicts')) db.createObjectStore('conflicts', { keyPath: 'key' });
+        if (!db.objectStoreNames.contains('rows')) db.createObjectStore('rows', { keyPath: 'rowKey' });
+        if (!db.objectStoreNames.contains('manualFields')) db.createObjectStore('manualFields', { keyPath: 'rowKey' });
+        if (!db.objectStoreNames.contains('screenings')) db.createObjectStore('screenings', { keyPath: 'rowKey' });
+        if (!db.objectStoreNames.contains('watchLists')) db.createObjectStore('watchLists', { keyPath: 'source' });
+        if (!db.objectStoreNames.contains('snapshots')) db.createObjectStore('snapshots', { keyPath: 'name' });
+    };
+    return new CreditLogStore(await requestToPromise(request));
+}
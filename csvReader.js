@@ -0,0 +1,211 @@
+//csvReader.js
+
+// JavaScript source code
+
+import { MESSAGE_CLASSES } from './msgClasses.js';
+import { MSG_SCHEMAS, buildMessageData, schemaFieldPaths } from './msgSchemas.js';
+
+/**
+ * Header names that identify the message type column. Compared after normalization.
+ */
+const TYPE_HEADERS = ['msgtype', 'messagetype', 'type', 'msg'];
+
+/**
+ * Extra header names used by the factoring platform's CSV extracts, mapped to field paths.
+ * Headers are matched after normalization, so 'Sender Code', 'SENDER_CODE' and
+ * 'MsgInfo.SenderCode' all resolve without an entry here. Add an alias when an
+ * extract uses a name that differs from the XML element name.
+ */
+export const CSV_HEADER_ALIASES = {
+    sender: 'MsgInfo.SenderCode',
+    receiver: 'MsgInfo.ReceiverCode',
+    seqnr: 'MsgInfo.SequenceNr',
+    exportfactorcode: 'EF.FactorCode',
+    exportfactorname: 'EF.FactorName',
+    importfactorcode: 'IF.FactorCode',
+    importfactorname: 'IF.FactorName',
+};
+
+/**
+ * Normalizes a header or field path for comparison: lower case, letters and digits only.
+ * @param {string} name - The header or path.
+ * @returns {string} The normalized name.
+ */
+function normalizeHeader(name) {
+    return String(name).toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Splits CSV text into rows of cells.
+ * Handles quoted cells (including embedded delimiters, quotes and line breaks)
+ * and detects whether the file uses commas, semicolons or tabs as delimiter.
+ * @param {string} text - The decoded CSV file content.
+ * @returns {Array<Array<string>>} The rows, each an array of cell strings. Blank lines are skipped.
+ */
+export function parseCSV(text) {
+    // Guess the delimiter from the header line: whichever candidate occurs most often.
+    const firstLine = text.slice(0, text.search(/\r?\n|$/));
+    const delimiter = [',', ';', '\t']
+        .map(candidate => [candidate, firstLine.split(candidate).length])
+        .sort((a, b) => b[1] - a[1])[0][0];
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"'; // Escaped quote inside a quoted cell.
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            // Treat \r\n as one line break.
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    // Flush the final cell/row if the file does not end with a line break.
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Works out which field path a CSV header refers to for a given message type.
+ * A header matches a field by its full path ('Buyer.BuyerName', 'EF Factor Code') or by
+ * its last element name when that name is unique within the message type ('Buyer Name'
+ * works, but 'FactorCode' is ambiguous between EF and IF).
+ * @param {string} header - The CSV header.
+ * @param {string} msgType - The message type, e.g. 'MSG05'.
+ * @returns {string|null} The field path, or null if the header is not recognized.
+ */
+function resolveHeader(header, msgType) {
+    const normalized = normalizeHeader(header);
+    const paths = schemaFieldPaths(MSG_SCHEMAS[msgType]).map(field => field.path);
+
+    const alias = CSV_HEADER_ALIASES[normalized];
+    if (alias && paths.includes(alias)) return alias;
+
+    const byPath = paths.find(path => normalizeHeader(path) === normalized);
+    if (byPath) return byPath;
+
+    const byLeaf = paths.filter(path => normalizeHeader(path.split('.').pop()) === normalized);
+    return byLeaf.length === 1 ? byLeaf[0] : null;
+}
+
+/**
+ * Works out the message type of a CSV row from its type cell, e.g. 'MSG05', '05' or '5'.
+ * @param {string} value - The cell value.
+ * @returns {string|null} The message type, or null if it is not a supported type.
+ */
+function resolveMsgType(value) {
+    const match = String(value || '').trim().match(/^(?:msg)?\s*0?([1-8])$/i);
+    if (!match) return null;
+    const msgType = `MSG0${match[1]}`;
+    return MSG_SCHEMAS[msgType] ? msgType : null;
+}
+
+/**
+ * Converts the rows of a CSV extract into message instances.
+ * Each data row is one message. Its type comes from a 'MsgType' (or 'Message Type')
+ * column; if the file has no such column, the type is taken from the file name
+ * (e.g. 'MSG05_export.csv'). Headers are mapped to fields with `resolveHeader`;
+ * unrecognized headers are ignored.
+ * @param {string} text - The decoded CSV file content.
+ * @param {string} [fileName=''] - The file name, used to infer the type and in error messages.
+ * @returns {{messages: Array<object>, errors: Array<{row: number, msgType: string|null, message: string, problems: Array<{path: string, message: string}>}>}}
+ *   The parsed message instances and one error entry per row that could not be converted.
+ */
+export function messagesFromCSV(text, fileName = '') {
+    const rows = parseCSV(text);
+    const messages = [];
+    const errors = [];
+    if (rows.length === 0) return { messages, errors };
+
+    const headers = rows[0].map(header => header.trim());
+    const typeColumn = headers.findIndex(header => TYPE_HEADERS.includes(normalizeHeader(header)));
+    const fileNameMatch = fileName.match(/MSG0?([1-8])/i);
+    const fileMsgType = fileNameMatch ? resolveMsgType(fileNameMatch[1]) : null;
+
+    if (typeColumn === -1 && !fileMsgType) {
+        errors.push({ row: 1, msgType: null, message: `No message type column found in ${fileName || 'CSV file'}.`, problems: [] });
+        return { messages, errors };
+    }
+
+    // Header resolution depends on the message type, so cache it per type.
+    const headerMaps = {};
+    const getHeaderMap = (msgType) => {
+        if (!headerMaps[msgType]) {
+            headerMaps[msgType] = headers.map(header => resolveHeader(header, msgType));
+        }
+        return headerMaps[msgType];
+    };
+
+    rows.slice(1).forEach((cells, index) => {
+        const rowNumber = index + 2; // 1-based, counting the header row.
+        const msgType = typeColumn !== -1 ? resolveMsgType(cells[typeColumn]) : fileMsgType;
+        if (!msgType) {
+            errors.push({ row: rowNumber, msgType: null, message: `Unknown message type '${cells[typeColumn]}'.`, problems: [] });
+            return;
+        }
+
+        try {
+            const instance = messageFromRow(msgType, cells, getHeaderMap(msgType));
+            instance.source = { fileName, line: rowNumber, xml: null };
+            messages.push(instance);
+        } catch (error) {
+            errors.push({ row: rowNumber, msgType, message: error.message, problems: error.validationErrors || [] });
+        }
+    });
+
+    return { messages, errors };
+}
+
+/**
+ * Builds one message instance from a CSV row.
+ * The values are mapped onto the message schema, so the result has the same shape
+ * and is validated by the same rules as a message parsed from XML. A CSV row must also
+ * have a sender code and seller number, and its number fields must be numeric.
+ * @param {string} msgType - The message type.
+ * @param {Array<string>} cells - The row's cells.
+ * @param {Array<string|null>} headerMap - The field path for each column.
+ * @returns {object} The message instance.
+ * @throws {Error} If a required field is missing or a value has the wrong type.
+ */
+function messageFromRow(msgType, cells, headerMap) {
+    const values = {};
+    headerMap.forEach((path, column) => {
+        if (path) values[path] = (cells[column] || '').trim();
+    });
+
+    schemaFieldPaths(MSG_SCHEMAS[msgType]).forEach(({ path, type }) => {
+        if (type === 'number' && values[path] && isNaN(Number(values[path]))) {
+            throw new Error(`Invalid ${msgType} CSV row: ${path} '${values[path]}' is not a number.`);
+        }
+    });
+    ['MsgInfo.SenderCode', 'Seller.SellerNr'].forEach(path => {
+        if (!values[path]) throw new Error(`Invalid ${msgType} CSV row: ${path} is empty.`);
+    });
+
+    return MESSAGE_CLASSES[msgType].fromData(buildMessageData(MSG_SCHEMAS[msgType], values));
+}
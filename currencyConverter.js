@@ -0,0 +1,117 @@
+//currencyConverter.js
+
+// JavaScript source code
+
+// Currency conversion for the Currency Converter page, on the same rates and the same
+// convertToUSD function as the credit log, so a figure checked here matches the
+// Amount Req (USD) the routing rules saw. Any pair is converted through USD.
+// The page itself is converter-script.js.
+
+import { convertToUSD } from './creditLog.js';
+import { describeRate } from './exchangeRates.js';
+
+/**
+ * Converts an amount between two currencies as of a date.
+ * The amount is converted to USD exactly like a credit log row (`convertToUSD` with the
+ * rate in effect on the date), then from USD to the target currency.
+ * @param {RateBook} rateBook - The rates (see `loadStandardRateBook` in exchangeRates.js).
+ * @param {string|number} amount - The amount.
+ * @param {string} from - The currency of the amount, e.g. 'EUR'.
+ * @param {string} to - The target currency, e.g. 'USD'.
+ * @param {string} [asOfDate] - The date (YYYY-MM-DD); defaults to today.
+ * @returns {{result: number|null, amountUSD: number|null, fromQuote: object|null, toQuote: object|null, rate: number|null, notes: Array<string>, error: string|null}}
+ *   `result` is rounded to 2 decimals (`null` on error); `rate` is units of `to` per 1 `from`;
+ *   `fromQuote`/`toQuote` are the `RateBook.lookup` results used and `notes` describes them.
+ */
+export function convertCurrency(rateBook, amount, from, to, asOfDate) {
+    const failure = (error) => ({ result: null, amountUSD: null, fromQuote: null, toQuote: null, rate: null, notes: [], error });
+    const fromCode = String(from || '').trim().toUpperCase();
+    const toCode = String(to || '').trim().toUpperCase();
+    if (!fromCode || !toCode) return failure('Choose both currencies.');
+    if (amount === '' || amount === null || amount === undefined || isNaN(parseFloat(amount))) return failure('Invalid amount.');
+    if (!rateBook || !rateBook.hasRates()) return failure('No exchange rates available.');
+
+    const fromQuote = rateBook.lookup(fromCode, asOfDate);
+    const toQuote = rateBook.lookup(toCode, asOfDate);
+    if (!fromQuote) return failure(`No exchange rate for ${fromCode}.`);
+    if (!toQuote) return failure(`No exchange rate for ${toCode}.`);
+
+    const amountUSD = parseFloat(convertToUSD(amount, fromCode, { [fromCode]: fromQuote.rate }));
+    if (!Number.isFinite(amountUSD)) return failure(`Could not convert ${fromCode} to USD.`);
+    const result = amountUSD * toQuote.rate;
+
+    const notes = [fromQuote, toQuote]
+        .map((quote, index) => describeRate(quote, index === 0 ? fromCode : toCode))
+        .filter((note, index) => note && !(index === 1 && fromCode === toCode) && note !== 'Amount is already in USD');
+    // A rate dated after the requested date means no earlier rate was available.
+    const asOf = (asOfDate || new Date().toISOString()).slice(0, 10);
+    [fromQuote, toQuote].forEach(quote => {
+        if (quote.date && quote.date > asOf) notes.push(`No rate as of ${asOf}; the later rates of ${quote.date} were used`);
+    });
+
+    return {
+        result: Math.round(result * 100) / 100,
+        amountUSD: Math.round(amountUSD * 100) / 100,
+        fromQuote,
+        toQuote,
+        rate: toQuote.rate / fromQuote.rate,
+        notes: [...new Set(notes)],
+        error: null,
+    };
+}
+
+/**
+ * Reads an amount written with thousands separators or a decimal comma.
+ * '1,234.50', '1.234,50', '1 234,5' and '1234.5' all read as 1234.5.
+ * @param {string} text - The amount text.
+ * @returns {number} The amount, or NaN.
+ */
+export function parseAmount(text) {
+    let value = String(text).replace(/[\s']/g, '');
+    const lastComma = value.lastIndexOf(',');
+    const lastDot = value.lastIndexOf('.');
+    if (/^-?\d{1,3}(,\d{3})+$/.test(value)) {
+        // Only commas, each followed by three digits: thousands separators ('1,000,000').
+        value = value.replace(/,/g, '');
+    } else if (lastComma > lastDot) {
+        // A decimal comma, possibly with dots as thousands separators.
+        value = value.replace(/\./g, '').replace(',', '.');
+    } else {
+        value = value.replace(/,/g, '');
+    }
+    return /^-?\d*\.?\d+$/.test(value) ? parseFloat(value) : NaN;
+}
+
+/**
+ * Parses a pasted column of amount/currency pairs, one per line, e.g. copied from Excel.
+ * The amount and the 3-letter currency code may come in either order, separated by tabs,
+ * spaces, semicolons or commas; a YYYY-MM-DD date on the line is used as its as-of date.
+ * Blank lines are skipped.
+ * @param {string} text - The pasted text.
+ * @returns {Array<{line: number, text: string, amount: number, currency: string, date: string, error: string|null}>}
+ *   One entry per non-blank line; `error` says why a line could not be read.
+ */
+export function parseAmountList(text) {
+    const entries = [];
+    String(text).split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line === '') return;
+        const dateMatch = line.match(/\b\d{4}-\d{2}-\d{2}\b/);
+        const rest = dateMatch ? line.replace(dateMatch[0], ' ') : line;
+        const currencyMatch = rest.match(/(?:^|[^A-Za-z])([A-Za-z]{3})(?![A-Za-z])/);
+        const amountText = (currencyMatch ? rest.replace(currencyMatch[1], ' ') : rest)
+            .replace(/^[\s\t;,]+|[\s\t;,]+$/g, '')
+            .split(/\t|;|\s{2,}|,\s+/)
+            .find(part => /\d/.test(part)) || '';
+        const amount = parseAmount(amountText);
+        entries.push({
+            line: index + 1,
+            text: line,
+            amount,
+            currency: currencyMatch ? currencyMatch[1].toUpperCase() : '',
+            date: dateMatch ? dateMatch[0] : '',
+            error: !currencyMatch ? 'No currency code' : (isNaN(amount) ? 'No amount' : null),
+        });
+    });
+    return entries;
+}
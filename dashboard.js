@@ -0,0 +1,241 @@
+//dashboard.js
+
+// JavaScript source code
+
+// Page script of option3.html: the portfolio dashboard. The stored messages (see creditLogStore.js)
+// are combined into credit log rows like on the Credit Log page, and portfolioStats.js turns them
+// into bar charts drawn here as SVG. The charts are drawn again whenever another page changes the
+// stored log, the routing rules or the calendars; clicking a bar segment lists its rows.
+
+import { openCreditLogStore, onStoreChange } from './creditLogStore.js';
+import { createMessageCollections, addMessage, generateCombinedDisplayData } from './creditLog.js';
+import { loadStandardRateBook, summarizeRateSources } from './exchangeRates.js';
+import { loadRoutingRules } from './routingRules.js';
+import { BusinessCalendar, loadCalendarSettings } from './slaCalendar.js';
+import { buildDashboard } from './portfolioStats.js';
+
+const dashboardStatus = document.getElementById('dashboardStatus');
+const dashboardCharts = document.getElementById('dashboardCharts');
+const dashboardFrom = document.getElementById('dashboardFrom');
+const dashboardTo = document.getElementById('dashboardTo');
+const dashboardRows = document.getElementById('dashboardRows');
+const dashboardRowsTitle = document.getElementById('dashboardRowsTitle');
+const dashboardRowsOutput = document.getElementById('dashboardRowsOutput');
+const closeDashboardRows = document.getElementById('closeDashboardRows');
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+
+// Segment colours, by series position.
+const SERIES_COLOURS = ['#1f5fa8', '#e08a1e', '#3c9a5f', '#b8b8b8', '#8e5bb5'];
+
+// Chart geometry (SVG units; the chart scales to the width of the page).
+const CHART_WIDTH = 760;
+const LABEL_WIDTH = 220;
+const VALUE_WIDTH = 110;
+const BAR_HEIGHT = 20;
+const BAR_GAP = 6;
+
+// The columns listed for the rows of a clicked segment.
+const ROW_COLUMNS = [
+    ['dateReceived', 'Date Received'],
+    ['messageType', '2,5,7'],
+    ['buyerName', 'Buyer'],
+    ['buyerCountry', 'Buyer Country'],
+    ['partnerName', 'Partner'],
+    ['amountReq', 'Amount Req'],
+    ['currency', 'Currency'],
+    ['amountReqUSD', 'Amount Req (USD)'],
+    ['creditManager', 'Credit Manager'],
+    ['slaStatus', 'SLA Status'],
+];
+
+let store = null;
+let rateBook = null;
+let rows = [];  // Every credit log row built from the stored messages.
+
+/**
+ * Formats a chart value.
+ * @param {number} value - The value.
+ * @param {string} unit - 'USD' or 'requests'.
+ * @returns {string} E.g. '1,250,000 USD' or '12'.
+ */
+function formatValue(value, unit) {
+    return unit === 'USD' ? `${Math.round(value).toLocaleString('en-US')} USD` : String(value);
+}
+
+/**
+ * Creates an SVG element.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Attributes to set.
+ * @param {string} [text] - Text content.
+ * @returns {SVGElement} The element.
+ */
+function svgElement(tagName, attributes = {}, text) {
+    const element = document.createElementNS(SVG_NS, tagName);
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
+
+/**
+ * Draws a chart as horizontal stacked bars with a legend.
+ * @param {object} chart - A chart from portfolioStats.js.
+ * @param {function(object, string, object): void} onSelect - Called with the bar, the series and
+ *   the segment when a segment is clicked (or chosen with the keyboard).
+ * @returns {HTMLElement} The chart's section.
+ */
+function renderChart(chart, onSelect) {
+    const section = document.createElement('section');
+    section.className = 'dashboard-chart';
+    const heading = document.createElement('h2');
+    heading.textContent = chart.title;
+    section.appendChild(heading);
+    if (chart.bars.length === 0) {
+        section.appendChild(Object.assign(document.createElement('div'), { textContent: 'No data.' }));
+        return section;
+    }
+
+    const legend = document.createElement('div');
+    legend.className = 'dashboard-legend';
+    chart.series.forEach((series, index) => {
+        const item = document.createElement('span');
+        const swatch = document.createElement('span');
+        swatch.className = 'dashboard-swatch';
+        swatch.style.background = SERIES_COLOURS[index % SERIES_COLOURS.length];
+        item.append(swatch, document.createTextNode(series));
+        legend.appendChild(item);
+    });
+    section.appendChild(legend);
+
+    const height = chart.bars.length * (BAR_HEIGHT + BAR_GAP);
+    const svg = svgElement('svg', { viewBox: `0 0 ${CHART_WIDTH} ${height}`, role: 'img', 'aria-label': chart.title });
+    const maximum = Math.max(...chart.bars.map(bar => bar.total)) || 1;
+    const scale = (CHART_WIDTH - LABEL_WIDTH - VALUE_WIDTH) / maximum;
+
+    chart.bars.forEach((bar, barIndex) => {
+        const y = barIndex * (BAR_HEIGHT + BAR_GAP);
+        svg.appendChild(svgElement('text', { x: LABEL_WIDTH - 6, y: y + BAR_HEIGHT * 0.7, 'text-anchor': 'end' }, bar.label));
+        let x = LABEL_WIDTH;
+        // Segments in legend order; series not in the legend go last.
+        const seriesOrder = [...chart.series, ...[...bar.segments.keys()].filter(series => !chart.series.includes(series))];
+        seriesOrder.forEach((series, seriesIndex) => {
+            const segment = bar.segments.get(series);
+            if (!segment) return;
+            const width = Math.max(segment.value * scale, 1);
+            const rect = svgElement('rect', {
+                x, y, width, height: BAR_HEIGHT, fill: SERIES_COLOURS[seriesIndex % SERIES_COLOURS.length],
+                class: 'dashboard-segment', tabindex: '0',
+            });
+            rect.appendChild(svgElement('title', {}, `${bar.label} - ${series}: ${formatValue(segment.value, chart.unit)} (${segment.rows.length} row(s))`));
+            rect.addEventListener('click', () => onSelect(bar, series, segment));
+            rect.addEventListener('keydown', (event) => {
+                if (event.key === 'Enter' || event.key === ' ') onSelect(bar, series, segment);
+            });
+            svg.appendChild(rect);
+            x += width;
+        });
+        svg.appendChild(svgElement('text', { x: x + 6, y: y + BAR_HEIGHT * 0.7 }, formatValue(bar.total, chart.unit)));
+    });
+    section.appendChild(svg);
+    return section;
+}
+
+/**
+ * Lists the rows of a clicked segment, with links to them in the credit log.
+ * @param {object} chart - The chart.
+ * @param {object} bar - The bar.
+ * @param {string} series - The segment's series.
+ * @param {{value: number, rows: Array<object>}} segment - The segment.
+ */
+function showSegmentRows(chart, bar, series, segment) {
+    dashboardRowsTitle.textContent = `${chart.title}: ${bar.label} - ${series} (${segment.rows.length} row(s), ${formatValue(segment.value, chart.unit)})`;
+    const table = document.createElement('table');
+    table.className = 'excel-table';
+    const headerRow = table.createTHead().insertRow();
+    ['Row', ...ROW_COLUMNS.map(([, header]) => header)].forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    segment.rows.forEach(row => {
+        const tr = body.insertRow();
+        const link = document.createElement('a');
+        link.href = `index.html?search=${encodeURIComponent(row.rowKey)}`;
+        link.textContent = row.rowKey;
+        tr.insertCell().appendChild(link);
+        ROW_COLUMNS.forEach(([key]) => {
+            const value = row[key];
+            tr.insertCell().textContent = typeof value === 'number' && key === 'amountReqUSD' ? value.toLocaleString('en-US') : value ?? '';
+        });
+    });
+    dashboardRowsOutput.innerHTML = '';
+    dashboardRowsOutput.appendChild(table);
+    dashboardRows.hidden = false;
+    dashboardRows.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+/**
+ * Draws every chart from the rows received in the chosen date range.
+ */
+function renderDashboard() {
+    const from = dashboardFrom.value;
+    const to = dashboardTo.value;
+    const inRange = rows.filter(row => (!from || row.dateReceived >= from) && (!to || row.dateReceived <= to));
+    const { charts, withoutUSD } = buildDashboard(inRange);
+
+    dashboardCharts.innerHTML = '';
+    charts.forEach(chart => {
+        dashboardCharts.appendChild(renderChart(chart, (bar, series, segment) => showSegmentRows(chart, bar, series, segment)));
+    });
+    const missing = withoutUSD > 0 ? ` ${withoutUSD} row(s) without a USD amount are left out of the exposure charts.` : '';
+    dashboardStatus.textContent = rows.length === 0
+        ? 'No stored messages yet. Process files on the Credit Log page first.'
+        : `${inRange.length} of ${rows.length} request(s). ${rateBook ? summarizeRateSources(rateBook) : ''}.${missing}`;
+}
+
+/**
+ * Rebuilds the rows from the stored messages, with the saved routing rules and calendars, and redraws.
+ */
+async function reloadDashboard() {
+    const collections = createMessageCollections();
+    (await store.loadMessages()).forEach(instance => addMessage(collections, instance));
+    rows = generateCombinedDisplayData(
+        collections,
+        rateBook,
+        loadRoutingRules(localStorage),
+        new BusinessCalendar(loadCalendarSettings(localStorage)),
+    );
+    renderDashboard();
+}
+
+let reloadTimer = null;
+
+/**
+ * Reloads the dashboard shortly, once per burst of changes (an upload stores messages, then rows).
+ */
+function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+        reloadDashboard().catch(error => console.error('Could not reload the dashboard.', error));
+    }, 300);
+}
+
+dashboardFrom.addEventListener('change', renderDashboard);
+dashboardTo.addEventListener('change', renderDashboard);
+closeDashboardRows.addEventListener('click', () => { dashboardRows.hidden = true; });
+
+try {
+    store = await openCreditLogStore();
+    // The same rates as the other pages: cached rates of earlier runs and the latest live rates.
+    const loaded = await loadStandardRateBook([], localStorage);
+    rateBook = loaded.rateBook;
+    loaded.warnings.forEach(warning => console.warn(warning));
+    await reloadDashboard();
+    onStoreChange(scheduleReload);
+    // Routing rules and calendars are kept in localStorage; other pages changing them fire 'storage'.
+    window.addEventListener('storage', scheduleReload);
+} catch (error) {
+    console.error('Could not open the stored credit log.', error);
+    dashboardStatus.textContent = `Could not open the stored credit log: ${error.message}`;
+}
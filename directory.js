@@ -0,0 +1,173 @@
+//directory.js
+
+// JavaScript source code
+
+// Page script of directory.html: lists every buyer, seller and factor in the stored credit log
+// (see creditLogStore.js), with spelling variants merged, the address history and the
+// messages that mention each party. Request messages link back to their row in the credit log.
+
+import { openCreditLogStore } from './creditLogStore.js';
+import { PARTY_KINDS, DEFAULT_MATCH_THRESHOLD, buildPartyDirectory } from './partyDirectory.js';
+
+const directoryStatus = document.getElementById('directoryStatus');
+const directorySearch = document.getElementById('directorySearch');
+const directoryKind = document.getElementById('directoryKind');
+const matchThreshold = document.getElementById('matchThreshold');
+const directoryOutput = document.getElementById('directoryOutput');
+
+// Request messages have a row of their own in the credit log; other messages are only listed here.
+const REQUEST_TYPES = ['MSG02', 'MSG05', 'MSG07'];
+
+let messages = [];  // The stored messages.
+let parties = [];   // The directory built from them.
+
+/**
+ * Builds a link to the credit log page, searching for the given text.
+ * @param {string} search - The search text.
+ * @param {string} label - The link text.
+ * @returns {HTMLAnchorElement} The link.
+ */
+function creditLogLink(search, label) {
+    const link = document.createElement('a');
+    link.href = `index.html?search=${encodeURIComponent(search)}`;
+    link.textContent = label;
+    return link;
+}
+
+/**
+ * Creates a small table.
+ * @param {Array<string>} headers - The column headers.
+ * @param {Array<Array<string|Node>>} rows - The cells; strings become text.
+ * @returns {HTMLTableElement} The table.
+ */
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'excel-table';
+    const headerRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const tr = body.insertRow();
+        cells.forEach(cell => {
+            const td = tr.insertCell();
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell ?? '';
+        });
+    });
+    return table;
+}
+
+/**
+ * Renders one party as a collapsible entry.
+ * @param {object} party - A party from `buildPartyDirectory`.
+ * @returns {HTMLDetailsElement} The entry.
+ */
+function renderParty(party) {
+    const details = document.createElement('details');
+    details.className = 'party';
+    const summary = document.createElement('summary');
+    const variants = party.names.length > 1 ? `, ${party.names.length} spellings` : '';
+    summary.textContent = `${party.name} (${party.countries.join(', ') || 'country unknown'}) - ${party.messages.length} message(s)${variants}`;
+    details.appendChild(summary);
+
+    const section = (title, content) => {
+        const heading = document.createElement('h3');
+        heading.textContent = title;
+        details.append(heading, content);
+    };
+
+    const identifiers = document.createElement('div');
+    identifiers.textContent = party.identifiers.length > 0 ? party.identifiers.join('; ') : 'No identifiers sent.';
+    section('Identifiers', identifiers);
+
+    section('Names', createTable(['Name', 'Messages', 'First Seen', 'Last Seen'], party.names.map(entry => [
+        entry.name, String(entry.count), entry.firstSeen.slice(0, 10), entry.lastSeen.slice(0, 10),
+    ])));
+    if (party.mergeReasons.length > 0) {
+        const reasons = document.createElement('ul');
+        reasons.className = 'merge-reasons';
+        party.mergeReasons.forEach(reason => {
+            const item = document.createElement('li');
+            item.textContent = `Merged: ${reason}`;
+            reasons.appendChild(item);
+        });
+        details.appendChild(reasons);
+    }
+
+    if (party.kind !== 'factor') {
+        section('Address History', party.addresses.length > 0
+            ? createTable(['Street', 'City', 'State', 'Postcode', 'Country', 'First Seen', 'Last Seen', 'Messages'], party.addresses.map(entry => [
+                entry.address.Street, entry.address.City, entry.address.State, entry.address.Postcode, entry.address.Country,
+                entry.firstSeen.slice(0, 10), entry.lastSeen.slice(0, 10), entry.messageIds.join(', '),
+            ]))
+            : Object.assign(document.createElement('div'), { textContent: 'No address sent.' }));
+    }
+
+    const messageRows = party.messages.map(entry => [
+        REQUEST_TYPES.includes(entry.type) ? creditLogLink(entry.id, entry.id) : entry.id,
+        entry.type, entry.role, entry.date.slice(0, 10), entry.requestNr, entry.name,
+    ]);
+    section('Messages', createTable(['Message', 'Type', 'Role', 'Date', 'Request Nr', 'Name Sent'], messageRows));
+    if (party.kind !== 'factor') {
+        details.appendChild(creditLogLink(party.name, `Show '${party.name}' in the credit log`));
+    }
+    return details;
+}
+
+/**
+ * Shows the parties that match the search text and kind filter, grouped by kind.
+ * The search looks at every spelling, identifier and country of a party.
+ */
+function renderDirectory() {
+    const words = directorySearch.value.toLowerCase().split(/\s+/).filter(word => word !== '');
+    const kind = directoryKind.value;
+    const visible = parties.filter(party => {
+        if (kind && party.kind !== kind) return false;
+        const text = [...party.names.map(entry => entry.name), ...party.identifiers, ...party.countries].join(' ').toLowerCase();
+        return words.every(word => text.includes(word));
+    });
+
+    directoryOutput.innerHTML = '';
+    PARTY_KINDS.forEach(({ kind: partyKind, label }) => {
+        const ofKind = visible.filter(party => party.kind === partyKind);
+        if (ofKind.length === 0) return;
+        const heading = document.createElement('h2');
+        heading.textContent = `${label} (${ofKind.length})`;
+        directoryOutput.appendChild(heading);
+        ofKind.forEach(party => directoryOutput.appendChild(renderParty(party)));
+    });
+    if (visible.length === 0) {
+        directoryOutput.textContent = messages.length === 0
+            ? 'No stored messages yet. Process files on the Credit Log page first.'
+            : 'No party matches the search.';
+    }
+}
+
+/**
+ * Rebuilds the directory from the stored messages with the current match threshold.
+ */
+function rebuildDirectory() {
+    const threshold = parseFloat(matchThreshold.value);
+    parties = buildPartyDirectory(messages, { threshold: threshold >= 0 && threshold <= 1 ? threshold : DEFAULT_MATCH_THRESHOLD });
+    directoryStatus.textContent = `${parties.length} parties from ${messages.length} stored message(s).`;
+    renderDirectory();
+}
+
+PARTY_KINDS.forEach(({ kind, label }) => directoryKind.appendChild(new Option(label, kind)));
+matchThreshold.value = String(DEFAULT_MATCH_THRESHOLD);
+directorySearch.addEventListener('input', renderDirectory);
+directoryKind.addEventListener('change', renderDirectory);
+matchThreshold.addEventListener('change', rebuildDirectory);
+
+try {
+    const store = await openCreditLogStore();
+    messages = await store.loadMessages();
+    rebuildDirectory();
+} catch (error) {
+    console.error('Could not open the stored credit log.', error);
+    directoryStatus.textContent = `Could not open the stored credit log: ${error.message}`;
+}
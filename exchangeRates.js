@@ -0,0 +1,339 @@
+//exchangeRates.js
+
+// JavaScript source code
+
+// Exchange-rate providers for the conversion of requested amounts to USD.
+// Rates always mean "units of the currency per 1 USD", as returned by open.er-api.com.
+//
+// A rate table is { source, date, retrievedAt, rates }:
+//   source      - where the rates came from, e.g. 'open.er-api.com', 'cache' or 'manual: rates.csv'
+//   date        - the date the rates apply to (YYYY-MM-DD), or null for an undated manual table
+//   retrievedAt - when the rates were fetched or loaded (ISO timestamp)
+//   rates       - { EUR: 0.92, TRY: 32.1, ... }
+//
+// Providers load rate tables; a RateBook combines them and answers "which rate applied
+// to this currency on this date?", so each row can record the source and date it used.
+
+import { parseCSV } from './csvReader.js';
+
+const LATEST_RATES_URL = 'https://open.er-api.com/v6/latest/USD';
+
+// Key and size limit of the rate history kept in browser storage.
+const CACHE_KEY = 'creditLog.exchangeRates';
+const CACHE_MAX_TABLES = 400;
+
+// When two tables share a date, the higher priority wins: manual uploads over live
+// rates over cached copies.
+const SOURCE_PRIORITY = { manual: 3, live: 2, cache: 1 };
+
+/**
+ * Rate Book
+ * Holds the rate tables from all providers and looks up the rate for a currency as of a date.
+ */
+export class RateBook {
+    /**
+     * Constructs a new RateBook.
+     * @param {Array<object>} [tables=[]] - Rate tables to start with.
+     */
+    constructor(tables = []) {
+        this.tables = [];
+        tables.forEach(table => this.addTable(table));
+    }
+
+    /**
+     * Adds a rate table. Currency codes are upper-cased.
+     * @param {object} table - The rate table.
+     * @param {string} [kind='manual'] - 'manual', 'live' or 'cache'; decides priority on equal dates.
+     */
+    addTable(table, kind = table.kind || 'manual') {
+        const rates = {};
+        Object.entries(table.rates || {}).forEach(([currency, rate]) => {
+            const numericRate = Number(rate);
+            if (numericRate > 0) rates[currency.toUpperCase()] = numericRate;
+        });
+        this.tables.push({ ...table, kind, rates });
+    }
+
+    /**
+     * Whether any rates are available at all.
+     * @returns {boolean} True if at least one table was added.
+     */
+    hasRates() {
+        return this.tables.length > 0;
+    }
+
+    /**
+     * Lists every currency that has a rate in any table, plus USD.
+     * @returns {Array<string>} The currency codes, sorted.
+     */
+    currencies() {
+        const codes = new Set(['USD']);
+        this.tables.forEach(table => Object.keys(table.rates).forEach(code => codes.add(code)));
+        return [...codes].sort();
+    }
+
+    /**
+     * Finds the rate for a currency as of a date.
+     * The table with the latest date on or before `asOfDate` is used; an undated table counts
+     * as dated `asOfDate` itself, so an undated manual table overrides every other source.
+     * On equal dates, manual tables win over live rates, and live rates over cached ones.
+     * If every table is dated after `asOfDate`, the closest one is used so a conversion is
+     * still possible; the returned date shows that it is a later rate.
+     * @param {string} currency - The currency code, e.g. 'EUR'.
+     * @param {string} [asOfDate] - The date (YYYY-MM-DD or ISO timestamp); defaults to today.
+     * @returns {{rate: number, source: string, date: string|null, retrievedAt: string|null}|null}
+     *   The rate and where it came from, or null if no table has the currency.
+     */
+    lookup(currency, asOfDate) {
+        if (!currency) return null;
+        const code = currency.toUpperCase();
+        if (code === 'USD') return { rate: 1, source: 'USD', date: null, retrievedAt: null };
+
+        const asOf = (asOfDate || new Date().toISOString()).slice(0, 10);
+        const candidates = this.tables.filter(table => table.rates[code]);
+        if (candidates.length === 0) return null;
+
+        const rank = (table) => [table.date || asOf, SOURCE_PRIORITY[table.kind] || 0];
+        const byPreference = (a, b) => {
+            const [dateA, priorityA] = rank(a);
+            const [dateB, priorityB] = rank(b);
+            return dateA === dateB ? priorityB - priorityA : (dateA < dateB ? 1 : -1);
+        };
+
+        const onOrBefore = candidates.filter(table => !table.date || table.date <= asOf).sort(byPreference);
+        const chosen = onOrBefore[0] || candidates.sort((a, b) => (a.date < b.date ? -1 : 1))[0];
+        return {
+            rate: chosen.rates[code],
+            source: chosen.source,
+            date: chosen.date || null,
+            retrievedAt: chosen.retrievedAt || null,
+        };
+    }
+}
+
+/**
+ * Live provider: fetches the latest rates from open.er-api.com.
+ * Every successful fetch is also written to the cache, when one is given, which builds
+ * up a dated history for as-of lookups over time.
+ * @param {Storage} [cache] - Storage for the cache (e.g. `localStorage`).
+ * @returns {{name: string, kind: string, load: function(): Promise<Array<object>>}} The provider.
+ */
+export function createLiveRateProvider(cache) {
+    return {
+        name: 'open.er-api.com',
+        kind: 'live',
+        async load() {
+            // Use the fetch API to get the latest USD exchange rates from a free public API.
+            const response = await fetch(LATEST_RATES_URL);
+            if (!response.ok) {
+                throw new Error(`Network response was not ok: ${response.statusText}`);
+            }
+            const data = await response.json();
+            if (data.result !== 'success') {
+                throw new Error(`API returned an error: ${data['error-type']}`);
+            }
+            const table = {
+                source: 'open.er-api.com',
+                date: new Date(data.time_last_update_unix * 1000).toISOString().slice(0, 10),
+                retrievedAt: new Date().toISOString(),
+                rates: data.rates,
+            };
+            if (cache) saveRatesToCache(cache, table);
+            return [table];
+        },
+    };
+}
+
+/**
+ * Cache provider: the rate tables saved by earlier live fetches.
+ * @param {Storage} cache - Storage holding the cache (e.g. `localStorage`).
+ * @returns {{name: string, kind: string, load: function(): Promise<Array<object>>}} The provider.
+ */
+export function createCachedRateProvider(cache) {
+    return {
+        name: 'cache',
+        kind: 'cache',
+        async load() {
+            return loadCachedRates(cache).map(table => ({ ...table, source: `cache (${table.source})` }));
+        },
+    };
+}
+
+/**
+ * Manual provider: rate tables loaded from uploaded files (see `parseRateFile`).
+ * @param {Array<object>} tables - The parsed tables.
+ * @returns {{name: string, kind: string, load: function(): Promise<Array<object>>}} The provider.
+ */
+export function createManualRateProvider(tables) {
+    return {
+        name: 'manual',
+        kind: 'manual',
+        async load() {
+            return tables;
+        },
+    };
+}
+
+/**
+ * Loads all providers into a RateBook.
+ * A provider that fails (e.g. no network) is skipped and reported in `warnings`.
+ * @param {Array<object>} providers - Providers from the `create...RateProvider` functions.
+ * @returns {Promise<{rateBook: RateBook, warnings: Array<string>}>} The combined rates.
+ */
+export async function buildRateBook(providers) {
+    const rateBook = new RateBook();
+    const warnings = [];
+    for (const provider of providers) {
+        try {
+            const tables = await provider.load();
+            tables.forEach(table => rateBook.addTable(table, provider.kind));
+        } catch (error) {
+            warnings.push(`Could not load exchange rates from ${provider.name}: ${error.message}`);
+        }
+    }
+    return { rateBook, warnings };
+}
+
+/**
+ * Loads the rates the credit log converts with: uploaded tables first, then the latest live
+ * rates, then the cached rates of earlier runs (used when the fetch fails, and for older dates).
+ * Every page that converts amounts uses this, so its figures match the credit log's.
+ * @param {Array<object>} manualTables - Tables from `parseRateFile`; may be empty.
+ * @param {Storage} [cache] - Storage for the rate cache (e.g. `localStorage`).
+ * @returns {Promise<{rateBook: RateBook, warnings: Array<string>}>} The combined rates.
+ */
+export function loadStandardRateBook(manualTables, cache) {
+    return buildRateBook([
+        createManualRateProvider(manualTables),
+        createLiveRateProvider(cache),
+        createCachedRateProvider(cache),
+    ]);
+}
+
+/**
+ * Summarizes where the rates in a RateBook came from, for a status line.
+ * @param {RateBook} rateBook - The rates.
+ * @param {number} [limit=5] - How many sources to name; the rest are counted.
+ * @returns {string} E.g. "Rates: manual: rates.csv 2025-01-02, open.er-api.com 2025-03-01".
+ */
+export function summarizeRateSources(rateBook, limit = 5) {
+    const sources = [...new Set(rateBook.tables.map(table => `${table.source}${table.date ? ' ' + table.date : ''}`))];
+    if (sources.length === 0) return 'No exchange rates available';
+    const more = sources.length > limit ? ` (+${sources.length - limit} more)` : '';
+    return `Rates: ${sources.slice(-limit).join(', ')}${more}`;
+}
+
+/**
+ * Reads the cached rate tables.
+ * @param {Storage} cache - The storage.
+ * @returns {Array<object>} The tables, oldest first; empty if there is no valid cache.
+ */
+export function loadCachedRates(cache) {
+    try {
+        const tables = JSON.parse(cache.getItem(CACHE_KEY) || '[]');
+        return Array.isArray(tables) ? tables : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable exchange-rate cache.', error);
+        return [];
+    }
+}
+
+/**
+ * Saves a rate table to the cache, replacing an earlier table from the same source and date.
+ * Only the most recent `CACHE_MAX_TABLES` tables are kept.
+ * @param {Storage} cache - The storage.
+ * @param {object} table - The rate table.
+ */
+export function saveRatesToCache(cache, table) {
+    const tables = loadCachedRates(cache)
+        .filter(existing => !(existing.source === table.source && existing.date === table.date));
+    tables.push(table);
+    tables.sort((a, b) => (a.date < b.date ? -1 : a.date > b.date ? 1 : 0));
+    try {
+        cache.setItem(CACHE_KEY, JSON.stringify(tables.slice(-CACHE_MAX_TABLES)));
+    } catch (error) {
+        console.warn('Could not save exchange rates to the cache.', error);
+    }
+}
+
+/**
+ * Normalizes a date value from a rate file to YYYY-MM-DD.
+ * @param {*} value - The date value.
+ * @returns {string|null} The date, or null if missing or unreadable.
+ */
+function normalizeDate(value) {
+    if (!value) return null;
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Parses a manually uploaded rate file into rate tables.
+ * Rates are units of currency per 1 USD. Accepted layouts:
+ * - CSV with 'currency' and 'rate' columns and an optional 'date' column (one table per date)
+ * - JSON as returned by open.er-api.com, or { "date": ..., "rates": { "EUR": 0.92 } }
+ * - JSON keyed by date: { "2025-01-02": { "EUR": 0.92 }, ... }
+ * - JSON as a plain { "EUR": 0.92, ... } object, or an array of { date, currency, rate }
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name; '.json' files are read as JSON, anything else as CSV.
+ * @returns {Array<object>} The rate tables.
+ * @throws {Error} If the file cannot be read as any of the layouts above.
+ */
+export function parseRateFile(text, fileName) {
+    const source = `manual: ${fileName}`;
+    const retrievedAt = new Date().toISOString();
+    const byDate = new Map();
+    const addRate = (date, currency, rate) => {
+        const key = normalizeDate(date);
+        if (!byDate.has(key)) byDate.set(key, {});
+        byDate.get(key)[String(currency).trim().toUpperCase()] = Number(rate);
+    };
+
+    if (/\.json$/i.test(fileName)) {
+        const data = JSON.parse(text);
+        if (Array.isArray(data)) {
+            data.forEach(entry => addRate(entry.date, entry.currency, entry.rate));
+        } else if (data.rates) {
+            const date = data.date || (data.time_last_update_unix ? data.time_last_update_unix * 1000 : null);
+            Object.entries(data.rates).forEach(([currency, rate]) => addRate(date, currency, rate));
+        } else if (Object.keys(data).every(key => normalizeDate(key) && /^\d{4}-\d{2}-\d{2}/.test(key))) {
+            Object.entries(data).forEach(([date, rates]) => {
+                Object.entries(rates).forEach(([currency, rate]) => addRate(date, currency, rate));
+            });
+        } else {
+            Object.entries(data).forEach(([currency, rate]) => addRate(null, currency, rate));
+        }
+    } else {
+        const [headers, ...rows] = parseCSV(text);
+        const column = (name) => headers.findIndex(header => header.trim().toLowerCase() === name);
+        const currencyColumn = column('currency');
+        const rateColumn = column('rate');
+        const dateColumn = column('date');
+        if (currencyColumn === -1 || rateColumn === -1) {
+            throw new Error(`Rate file ${fileName} needs 'currency' and 'rate' columns.`);
+        }
+        rows.forEach(cells => {
+            addRate(dateColumn !== -1 ? cells[dateColumn] : null, cells[currencyColumn], cells[rateColumn]);
+        });
+    }
+
+    const tables = Array.from(byDate, ([date, rates]) => ({ source, date, retrievedAt, rates }));
+    if (tables.every(table => Object.values(table.rates).every(rate => !(rate > 0)))) {
+        throw new Error(`No usable rates found in ${fileName}.`);
+    }
+    return tables;
+}
+
+/**
+ * Describes a conversion for display, e.g. as a tooltip:
+ * "1 USD = 0.92 EUR (open.er-api.com, rates of 2025-01-02)".
+ * @param {{rate: number, source: string, date: string|null}|null} quote - A result of `RateBook.lookup`.
+ * @param {string} currency - The currency code.
+ * @returns {string} The description, or '' if there is no quote.
+ */
+export function describeRate(quote, currency) {
+    if (!quote) return '';
+    if (quote.source === 'USD') return 'Amount is already in USD';
+    const date = quote.date ? `rates of ${quote.date}` : 'undated rates';
+    return `1 USD = ${quote.rate} ${currency.toUpperCase()} (${quote.source}, ${date})`;
+}
@@ -0,0 +1,249 @@
+//exposure.js
+
+// JavaScript source code
+
+// Page script of option4.html: credit cover exposure per buyer and per buyer country, summed in
+// USD across sellers and partner factors (see buyerExposure.js), with the limits that raise an
+// alert. The rows are rebuilt from the stored messages (see creditLogStore.js) like on the
+// Dashboard page, and the page is updated whenever another page changes the stored log.
+
+import { openCreditLogStore, onStoreChange } from './creditLogStore.js';
+import { createMessageCollections, addMessage, generateCombinedDisplayData } from './creditLog.js';
+import { loadStandardRateBook } from './exchangeRates.js';
+import { loadRoutingRules } from './routingRules.js';
+import { BusinessCalendar, loadCalendarSettings } from './slaCalendar.js';
+import {
+    ALERT_LEVELS, buildExposure, checkExposureLimits, describeAlert, limitFor, readLimit, loadExposureLimits, saveExposureLimits,
+} from './buyerExposure.js';
+
+const exposureStatus = document.getElementById('exposureStatus');
+const buyerLimitInput = document.getElementById('buyerLimit');
+const countryLimitInput = document.getElementById('countryLimit');
+const exposureAlerts = document.getElementById('exposureAlerts');
+const buyerExposure = document.getElementById('buyerExposure');
+const countryExposure = document.getElementById('countryExposure');
+
+// Row classes of the buyers and countries with an alert.
+const ALERT_CLASSES = {
+    [ALERT_LEVELS.over]: 'exposure-over',
+    [ALERT_LEVELS.wouldExceed]: 'exposure-warning',
+};
+
+let store = null;
+let rateBook = null;
+let limits = loadExposureLimits(localStorage);
+let exposure = { buyers: [], countries: [], missingRate: 0 };
+
+/**
+ * Formats an amount in USD.
+ * @param {number} value - The amount.
+ * @returns {string} E.g. '1,250,000'.
+ */
+function formatUSD(value) {
+    return Math.round(value).toLocaleString('en-US');
+}
+
+/**
+ * Creates a table.
+ * @param {Array<string>} headers - The column headers.
+ * @param {Array<{cells: Array<string|Node>, className: string}>} rows - The rows; strings become text.
+ * @returns {HTMLTableElement} The table.
+ */
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'excel-table';
+    const headerRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(({ cells, className }) => {
+        const tr = body.insertRow();
+        if (className) tr.className = className;
+        cells.forEach(cell => {
+            const td = tr.insertCell();
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell ?? '';
+        });
+    });
+    return table;
+}
+
+/**
+ * Creates the input of a buyer's or country's own limit. Clearing it falls back to the default limit.
+ * @param {string} kind - 'buyer' or 'country'.
+ * @param {string} key - The buyer key or the country code.
+ * @returns {HTMLInputElement} The input.
+ */
+function limitInput(kind, key) {
+    const own = kind === 'buyer' ? limits.buyers : limits.countries;
+    const fallback = kind === 'buyer' ? limits.buyerLimitUSD : limits.countryLimitUSD;
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.inputMode = 'numeric';
+    input.className = 'exposure-limit';
+    input.value = typeof own[key] === 'number' ? formatUSD(own[key]) : '';
+    input.placeholder = fallback === null ? 'No limit' : formatUSD(fallback);
+    input.addEventListener('change', () => {
+        const value = readLimit(input.value);
+        if (value === null) delete own[key];
+        else own[key] = value;
+        saveExposureLimits(localStorage, limits);
+        renderExposure();
+    });
+    return input;
+}
+
+/**
+ * Lists the cover lines of a buyer in a collapsed section, with links to their rows in the credit log.
+ * @param {object} buyer - A buyer from `buildExposure`.
+ * @returns {HTMLDetailsElement} The section.
+ */
+function linesDetails(buyer) {
+    const details = document.createElement('details');
+    const summary = document.createElement('summary');
+    summary.textContent = `${buyer.lines.length} line(s)`;
+    details.appendChild(summary);
+    details.appendChild(createTable(['Seller', 'Partner', 'In Force (USD)', 'Requested (USD)', 'Rows'], buyer.lines.map(line => {
+        const links = document.createElement('span');
+        line.rowKeys.forEach((rowKey, index) => {
+            const link = document.createElement('a');
+            link.href = `index.html?search=${encodeURIComponent(rowKey)}`;
+            link.textContent = rowKey;
+            if (index > 0) links.appendChild(document.createTextNode(', '));
+            links.appendChild(link);
+        });
+        return {
+            cells: [line.sellerName, line.partnerName, formatUSD(line.currentUSD), `${formatUSD(line.requestedUSD)}${line.pending ? ' (open request)' : ''}`, links],
+        };
+    })));
+    return details;
+}
+
+/**
+ * The headroom left under a limit if every open request were granted.
+ * @param {number|null} limitUSD - The limit, or null for none.
+ * @param {number} requestedUSD - The requested exposure.
+ * @returns {string} The headroom, negative when over the limit; '' without a limit.
+ */
+function headroom(limitUSD, requestedUSD) {
+    return limitUSD === null ? '' : formatUSD(limitUSD - requestedUSD);
+}
+
+/**
+ * Draws the alerts and both tables from the current exposure and limits.
+ */
+function renderExposure() {
+    const alerts = checkExposureLimits(exposure, limits);
+    const alertLevels = new Map(alerts.map(alert => [`${alert.kind}:${alert.key}`, alert.level]));
+
+    exposureAlerts.innerHTML = '';
+    if (alerts.length > 0) {
+        const list = document.createElement('ul');
+        alerts.forEach(alert => {
+            const item = document.createElement('li');
+            item.className = ALERT_CLASSES[alert.level];
+            item.textContent = describeAlert(alert);
+            list.appendChild(item);
+        });
+        exposureAlerts.append(Object.assign(document.createElement('h3'), { textContent: `Limit Alerts (${alerts.length})` }), list);
+    }
+
+    buyerExposure.innerHTML = '';
+    buyerExposure.appendChild(createTable(
+        ['Buyer', 'Buyer Nr', 'Country', 'Lines', 'In Force (USD)', 'Requested (USD)', 'Limit (USD)', 'Headroom (USD)'],
+        exposure.buyers.map(buyer => {
+            const limitUSD = limitFor(limits, 'buyer', buyer.key);
+            return {
+                className: ALERT_CLASSES[alertLevels.get(`buyer:${buyer.key}`)] || '',
+                cells: [buyer.name, buyer.buyerNr, buyer.country, linesDetails(buyer), formatUSD(buyer.currentUSD), formatUSD(buyer.requestedUSD),
+                    limitInput('buyer', buyer.key), headroom(limitUSD, buyer.requestedUSD)],
+            };
+        }),
+    ));
+
+    countryExposure.innerHTML = '';
+    countryExposure.appendChild(createTable(
+        ['Country', 'Buyers', 'In Force (USD)', 'Requested (USD)', 'Limit (USD)', 'Headroom (USD)'],
+        exposure.countries.map(entry => {
+            const limitUSD = entry.country ? limitFor(limits, 'country', entry.country) : null;
+            return {
+                className: ALERT_CLASSES[alertLevels.get(`country:${entry.country}`)] || '',
+                cells: [entry.country || '(unknown)', String(entry.buyers.length), formatUSD(entry.currentUSD), formatUSD(entry.requestedUSD),
+                    entry.country ? limitInput('country', entry.country) : '', headroom(limitUSD, entry.requestedUSD)],
+            };
+        }),
+    ));
+
+    const missing = exposure.missingRate > 0 ? ` ${exposure.missingRate} line(s) have an amount without an exchange rate, counted as 0.` : '';
+    exposureStatus.textContent = exposure.buyers.length === 0
+        ? 'No MSG05 or MSG07 requests stored yet. Process files on the Credit Log page first.'
+        : `${exposure.buyers.length} buyer(s) in ${exposure.countries.length} country(ies).${missing}`;
+}
+
+/**
+ * Rebuilds the rows from the stored messages, with the saved routing rules and calendars, and redraws.
+ */
+async function reloadExposure() {
+    const collections = createMessageCollections();
+    (await store.loadMessages()).forEach(instance => addMessage(collections, instance));
+    const rows = generateCombinedDisplayData(
+        collections,
+        rateBook,
+        loadRoutingRules(localStorage),
+        new BusinessCalendar(loadCalendarSettings(localStorage)),
+    );
+    exposure = buildExposure(rows);
+    renderExposure();
+}
+
+let reloadTimer = null;
+
+/**
+ * Reloads the page's figures shortly, once per burst of changes.
+ */
+function scheduleReload() {
+    clearTimeout(reloadTimer);
+    reloadTimer = setTimeout(() => {
+        reloadExposure().catch(error => console.error('Could not reload the exposure.', error));
+    }, 300);
+}
+
+/**
+ * Shows the default limits in their inputs.
+ */
+function showDefaultLimits() {
+    buyerLimitInput.value = limits.buyerLimitUSD === null ? '' : formatUSD(limits.buyerLimitUSD);
+    countryLimitInput.value = limits.countryLimitUSD === null ? '' : formatUSD(limits.countryLimitUSD);
+}
+
+[[buyerLimitInput, 'buyerLimitUSD'], [countryLimitInput, 'countryLimitUSD']].forEach(([input, key]) => {
+    input.addEventListener('change', () => {
+        limits[key] = readLimit(input.value);
+        saveExposureLimits(localStorage, limits);
+        showDefaultLimits();
+        renderExposure();
+    });
+});
+showDefaultLimits();
+
+// Limits, routing rules and calendars are kept in localStorage; other pages changing them fire 'storage'.
+window.addEventListener('storage', () => {
+    limits = loadExposureLimits(localStorage);
+    showDefaultLimits();
+    scheduleReload();
+});
+
+try {
+    store = await openCreditLogStore();
+    const loaded = await loadStandardRateBook([], localStorage);
+    rateBook = loaded.rateBook;
+    loaded.warnings.forEach(warning => console.warn(warning));
+    await reloadExposure();
+    onStoreChange(scheduleReload);
+} catch (error) {
+    console.error('Could not open the stored credit log.', error);
+    exposureStatus.textContent = `Could not open the stored credit log: ${error.message}`;
+}
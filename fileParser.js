@@ -0,0 +1,185 @@
+//fileParser.js
+
+// JavaScript source code
+
+// Parses uploaded files in a pool of Web Workers (parseWorker.js), so a large batch does not
+// freeze the page. Progress is reported per file and message, parsed messages arrive in
+// batches while a file is still being parsed, and the whole run can be cancelled.
+// Where module workers are unavailable, files are parsed on the main thread instead.
+
+import { MESSAGE_CLASSES } from './msgClasses.js';
+import { decodeFile, readMessages } from './messageReader.js';
+
+/**
+ * Rebuilds message class instances from the plain objects posted by a worker.
+ * @param {Array<{type: string, payload: object, source: object}>} records - The posted messages.
+ * @returns {Array<Message>} The message instances.
+ */
+function toInstances(records) {
+    return records.map(record => Object.assign(new MESSAGE_CLASSES[record.type](record.payload), { source: record.source }));
+}
+
+/**
+ * Parses files and reports the results as they come in.
+ * @param {Array<File>} files - The files to parse.
+ * @param {object} handlers - Callbacks, all optional.
+ * @param {function(object): void} [handlers.onProgress] - Called with `{ fileIndex, fileName, done, total, filesDone, fileCount }`
+ *   whenever messages of a file have been parsed (`done` of `total` messages).
+ * @param {function(number, Array<Message>): void} [handlers.onMessages] - Called with the file index and a batch of parsed messages.
+ * @param {function(number, object): void} [handlers.onFileDone] - Called with the file index and `{ decoded, errors, found }`
+ *   (see `decodeFile` and `readMessages` in messageReader.js) when a file is finished.
+ * @param {object} [options]
+ * @param {number} [options.workerCount] - The number of workers; defaults to one less than the number of processors, at most 4.
+ * @returns {{cancel: function(): void, done: Promise<{cancelled: boolean}>}} `cancel` stops all workers; files not yet
+ *   finished get no `onFileDone` call. `done` resolves when every file is finished, or after a cancel once the
+ *   file being parsed on the main thread (if any) has stopped.
+ */
+export function parseFiles(files, handlers, { workerCount } = {}) {
+    const { onProgress = () => {}, onMessages = () => {}, onFileDone = () => {} } = handlers;
+    const queue = files.map((file, fileIndex) => ({ file, fileIndex }));
+    const workers = new Set();
+    const pending = new Set();  // One promise per file being parsed, settled when the file is finished or dropped.
+    let filesDone = 0;
+    let cancelled = false;
+    let resolveDone;
+    const done = new Promise(resolve => { resolveDone = resolve; });
+
+    const reportProgress = (item, parsed, total) => {
+        onProgress({ fileIndex: item.fileIndex, fileName: item.file.name, done: parsed, total, filesDone, fileCount: files.length });
+    };
+
+    const finishFile = (item, result) => {
+        if (cancelled) return;
+        filesDone++;
+        onFileDone(item.fileIndex, result);
+        reportProgress(item, 0, 0);
+    };
+
+    const finishIfIdle = () => {
+        if (pending.size === 0 && (queue.length === 0 || cancelled)) {
+            workers.forEach(worker => worker.terminate());
+            workers.clear();
+            resolveDone({ cancelled });
+        }
+    };
+
+    // Counts a file as being parsed until the promise settles.
+    const track = (job) => {
+        pending.add(job);
+        job.finally(() => {
+            pending.delete(job);
+            finishIfIdle();
+        });
+        return job;
+    };
+
+    // Fallback: parse one file on the main thread, yielding to the page before it starts.
+    const parseOnMainThread = async (item) => {
+        await new Promise(resolve => setTimeout(resolve, 0));
+        if (cancelled) return;
+        const decoded = decodeFile(new Uint8Array(await item.file.arrayBuffer()));
+        const { messages, errors, found } = readMessages(decoded.text, item.file.name);
+        if (cancelled) return;
+        onMessages(item.fileIndex, messages);
+        reportProgress(item, messages.length + errors.length, messages.length + errors.length);
+        finishFile(item, { decoded: { encoding: decoded.encoding, warning: decoded.warning }, errors, found });
+    };
+
+    const runOnMainThread = async () => {
+        while (!cancelled && queue.length > 0) {
+            const item = queue.shift();
+            await track(parseOnMainThread(item).catch(error => {
+                finishFile(item, { decoded: { encoding: '', warning: null }, errors: [{ msgType: null, message: `Could not read the file: ${error.message}`, position: null, problems: [] }], found: {} });
+            }));
+        }
+        finishIfIdle();
+    };
+
+    // Settles the worker's current file; the worker sends nothing more for it.
+    const endJob = (worker) => {
+        const end = worker.endJob;
+        worker.currentItem = null;
+        worker.endJob = null;
+        if (end) end();
+    };
+
+    // Gives a worker the next file; called again each time the worker finishes one.
+    const feedWorker = async (worker) => {
+        if (cancelled || queue.length === 0) {
+            worker.terminate();
+            workers.delete(worker);
+            finishIfIdle();
+            return;
+        }
+        const item = queue.shift();
+        worker.currentItem = item;
+        track(new Promise(resolve => { worker.endJob = resolve; }));
+        const buffer = await item.file.arrayBuffer();
+        if (cancelled) return;
+        worker.postMessage({ fileIndex: item.fileIndex, fileName: item.file.name, buffer }, [buffer]);
+    };
+
+    const startWorker = () => {
+        const worker = new Worker(new URL('./parseWorker.js', import.meta.url), { type: 'module' });
+        worker.onmessage = (event) => {
+            const data = event.data;
+            const item = worker.currentItem;
+            if (cancelled || !item) return;
+            if (data.type === 'messages') {
+                onMessages(item.fileIndex, toInstances(data.messages));
+                reportProgress(item, data.done, data.total);
+                return;
+            }
+            if (data.type === 'done') {
+                finishFile(item, { decoded: data.decoded, errors: data.errors, found: data.found });
+            } else if (data.type === 'error') {
+                finishFile(item, { decoded: { encoding: '', warning: null }, errors: [{ msgType: null, message: data.message, position: null, problems: [] }], found: {} });
+            }
+            endJob(worker);
+            feedWorker(worker);
+        };
+        // The worker script could not run (e.g. the page was opened from disk): parse here instead.
+        worker.onerror = (event) => {
+            event.preventDefault();
+            console.warn('Parse worker failed; parsing on the main thread instead.', event.message);
+            worker.terminate();
+            workers.delete(worker);
+            if (worker.currentItem) {
+                queue.unshift(worker.currentItem);
+                endJob(worker);
+            }
+            if (workers.size === 0) runOnMainThread();
+        };
+        workers.add(worker);
+        feedWorker(worker);
+    };
+
+    const available = typeof navigator !== 'undefined' && navigator.hardwareConcurrency ? navigator.hardwareConcurrency - 1 : 2;
+    const poolSize = Math.max(1, Math.min(workerCount || Math.min(available, 4), files.length));
+    try {
+        if (typeof Worker === 'undefined') throw new Error('Web Workers are not available.');
+        for (let i = 0; i < poolSize; i++) startWorker();
+    } catch (error) {
+        console.warn('Parsing on the main thread.', error.message);
+        workers.forEach(worker => worker.terminate());
+        workers.clear();
+        runOnMainThread();
+    }
+    if (files.length === 0) finishIfIdle();
+
+    return {
+        cancel() {
+            if (cancelled) return;
+            cancelled = true;
+            // Stopped workers send nothing more, so their files are dropped now; a file being parsed
+            // on the main thread stops at its next check and settles by itself.
+            workers.forEach(worker => {
+                worker.terminate();
+                endJob(worker);
+            });
+            workers.clear();
+            finishIfIdle();
+        },
+        done,
+    };
+}
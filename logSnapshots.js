@@ -0,0 +1,126 @@
+//logSnapshots.js
+
+// JavaScript source code
+
+// Named snapshots of the credit log, and the comparison of two of them: the rows added, the
+// rows removed, and for the rows in both, the cells that changed in the compared columns
+// (amount, currency, term, credit manager and comments). A snapshot keeps the column values of
+// each row by its row key (see `getMessageId` in creditLog.js), so it still compares after the
+// messages it was built from are gone. The page itself is snapshots.js.
+
+import { CREDIT_LOG_COLUMNS } from './creditLog.js';
+
+/**
+ * The columns compared between two snapshots, in display order.
+ */
+export const COMPARED_COLUMNS = ['amountReq', 'currency', 'term', 'creditManager', 'incomingComments', 'creditComments', 'aeComments']
+    .map(key => CREDIT_LOG_COLUMNS.find(column => column.key === key));
+
+/**
+ * The columns that identify a row in a comparison, in display order.
+ */
+export const IDENTITY_COLUMNS = ['dateReceived', 'messageType', 'buyerName', 'sellerName', 'partnerName']
+    .map(key => CREDIT_LOG_COLUMNS.find(column => column.key === key));
+
+/**
+ * How a row differs between two snapshots.
+ */
+export const CHANGE_TYPES = { added: 'Added', removed: 'Removed', changed: 'Changed' };
+
+/**
+ * The columns of an exported comparison (see `comparisonCells`), for `buildXlsx` in xlsxExport.js.
+ * Before and After hold values of different columns, so they are text.
+ */
+export const COMPARISON_COLUMNS = [
+    { header: 'Change', type: 'text' },
+    { header: 'Row Key', type: 'text' },
+    ...IDENTITY_COLUMNS,
+    { header: 'Column', type: 'text' },
+    { header: 'Before', type: 'text' },
+    { header: 'After', type: 'text' },
+];
+
+/**
+ * Takes a snapshot of credit log rows.
+ * @param {string} name - The snapshot's name, e.g. 'Week 42'.
+ * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`, with their manual columns.
+ * @param {Date} [createdAt=new Date()] - When the snapshot was taken.
+ * @returns {{name: string, createdAt: string, rows: Array<object>}} The snapshot. Its rows hold the
+ *   row key and the value of every credit log column, with missing values as ''.
+ */
+export function createSnapshot(name, rows, createdAt = new Date()) {
+    return {
+        name,
+        createdAt: createdAt.toISOString(),
+        rows: rows.map(row => {
+            const values = { rowKey: row.rowKey };
+            CREDIT_LOG_COLUMNS.forEach(({ key }) => {
+                values[key] = row[key] === null || row[key] === undefined ? '' : row[key];
+            });
+            return values;
+        }),
+    };
+}
+
+/**
+ * Whether two cell values are the same, ignoring surrounding spaces and how a number was stored.
+ * @param {*} before - The earlier value.
+ * @param {*} after - The later value.
+ * @returns {boolean} True if they are equal.
+ */
+function sameValue(before, after) {
+    const text = (value) => String(value ?? '').trim();
+    if (text(before) !== '' && text(after) !== '' && !isNaN(Number(before)) && !isNaN(Number(after))) {
+        return Number(before) === Number(after);
+    }
+    return text(before) === text(after);
+}
+
+/**
+ * Compares two snapshots row by row.
+ * @param {object} before - The earlier snapshot (see `createSnapshot`).
+ * @param {object} after - The later snapshot.
+ * @returns {{before: string, after: string, added: Array<object>, removed: Array<object>,
+ *   changed: Array<{row: object, previous: object, cells: Array<{key: string, header: string, before: *, after: *}>}>,
+ *   unchanged: number}} The rows only in `after` (added) or only in `before` (removed), and the
+ *   rows in both whose compared columns (see `COMPARED_COLUMNS`) differ, each with its changed cells.
+ */
+export function compareSnapshots(before, after) {
+    const previousRows = new Map(before.rows.map(row => [row.rowKey, row]));
+    const currentKeys = new Set(after.rows.map(row => row.rowKey));
+    const comparison = {
+        before: before.name,
+        after: after.name,
+        added: [],
+        removed: before.rows.filter(row => !currentKeys.has(row.rowKey)),
+        changed: [],
+        unchanged: 0,
+    };
+    after.rows.forEach(row => {
+        const previous = previousRows.get(row.rowKey);
+        if (!previous) {
+            comparison.added.push(row);
+            return;
+        }
+        const cells = COMPARED_COLUMNS
+            .filter(({ key }) => !sameValue(previous[key], row[key]))
+            .map(({ key, header }) => ({ key, header, before: previous[key] ?? '', after: row[key] ?? '' }));
+        if (cells.length > 0) comparison.changed.push({ row, previous, cells });
+        else comparison.unchanged++;
+    });
+    return comparison;
+}
+
+/**
+ * The cells of an exported comparison: one line per added or removed row, and one per changed cell.
+ * @param {object} comparison - The result of `compareSnapshots`.
+ * @returns {Array<Array<*>>} The cell values, in the order of `COMPARISON_COLUMNS`.
+ */
+export function comparisonCells(comparison) {
+    const identity = (row) => [row.rowKey, ...IDENTITY_COLUMNS.map(({ key }) => row[key] ?? '')];
+    return [
+        ...comparison.changed.flatMap(({ row, cells }) => cells.map(cell => [CHANGE_TYPES.changed, ...identity(row), cell.header, String(cell.before), String(cell.after)])),
+        ...comparison.added.map(row => [CHANGE_TYPES.added, ...identity(row), '', '', '']),
+        ...comparison.removed.map(row => [CHANGE_TYPES.removed, ...identity(row), '', '', '']),
+    ];
+}
@@ -0,0 +1,208 @@
+//messageConflicts.js
+
+// JavaScript source code
+
+// Duplicate and conflicting messages. A message is a duplicate when one with the same sender,
+// SequenceNr and content is already in the log, or when the same content arrives again under
+// another SequenceNr (e.g. a file exported twice). It is a conflict when a SequenceNr is reused
+// for different content, or when two MSG01s of the same seller (SenderCode_SellerNr) disagree
+// on the seller's details. Conflicts keep every version, so the user can choose the one to use.
+// Works on the collections of creditLog.js; conflictReview.js shows them on the page.
+
+import { MSG_SCHEMAS, schemaFieldValues } from './msgSchemas.js';
+
+/**
+ * Why a message was skipped as a duplicate.
+ */
+export const DUPLICATE_REASONS = {
+    sequence: 'Same sender, SequenceNr and content',
+    content: 'Same content under another SequenceNr',
+};
+
+/**
+ * What the versions of a conflict disagree on.
+ */
+export const CONFLICT_KINDS = {
+    sequence: 'SequenceNr reused for different content',
+    seller: 'Seller details differ between MSG01s',
+};
+
+// Fields of an MSG01 that describe the message rather than the seller; a resent MSG01 differs
+// only in these and is no conflict.
+const ENVELOPE_FIELDS = ['MsgInfo', 'MsgDate', 'MsgFunction'];
+
+/**
+ * Writes a value as JSON with the keys of every object sorted, so equal content gives equal text.
+ * @param {*} value - The value.
+ * @returns {string} The JSON text.
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+    }
+    return JSON.stringify(value ?? null);
+}
+
+/**
+ * The content key of a message: its type and payload, without the SequenceNr, as canonical JSON.
+ * The full text is used rather than a hash of it, so two different messages never share a key.
+ * @param {Message} instance - A parsed message.
+ * @returns {string} The key.
+ */
+export function contentKey(instance) {
+    const { SequenceNr, ...msgInfo } = instance.payload.MsgInfo || {};
+    return `${instance.type}|${canonicalJson({ ...instance.payload, MsgInfo: msgInfo })}`;
+}
+
+/**
+ * The seller details of an MSG01 as canonical JSON: its payload without the envelope fields.
+ * @param {MSG01} msg01 - An MSG01.
+ * @returns {string} The details.
+ */
+function sellerDetailsKey(msg01) {
+    const details = { ...msg01.payload };
+    ENVELOPE_FIELDS.forEach(name => delete details[name]);
+    return canonicalJson(details);
+}
+
+/**
+ * Whether two MSG01s of the same seller agree on the seller's details.
+ * @param {MSG01} a - An MSG01.
+ * @param {MSG01} b - Another MSG01 of the same seller.
+ * @returns {boolean} True if only their envelope (MsgInfo, MsgDate, MsgFunction) differs.
+ */
+export function sameSellerDetails(a, b) {
+    return sellerDetailsKey(a) === sellerDetailsKey(b);
+}
+
+/**
+ * Chooses which of two MSG01s of the same seller to use for the credit log: the one the user
+ * kept most recently (see `keepVersion` in creditLog.js), otherwise the one sent last.
+ * @param {MSG01} current - The MSG01 in use.
+ * @param {MSG01} incoming - The MSG01 that arrived after it.
+ * @returns {MSG01} The MSG01 to use.
+ */
+export function preferredVersion(current, incoming) {
+    const kept = (msg01) => msg01.keptAt || '';
+    if (kept(current) !== kept(incoming)) return kept(incoming) > kept(current) ? incoming : current;
+    const sent = (msg01) => new Date(msg01.msgInfo.DateTime || 0).getTime() || 0;
+    return sent(current) > sent(incoming) ? current : incoming;
+}
+
+/**
+ * Records a message skipped as a duplicate.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {Message} instance - The skipped message.
+ * @param {Message} original - The message already in the log that it duplicates.
+ * @param {string} reason - A key of `DUPLICATE_REASONS`.
+ */
+export function recordDuplicate(collections, instance, original, reason) {
+    collections.duplicates.push({ reason, instance, original });
+}
+
+/**
+ * Records a conflict, or adds a version to the conflict already recorded for the same key.
+ * A version that matches one already listed is not added again.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {string} kind - A key of `CONFLICT_KINDS`.
+ * @param {string} key - The message id (for 'sequence') or SenderCode_SellerNr (for 'seller').
+ * @param {Message} current - The version in use.
+ * @param {Message} incoming - The version that disagrees with it.
+ */
+export function recordConflict(collections, kind, key, current, incoming) {
+    const conflictKey = `${kind}:${key}`;
+    if (!collections.conflicts.has(conflictKey)) {
+        collections.conflicts.set(conflictKey, { kind, key, type: current.type, versions: [current] });
+    }
+    const conflict = collections.conflicts.get(conflictKey);
+    const same = kind === 'seller' ? sameSellerDetails : (a, b) => contentKey(a) === contentKey(b);
+    if (!conflict.versions.some(version => same(version, incoming))) conflict.versions.push(incoming);
+}
+
+/**
+ * The version of a conflict that the credit log uses.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {object} conflict - A conflict from `collections.conflicts`.
+ * @returns {Message|undefined} The version in use.
+ */
+export function versionInUse(collections, conflict) {
+    return conflict.kind === 'seller' ? collections.allMsg01s.get(conflict.key) : collections.messagesById.get(conflict.key);
+}
+
+/**
+ * Formats a field value for the diff.
+ * @param {*} value - The value.
+ * @returns {string} The value as text; '' when absent.
+ */
+function formatValue(value) {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? canonicalJson(value) : String(value);
+}
+
+/**
+ * Compares the versions of a conflict field by field.
+ * Seller conflicts leave out the envelope fields. Repeating groups and groups without listed
+ * fields (e.g. BankDetailsBuyer) are compared as a whole.
+ * @param {object} conflict - A conflict from `collections.conflicts`.
+ * @returns {Array<{path: string, values: Array<string>}>} The fields that differ, with one value per version.
+ */
+export function diffVersions(conflict) {
+    const schema = MSG_SCHEMAS[conflict.type];
+    const wholeGroups = schema.fields.filter(node => node.fields && (node.repeat || node.fields.length === 0)).map(node => node.name);
+    const fieldsOf = (instance) => {
+        const fields = schemaFieldValues(schema, instance.payload);
+        wholeGroups.forEach(name => {
+            fields[name] = instance.payload[name];
+        });
+        return fields;
+    };
+    const versions = conflict.versions.map(fieldsOf);
+    const paths = [...new Set(versions.flatMap(Object.keys))]
+        .filter(path => conflict.kind !== 'seller' || !ENVELOPE_FIELDS.includes(path.split('.')[0]));
+    return paths
+        .map(path => ({ path, values: versions.map(fields => formatValue(fields[path])) }))
+        .filter(({ values }) => values.some(value => value !== values[0]));
+}
+
+/**
+ * Describes where a version of a message came from.
+ * @param {Message} instance - A message.
+ * @returns {string} E.g. 'SequenceNr 12 of 2024-03-01 10:00, from week10.xml line 40'.
+ */
+export function describeVersion(instance) {
+    const { SequenceNr, DateTime } = instance.msgInfo;
+    const source = instance.source && instance.source.fileName
+        ? `, from ${instance.source.fileName}${instance.source.line ? ` line ${instance.source.line}` : ''}`
+        : '';
+    return `SequenceNr ${SequenceNr ?? '-'} of ${String(DateTime || '').replace('T', ' ').slice(0, 16)}${source}`;
+}
+
+/**
+ * Formats the duplicates and conflicts as plain text, with the field-by-field diff of each conflict.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @param {Date} [createdAt=new Date()] - When the report was made.
+ * @returns {string} The report text.
+ */
+export function formatConflictReport(collections, createdAt = new Date()) {
+    const lines = [
+        `Duplicates and conflicts, ${createdAt.toISOString()}`,
+        `${collections.duplicates.length} duplicate(s), ${collections.conflicts.size} conflict(s)`,
+        '',
+    ];
+    collections.conflicts.forEach(conflict => {
+        const inUse = versionInUse(collections, conflict);
+        lines.push(`CONFLICT ${conflict.type} ${conflict.key}: ${CONFLICT_KINDS[conflict.kind]}`);
+        conflict.versions.forEach((version, index) => {
+            lines.push(`  Version ${index + 1}: ${describeVersion(version)}${version === inUse ? ' (in use)' : ''}`);
+        });
+        diffVersions(conflict).forEach(({ path, values }) => {
+            lines.push(`  ${path}: ${values.map((value, index) => `[${index + 1}] ${value || '(empty)'}`).join(' | ')}`);
+        });
+        lines.push('');
+    });
+    collections.duplicates.forEach(({ reason, instance, original }) => {
+        lines.push(`DUPLICATE ${instance.type} ${describeVersion(instance)}: ${DUPLICATE_REASONS[reason]} as ${describeVersion(original)}`);
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,170 @@
+//messageFlags.js
+
+// JavaScript source code
+
+// Derives the Reminder, Cancellation and New Acct / Name Address Change flags of the
+// credit log from the messages themselves. Every flag comes with the reasons it was set,
+// which the page shows when hovering over the cell.
+
+/**
+ * MsgFunction codes that mark a request as a reminder or a cancellation.
+ * Empty until the codes are taken from the EDIFactoring message specification the partners use:
+ * neither the schema (msgSchemas.js) nor the messages define them, and a wrong code would flag
+ * every request of a partner. Until then only the other rules below set these flags.
+ */
+export const MSG_FUNCTION_CODES = {
+    reminder: [],
+    cancellation: [],
+};
+
+// The name and address fields compared to detect a change, with their display labels.
+const SELLER_ADDRESS_FIELDS = { SellerName: 'Name', Street: 'Street', City: 'City', Postcode: 'Postcode' };
+const BUYER_ADDRESS_FIELDS = { BuyerName: 'Name', Street: 'Street', City: 'City', Postcode: 'Postcode' };
+
+/**
+ * Returns a message's date and time for ordering, oldest first.
+ * @param {Message} msg - The message.
+ * @returns {string} The MsgInfo/DateTime, or '' if it has none.
+ */
+function messageTime(msg) {
+    return (msg.msgInfo && msg.msgInfo.DateTime) || '';
+}
+
+/**
+ * Sorts messages chronologically by MsgInfo/DateTime, then SequenceNr.
+ * @param {Array<Message>} messages - The messages.
+ * @returns {Array<Message>} A sorted copy.
+ */
+function sortChronologically(messages) {
+    return [...messages].sort((a, b) => {
+        const byTime = messageTime(a).localeCompare(messageTime(b));
+        return byTime !== 0 ? byTime : (a.msgInfo.SequenceNr || 0) - (b.msgInfo.SequenceNr || 0);
+    });
+}
+
+/**
+ * Whether two messages are the same message, e.g. the same file uploaded twice.
+ * @param {Message} a - A message.
+ * @param {Message} b - Another message.
+ * @returns {boolean} True if sender, SequenceNr and DateTime are all equal.
+ */
+function isSameMessage(a, b) {
+    return a.msgInfo.SenderCode === b.msgInfo.SenderCode
+        && a.msgInfo.SequenceNr === b.msgInfo.SequenceNr
+        && messageTime(a) === messageTime(b);
+}
+
+/**
+ * Lists the name and address fields that differ between two address blocks.
+ * Only fields present in the new block are compared, since not every message
+ * type carries the full address (e.g. MSG07 only has the buyer name).
+ * @param {object} previous - The last address block seen.
+ * @param {object} current - The new address block.
+ * @param {object} fields - Field names mapped to display labels.
+ * @returns {Array<string>} Descriptions such as "City 'Izmir' → 'Istanbul'".
+ */
+function describeAddressChanges(previous, current, fields) {
+    const normalize = (value) => String(value).trim().replace(/\s+/g, ' ').toLowerCase();
+    return Object.entries(fields)
+        .filter(([name]) => current[name] && previous[name] && normalize(current[name]) !== normalize(previous[name]))
+        .map(([name, label]) => `${label} '${previous[name]}' → '${current[name]}'`);
+}
+
+/**
+ * Lists the seller name/address changes found in the MSG01 history.
+ * Each MSG01 is compared with the previous MSG01 for the same sender and SellerNr.
+ * @param {Array<MSG01>} msg01History - Every MSG01 received.
+ * @returns {Map<string, Array<{time: string, text: string}>>} The changes, keyed by SenderCode_SellerNr.
+ */
+function findSellerChanges(msg01History) {
+    const lastSeen = new Map();
+    const changes = new Map();
+    sortChronologically(msg01History).forEach(msg01 => {
+        const key = `${msg01.msgInfo.SenderCode}_${msg01.seller.SellerNr}`;
+        const previous = lastSeen.get(key);
+        if (previous && !isSameMessage(previous, msg01)) {
+            const differences = describeAddressChanges(previous.seller, msg01.seller, SELLER_ADDRESS_FIELDS);
+            if (differences.length > 0) {
+                if (!changes.has(key)) changes.set(key, []);
+                const date = messageTime(msg01).slice(0, 10);
+                changes.get(key).push({ time: messageTime(msg01), text: `Seller changed in MSG01 of ${date}: ${differences.join(', ')}` });
+            }
+        }
+        lastSeen.set(key, msg01);
+    });
+    return changes;
+}
+
+/**
+ * Derives the Reminder, Cancellation and Name/Address Change flags of every request.
+ * - Reminder: a MsgFunction reminder code, or a repeat of an earlier request of the same
+ *   type for the same seller, buyer and RequestNr.
+ * - Cancellation: a MsgFunction cancellation code, or an MSG07 asking for a new credit cover of 0.
+ * - Name/Address Change: the buyer's name, street, city or postcode differs from the last
+ *   request for the same seller and BuyerNr, or the seller's MSG01 changed since the seller's previous request.
+ * @param {object} collections - The collections from `createMessageCollections` (creditLog.js).
+ * @returns {Map<Message, {reminder: Array<string>, cancellation: Array<string>, newAcctNameAddressChange: Array<string>}>}
+ *   The reasons for each flag per request message; a flag is set when its list is not empty.
+ */
+export function detectRequestFlags(collections) {
+    const { allMsg02s, allMsg05s, allMsg07s, msg01History } = collections;
+    const flags = new Map();
+    const earlierRequests = new Map();   // Request key -> first message with that key
+    const lastBuyerBlock = new Map();    // Sender_SellerNr_BuyerNr -> { buyer, msg }
+    const lastSellerRequest = new Map(); // Sender_SellerNr -> time of the previous request
+    const sellerChanges = findSellerChanges(msg01History || []);
+
+    sortChronologically([...allMsg02s, ...allMsg05s, ...allMsg07s]).forEach(msg => {
+        const result = { reminder: [], cancellation: [], newAcctNameAddressChange: [] };
+        const sender = msg.msgInfo.SenderCode;
+        const buyerNr = msg.buyer ? msg.buyer.BuyerNr : '';
+        const date = messageTime(msg).slice(0, 10);
+
+        // MsgFunction codes.
+        if (MSG_FUNCTION_CODES.reminder.includes(msg.msgFunction)) {
+            result.reminder.push(`MsgFunction ${msg.msgFunction} marks this ${msg.type} as a reminder`);
+        }
+        if (MSG_FUNCTION_CODES.cancellation.includes(msg.msgFunction)) {
+            result.cancellation.push(`MsgFunction ${msg.msgFunction} marks this ${msg.type} as a cancellation`);
+        }
+        if (msg.type === 'MSG07' && msg.newCreditCoverDetails && msg.newCreditCoverDetails.NewCreditCoverAmt === 0) {
+            result.cancellation.push('MSG07 requests a new credit cover amount of 0');
+        }
+
+        // A repeat of an earlier request (not the same message uploaded twice).
+        if (msg.requestNr) {
+            const requestKey = `${msg.type}_${sender}_${msg.seller.SellerNr}_${buyerNr}_${msg.requestNr}`;
+            const first = earlierRequests.get(requestKey);
+            if (!first) {
+                earlierRequests.set(requestKey, msg);
+            } else if (!isSameMessage(first, msg)) {
+                result.reminder.push(`Repeats the ${msg.type} request ${msg.requestNr} of ${messageTime(first).slice(0, 10)} for the same seller and buyer`);
+            }
+        }
+
+        // Buyer name or address differs from the last request for the same buyer of the same seller.
+        if (buyerNr) {
+            const buyerKey = `${sender}_${msg.seller.SellerNr}_${buyerNr}`;
+            const previous = lastBuyerBlock.get(buyerKey);
+            if (previous && !isSameMessage(previous.msg, msg)) {
+                const differences = describeAddressChanges(previous.buyer, msg.buyer, BUYER_ADDRESS_FIELDS);
+                if (differences.length > 0) {
+                    const previousDate = messageTime(previous.msg).slice(0, 10);
+                    result.newAcctNameAddressChange.push(`Buyer ${buyerNr} changed since the ${previous.msg.type} of ${previousDate}: ${differences.join(', ')}`);
+                }
+            }
+            lastBuyerBlock.set(buyerKey, { buyer: msg.buyer, msg });
+        }
+
+        // Seller changes (from MSG01) since this seller's previous request, up to this request's date.
+        const sellerKey = `${sender}_${msg.seller.SellerNr}`;
+        const since = lastSellerRequest.get(sellerKey) || '';
+        (sellerChanges.get(sellerKey) || [])
+            .filter(change => change.time > since && change.time.slice(0, 10) <= date)
+            .forEach(change => result.newAcctNameAddressChange.push(change.text));
+        lastSellerRequest.set(sellerKey, messageTime(msg));
+
+        flags.set(msg, result);
+    });
+    return flags;
+}
@@ -0,0 +1,197 @@
+//messageReader.js
+
+// JavaScript source code
+
+// Turns the raw bytes of an uploaded file into message instances.
+// Shared by the browser page and the command-line builder, so it only relies on
+// `TextDecoder` and a `DOMParser` implementation (the browser's, or the one from
+// xmlParser.js assigned to `globalThis.DOMParser` under Node.js).
+
+import { MESSAGE_CLASSES } from './msgClasses.js';
+import { messagesFromCSV } from './csvReader.js';
+
+/**
+ * Decodes a file's bytes into text.
+ * The encoding comes from the XML declaration when there is one; otherwise UTF-8 is
+ * tried first, with 'windows-1254' (common for Turkish characters) as a fallback.
+ * @param {Uint8Array} buffer - The file content.
+ * @returns {string} The decoded text.
+ */
+export function decodeFileBuffer(buffer) {
+    return decodeFile(buffer).text;
+}
+
+/**
+ * Decodes a file's bytes into text, like `decodeFileBuffer`, and reports which encoding
+ * was used and whether a fallback was needed, for the validation report.
+ * @param {Uint8Array} buffer - The file content.
+ * @returns {{text: string, encoding: string, warning: string|null}} The decoded text, the encoding
+ *   that produced it, and a description of the problem if the first choice failed.
+ */
+export function decodeFile(buffer) {
+    // Decode a small initial chunk of the file to look for an XML encoding declaration.
+    const chunk = buffer.subarray(0, 1024);
+    const chunkAsString = new TextDecoder('latin1').decode(chunk);
+
+    let encoding = 'utf-8';
+    let encodingDeclared = false;
+    const encodingMatch = chunkAsString.match(/<\?xml\s+.*?encoding\s*=\s*"(.*?)"/i);
+    if (encodingMatch) {
+        encoding = encodingMatch[1].toLowerCase();
+        encodingDeclared = true;
+    }
+
+    let fileText;
+    let warning = null;
+    // Attempt to decode the entire file into a string.
+    try {
+        // Use the detected encoding (or the 'utf-8' default). `fatal: true` ensures an error is thrown for invalid characters.
+        fileText = new TextDecoder(encoding, { fatal: true }).decode(buffer);
+    } catch (e) {
+        console.warn(`Failed to decode with primary encoding ('${encoding}'). Error:`, e);
+        // If decoding fails and no encoding was declared, it's likely a legacy encoding.
+        if (!encodingDeclared) {
+            // Try 'windows-1254' as a fallback, which is common for Turkish characters.
+            const fallbackEncoding = 'windows-1254';
+            try {
+                fileText = new TextDecoder(fallbackEncoding).decode(buffer);
+                warning = `Not valid UTF-8; decoded as ${fallbackEncoding}.`;
+                encoding = fallbackEncoding;
+            } catch (fallbackError) {
+                console.error(`Fallback to '${fallbackEncoding}' also failed. Decoding with lossy UTF-8 as a last resort.`, fallbackError);
+                // If all else fails, decode as UTF-8, which may result in replacement characters ().
+                fileText = new TextDecoder('utf-8').decode(buffer);
+                warning = 'Not valid UTF-8 or windows-1254; decoded as UTF-8 with replacement characters.';
+                encoding = 'utf-8';
+            }
+        } else {
+            console.warn(`The declared encoding '${encoding}' seems incorrect. Falling back to lossy UTF-8.`);
+            fileText = new TextDecoder('utf-8').decode(buffer);
+            warning = `The declared encoding '${encoding}' does not match the content; decoded as UTF-8 with replacement characters.`;
+            encoding = 'utf-8';
+        }
+    }
+
+    return { text: fileText, encoding, warning };
+}
+
+/**
+ * Finds where each message element starts and ends in a file, with its line number.
+ * The DOM keeps neither, so the start tags are located in the text; the n-th element of a
+ * type in the document is the n-th start tag of that name.
+ * @param {string} text - The file content.
+ * @param {Array<string>} tagNames - The element names, e.g. ['MSG01', 'MSG05'].
+ * @returns {Map<string, Array<{line: number, xml: string}>>} Per element name, one entry per start
+ *   tag in file order: its 1-based line and the element's text up to and including its end tag.
+ */
+function locateElements(text, tagNames) {
+    const locations = new Map(tagNames.map(tagName => [tagName, []]));
+    if (tagNames.length === 0) return locations;
+    const pattern = new RegExp(`<(${tagNames.join('|')})[\\s>/]`, 'g');
+    let line = 1;
+    let lineCountedTo = 0;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        // Count newlines incrementally, so large files are scanned only once.
+        for (let i = lineCountedTo; i < match.index; i++) {
+            if (text.charCodeAt(i) === 10) line++;
+        }
+        lineCountedTo = match.index;
+        const tagName = match[1];
+        const closing = `</${tagName}>`;
+        const closeIndex = text.indexOf(closing, match.index);
+        const end = closeIndex === -1 ? text.indexOf('>', match.index) + 1 : closeIndex + closing.length;
+        locations.get(tagName).push({ line, xml: text.slice(match.index, end) });
+    }
+    return locations;
+}
+
+/**
+ * Counts messages per type.
+ * @param {Array<string>} types - One message type per message.
+ * @returns {object} The counts, keyed by message type.
+ */
+function countByType(types) {
+    const counts = {};
+    types.forEach(type => { counts[type] = (counts[type] || 0) + 1; });
+    return counts;
+}
+
+/**
+ * Reads every message from a decoded file.
+ * CSV files (by extension) are converted row by row; anything else is parsed as XML
+ * and each MSG01/02/03/05/06/07/08 element is turned into an instance of its class.
+ * A message that fails to parse is reported in `errors` and does not stop the others.
+ * Each message's `source` records the file, line (or CSV row) and original XML it was read from.
+ * @param {string} fileText - The decoded file content.
+ * @param {string} fileName - The file name.
+ * @param {object} [options]
+ * @param {function(number, number, Message|null): void} [options.onProgress] - Called after each
+ *   message with the number done, the total and the parsed message (null if it failed).
+ * @returns {{messages: Array<Message>, errors: Array<{msgType: string|null, message: string, position: string|null, problems: Array<{path: string, message: string}>}>, found: object}}
+ *   The parsed messages in file order; one entry per message that failed, with where it is in the
+ *   file ('#2, line 12' for the second message of its type, or 'row 3') and every validation problem; and the number of messages of each
+ *   type found in the file, parsed or not.
+ */
+export function readMessages(fileText, fileName, { onProgress } = {}) {
+    // CSV extracts are converted row by row into the same message classes as the XML.
+    if (/\.csv$/i.test(fileName)) {
+        const { messages, errors } = messagesFromCSV(fileText, fileName);
+        if (onProgress) {
+            const total = messages.length + errors.length;
+            messages.forEach((msg, i) => onProgress(i + 1, total, msg));
+            if (errors.length > 0) onProgress(total, total, null);
+        }
+        return {
+            messages,
+            errors: errors.map(error => ({
+                msgType: error.msgType,
+                message: `Row ${error.row}: ${error.message}`,
+                position: `row ${error.row}`,
+                problems: error.problems,
+            })),
+            found: countByType([...messages.map(msg => msg.type), ...errors.filter(error => error.msgType).map(error => error.msgType)]),
+        };
+    }
+
+    const messages = [];
+    const errors = [];
+
+    // Parse the XML string into a document object.
+    const parser = new DOMParser();
+    const xmlDoc = parser.parseFromString(fileText, 'application/xml');
+    const errorNode = xmlDoc.getElementsByTagName('parsererror')[0];
+    if (errorNode) {
+        // Some parsers still return the part of the document before the error, so keep going.
+        errors.push({ msgType: null, message: `Failed to parse XML: ${errorNode.textContent}`, position: null, problems: [] });
+    }
+
+    // Find all relevant message nodes within the parsed XML document, in document order.
+    const msgNodes = Array.from(xmlDoc.getElementsByTagName('*')).filter(node => MESSAGE_CLASSES[node.nodeName]);
+    const locations = locateElements(fileText, [...new Set(msgNodes.map(node => node.nodeName))]);
+
+    // Process each found message node.
+    const seen = {};
+    msgNodes.forEach((node, index) => {
+        const occurrence = seen[node.nodeName] = (seen[node.nodeName] ?? -1) + 1;
+        const location = locations.get(node.nodeName)[occurrence];
+        try {
+            // Based on the node name, create an instance of the corresponding class.
+            const instance = MESSAGE_CLASSES[node.nodeName].fromElement(node);
+            instance.source = { fileName, line: location ? location.line : null, xml: location ? location.xml : null };
+            messages.push(instance);
+            if (onProgress) onProgress(index + 1, msgNodes.length, instance);
+        } catch (error) {
+            const line = location ? location.line : null;
+            errors.push({
+                msgType: node.nodeName,
+                message: error.message,
+                position: `#${occurrence + 1}${line ? `, line ${line}` : ''}`,
+                problems: error.validationErrors || [],
+            });
+            if (onProgress) onProgress(index + 1, msgNodes.length, null);
+        }
+    });
+
+    return { messages, errors, found: countByType(msgNodes.map(node => node.nodeName)) };
+}
@@ -2,6 +2,8 @@
 
 // JavaScript source code
 
+import { MSG_SCHEMAS, parseMessageElement, validateMessage, serializeMessage } from './msgSchemas.js';
+
 /**
  * Base Message Class
  * Provides common properties and methods for all message types.
@@ -19,6 +21,73 @@ export class Message {
         this.timestamp = timestamp;
         this.senderId = senderId;
         this.payload = payload;
+        // Where the message was read from, set by readMessages in messageReader.js:
+        // { fileName, line, xml }, where `xml` is the original element text (null for CSV rows).
+        this.source = null;
+    }
+
+    /**
+     * Creates a message instance from an XML string.
+     * Subclasses set `static msgType`; the element layout comes from that type's schema in `msgSchemas.js`.
+     * This method uses DOMParser, which is available in browser environments.
+     * In Node.js, assign a compatible implementation to `globalThis.DOMParser` first.
+     * @param {string} xmlString - The XML string containing the message root element.
+     * @returns {Message} A new instance of the calling class.
+     * @throws {Error} If XML parsing fails or required data is missing.
+     */
+    static fromXMLString(xmlString) {
+        const parser = new DOMParser();
+        const xmlDoc = parser.parseFromString(xmlString, "application/xml");
+
+        // Check for parsing errors.
+        const errorNode = xmlDoc.getElementsByTagName('parsererror')[0];
+        if (errorNode) {
+            console.error('XML Parsing Error:', errorNode.textContent);
+            throw new Error('Failed to parse XML string.');
+        }
+
+        const root = xmlDoc.getElementsByTagName(this.msgType)[0];
+        if (!root) {
+            throw new Error(`Invalid ${this.msgType} XML structure: Root <${this.msgType}> element not found.`);
+        }
+
+        return this.fromElement(root);
+    }
+
+    /**
+     * Creates a message instance from an already parsed message root element.
+     * This avoids serializing and re-parsing a node that came from a larger document.
+     * @param {Element} root - The message root element (e.g. <MSG05>).
+     * @returns {Message} A new instance of the calling class.
+     * @throws {Error} If required data is missing or has the wrong type.
+     */
+    static fromElement(root) {
+        return this.fromData(parseMessageElement(MSG_SCHEMAS[this.msgType], root));
+    }
+
+    /**
+     * Creates a message instance from a data object, after validating it against the schema.
+     * @param {object} data - The message data, shaped like the schema (e.g. from a CSV row).
+     * @returns {Message} A new instance of the calling class.
+     * @throws {Error} With the first validation problem, if the data is invalid. All problems
+     *   are in the error's `validationErrors` property (see `validateMessage`).
+     */
+    static fromData(data) {
+        const errors = validateMessage(MSG_SCHEMAS[this.msgType], data);
+        if (errors.length > 0) {
+            const error = new Error(errors[0].message);
+            error.validationErrors = errors;
+            throw error;
+        }
+        return new this(data);
+    }
+
+    /**
+     * Serializes the message payload back to XML, following the message type's schema.
+     * @returns {string} The XML string for the message root element.
+     */
+    toXMLString() {
+        return serializeMessage(MSG_SCHEMAS[this.type], this.payload);
     }
 
     /**
@@ -50,6 +119,11 @@ export class Message {
  * message metadata, factor details, seller information, and agreement terms.
  */
 export class MSG01 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG01';
+
     /**
      * Constructs a new MSG01 instance from parsed XML data.
      * @param {object} data - An object representing the parsed XML structure for MSG01.
@@ -121,121 +195,6 @@ export class MSG01 extends Message {
         this.msgText = data.MsgText || ''; // Initialize as empty string if not present
     }
 
-    /**
-     * Static method to create an MSG01 instance from an XML string.
-     * This method uses DOMParser, which is available in browser environments.
-     * If running in Node.js, you would need a library like `jsdom` or `xmldom`.
-     * @param {string} xmlString - The XML string representing an MSG01 message.
-     * @returns {MSG01} A new MSG01 instance.
-     * @throws {Error} If XML parsing fails or required data is missing.
-     */
-    static fromXMLString(xmlString) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-
-        // Check for parsing errors
-        const errorNode = xmlDoc.querySelector('parsererror');
-        if (errorNode) {
-            console.error('XML Parsing Error:', errorNode.textContent);
-            throw new Error('Failed to parse XML string.');
-        }
-
-        const getElementText = (element, tagName) => {
-            const node = element.querySelector(tagName);
-            return node ? node.textContent : null;
-        };
-
-        const getElementNumber = (element, tagName) => {
-            const text = getElementText(element, tagName);
-            return text !== null && text !== '' ? Number(text) : null;
-        };
-
-        const root = xmlDoc.querySelector('MSG01');
-        if (!root) {
-            throw new Error('Invalid MSG01 XML structure: Root <MSG01> element not found.');
-        }
-
-        const msgInfoElement = root.querySelector('MsgInfo');
-        if (!msgInfoElement) {
-            throw new Error('Invalid MSG01 XML structure: <MsgInfo> element not found.');
-        }
-
-        const efElement = root.querySelector('EF');
-        if (!efElement) {
-            throw new Error('Invalid MSG01 XML structure: <EF> element not found.');
-        }
-
-        const ifElement = root.querySelector('IF');
-        if (!ifElement) {
-            throw new Error('Invalid MSG01 XML structure: <IF> element not found.');
-        }
-
-        const sellerElement = root.querySelector('Seller');
-        if (!sellerElement) {
-            throw new Error('Invalid MSG01 XML structure: <Seller> element not found.');
-        }
-
-        const sellerDetailsElement = root.querySelector('SellerDetails');
-        if (!sellerDetailsElement) {
-            throw new Error('Invalid MSG01 XML structure: <SellerDetails> element not found.');
-        }
-
-        const data = {
-            MsgInfo: {
-                SenderCode: getElementText(msgInfoElement, 'SenderCode'),
-                ReceiverCode: getElementText(msgInfoElement, 'ReceiverCode'),
-                CreatedBy: getElementText(msgInfoElement, 'CreatedBy'),
-                SequenceNr: getElementNumber(msgInfoElement, 'SequenceNr'),
-                DateTime: getElementText(msgInfoElement, 'DateTime'),
-                Status: getElementNumber(msgInfoElement, 'Status'),
-            },
-            EF: {
-                FactorCode: getElementText(efElement, 'FactorCode'),
-                FactorName: getElementText(efElement, 'FactorName'),
-            },
-            IF: {
-                FactorCode: getElementText(ifElement, 'FactorCode'),
-                FactorName: getElementText(ifElement, 'FactorName'),
-            },
-            MsgDate: getElementText(root, 'MsgDate'),
-            MsgFunction: getElementNumber(root, 'MsgFunction'),
-            FactAgreemSigned: getElementText(root, 'FactAgreemSigned'),
-            Seller: {
-                SellerNr: getElementText(sellerElement, 'SellerNr'),
-                SellerName: getElementText(sellerElement, 'SellerName'),
-                NameCont: getElementText(sellerElement, 'NameCont'), // Can be empty
-                Street: getElementText(sellerElement, 'Street'),
-                City: getElementText(sellerElement, 'City'),
-                State: getElementText(sellerElement, 'State'), // Can be empty
-                Postcode: getElementText(sellerElement, 'Postcode'),
-                Country: getElementText(sellerElement, 'Country'),
-            },
-            SellerDetails: {
-                BusinessProduct: getElementText(sellerDetailsElement, 'BusinessProduct'),
-                NetPmtTerms: getElementNumber(sellerDetailsElement, 'NetPmtTerms'),
-                Discount1Days: getElementNumber(sellerDetailsElement, 'Discount1Days'),
-                Discount2Days: getElementNumber(sellerDetailsElement, 'Discount2Days'),
-                GracePeriod: getElementNumber(sellerDetailsElement, 'GracePeriod'),
-                InvCurrency1: getElementText(sellerDetailsElement, 'InvCurrency1'),
-                ChargeBackPerc: getElementNumber(sellerDetailsElement, 'ChargeBackPerc'),
-                ChargeBackAmt: getElementNumber(sellerDetailsElement, 'ChargeBackAmt'),
-                ChargeBackCurrency: getElementText(sellerDetailsElement, 'ChargeBackCurrency'),
-                ExpTotSellerTurnover: getElementNumber(sellerDetailsElement, 'ExpTotSellerTurnover'),
-                ExpNrBuyers: getElementNumber(sellerDetailsElement, 'ExpNrBuyers'),
-                ExpNrInvoices: getElementNumber(sellerDetailsElement, 'ExpNrInvoices'),
-                ExpNrCreditNotes: getElementNumber(sellerDetailsElement, 'ExpNrCreditNotes'), // Can be empty
-                ExpTurnover: getElementNumber(sellerDetailsElement, 'ExpTurnover'),
-                ExpOtherTurnover: getElementNumber(sellerDetailsElement, 'ExpOtherTurnover'),
-                OtherFactors: getElementNumber(sellerDetailsElement, 'OtherFactors'),
-                ServiceRequired: getElementNumber(sellerDetailsElement, 'ServiceRequired'),
-            },
-            BankDetailsSeller: root.querySelector('BankDetailsSeller') ? {} : null, // Empty if exists, null if not
-            MsgText: getElementText(root, 'MsgText'),
-        };
-
-        return new MSG01(data);
-    }
-
     /**
      * Get the sender code from the message info.
      * @returns {string} The sender code.
@@ -276,6 +235,11 @@ export class MSG01 extends Message {
  * factor details, seller, buyer, and preliminary credit assessment request.
  */
 export class MSG02 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG02';
+
     /**
      * Constructs a new MSG02 instance from parsed XML data.
      * @param {object} data - An object representing the parsed XML structure for MSG02.
@@ -336,118 +300,6 @@ export class MSG02 extends Message {
         this.msgText = data.MsgText || '';
     }
 
-    /**
-     * Static method to create an MSG02 instance from an XML string.
-     * This method uses DOMParser, which is available in browser environments.
-     * If running in Node.js, you would need a library like `jsdom` or `xmldom`.
-     * @param {string} xmlString - The XML string representing an MSG02 message.
-     * @returns {MSG02} A new MSG02 instance.
-     * @throws {Error} If XML parsing fails or required data is missing.
-     */
-    static fromXMLString(xmlString) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-
-        // Check for parsing errors
-        const errorNode = xmlDoc.querySelector('parsererror');
-        if (errorNode) {
-            console.error('XML Parsing Error:', errorNode.textContent);
-            throw new Error('Failed to parse XML string.');
-        }
-
-        const getElementText = (element, tagName) => {
-            const node = element.querySelector(tagName);
-            return node ? node.textContent : null;
-        };
-
-        const getElementNumber = (element, tagName) => {
-            const text = getElementText(element, tagName);
-            return text !== null && text !== '' ? Number(text) : null;
-        };
-
-        const root = xmlDoc.querySelector('MSG02');
-        if (!root) {
-            throw new Error('Invalid MSG02 XML structure: Root <MSG02> element not found.');
-        }
-
-        const msgInfoElement = root.querySelector('MsgInfo');
-        if (!msgInfoElement) {
-            throw new Error('Invalid MSG02 XML structure: <MsgInfo> element not found.');
-        }
-
-        const efElement = root.querySelector('EF');
-        if (!efElement) {
-            throw new Error('Invalid MSG02 XML structure: <EF> element not found.');
-        }
-
-        const ifElement = root.querySelector('IF');
-        if (!ifElement) {
-            throw new Error('Invalid MSG02 XML structure: <IF> element not found.');
-        }
-
-        const sellerElement = root.querySelector('Seller');
-        if (!sellerElement) {
-            throw new Error('Invalid MSG02 XML structure: <Seller> element not found.');
-        }
-
-        const buyerElement = root.querySelector('Buyer');
-        if (!buyerElement) {
-            throw new Error('Invalid MSG02 XML structure: <Buyer> element not found.');
-        }
-
-        const prelCreditAssessDetailsElement = root.querySelector('PrelCreditAssessDetails');
-        if (!prelCreditAssessDetailsElement) {
-            throw new Error('Invalid MSG02 XML structure: <PrelCreditAssessDetails> element not found.');
-        }
-
-        const data = {
-            MsgInfo: {
-                SenderCode: getElementText(msgInfoElement, 'SenderCode'),
-                ReceiverCode: getElementText(msgInfoElement, 'ReceiverCode'),
-                CreatedBy: getElementText(msgInfoElement, 'CreatedBy'),
-                SequenceNr: getElementNumber(msgInfoElement, 'SequenceNr'),
-                DateTime: getElementText(msgInfoElement, 'DateTime'),
-                Status: getElementNumber(msgInfoElement, 'Status'),
-            },
-            EF: {
-                FactorCode: getElementText(efElement, 'FactorCode'),
-                FactorName: getElementText(efElement, 'FactorName'),
-            },
-            IF: {
-                FactorCode: getElementText(ifElement, 'FactorCode'),
-                FactorName: getElementText(ifElement, 'FactorName'),
-            },
-            RequestDate: getElementText(root, 'RequestDate'),
-            RequestNr: getElementText(root, 'RequestNr'),
-            MsgFunction: getElementNumber(root, 'MsgFunction'),
-            Seller: {
-                SellerNr: getElementText(sellerElement, 'SellerNr'),
-                SellerName: getElementText(sellerElement, 'SellerName'),
-            },
-            Buyer: {
-                BuyerNr: getElementText(buyerElement, 'BuyerNr'),
-                BuyerName: getElementText(buyerElement, 'BuyerName'),
-                Street: getElementText(buyerElement, 'Street'),
-                City: getElementText(buyerElement, 'City'),
-                State: getElementText(buyerElement, 'State'),
-                Postcode: getElementText(buyerElement, 'Postcode'),
-                Country: getElementText(buyerElement, 'Country'),
-                DirectContact: getElementNumber(buyerElement, 'DirectContact'),
-            },
-            BankDetailsBuyer: root.querySelector('BankDetailsBuyer') ? {} : null, // Empty object if exists, null if not
-            PrelCreditAssessDetails: {
-                AmtCreditAssessReq: getElementNumber(prelCreditAssessDetailsElement, 'AmtCreditAssessReq'),
-                Currency: getElementText(prelCreditAssessDetailsElement, 'Currency'),
-                NetPmtTerms: getElementNumber(prelCreditAssessDetailsElement, 'NetPmtTerms'),
-                Discount1Days: getElementNumber(prelCreditAssessDetailsElement, 'Discount1Days'), // Can be empty
-                Discount2Days: getElementNumber(prelCreditAssessDetailsElement, 'Discount2Days'), // Can be empty
-            },
-            MsgText: getElementText(root, 'MsgText'), // Can be empty
-        };
-
-        return new MSG02(data);
-    }
-
     /**
      * Get the request number for this MSG02 message.
      * @returns {string} The request number.
@@ -487,6 +339,11 @@ export class MSG02 extends Message {
  * This is typically a more detailed request than an MSG02 and involves specific amounts and terms.
  */
 export class MSG05 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG05';
+
     /**
      * Constructs a new MSG05 instance from parsed XML data.
      * @param {object} data - An object representing the parsed XML structure for MSG05.
@@ -510,7 +367,7 @@ export class MSG05 extends Message {
      * @param {string} data.Seller.SellerNr
      * @param {string} data.Seller.SellerName
      * @param {object} data.Buyer
-     * @param {number} data.Buyer.BuyerCompanyRegNr
+     * @param {string} data.Buyer.BuyerCompanyRegNr
      * @param {string} data.Buyer.BuyerNr
      * @param {string} data.Buyer.BuyerName
      * @param {string} data.Buyer.Street
@@ -531,7 +388,7 @@ export class MSG05 extends Message {
      * @param {number|null} data.CreditCoverDetails.Discount1Perc
      * @param {number|null} data.CreditCoverDetails.Discount2Days
      * @param {number|null} data.CreditCoverDetails.Discount2Perc
-     * @param {number|null} data.CreditCoverDetails.OrderNr
+     * @param {string|null} data.CreditCoverDetails.OrderNr
      * @param {string} [data.MsgText]
      */
     constructor(data) {
@@ -556,112 +413,6 @@ export class MSG05 extends Message {
         this.msgText = data.MsgText || '';
     }
 
-    /**
-     * Static factory method to create an MSG05 instance from a raw XML string.
-     * Encapsulates the parsing logic for this specific message type.
-     * @param {string} xmlString - The XML string representing an MSG05 message.
-     * @returns {MSG05} A new MSG05 instance.
-     * @throws {Error} If XML parsing fails or required data is missing.
-     */
-    static fromXMLString(xmlString) {
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-
-        // Check for parsing errors.
-        const errorNode = xmlDoc.querySelector('parsererror');
-        if (errorNode) {
-            console.error('XML Parsing Error:', errorNode.textContent);
-            throw new Error('Failed to parse XML string.');
-        }
-
-        // Helper function to safely get text content.
-        const getElementText = (element, tagName) => {
-            const node = element.querySelector(tagName);
-            return node ? node.textContent : null;
-        };
-
-        // Helper function to safely get and convert text to a number.
-        const getElementNumber = (element, tagName) => {
-            const text = getElementText(element, tagName);
-            return text !== null && text !== '' ? Number(text) : null;
-        };
-
-        // Find the root <MSG05> element.
-        const root = xmlDoc.querySelector('MSG05');
-        if (!root) {
-            throw new Error('Invalid MSG05 XML structure: Root <MSG05> element not found.');
-        }
-
-        // Locate all major sections of the XML to ensure the structure is valid.
-        const msgInfoElement = root.querySelector('MsgInfo');
-        const efElement = root.querySelector('EF');
-        const ifElement = root.querySelector('IF');
-        const sellerElement = root.querySelector('Seller');
-        const buyerElement = root.querySelector('Buyer');
-        const creditCoverDetailsElement = root.querySelector('CreditCoverDetails');
-
-        // This validation step is crucial. It confirms that the XML document has the expected
-        // high-level structure before we try to access deeper, nested data, which prevents
-        // "Cannot read properties of null" errors.
-        if (!msgInfoElement || !efElement || !ifElement || !sellerElement || !buyerElement || !creditCoverDetailsElement) {
-            throw new Error('Missing required elements in MSG05 XML.');
-        }
-
-        const data = {
-            MsgInfo: {
-                SenderCode: getElementText(msgInfoElement, 'SenderCode'),
-                ReceiverCode: getElementText(msgInfoElement, 'ReceiverCode'),
-                CreatedBy: getElementText(msgInfoElement, 'CreatedBy'),
-                SequenceNr: getElementNumber(msgInfoElement, 'SequenceNr'),
-                DateTime: getElementText(msgInfoElement, 'DateTime'),
-                Status: getElementNumber(msgInfoElement, 'Status'),
-            },
-            EF: {
-                FactorCode: getElementText(efElement, 'FactorCode'),
-                FactorName: getElementText(efElement, 'FactorName'),
-            },
-            IF: {
-                FactorCode: getElementText(ifElement, 'FactorCode'),
-                FactorName: getElementText(ifElement, 'FactorName'),
-            },
-            RequestDate: getElementText(root, 'RequestDate'),
-            RequestNr: getElementText(root, 'RequestNr'),
-            MsgFunction: getElementNumber(root, 'MsgFunction'),
-            Seller: {
-                SellerNr: getElementText(sellerElement, 'SellerNr'),
-                SellerName: getElementText(sellerElement, 'SellerName'),
-            },
-            Buyer: {
-                BuyerCompanyRegNr: getElementNumber(buyerElement, 'BuyerCompanyRegNr'),
-                BuyerNr: getElementText(buyerElement, 'BuyerNr'),
-                BuyerName: getElementText(buyerElement, 'BuyerName'),
-                Street: getElementText(buyerElement, 'Street'),
-                City: getElementText(buyerElement, 'City'),
-                Postcode: getElementText(buyerElement, 'Postcode'),
-                Country: getElementText(buyerElement, 'Country'),
-                DirectContact: getElementNumber(buyerElement, 'DirectContact'),
-                Telephone: getElementText(buyerElement, 'Telephone'), // Can be null
-            },
-            BankDetailsBuyer: root.querySelector('BankDetailsBuyer') ? {} : null,
-            CreditCoverDetails: {
-                Request: getElementNumber(creditCoverDetailsElement, 'Request'),
-                NewCreditCoverAmt: getElementNumber(creditCoverDetailsElement, 'NewCreditCoverAmt'),
-                Currency: getElementText(creditCoverDetailsElement, 'Currency'),
-                OwnRiskAmt: getElementNumber(creditCoverDetailsElement, 'OwnRiskAmt'),
-                OwnRiskPerc: getElementNumber(creditCoverDetailsElement, 'OwnRiskPerc'),
-                NetPmtTerms: getElementNumber(creditCoverDetailsElement, 'NetPmtTerms'),
-                Discount1Days: getElementNumber(creditCoverDetailsElement, 'Discount1Days'),
-                Discount1Perc: getElementNumber(creditCoverDetailsElement, 'Discount1Perc'),
-                Discount2Days: getElementNumber(creditCoverDetailsElement, 'Discount2Days'),
-                Discount2Perc: getElementNumber(creditCoverDetailsElement, 'Discount2Perc'),
-                OrderNr: getElementNumber(creditCoverDetailsElement, 'OrderNr'),
-            },
-            MsgText: getElementText(root, 'MsgText'),
-        };
-        // Create and return a new instance with the parsed data.
-        return new MSG05(data);
-    }
-
     /**
      * Getter for the requested new credit cover amount.
      * @returns {number} The new credit cover amount.
@@ -693,6 +444,11 @@ export class MSG05 extends Message {
  * This can include approvals, denials, modifications, or expirations of credit lines.
  */
 export class MSG07 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG07';
+
     /**
      * Constructs a new MSG07 instance from parsed XML data.
      * @param {object} data - An object representing the parsed XML structure for MSG07.
@@ -754,103 +510,6 @@ export class MSG07 extends Message {
         this.msgText = data.MsgText || '';
     }
 
-    /**
-     * Static factory method to create an MSG07 instance from a raw XML string.
-     * Encapsulates the parsing logic for this specific message type.
-     * @param {string} xmlString - The XML string representing an MSG07 message.
-     * @returns {MSG07} A new MSG07 instance.
-     * @throws {Error} If XML parsing fails or required data is missing.
-     */
-    static fromXMLString(xmlString) {
-        // Use the browser's standard DOMParser.
-        const parser = new DOMParser();
-        const xmlDoc = parser.parseFromString(xmlString, "application/xml");
-
-        // Check for a parser-generated error node, which indicates malformed XML.
-        const errorNode = xmlDoc.querySelector('parsererror');
-        if (errorNode) {
-            console.error('XML Parsing Error:', errorNode.textContent);
-            throw new Error('Failed to parse XML string.');
-        }
-
-        // Reusable helper to safely extract text content.
-        const getElementText = (element, tagName) => {
-            const node = element.querySelector(tagName);
-            return node ? node.textContent : null;
-        };
-
-        // Reusable helper to safely extract and convert to a number.
-        const getElementNumber = (element, tagName) => {
-            const text = getElementText(element, tagName);
-            return text !== null && text !== '' ? Number(text) : null;
-        };
-
-        // Validate the presence of the root element.
-        const root = xmlDoc.querySelector('MSG07');
-        if (!root) {
-            throw new Error('Invalid MSG07 XML structure: Root <MSG07> element not found.');
-        }
-
-        // Locate all major sections of the XML to ensure the structure is valid.
-        const msgInfoElement = root.querySelector('MsgInfo');
-        const efElement = root.querySelector('EF');
-        const ifElement = root.querySelector('IF');
-        const sellerElement = root.querySelector('Seller');
-        const buyerElement = root.querySelector('Buyer');
-        const currentCreditCoverDetailsElement = root.querySelector('CurrentCreditCoverDetails');
-        const newCreditCoverDetailsElement = root.querySelector('NewCreditCoverDetails');
-
-        // This validation step is crucial. It confirms that the XML document has the expected
-        // high-level structure before we try to access deeper, nested data.
-        if (!msgInfoElement || !efElement || !ifElement || !sellerElement || !buyerElement || !currentCreditCoverDetailsElement || !newCreditCoverDetailsElement) {
-            throw new Error('Missing required elements in MSG07 XML.');
-        }
-
-        const data = {
-            MsgInfo: {
-                SenderCode: getElementText(msgInfoElement, 'SenderCode'),
-                ReceiverCode: getElementText(msgInfoElement, 'ReceiverCode'),
-                CreatedBy: getElementText(msgInfoElement, 'CreatedBy'),
-                SequenceNr: getElementNumber(msgInfoElement, 'SequenceNr'),
-                DateTime: getElementText(msgInfoElement, 'DateTime'),
-                Status: getElementNumber(msgInfoElement, 'Status'),
-            },
-            EF: {
-                FactorCode: getElementText(efElement, 'FactorCode'),
-                FactorName: getElementText(efElement, 'FactorName'),
-            },
-            IF: {
-                FactorCode: getElementText(ifElement, 'FactorCode'),
-                FactorName: getElementText(ifElement, 'FactorName'),
-            },
-            RequestDate: getElementText(root, 'RequestDate'),
-            RequestNr: getElementText(root, 'RequestNr'),
-            MsgFunction: getElementNumber(root, 'MsgFunction'),
-            Seller: {
-                SellerNr: getElementText(sellerElement, 'SellerNr'),
-                SellerName: getElementText(sellerElement, 'SellerName'),
-            },
-            Buyer: {
-                BuyerNr: getElementText(buyerElement, 'BuyerNr'),
-                BuyerName: getElementText(buyerElement, 'BuyerName'),
-            },
-            CurrentCreditCoverDetails: {
-                CurrentCreditCoverAmt: getElementNumber(currentCreditCoverDetailsElement, 'CurrentCreditCoverAmt'),
-                Currency: getElementText(currentCreditCoverDetailsElement, 'Currency'),
-            },
-            NewCreditCoverDetails: {
-                Request: getElementNumber(newCreditCoverDetailsElement, 'Request'),
-                NewCreditCoverAmt: getElementNumber(newCreditCoverDetailsElement, 'NewCreditCoverAmt'),
-                ValidFrom: getElementText(newCreditCoverDetailsElement, 'ValidFrom'),
-                LongCreditPeriodDays: getElementNumber(newCreditCoverDetailsElement, 'LongCreditPeriodDays'),
-            },
-            OwnRiskNewCreditCover: root.querySelector('OwnRiskNewCreditCover') ? {} : null, // Empty if exists, null if not
-            MsgText: getElementText(root, 'MsgText'),
-        };
-        // Create and return a new instance with the parsed data.
-        return new MSG07(data);
-    }
-
     /**
      * Getter for the current credit cover amount.
      * @returns {number} The current credit cover amount.
@@ -874,4 +533,247 @@ export class MSG07 extends Message {
     getBuyerName() {
         return this.buyer.BuyerName;
     }
-}
\ No newline at end of file
+}
+
+/**
+ * MSG03 Class: Preliminary Credit Assessment Answer
+ * Represents an MSG03 message, the import factor's answer to an MSG02
+ * preliminary credit assessment request. It carries the approved amount
+ * and the date until which the preliminary assessment is valid.
+ */
+export class MSG03 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG03';
+
+    /**
+     * The request message type this response answers.
+     */
+    static requestType = 'MSG02';
+
+    /**
+     * Constructs a new MSG03 instance from parsed XML data.
+     * @param {object} data - An object representing the parsed XML structure for MSG03.
+     * @param {object} data.MsgInfo - Message metadata. The sender is the import factor.
+     * @param {string} data.MsgInfo.SenderCode
+     * @param {string} data.MsgInfo.ReceiverCode
+     * @param {string} data.MsgInfo.CreatedBy
+     * @param {number} data.MsgInfo.SequenceNr
+     * @param {string} data.MsgInfo.DateTime
+     * @param {number} data.MsgInfo.Status
+     * @param {object} data.EF
+     * @param {string} data.EF.FactorCode
+     * @param {string} data.EF.FactorName
+     * @param {object} data.IF
+     * @param {string} data.IF.FactorCode
+     * @param {string} data.IF.FactorName
+     * @param {string} data.ResponseDate - Date of the answer (YYYY-MM-DD).
+     * @param {string} data.RequestNr - Request number of the MSG02 being answered.
+     * @param {number} data.MsgFunction
+     * @param {object} data.Seller
+     * @param {string} data.Seller.SellerNr
+     * @param {string} data.Seller.SellerName
+     * @param {object} data.Buyer
+     * @param {string} data.Buyer.BuyerNr
+     * @param {string} data.Buyer.BuyerName
+     * @param {object} data.PrelCreditAssessAnswer - The assessment result.
+     * @param {number} data.PrelCreditAssessAnswer.AmtCreditAssessAppr
+     * @param {string} data.PrelCreditAssessAnswer.Currency
+     * @param {string} data.PrelCreditAssessAnswer.ExpiryDate - Last day the assessment is valid (YYYY-MM-DD).
+     * @param {number|null} data.PrelCreditAssessAnswer.ReasonCode
+     * @param {string} [data.MsgText]
+     */
+    constructor(data) {
+        const type = 'MSG03';
+        const timestamp = data.MsgInfo.DateTime;
+        const senderId = data.MsgInfo.SenderCode;
+
+        super(type, timestamp, senderId, data);
+
+        this.msgInfo = data.MsgInfo;
+        this.ef = data.EF;
+        this._if = data.IF;
+        this.responseDate = data.ResponseDate;
+        this.requestNr = data.RequestNr;
+        this.msgFunction = data.MsgFunction;
+        this.seller = data.Seller;
+        this.buyer = data.Buyer;
+        this.prelCreditAssessAnswer = data.PrelCreditAssessAnswer;
+        this.msgText = data.MsgText || '';
+    }
+
+    /**
+     * Getter for the approved preliminary assessment amount.
+     * @returns {number} The approved amount.
+     */
+    getApprovedAmount() {
+        return this.prelCreditAssessAnswer.AmtCreditAssessAppr;
+    }
+
+    /**
+     * Getter for the date the preliminary assessment expires.
+     * @returns {string} The expiry date (YYYY-MM-DD).
+     */
+    getExpiryDate() {
+        return this.prelCreditAssessAnswer.ExpiryDate;
+    }
+}
+
+/**
+ * MSG06 Class: Credit Cover Answer
+ * Represents an MSG06 message, the import factor's answer to an MSG05
+ * credit cover request. It states the approved cover amount and its validity.
+ */
+export class MSG06 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG06';
+
+    /**
+     * The request message type this response answers.
+     */
+    static requestType = 'MSG05';
+
+    /**
+     * Constructs a new MSG06 instance from parsed XML data.
+     * @param {object} data - An object representing the parsed XML structure for MSG06.
+     * @param {object} data.MsgInfo - Message metadata. The sender is the import factor.
+     * @param {object} data.EF
+     * @param {object} data.IF
+     * @param {string} data.ResponseDate - Date of the answer (YYYY-MM-DD).
+     * @param {string} data.RequestNr - Request number of the MSG05 being answered.
+     * @param {number} data.MsgFunction
+     * @param {object} data.Seller
+     * @param {string} data.Seller.SellerNr
+     * @param {string} data.Seller.SellerName
+     * @param {object} data.Buyer
+     * @param {string} data.Buyer.BuyerNr
+     * @param {string} data.Buyer.BuyerName
+     * @param {object} data.CreditCoverAnswer - The credit cover decision.
+     * @param {number} data.CreditCoverAnswer.Answer - Decision code.
+     * @param {number} data.CreditCoverAnswer.CreditCoverAmtAppr
+     * @param {string} data.CreditCoverAnswer.Currency
+     * @param {string|null} data.CreditCoverAnswer.ValidFrom
+     * @param {string|null} data.CreditCoverAnswer.ExpiryDate
+     * @param {number|null} data.CreditCoverAnswer.ReasonCode
+     * @param {string} [data.MsgText]
+     */
+    constructor(data) {
+        const type = 'MSG06';
+        const timestamp = data.MsgInfo.DateTime;
+        const senderId = data.MsgInfo.SenderCode;
+
+        super(type, timestamp, senderId, data);
+
+        this.msgInfo = data.MsgInfo;
+        this.ef = data.EF;
+        this._if = data.IF;
+        this.responseDate = data.ResponseDate;
+        this.requestNr = data.RequestNr;
+        this.msgFunction = data.MsgFunction;
+        this.seller = data.Seller;
+        this.buyer = data.Buyer;
+        this.creditCoverAnswer = data.CreditCoverAnswer;
+        this.msgText = data.MsgText || '';
+    }
+
+    /**
+     * Getter for the approved credit cover amount.
+     * @returns {number} The approved amount.
+     */
+    getApprovedAmount() {
+        return this.creditCoverAnswer.CreditCoverAmtAppr;
+    }
+
+    /**
+     * Getter for the date the credit cover expires, if limited.
+     * @returns {string|null} The expiry date (YYYY-MM-DD).
+     */
+    getExpiryDate() {
+        return this.creditCoverAnswer.ExpiryDate;
+    }
+}
+
+/**
+ * MSG08 Class: Credit Cover Change Answer
+ * Represents an MSG08 message, the import factor's answer to an MSG07
+ * request to change an existing credit cover.
+ */
+export class MSG08 extends Message {
+    /**
+     * The message type, used to look up the schema.
+     */
+    static msgType = 'MSG08';
+
+    /**
+     * The request message type this response answers.
+     */
+    static requestType = 'MSG07';
+
+    /**
+     * Constructs a new MSG08 instance from parsed XML data.
+     * @param {object} data - An object representing the parsed XML structure for MSG08.
+     * @param {object} data.MsgInfo - Message metadata. The sender is the import factor.
+     * @param {object} data.EF
+     * @param {object} data.IF
+     * @param {string} data.ResponseDate - Date of the answer (YYYY-MM-DD).
+     * @param {string} data.RequestNr - Request number of the MSG07 being answered.
+     * @param {number} data.MsgFunction
+     * @param {object} data.Seller
+     * @param {string} data.Seller.SellerNr
+     * @param {string} data.Seller.SellerName
+     * @param {object} data.Buyer
+     * @param {string} data.Buyer.BuyerNr
+     * @param {string} data.Buyer.BuyerName
+     * @param {object} data.CreditCoverChangeAnswer - The decision on the change.
+     * @param {number} data.CreditCoverChangeAnswer.Answer - Decision code.
+     * @param {number} data.CreditCoverChangeAnswer.NewCreditCoverAmtAppr
+     * @param {string} data.CreditCoverChangeAnswer.Currency
+     * @param {string|null} data.CreditCoverChangeAnswer.ValidFrom
+     * @param {string|null} data.CreditCoverChangeAnswer.ExpiryDate
+     * @param {number|null} data.CreditCoverChangeAnswer.ReasonCode
+     * @param {string} [data.MsgText]
+     */
+    constructor(data) {
+        const type = 'MSG08';
+        const timestamp = data.MsgInfo.DateTime;
+        const senderId = data.MsgInfo.SenderCode;
+
+        super(type, timestamp, senderId, data);
+
+        this.msgInfo = data.MsgInfo;
+        this.ef = data.EF;
+        this._if = data.IF;
+        this.responseDate = data.ResponseDate;
+        this.requestNr = data.RequestNr;
+        this.msgFunction = data.MsgFunction;
+        this.seller = data.Seller;
+        this.buyer = data.Buyer;
+        this.creditCoverChangeAnswer = data.CreditCoverChangeAnswer;
+        this.msgText = data.MsgText || '';
+    }
+
+    /**
+     * Getter for the approved new credit cover amount.
+     * @returns {number} The approved amount.
+     */
+    getApprovedAmount() {
+        return this.creditCoverChangeAnswer.NewCreditCoverAmtAppr;
+    }
+
+    /**
+     * Getter for the date the changed credit cover expires, if limited.
+     * @returns {string|null} The expiry date (YYYY-MM-DD).
+     */
+    getExpiryDate() {
+        return this.creditCoverChangeAnswer.ExpiryDate;
+    }
+}
+
+/**
+ * Every supported message class, keyed by message type.
+ * Used to pick the class for an XML element name or a CSV type column.
+ */
+export const MESSAGE_CLASSES = { MSG01, MSG02, MSG03, MSG05, MSG06, MSG07, MSG08 };
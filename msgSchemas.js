@@ -0,0 +1,506 @@
+//msgSchemas.js
+
+// JavaScript source code
+
+/**
+ * Message Schema Registry
+ * Each EDIFactoring message type is described once here: which elements it contains,
+ * in which order, their value types and whether they are required. The generic
+ * parser, validator and serializer below are driven entirely by these schemas, so
+ * adding a field or a new message type only means editing a schema.
+ *
+ * A schema node is either:
+ * - a field:  { name, type: 'text' | 'number' | 'date' | 'datetime', required }
+ * - a group:  { name, fields: [...], required, repeat }
+ *   A group maps to a nested object (or, with `repeat: true`, an array of objects).
+ *   An optional group that is absent parses to null (or [] when repeating).
+ *   A group without listed fields (e.g. the bank details, which the log does not use)
+ *   keeps its child elements as they are sent, so they are written back unchanged.
+ */
+
+/**
+ * Builds a field node.
+ * @param {string} name - The XML element name.
+ * @param {string} [type='text'] - 'text', 'number', 'date' (YYYY-MM-DD) or 'datetime' (ISO 8601).
+ * @param {boolean} [required=false] - Whether the element must be present and non-empty.
+ * @returns {object} The field node.
+ */
+function field(name, type = 'text', required = false) {
+    return { name, type, required };
+}
+
+/**
+ * Builds a group node.
+ * @param {string} name - The XML element name.
+ * @param {Array<object>} fields - The child nodes.
+ * @param {object} [options]
+ * @param {boolean} [options.required=false] - Whether the element must be present.
+ * @param {boolean} [options.repeat=false] - Whether the element may occur several times.
+ * @returns {object} The group node.
+ */
+function group(name, fields, { required = false, repeat = false } = {}) {
+    return { name, fields, required, repeat };
+}
+
+// Sections shared by every message type.
+const MSG_INFO = group('MsgInfo', [
+    field('SenderCode'),
+    field('ReceiverCode'),
+    field('CreatedBy'),
+    field('SequenceNr', 'number'),
+    field('DateTime', 'datetime'),
+    field('Status', 'number'),
+], { required: true });
+
+const EF = group('EF', [field('FactorCode'), field('FactorName')], { required: true });
+const IF = group('IF', [field('FactorCode'), field('FactorName')], { required: true });
+
+const SELLER = group('Seller', [field('SellerNr'), field('SellerName')], { required: true });
+
+// Response messages (MSG03/06/08) share everything except their answer section.
+const responseFields = (answerSection) => [
+    MSG_INFO,
+    EF,
+    IF,
+    field('ResponseDate', 'date'),
+    field('RequestNr'),
+    field('MsgFunction', 'number'),
+    SELLER,
+    group('Buyer', [field('BuyerNr'), field('BuyerName')], { required: true }),
+    answerSection,
+    field('MsgText'),
+];
+
+/**
+ * The schema of every supported message type, keyed by message type.
+ */
+export const MSG_SCHEMAS = {
+    MSG01: {
+        type: 'MSG01',
+        fields: [
+            MSG_INFO,
+            EF,
+            IF,
+            field('MsgDate', 'date'),
+            field('MsgFunction', 'number'),
+            field('FactAgreemSigned', 'date'),
+            group('Seller', [
+                field('SellerNr'),
+                field('SellerName'),
+                field('NameCont'),
+                field('Street'),
+                field('City'),
+                field('State'),
+                field('Postcode'),
+                field('Country'),
+            ], { required: true }),
+            group('SellerDetails', [
+                field('BusinessProduct'),
+                field('NetPmtTerms', 'number'),
+                field('Discount1Days', 'number'),
+                field('Discount2Days', 'number'),
+                field('GracePeriod', 'number'),
+                field('InvCurrency1'),
+                field('ChargeBackPerc', 'number'),
+                field('ChargeBackAmt', 'number'),
+                field('ChargeBackCurrency'),
+                field('ExpTotSellerTurnover', 'number'),
+                field('ExpNrBuyers', 'number'),
+                field('ExpNrInvoices', 'number'),
+                field('ExpNrCreditNotes', 'number'),
+                field('ExpTurnover', 'number'),
+                field('ExpOtherTurnover', 'number'),
+                field('OtherFactors', 'number'),
+                field('ServiceRequired', 'number'),
+            ], { required: true }),
+            group('BankDetailsSeller', []),
+            field('MsgText'),
+        ],
+    },
+    MSG02: {
+        type: 'MSG02',
+        fields: [
+            MSG_INFO,
+            EF,
+            IF,
+            field('RequestDate', 'date'),
+            field('RequestNr'),
+            field('MsgFunction', 'number'),
+            SELLER,
+            group('Buyer', [
+                field('BuyerNr'),
+                field('BuyerName'),
+                field('Street'),
+                field('City'),
+                field('State'),
+                field('Postcode'),
+                field('Country'),
+                field('DirectContact', 'number'),
+            ], { required: true }),
+            group('BankDetailsBuyer', []),
+            group('PrelCreditAssessDetails', [
+                field('AmtCreditAssessReq', 'number'),
+                field('Currency'),
+                field('NetPmtTerms', 'number'),
+                field('Discount1Days', 'number'),
+                field('Discount2Days', 'number'),
+            ], { required: true }),
+            field('MsgText'),
+        ],
+    },
+    MSG03: {
+        type: 'MSG03',
+        fields: responseFields(group('PrelCreditAssessAnswer', [
+            field('AmtCreditAssessAppr', 'number'),
+            field('Currency'),
+            field('ExpiryDate', 'date'),
+            field('ReasonCode', 'number'),
+        ], { required: true })),
+    },
+    MSG05: {
+        type: 'MSG05',
+        fields: [
+            MSG_INFO,
+            EF,
+            IF,
+            field('RequestDate', 'date'),
+            field('RequestNr'),
+            field('MsgFunction', 'number'),
+            SELLER,
+            group('Buyer', [
+                field('BuyerCompanyRegNr', 'number'),
+                field('BuyerNr'),
+                field('BuyerName'),
+                field('Street'),
+                field('City'),
+                field('Postcode'),
+                field('Country'),
+                field('DirectContact', 'number'),
+                field('Telephone'),
+            ], { required: true }),
+            group('BankDetailsBuyer', []),
+            group('CreditCoverDetails', [
+                field('Request', 'number'),
+                field('NewCreditCoverAmt', 'number'),
+                field('Currency'),
+                field('OwnRiskAmt', 'number'),
+                field('OwnRiskPerc', 'number'),
+                field('NetPmtTerms', 'number'),
+                field('Discount1Days', 'number'),
+                field('Discount1Perc', 'number'),
+                field('Discount2Days', 'number'),
+                field('Discount2Perc', 'number'),
+                field('OrderNr', 'number'),
+            ], { required: true }),
+            field('MsgText'),
+        ],
+    },
+    MSG06: {
+        type: 'MSG06',
+        fields: responseFields(group('CreditCoverAnswer', [
+            field('Answer', 'number'),
+            field('CreditCoverAmtAppr', 'number'),
+            field('Currency'),
+            field('ValidFrom', 'date'),
+            field('ExpiryDate', 'date'),
+            field('ReasonCode', 'number'),
+        ], { required: true })),
+    },
+    MSG07: {
+        type: 'MSG07',
+        fields: [
+            MSG_INFO,
+            EF,
+            IF,
+            field('RequestDate', 'date'),
+            field('RequestNr'),
+            field('MsgFunction', 'number'),
+            SELLER,
+            group('Buyer', [field('BuyerNr'), field('BuyerName')], { required: true }),
+            group('CurrentCreditCoverDetails', [
+                field('CurrentCreditCoverAmt', 'number'),
+                field('Currency'),
+            ], { required: true }),
+            group('NewCreditCoverDetails', [
+                field('Request', 'number'),
+                field('NewCreditCoverAmt', 'number'),
+                field('ValidFrom', 'date'),
+                field('LongCreditPeriodDays', 'number'),
+            ], { required: true }),
+            group('OwnRiskNewCreditCover', []),
+            field('MsgText'),
+        ],
+    },
+    MSG08: {
+        type: 'MSG08',
+        fields: responseFields(group('CreditCoverChangeAnswer', [
+            field('Answer', 'number'),
+            field('NewCreditCoverAmtAppr', 'number'),
+            field('Currency'),
+            field('ValidFrom', 'date'),
+            field('ExpiryDate', 'date'),
+            field('ReasonCode', 'number'),
+        ], { required: true })),
+    },
+};
+
+/**
+ * Finds the child element with the given name.
+ * Direct children are preferred; otherwise the first descendant is used,
+ * which matches the lenient `querySelector` lookup the parsers used before.
+ * Only `children`, `nodeName` and `getElementsByTagName` are used, so any
+ * DOM-like implementation works (browser DOMParser or a Node XML parser).
+ * @param {Element} element - The parent element.
+ * @param {string} name - The element name.
+ * @returns {Element|null} The element, or null if not found.
+ */
+function findChild(element, name) {
+    const direct = Array.from(element.children || []).find(child => child.nodeName === name);
+    if (direct) return direct;
+    return element.getElementsByTagName(name)[0] || null;
+}
+
+/**
+ * Converts an element's text to the value type of its field.
+ * Numbers follow the old `getElementNumber` rule: an empty element is null.
+ * @param {object} node - The field node.
+ * @param {string|null} text - The element text.
+ * @returns {string|number|null} The typed value.
+ */
+function convertValue(node, text) {
+    if (text === null) return null;
+    if (node.type === 'number') return text !== '' ? Number(text) : null;
+    return text;
+}
+
+/**
+ * Reads the child elements of an element that the schema does not describe.
+ * @param {Element} element - The element to read.
+ * @returns {object} Element name → text, or a nested object for an element with children.
+ *   A name that occurs more than once maps to an array.
+ */
+function readElements(element) {
+    const data = {};
+    Array.from(element.children || []).forEach(child => {
+        const value = child.children && child.children.length > 0 ? readElements(child) : child.textContent;
+        if (!(child.nodeName in data)) data[child.nodeName] = value;
+        else if (Array.isArray(data[child.nodeName])) data[child.nodeName].push(value);
+        else data[child.nodeName] = [data[child.nodeName], value];
+    });
+    return data;
+}
+
+/**
+ * Parses an element into a plain data object following the given schema nodes.
+ * Every field is present in the result, null when absent, so the shape is the
+ * same regardless of which optional elements a sender includes.
+ * @param {Array<object>} nodes - The schema nodes describing the element's content.
+ * @param {Element} element - The element to read.
+ * @returns {object} The parsed data.
+ */
+function parseNodes(nodes, element) {
+    const data = {};
+    nodes.forEach(node => {
+        if (node.fields) {
+            if (node.repeat) {
+                data[node.name] = Array.from(element.children || [])
+                    .filter(child => child.nodeName === node.name)
+                    .map(child => parseNodes(node.fields, child));
+            } else {
+                const child = findChild(element, node.name);
+                if (!child) data[node.name] = null;
+                else data[node.name] = node.fields.length > 0 ? parseNodes(node.fields, child) : readElements(child);
+            }
+        } else {
+            const child = findChild(element, node.name);
+            data[node.name] = convertValue(node, child ? child.textContent : null);
+        }
+    });
+    return data;
+}
+
+/**
+ * Parses a message root element (e.g. <MSG05>) into a data object.
+ * The result is not validated; call `validateMessage` for that.
+ * @param {object} schema - The message schema from `MSG_SCHEMAS`.
+ * @param {Element} root - The message root element.
+ * @returns {object} The parsed data, ready for the message class constructor.
+ */
+export function parseMessageElement(schema, root) {
+    return parseNodes(schema.fields, root);
+}
+
+/**
+ * Builds a data object from values keyed by dotted field path (e.g. 'Buyer.BuyerName').
+ * Used for sources that are not XML, such as CSV rows. Values are strings as read
+ * from the source; empty strings count as absent. Optional groups without any value
+ * become null; repeating groups cannot be expressed this way and become [].
+ * @param {object} schema - The message schema.
+ * @param {object} values - The values keyed by dotted path.
+ * @returns {object} The data object, in the same shape as `parseMessageElement` returns.
+ */
+export function buildMessageData(schema, values) {
+    const build = (nodes, prefix) => {
+        const data = {};
+        let hasValue = false;
+        nodes.forEach(node => {
+            const path = prefix + node.name;
+            if (node.fields && node.repeat) {
+                data[node.name] = [];
+            } else if (node.fields) {
+                const child = build(node.fields, `${path}.`);
+                data[node.name] = child.hasValue || node.required ? child.data : null;
+                hasValue = hasValue || child.hasValue;
+            } else {
+                const text = values[path] !== undefined && values[path] !== '' ? String(values[path]) : null;
+                data[node.name] = convertValue(node, text);
+                hasValue = hasValue || text !== null;
+            }
+        });
+        return { data, hasValue };
+    };
+    return build(schema.fields, '').data;
+}
+
+/**
+ * Lists the leaf fields of a schema with their dotted paths.
+ * Fields inside repeating groups are skipped, because a single path cannot address them.
+ * @param {object} schema - The message schema.
+ * @returns {Array<{path: string, type: string, required: boolean}>} The fields, in schema order.
+ */
+export function schemaFieldPaths(schema) {
+    const paths = [];
+    const walk = (nodes, prefix) => {
+        nodes.forEach(node => {
+            if (node.fields) {
+                if (!node.repeat) walk(node.fields, `${prefix}${node.name}.`);
+            } else {
+                paths.push({ path: prefix + node.name, type: node.type, required: node.required });
+            }
+        });
+    };
+    walk(schema.fields, '');
+    return paths;
+}
+
+/**
+ * Reads the leaf field values of a data object, keyed by dotted path (the inverse of `buildMessageData`).
+ * Fields inside repeating groups are skipped, like in `schemaFieldPaths`.
+ * @param {object} schema - The message schema.
+ * @param {object} data - The data object, e.g. a message's payload.
+ * @param {string} [prefix=''] - Put in front of every path, e.g. 'Response.'.
+ * @returns {object} The values keyed by path; absent values are null.
+ */
+export function schemaFieldValues(schema, data, prefix = '') {
+    const values = {};
+    schemaFieldPaths(schema).forEach(({ path }) => {
+        const value = path.split('.').reduce((object, name) => (object ? object[name] : null), data);
+        values[prefix + path] = value === undefined ? null : value;
+    });
+    return values;
+}
+
+/**
+ * Checks a data object against its schema.
+ * Reports missing required groups and fields. Values are not checked, as the old parsers did not:
+ * a number that is not numeric is kept as NaN and a date is kept as sent, so the message still shows.
+ * @param {object} schema - The message schema.
+ * @param {object} data - The data object to check.
+ * @returns {Array<{path: string, message: string}>} One entry per problem; empty if the data is valid.
+ *   `path` is the element path, e.g. 'Buyer/BuyerNr'.
+ */
+export function validateMessage(schema, data) {
+    const errors = [];
+    const report = (path, problem) => {
+        const elements = path.split('/').map(name => `<${name}>`).join('/');
+        errors.push({ path, message: `Invalid ${schema.type} message: ${elements} ${problem}` });
+    };
+
+    const check = (nodes, values, prefix) => {
+        nodes.forEach(node => {
+            const path = prefix + node.name;
+            const value = values ? values[node.name] : null;
+            if (node.fields) {
+                const items = node.repeat ? (value || []) : (value ? [value] : []);
+                if (items.length === 0) {
+                    if (node.required) report(path, 'element not found.');
+                    return;
+                }
+                items.forEach(item => check(node.fields, item, `${path}/`));
+            } else if (value === null || value === undefined || value === '') {
+                if (node.required) report(path, 'element not found.');
+            }
+        });
+    };
+
+    check(schema.fields, data, '');
+    return errors;
+}
+
+/**
+ * Escapes the characters that have a special meaning in XML text.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Writes the content of a group without listed fields (see `readElements`).
+ * @param {object} values - Element name → text, nested object or array of those.
+ * @param {string} indent - The indentation of the elements.
+ * @returns {Array<string>} The lines.
+ */
+function writeElements(values, indent) {
+    const lines = [];
+    Object.entries(values || {}).forEach(([name, value]) => {
+        (Array.isArray(value) ? value : [value]).forEach(item => {
+            if (item === null || item === undefined) return;
+            if (typeof item !== 'object') {
+                lines.push(`${indent}<${name}>${escapeXML(item)}</${name}>`);
+                return;
+            }
+            const inner = writeElements(item, `${indent}    `);
+            lines.push(inner.length > 0 ? `${indent}<${name}>\n${inner.join('\n')}\n${indent}</${name}>` : `${indent}<${name}/>`);
+        });
+    });
+    return lines;
+}
+
+/**
+ * Serializes a data object to an XML string following its schema.
+ * Elements are written in schema order; null fields and absent optional groups are omitted.
+ * Groups without listed fields are written with the elements they were read with.
+ * @param {object} schema - The message schema.
+ * @param {object} data - The data object (e.g. a message's payload).
+ * @returns {string} The XML for the message root element, indented with four spaces.
+ */
+export function serializeMessage(schema, data) {
+    const write = (nodes, values, indent) => {
+        const lines = [];
+        nodes.forEach(node => {
+            const value = values ? values[node.name] : null;
+            if (node.fields) {
+                const items = node.repeat ? (value || []) : (value ? [value] : []);
+                items.forEach(item => {
+                    const inner = node.fields.length > 0
+                        ? write(node.fields, item, `${indent}    `)
+                        : writeElements(item, `${indent}    `);
+                    lines.push(inner.length > 0
+                        ? `${indent}<${node.name}>\n${inner.join('\n')}\n${indent}</${node.name}>`
+                        : `${indent}<${node.name}/>`);
+                });
+            } else if (value !== null && value !== undefined) {
+                lines.push(`${indent}<${node.name}>${escapeXML(value)}</${node.name}>`);
+            }
+        });
+        return lines;
+    };
+
+    return `<${schema.type}>\n${write(schema.fields, data, '    ').join('\n')}\n</${schema.type}>`;
+}
@@ -0,0 +1,47 @@
+//parseWorker.js
+
+// JavaScript source code
+
+// Web Worker that decodes and parses uploaded files off the main thread (see fileParser.js).
+// Workers have no DOMParser, so the one from xmlParser.js is used.
+//
+// Receives:  { fileIndex, fileName, buffer }   (the buffer is transferred)
+// Posts:     { type: 'messages', fileIndex, messages: [{ type, payload, source }], done, total }
+//            { type: 'done', fileIndex, decoded: { encoding, warning }, errors, found }
+//            { type: 'error', fileIndex, message }
+// Messages are posted in batches while the file is parsed, so rows can appear before it is finished.
+
+import { DOMParser } from './xmlParser.js';
+import { decodeFile, readMessages } from './messageReader.js';
+
+globalThis.DOMParser = globalThis.DOMParser || DOMParser;
+
+// Post a batch after this many messages, or this many milliseconds, whichever comes first.
+const BATCH_SIZE = 100;
+const BATCH_INTERVAL = 200;
+
+self.onmessage = (event) => {
+    const { fileIndex, fileName, buffer } = event.data;
+    try {
+        const decoded = decodeFile(new Uint8Array(buffer));
+        let batch = [];
+        let lastPost = Date.now();
+        const postBatch = (done, total) => {
+            self.postMessage({ type: 'messages', fileIndex, messages: batch, done, total });
+            batch = [];
+            lastPost = Date.now();
+        };
+
+        const { errors, found } = readMessages(decoded.text, fileName, {
+            onProgress: (done, total, instance) => {
+                if (instance) batch.push({ type: instance.type, payload: instance.payload, source: instance.source });
+                if (done === total || batch.length >= BATCH_SIZE || Date.now() - lastPost >= BATCH_INTERVAL) {
+                    postBatch(done, total);
+                }
+            },
+        });
+        self.postMessage({ type: 'done', fileIndex, decoded: { encoding: decoded.encoding, warning: decoded.warning }, errors, found });
+    } catch (error) {
+        self.postMessage({ type: 'error', fileIndex, message: error.message });
+    }
+};
@@ -0,0 +1,352 @@
+//partyDirectory.js
+
+// JavaScript source code
+
+// Master-data directory of every buyer, seller and factor seen in the parsed messages.
+// Parties are first grouped by their identifiers (SellerNr/BuyerNr per export factor, FactorCode),
+// then groups whose names are spelling variants of each other are merged, so
+// "ACME Textile Ltd." and "Acme Textiles Limited" end up as one party.
+// The directory page itself is directory.js.
+
+/**
+ * The party kinds, in display order.
+ */
+export const PARTY_KINDS = [
+    { kind: 'buyer', label: 'Buyers' },
+    { kind: 'seller', label: 'Sellers' },
+    { kind: 'factor', label: 'Factors' },
+];
+
+/**
+ * How similar two normalized names must be (0 to 1, see `nameSimilarity`) to be merged.
+ */
+export const DEFAULT_MATCH_THRESHOLD = 0.85;
+
+// Normalized names shorter than this are only merged when they are equal: a single
+// letter changes too much of a short name ('ABC' and 'ABD').
+const MIN_FUZZY_LENGTH = 5;
+
+// Legal forms, which mark a company name.
+const LEGAL_FORMS = new Set([
+    'ltd', 'limited', 'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'llc', 'plc', 'lp', 'llp',
+    'gmbh', 'ag', 'kg', 'mbh', 'sa', 'sas', 'sarl', 'srl', 'spa', 'bv', 'nv', 'as', 'ab', 'oy', 'aps',
+    'pte', 'pty', 'pvt', 'private', 'kk', 'sdn', 'bhd', 'tbk', 'jsc', 'ooo', 'sti', 'tic', 'san', 've',
+]);
+
+// Legal forms and filler words left out when comparing names.
+const IGNORED_NAME_WORDS = new Set([...LEGAL_FORMS, 'the', 'and', 'of', 'de', 'y']);
+
+// The address fields kept in a party's address history, in display order.
+const ADDRESS_FIELDS = ['Street', 'City', 'State', 'Postcode', 'Country'];
+
+/**
+ * Splits a name into lower-case words, with dotted abbreviations joined ('A.S.' -> 'as').
+ * @param {string} name - The name as sent.
+ * @returns {Array<string>} The words.
+ */
+function nameWords(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/&/g, ' and ')
+        // Join dotted abbreviations ('a.s.' -> 'as') before the remaining punctuation becomes spaces.
+        .replace(/\b(\w)\.(?=\w\b)/g, '$1')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .split(' ')
+        .filter(word => word !== '');
+}
+
+/**
+ * Whether a name has a legal form ('Ltd', 'GmbH', 'A.S.'), i.e. is a company name.
+ * @param {string} name - The name as sent.
+ * @returns {boolean} True if a word of the name is a legal form.
+ */
+export function hasLegalForm(name) {
+    return nameWords(name).some(word => LEGAL_FORMS.has(word));
+}
+
+/**
+ * Normalizes a party name for comparison: lower case, accents, punctuation, legal forms
+ * ('Ltd', 'GmbH', 'A.S.') and filler words removed, and a trailing plural 's' dropped.
+ * @param {string} name - The name as sent.
+ * @returns {string} The normalized name, words separated by single spaces.
+ */
+export function normalizePartyName(name) {
+    return nameWords(name)
+        .filter(word => !IGNORED_NAME_WORDS.has(word))
+        .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word))
+        .join(' ');
+}
+
+/**
+ * The character pairs of a normalized name, ignoring spaces.
+ * @param {string} normalized - A name from `normalizePartyName`.
+ * @returns {Set<string>} The distinct pairs.
+ */
+function bigrams(normalized) {
+    const text = normalized.replace(/ /g, '');
+    const pairs = new Set();
+    for (let i = 0; i < text.length - 1; i++) pairs.add(text.slice(i, i + 2));
+    return pairs;
+}
+
+/**
+ * How similar two party names are: the Dice coefficient of the character pairs of their
+ * normalized names, so a typo or a missing letter costs little but a different word costs a lot.
+ * @param {string} a - A name.
+ * @param {string} b - Another name.
+ * @returns {number} 1 for names that normalize the same, down to 0 for names with nothing in common.
+ */
+export function nameSimilarity(a, b) {
+    const normalizedA = normalizePartyName(a);
+    const normalizedB = normalizePartyName(b);
+    if (normalizedA === normalizedB) return normalizedA === '' ? 0 : 1;
+    const pairsA = bigrams(normalizedA);
+    const pairsB = bigrams(normalizedB);
+    if (pairsA.size === 0 || pairsB.size === 0) return 0;
+    let shared = 0;
+    pairsA.forEach(pair => { if (pairsB.has(pair)) shared++; });
+    return (2 * shared) / (pairsA.size + pairsB.size);
+}
+
+/**
+ * Lists the parties a message mentions.
+ * @param {Message} msg - A parsed message.
+ * @returns {Array<{kind: string, key: string, identifier: string, name: string, country: string, address: object|null, role: string}>}
+ *   `key` identifies the party within its kind; `address` is null when the message has no address for it.
+ */
+function partiesOfMessage(msg) {
+    const parties = [];
+    const exportFactor = (msg.ef && msg.ef.FactorCode) || msg.msgInfo.SenderCode;
+    const addressOf = (block) => {
+        const address = {};
+        ADDRESS_FIELDS.forEach(field => {
+            if (block[field] !== undefined && block[field] !== null && String(block[field]).trim() !== '') {
+                address[field] = String(block[field]).trim();
+            }
+        });
+        return Object.keys(address).length > 0 ? address : null;
+    };
+
+    if (msg.seller && (msg.seller.SellerNr || msg.seller.SellerName)) {
+        parties.push({
+            kind: 'seller',
+            key: msg.seller.SellerNr ? `${exportFactor}_${msg.seller.SellerNr}` : `name:${normalizePartyName(msg.seller.SellerName)}`,
+            identifier: msg.seller.SellerNr ? `SellerNr ${msg.seller.SellerNr} at ${exportFactor}` : '',
+            name: msg.seller.SellerName || '',
+            country: msg.seller.Country || '',
+            address: msg.type === 'MSG01' ? addressOf(msg.seller) : null,
+            role: 'Seller',
+        });
+    }
+    if (msg.buyer && (msg.buyer.BuyerNr || msg.buyer.BuyerName)) {
+        parties.push({
+            kind: 'buyer',
+            key: msg.buyer.BuyerNr ? `${exportFactor}_${msg.buyer.BuyerNr}` : `name:${normalizePartyName(msg.buyer.BuyerName)}`,
+            identifier: msg.buyer.BuyerNr ? `BuyerNr ${msg.buyer.BuyerNr} at ${exportFactor}` : '',
+            name: msg.buyer.BuyerName || '',
+            country: msg.buyer.Country || '',
+            address: addressOf(msg.buyer),
+            role: 'Buyer',
+        });
+    }
+    [[msg.ef, 'Export Factor'], [msg._if, 'Import Factor']].forEach(([factor, role]) => {
+        if (!factor || !(factor.FactorCode || factor.FactorName)) return;
+        parties.push({
+            kind: 'factor',
+            key: factor.FactorCode || `name:${normalizePartyName(factor.FactorName)}`,
+            identifier: factor.FactorCode ? `FactorCode ${factor.FactorCode}` : '',
+            name: factor.FactorName || '',
+            // FactorCodes start with the factor's 2-letter country code.
+            country: factor.FactorCode ? factor.FactorCode.substring(0, 2).toUpperCase() : '',
+            address: null,
+            role,
+        });
+    });
+    return parties;
+}
+
+/**
+ * Finds the root of a group in a union-find parent array, shortening the path on the way.
+ * @param {Array<number>} parent - The parent of each group.
+ * @param {number} index - A group.
+ * @returns {number} The root group.
+ */
+function findRoot(parent, index) {
+    while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+    }
+    return index;
+}
+
+/**
+ * Merges the identifier groups of one kind whose names are spelling variants.
+ * Groups with known, different countries are never merged. Candidate pairs are found
+ * through the character pairs they share, so not every pair of names is compared.
+ * @param {Array<object>} groups - The groups of one kind, each with `names` (Map of name to count) and `countries` (Set).
+ * @param {number} threshold - The minimum similarity.
+ * @returns {Array<{root: number, reasons: Array<string>}>} Per group, the group it was merged into and why.
+ */
+function mergeSimilarGroups(groups, threshold) {
+    const parent = groups.map((group, index) => index);
+    const reasons = groups.map(() => []);
+    const variants = [];   // { group, name, normalized, pairs }
+    const pairIndex = new Map(); // character pair -> indexes into variants
+    groups.forEach((group, groupIndex) => {
+        const seen = new Set();
+        group.names.forEach((count, name) => {
+            const normalized = normalizePartyName(name);
+            if (normalized === '' || seen.has(normalized)) return;
+            seen.add(normalized);
+            variants.push({ group: groupIndex, name, normalized, pairs: bigrams(normalized) });
+        });
+    });
+
+    const countriesConflict = (a, b) => a.countries.size > 0 && b.countries.size > 0
+        && ![...a.countries].some(country => b.countries.has(country));
+
+    variants.forEach((variant, variantIndex) => {
+        const shared = new Map();
+        variant.pairs.forEach(pair => {
+            (pairIndex.get(pair) || []).forEach(other => shared.set(other, (shared.get(other) || 0) + 1));
+        });
+        variant.pairs.forEach(pair => {
+            if (!pairIndex.has(pair)) pairIndex.set(pair, []);
+            pairIndex.get(pair).push(variantIndex);
+        });
+        // Equal normalized names share every pair, so they are found here too.
+        shared.forEach((count, otherIndex) => {
+            const other = variants[otherIndex];
+            if (other.group === variant.group) return;
+            const exact = other.normalized === variant.normalized;
+            if (!exact && Math.min(variant.normalized.length, other.normalized.length) < MIN_FUZZY_LENGTH) return;
+            const similarity = exact ? 1 : (2 * count) / (variant.pairs.size + other.pairs.size);
+            if (similarity < threshold) return;
+            if (countriesConflict(groups[variant.group], groups[other.group])) return;
+            const rootA = findRoot(parent, variant.group);
+            const rootB = findRoot(parent, other.group);
+            if (rootA === rootB) return;
+            parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+            reasons[Math.min(rootA, rootB)].push(exact
+                ? `'${other.name}' and '${variant.name}' match once legal forms and punctuation are ignored`
+                : `'${other.name}' and '${variant.name}' are ${Math.round(similarity * 100)}% similar`);
+        });
+    });
+    return groups.map((group, index) => ({ root: findRoot(parent, index), reasons: reasons[index] }));
+}
+
+/**
+ * Builds the party directory from parsed messages.
+ * @param {Array<Message>} messages - The messages, in any order.
+ * @param {object} [options]
+ * @param {number} [options.threshold=DEFAULT_MATCH_THRESHOLD] - The name similarity needed to merge two parties.
+ * @returns {Array<object>} The parties, sorted by kind and name. Each party has:
+ *   - `id`: a stable key ('buyer:TR001_B100')
+ *   - `kind`: 'buyer', 'seller' or 'factor'
+ *   - `name`: the name used most often (the latest on a tie)
+ *   - `names`: every spelling `{ name, count, firstSeen, lastSeen }`, most used first
+ *   - `identifiers`: e.g. 'BuyerNr B100 at TR001'
+ *   - `countries`: the country codes seen
+ *   - `addresses`: the address history `{ address, firstSeen, lastSeen, messageIds }`, oldest first
+ *   - `messages`: `{ id, type, role, date, requestNr, name }` per message mentioning the party, oldest first
+ *   - `mergeReasons`: why identifier groups were merged (empty when nothing was merged)
+ */
+export function buildPartyDirectory(messages, { threshold = DEFAULT_MATCH_THRESHOLD } = {}) {
+    const groupsByKey = new Map();
+    const seenMessages = new Set();
+
+    messages.forEach(msg => {
+        const info = msg.msgInfo || {};
+        const id = info.SequenceNr !== null && info.SequenceNr !== undefined
+            ? `${info.SenderCode}_${info.SequenceNr}`
+            : `${msg.type}_${info.SenderCode}_${info.DateTime || ''}`;
+        if (seenMessages.has(id)) return;
+        seenMessages.add(id);
+        const date = info.DateTime || msg.requestDate || msg.responseDate || '';
+        partiesOfMessage(msg).forEach(party => {
+            const groupKey = `${party.kind}:${party.key}`;
+            if (!groupsByKey.has(groupKey)) {
+                groupsByKey.set(groupKey, { key: groupKey, kind: party.kind, identifiers: new Set(), names: new Map(), countries: new Set(), sightings: [] });
+            }
+            const group = groupsByKey.get(groupKey);
+            if (party.identifier) group.identifiers.add(party.identifier);
+            if (party.name) group.names.set(party.name, (group.names.get(party.name) || 0) + 1);
+            if (party.country) group.countries.add(party.country.toUpperCase());
+            group.sightings.push({ id, type: msg.type, role: party.role, date, requestNr: msg.requestNr || '', name: party.name, address: party.address });
+        });
+    });
+
+    const parties = [];
+    PARTY_KINDS.forEach(({ kind }) => {
+        const groups = [...groupsByKey.values()].filter(group => group.kind === kind);
+        const merged = mergeSimilarGroups(groups, threshold);
+        const byRoot = new Map();
+        groups.forEach((group, index) => {
+            const { root, reasons } = merged[index];
+            if (!byRoot.has(root)) byRoot.set(root, { groups: [], reasons: [] });
+            byRoot.get(root).groups.push(group);
+            byRoot.get(root).reasons.push(...reasons);
+        });
+        byRoot.forEach(({ groups: members, reasons }) => parties.push(createParty(kind, members, reasons)));
+    });
+
+    const kindOrder = PARTY_KINDS.map(entry => entry.kind);
+    return parties.sort((a, b) => (kindOrder.indexOf(a.kind) - kindOrder.indexOf(b.kind))
+        || a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+}
+
+/**
+ * Combines merged identifier groups into one directory entry.
+ * @param {string} kind - The party kind.
+ * @param {Array<object>} members - The identifier groups.
+ * @param {Array<string>} mergeReasons - Why they were merged.
+ * @returns {object} The party (see `buildPartyDirectory`).
+ */
+function createParty(kind, members, mergeReasons) {
+    const sightings = members.flatMap(group => group.sightings)
+        .sort((a, b) => a.date.localeCompare(b.date) || a.id.localeCompare(b.id));
+
+    const names = new Map();
+    sightings.filter(sighting => sighting.name).forEach(sighting => {
+        const entry = names.get(sighting.name) || { name: sighting.name, count: 0, firstSeen: sighting.date, lastSeen: sighting.date };
+        entry.count++;
+        entry.lastSeen = sighting.date;
+        names.set(sighting.name, entry);
+    });
+    const nameList = [...names.values()].sort((a, b) => b.count - a.count || b.lastSeen.localeCompare(a.lastSeen));
+
+    // One history entry per distinct address; spacing and case differences do not count.
+    const addresses = new Map();
+    sightings.filter(sighting => sighting.address).forEach(sighting => {
+        const addressKey = ADDRESS_FIELDS.map(field => String(sighting.address[field] || '').replace(/\s+/g, ' ').toLowerCase()).join('|');
+        const entry = addresses.get(addressKey) || { address: sighting.address, firstSeen: sighting.date, lastSeen: sighting.date, messageIds: [] };
+        entry.lastSeen = sighting.date;
+        if (!entry.messageIds.includes(sighting.id)) entry.messageIds.push(sighting.id);
+        addresses.set(addressKey, entry);
+    });
+
+    // The same message can mention a factor as both export and import factor.
+    const messages = [];
+    sightings.forEach(sighting => {
+        const existing = messages.find(entry => entry.id === sighting.id);
+        if (existing) {
+            if (!existing.role.includes(sighting.role)) existing.role += `, ${sighting.role}`;
+            return;
+        }
+        messages.push({ id: sighting.id, type: sighting.type, role: sighting.role, date: sighting.date, requestNr: sighting.requestNr, name: sighting.name });
+    });
+
+    return {
+        id: members[0].key,
+        kind,
+        name: nameList.length > 0 ? nameList[0].name : '(no name)',
+        names: nameList,
+        identifiers: [...new Set(members.flatMap(group => [...group.identifiers]))].sort(),
+        countries: [...new Set(members.flatMap(group => [...group.countries]))].sort(),
+        addresses: [...addresses.values()].sort((a, b) => a.firstSeen.localeCompare(b.firstSeen)),
+        messages,
+        mergeReasons,
+    };
+}
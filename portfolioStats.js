@@ -0,0 +1,204 @@
+//portfolioStats.js
+
+// JavaScript source code
+
+// The figures of the portfolio dashboard (option3.html): request volume per week, requested
+// exposure in USD per partner factor and per buyer country, workload per credit manager and
+// the top buyers. Each chart is a list of bars made of segments, and every segment keeps the
+// credit log rows it was counted from, so the page can show them when it is clicked.
+// Works on rows from `generateCombinedDisplayData` (creditLog.js).
+
+import { normalizePartyName } from './partyDirectory.js';
+import { SLA_STATUS } from './slaCalendar.js';
+
+/**
+ * The request types, as shown in the "2,5,7" column, with their chart labels.
+ */
+export const REQUEST_TYPE_LABELS = { 2: 'MSG02 Assessment', 5: 'MSG05 Cover', 7: 'MSG07 Change' };
+
+/**
+ * The workload segments per credit manager, in display order.
+ */
+export const WORKLOAD_SEGMENTS = ['Overdue', 'Due soon', 'Open', 'Answered'];
+
+/**
+ * The Monday of the week a date falls in.
+ * @param {string} date - A date (YYYY-MM-DD, or a timestamp starting with one).
+ * @returns {string} The Monday (YYYY-MM-DD), or '' if the date is missing or invalid.
+ */
+export function weekStart(date) {
+    if (!date || !/^\d{4}-\d{2}-\d{2}/.test(date)) return '';
+    const day = new Date(`${date.slice(0, 10)}T00:00:00Z`);
+    if (isNaN(day)) return '';
+    // getUTCDay is 0 on Sunday: go back 6 days then, otherwise to day 1.
+    day.setUTCDate(day.getUTCDate() - ((day.getUTCDay() + 6) % 7));
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * Groups rows into the bars of a chart.
+ * @param {Array<object>} rows - Credit log rows.
+ * @param {object} options
+ * @param {function(object): string} options.category - The bar a row belongs to; rows with '' are left out.
+ * @param {function(object): string} options.series - The segment of the bar a row belongs to.
+ * @param {function(object): number} [options.value] - What a row adds to its segment; 1 by default.
+ *   Rows with a value that is not a number are left out.
+ * @param {function(object): string} [options.label] - The label of a bar from its first row; the category by default.
+ * @returns {Array<{key: string, label: string, total: number, segments: Map<string, {value: number, rows: Array<object>}>}>}
+ *   The bars, in the order their categories first appear.
+ */
+export function groupRows(rows, { category, series, value = () => 1, label = null }) {
+    const bars = new Map();
+    rows.forEach(row => {
+        const key = category(row);
+        const amount = value(row);
+        if (key === '' || key === null || key === undefined || typeof amount !== 'number' || !Number.isFinite(amount)) return;
+        if (!bars.has(key)) bars.set(key, { key, label: label ? label(row) : key, total: 0, segments: new Map() });
+        const bar = bars.get(key);
+        const segmentKey = series(row);
+        if (!bar.segments.has(segmentKey)) bar.segments.set(segmentKey, { value: 0, rows: [] });
+        const segment = bar.segments.get(segmentKey);
+        segment.value += amount;
+        segment.rows.push(row);
+        bar.total += amount;
+    });
+    return [...bars.values()];
+}
+
+/**
+ * The USD amount requested in a row.
+ * @param {object} row - A credit log row.
+ * @returns {number|null} The amount, or null if it could not be converted (see convertRowAmountToUSD in creditLog.js).
+ */
+function requestedUSD(row) {
+    return typeof row.amountReqUSD === 'number' ? row.amountReqUSD : null;
+}
+
+/**
+ * Request volume per week received, split by message type.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {{title: string, unit: string, series: Array<string>, bars: Array<object>}} The chart, oldest week first.
+ */
+export function volumeByWeek(rows) {
+    const bars = groupRows(rows, {
+        category: row => weekStart(row.dateReceived),
+        series: row => REQUEST_TYPE_LABELS[row.messageType] || `MSG0${row.messageType}`,
+        label: row => `Week of ${weekStart(row.dateReceived)}`,
+    });
+    return {
+        title: 'Requests per Week',
+        unit: 'requests',
+        series: Object.values(REQUEST_TYPE_LABELS),
+        bars: bars.sort((a, b) => a.key.localeCompare(b.key)),
+    };
+}
+
+/**
+ * Requested exposure in USD per partner (export) factor, split by message type.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {object} The chart, largest exposure first (see `volumeByWeek`).
+ */
+export function exposureByPartner(rows) {
+    return {
+        title: 'Requested Exposure per Partner Factor (USD)',
+        unit: 'USD',
+        series: Object.values(REQUEST_TYPE_LABELS),
+        bars: groupRows(rows, {
+            category: row => row.clientCode || row.partnerName || '(unknown)',
+            series: row => REQUEST_TYPE_LABELS[row.messageType] || `MSG0${row.messageType}`,
+            value: requestedUSD,
+            label: row => [row.partnerName, row.clientCode].filter(Boolean).join(' - ') || '(unknown)',
+        }).sort((a, b) => b.total - a.total),
+    };
+}
+
+/**
+ * Requested exposure in USD per buyer country, split by message type.
+ * MSG07 rows carry no buyer country and are counted as '(unknown)'.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {object} The chart, largest exposure first (see `volumeByWeek`).
+ */
+export function exposureByBuyerCountry(rows) {
+    const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+    const countryName = (code) => {
+        try {
+            return code ? `${regionNames.of(code)} (${code})` : '(unknown)';
+        } catch (error) {
+            return code; // Not a region code
+        }
+    };
+    return {
+        title: 'Requested Exposure per Buyer Country (USD)',
+        unit: 'USD',
+        series: Object.values(REQUEST_TYPE_LABELS),
+        bars: groupRows(rows, {
+            category: row => row.buyerCountry || '(unknown)',
+            series: row => REQUEST_TYPE_LABELS[row.messageType] || `MSG0${row.messageType}`,
+            value: requestedUSD,
+            label: row => countryName(row.buyerCountry),
+        }).sort((a, b) => b.total - a.total),
+    };
+}
+
+/**
+ * The workload segment of a row (see `WORKLOAD_SEGMENTS`).
+ * @param {object} row - A credit log row.
+ * @returns {string} The segment.
+ */
+function workloadSegment(row) {
+    if (row.responseDate) return 'Answered';
+    if (row.slaStatus === SLA_STATUS.overdue) return 'Overdue';
+    if (row.slaStatus === SLA_STATUS.dueSoon) return 'Due soon';
+    return 'Open';
+}
+
+/**
+ * Requests per credit manager, split into overdue, due soon, open and answered.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {object} The chart, busiest manager first (see `volumeByWeek`).
+ */
+export function workloadByManager(rows) {
+    return {
+        title: 'Workload per Credit Manager',
+        unit: 'requests',
+        series: WORKLOAD_SEGMENTS,
+        bars: groupRows(rows, {
+            category: row => row.creditManager || '(unassigned)',
+            series: workloadSegment,
+        }).sort((a, b) => b.total - a.total),
+    };
+}
+
+/**
+ * The buyers with the largest requested amount in USD, split by message type.
+ * Spelling variants of a buyer's name are counted together (see `normalizePartyName`).
+ * @param {Array<object>} rows - Credit log rows.
+ * @param {number} [limit=10] - How many buyers to show.
+ * @returns {object} The chart, largest amount first (see `volumeByWeek`).
+ */
+export function topBuyers(rows, limit = 10) {
+    return {
+        title: `Top ${limit} Buyers by Requested Amount (USD)`,
+        unit: 'USD',
+        series: Object.values(REQUEST_TYPE_LABELS),
+        bars: groupRows(rows, {
+            category: row => normalizePartyName(row.buyerName),
+            series: row => REQUEST_TYPE_LABELS[row.messageType] || `MSG0${row.messageType}`,
+            value: requestedUSD,
+            label: row => row.buyerName,
+        }).sort((a, b) => b.total - a.total).slice(0, limit),
+    };
+}
+
+/**
+ * Builds every chart of the dashboard.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {{charts: Array<object>, withoutUSD: number}} The charts, and how many rows have no
+ *   USD amount and are left out of the exposure charts.
+ */
+export function buildDashboard(rows) {
+    return {
+        charts: [volumeByWeek(rows), exposureByPartner(rows), exposureByBuyerCountry(rows), workloadByManager(rows), topBuyers(rows)],
+        withoutUSD: rows.filter(row => requestedUSD(row) === null).length,
+    };
+}
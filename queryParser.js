@@ -0,0 +1,572 @@
+//queryParser.js
+
+// JavaScript source code
+
+// Plain-language queries for the credit log, e.g. "MSG05 from Turkish partners over 1M USD this month"
+// or "requests for Acme assigned to trey". A small local grammar turns a query into conditions on the
+// row fields of `generateCombinedDisplayData` (creditLog.js); nothing is sent anywhere, so it works offline.
+// Every condition carries a label, so the page can show what was understood and let the user drop
+// a condition that was misread. Words the grammar does not know are kept and searched for as text.
+
+import { SCREENING_STATUS, toCountryCode } from './sanctionsScreening.js';
+import { SLA_STATUS } from './slaCalendar.js';
+
+/**
+ * Words that carry no filter ("show me all requests ...") and are dropped rather than searched for.
+ */
+const FILLER_WORDS = new Set([
+    'a', 'all', 'an', 'and', 'any', 'are', 'at', 'by', 'do', 'did', 'every', 'find', 'for', 'from', 'get', 'give',
+    'have', 'in', 'is', 'line', 'lines', 'list', 'me', 'message', 'messages', 'of', 'on', 'or', 'please', 'received',
+    'request', 'requests', 'row', 'rows', 'sent', 'show', 'that', 'the', 'to', 'was', 'were', 'what', 'which', 'who', 'with',
+]);
+
+/**
+ * The request types by the words used for them; the values are the "2,5,7" column.
+ */
+const MESSAGE_TYPE_WORDS = {
+    assessment: '2', assessments: '2', preliminary: '2',
+    cover: '5', covers: '5',
+    change: '7', changes: '7',
+};
+
+/**
+ * Adjectives and common names of countries that `Intl.DisplayNames` does not give.
+ */
+const COUNTRY_WORDS = {
+    america: 'US', american: 'US', usa: 'US', british: 'GB', britain: 'GB', england: 'GB', uk: 'GB', turkey: 'TR',
+    turkish: 'TR', german: 'DE', french: 'FR', italian: 'IT', spanish: 'ES', portuguese: 'PT', dutch: 'NL',
+    belgian: 'BE', swiss: 'CH', austrian: 'AT', polish: 'PL', czech: 'CZ', hungarian: 'HU', romanian: 'RO',
+    greek: 'GR', maltese: 'MT', swedish: 'SE', danish: 'DK', norwegian: 'NO', finnish: 'FI', irish: 'IE',
+    russian: 'RU', ukrainian: 'UA', armenian: 'AM', egyptian: 'EG', israeli: 'IL', emirati: 'AE', uae: 'AE',
+    saudi: 'SA', indian: 'IN', chinese: 'CN', japanese: 'JP', korean: 'KR', taiwanese: 'TW', vietnamese: 'VN',
+    thai: 'TH', malaysian: 'MY', indonesian: 'ID', singaporean: 'SG', australian: 'AU', canadian: 'CA',
+    mexican: 'MX', brazilian: 'BR', moroccan: 'MA', tunisian: 'TN', 'south african': 'ZA', 'hong kong': 'HK',
+};
+
+/**
+ * The party a country or name belongs to, by the words used for it; values are row fields.
+ */
+const ROLE_WORDS = {
+    partner: 'partner', partners: 'partner', factor: 'partner', factors: 'partner',
+    buyer: 'buyer', buyers: 'buyer', importer: 'buyer', importers: 'buyer', debtor: 'buyer', debtors: 'buyer',
+    seller: 'seller', sellers: 'seller', exporter: 'seller', exporters: 'seller', client: 'seller', clients: 'seller',
+};
+
+const COUNTRY_FIELDS = { partner: 'partnerCountry', buyer: 'buyerCountry', seller: 'sellerCountry' };
+const NAME_FIELDS = { partner: 'partnerName', buyer: 'buyerName', seller: 'sellerName' };
+const ROLE_LABELS = { partner: 'Partner', buyer: 'Buyer', seller: 'Seller' };
+
+/**
+ * Currency names for amounts like "2 million euros".
+ */
+const CURRENCY_WORDS = {
+    dollar: 'USD', dollars: 'USD', $: 'USD', euro: 'EUR', euros: 'EUR', '€': 'EUR', pound: 'GBP', pounds: 'GBP', '£': 'GBP', yen: 'JPY',
+};
+
+// Comparison words before an amount, longest first.
+const AMOUNT_OPERATORS = [
+    [['greater', 'than'], 'gt'], [['more', 'than'], 'gt'], [['larger', 'than'], 'gt'], [['bigger', 'than'], 'gt'],
+    [['at', 'least'], 'gte'], [['less', 'than'], 'lt'], [['smaller', 'than'], 'lt'], [['at', 'most'], 'lte'], [['up', 'to'], 'lte'],
+    [['over'], 'gt'], [['above'], 'gt'], [['exceeding'], 'gt'], [['>'], 'gt'], [['>='], 'gte'], [['min'], 'gte'], [['minimum'], 'gte'],
+    [['under'], 'lt'], [['below'], 'lt'], [['<'], 'lt'], [['<='], 'lte'], [['max'], 'lte'], [['maximum'], 'lte'],
+];
+
+const OPERATOR_LABELS = { gt: 'over', gte: 'at least', lt: 'under', lte: 'at most' };
+
+// Number multipliers, as a suffix ("1.5m") or a word ("2 million").
+const MULTIPLIERS = { k: 1e3, thousand: 1e3, m: 1e6, mn: 1e6, mio: 1e6, million: 1e6, millions: 1e6, b: 1e9, bn: 1e9, billion: 1e9 };
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+// Statuses by the words used for them: [words, field, operator, value, label].
+const STATUS_PHRASES = [
+    [['due', 'soon'], 'slaStatus', 'is', SLA_STATUS.dueSoon, 'SLA status is Due soon'],
+    [['on', 'time'], 'slaStatus', 'is', SLA_STATUS.onTime, 'SLA status is On time'],
+    [['not', 'answered'], 'responseDate', 'empty', '', 'Not answered yet'],
+    [['potential', 'hits'], 'ofacStatus', 'is', SCREENING_STATUS.potentialHit, 'OFAC result is Potential hit'],
+    [['potential', 'hit'], 'ofacStatus', 'is', SCREENING_STATUS.potentialHit, 'OFAC result is Potential hit'],
+    [['sanctions', 'hits'], 'ofacStatus', 'is', SCREENING_STATUS.potentialHit, 'OFAC result is Potential hit'],
+    [['ofac', 'hits'], 'ofacStatus', 'is', SCREENING_STATUS.potentialHit, 'OFAC result is Potential hit'],
+    [['confirmed', 'hits'], 'ofacStatus', 'is', SCREENING_STATUS.confirmed, 'OFAC result is Confirmed hit'],
+    [['confirmed', 'hit'], 'ofacStatus', 'is', SCREENING_STATUS.confirmed, 'OFAC result is Confirmed hit'],
+    [['overdue'], 'slaStatus', 'is', SLA_STATUS.overdue, 'SLA status is Overdue'],
+    [['late'], 'slaStatus', 'is', SLA_STATUS.late, 'SLA status is Late'],
+    [['open'], 'responseDate', 'empty', '', 'Not answered yet'],
+    [['unanswered'], 'responseDate', 'empty', '', 'Not answered yet'],
+    [['pending'], 'responseDate', 'empty', '', 'Not answered yet'],
+    [['outstanding'], 'responseDate', 'empty', '', 'Not answered yet'],
+    [['answered'], 'responseDate', 'notEmpty', '', 'Answered'],
+    [['responded'], 'responseDate', 'notEmpty', '', 'Answered'],
+    [['reminder'], 'reminder', 'is', 'Yes', 'Reminder is Yes'],
+    [['reminders'], 'reminder', 'is', 'Yes', 'Reminder is Yes'],
+    [['cancellation'], 'cancellation', 'is', 'Yes', 'Cancellation is Yes'],
+    [['cancellations'], 'cancellation', 'is', 'Yes', 'Cancellation is Yes'],
+];
+
+// Words that hand the next word to the credit manager.
+const MANAGER_PHRASES = [['assigned', 'to'], ['managed', 'by'], ['handled', 'by'], ['owned', 'by'], ['manager'], ['analyst']];
+
+// Words that hand the following name to a party: [words, role or '' for any party].
+const PARTY_PHRASES = [
+    [['for'], ''], [['about'], ''], [['named'], ''], [['called'], ''],
+    ...Object.entries(ROLE_WORDS).map(([word, role]) => [[word], role]),
+];
+
+let currencyCodes = null;
+
+/**
+ * Whether a text is an ISO 4217 currency code.
+ * @param {string} code - Three upper-case letters.
+ * @returns {boolean} True for a known currency.
+ */
+function isCurrencyCode(code) {
+    if (!/^[A-Z]{3}$/.test(code)) return false;
+    if (!currencyCodes) {
+        currencyCodes = new Set(typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('currency') : ['USD', 'EUR', 'GBP', 'JPY', 'CHF', 'CNY', 'TRY']);
+    }
+    return currencyCodes.has(code);
+}
+
+/**
+ * Splits a query into words, numbers and comparison signs.
+ * @param {string} text - The query.
+ * @returns {Array<{text: string, lower: string}>} The tokens, as typed and in lower case.
+ */
+function tokenize(text) {
+    return (String(text || '').match(/[<>]=?|[$€£&]|[\p{L}\p{N}][\p{L}\p{N}&./,'-]*/gu) || [])
+        .map(token => token.replace(/[.,']+$/, '').replace(/'s$/i, ''))
+        .filter(token => token !== '')
+        .map(token => ({ text: token, lower: token.toLowerCase() }));
+}
+
+/**
+ * Whether the tokens at a position spell out a phrase.
+ * @param {Array<object>} tokens - The tokens.
+ * @param {number} index - The position.
+ * @param {Array<string>} words - The phrase, in lower case.
+ * @returns {boolean} True if they do.
+ */
+function matchesPhrase(tokens, index, words) {
+    return words.every((word, offset) => tokens[index + offset] && tokens[index + offset].lower === word);
+}
+
+/**
+ * Adds days to a date.
+ * @param {string} date - YYYY-MM-DD.
+ * @param {number} days - The days to add (may be negative).
+ * @returns {string} The new date (YYYY-MM-DD).
+ */
+function addDays(date, days) {
+    const day = new Date(`${date}T00:00:00Z`);
+    day.setUTCDate(day.getUTCDate() + days);
+    return day.toISOString().slice(0, 10);
+}
+
+/**
+ * The first and last day of a month.
+ * @param {number} year - The year.
+ * @param {number} month - The month, 0 for January; may be out of range (-1 is December of the year before).
+ * @returns {{from: string, to: string}} The range (YYYY-MM-DD).
+ */
+function monthRange(year, month) {
+    const first = new Date(Date.UTC(year, month, 1));
+    const last = new Date(Date.UTC(year, month + 1, 0));
+    return { from: first.toISOString().slice(0, 10), to: last.toISOString().slice(0, 10) };
+}
+
+/**
+ * The range of a calendar period containing a date, or of the one before it.
+ * @param {string} unit - 'week' (starting Monday), 'month', 'quarter' or 'year'.
+ * @param {string} today - The date (YYYY-MM-DD).
+ * @param {number} [back=0] - 0 for the period containing the date, 1 for the one before.
+ * @returns {{from: string, to: string}} The range (YYYY-MM-DD).
+ */
+function periodRange(unit, today, back = 0) {
+    const day = new Date(`${today}T00:00:00Z`);
+    const year = day.getUTCFullYear();
+    const month = day.getUTCMonth();
+    if (unit === 'week') {
+        const monday = addDays(today, -((day.getUTCDay() + 6) % 7) - 7 * back);
+        return { from: monday, to: addDays(monday, 6) };
+    }
+    if (unit === 'month') return monthRange(year, month - back);
+    if (unit === 'quarter') {
+        const start = Math.floor(month / 3) * 3 - 3 * back;
+        return { from: monthRange(year, start).from, to: monthRange(year, start + 2).to };
+    }
+    return { from: `${year - back}-01-01`, to: `${year - back}-12-31` };
+}
+
+/**
+ * Reads a single date at a position: an ISO date, a month name with an optional year, a year,
+ * 'today' or 'yesterday'.
+ * @param {Array<object>} tokens - The tokens.
+ * @param {number} index - The position.
+ * @param {string} today - Today (YYYY-MM-DD); a month without a year is its last occurrence up to today.
+ * @param {boolean} [allowYear=false] - Whether a bare year counts (only after 'in', 'since', ...,
+ *   as it would otherwise be taken for an amount).
+ * @returns {{from: string, to: string, length: number}|null} The days it covers and the tokens read.
+ */
+function readDate(tokens, index, today, allowYear = false) {
+    const token = tokens[index];
+    if (!token) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(token.lower) && !isNaN(new Date(`${token.lower}T00:00:00Z`))) {
+        return { from: token.lower, to: token.lower, length: 1 };
+    }
+    if (token.lower === 'today') return { from: today, to: today, length: 1 };
+    if (token.lower === 'yesterday') return { from: addDays(today, -1), to: addDays(today, -1), length: 1 };
+    const month = MONTH_NAMES.findIndex(name => name === token.lower || (token.lower.length === 3 && token.lower !== 'may' && name.startsWith(token.lower)));
+    if (month >= 0) {
+        const next = tokens[index + 1];
+        if (next && /^(19|20)\d{2}$/.test(next.lower)) return { ...monthRange(Number(next.lower), month), length: 2 };
+        const currentYear = Number(today.slice(0, 4));
+        const range = monthRange(currentYear, month);
+        return { ...(range.from > today ? monthRange(currentYear - 1, month) : range), length: 1 };
+    }
+    if (allowYear && /^(19|20)\d{2}$/.test(token.lower)) {
+        return { from: `${token.lower}-01-01`, to: `${token.lower}-12-31`, length: 1 };
+    }
+    return null;
+}
+
+/**
+ * Reads a date range phrase at a position: 'this month', 'last week', 'last 30 days', 'since March',
+ * 'before 2025-01-01', 'between May and June', 'in 2024', 'October 2025', ...
+ * @param {Array<object>} tokens - The tokens.
+ * @param {number} index - The position.
+ * @param {string} today - Today (YYYY-MM-DD).
+ * @returns {{from: string, to: string, length: number}|null} The range ('' for an open end) and the tokens read.
+ */
+function readDateRange(tokens, index, today) {
+    const word = tokens[index].lower;
+    const next = tokens[index + 1];
+    const unit = next ? next.lower.replace(/s$/, '') : '';
+    const periods = ['week', 'month', 'quarter', 'year'];
+    if ((word === 'this' || word === 'current') && periods.includes(unit)) {
+        return { ...periodRange(unit, today), length: 2 };
+    }
+    if (['last', 'previous', 'past'].includes(word)) {
+        if (periods.includes(unit) && !next.lower.endsWith('s')) return { ...periodRange(unit, today, 1), length: 2 };
+        const count = next && /^\d+$/.test(next.lower) ? Number(next.lower) : 0;
+        const span = tokens[index + 2] ? tokens[index + 2].lower.replace(/s$/, '') : '';
+        const days = { day: 1, week: 7, month: 30, year: 365 }[span];
+        if (count > 0 && days) return { from: addDays(today, -(count * days) + 1), to: today, length: 3 };
+        return null;
+    }
+    if (word === 'since' || word === 'after' || word === 'before' || word === 'until' || word === 'till') {
+        const date = readDate(tokens, index + 1, today, true);
+        if (!date) return null;
+        if (word === 'since') return { from: date.from, to: '', length: date.length + 1 };
+        if (word === 'after') return { from: addDays(date.to, 1), to: '', length: date.length + 1 };
+        if (word === 'before') return { from: '', to: addDays(date.from, -1), length: date.length + 1 };
+        return { from: '', to: date.to, length: date.length + 1 };
+    }
+    if (word === 'between' || word === 'from') {
+        const start = readDate(tokens, index + 1, today, true);
+        const separator = start ? tokens[index + 1 + start.length] : null;
+        if (!start || !separator || !['and', 'to', 'until', 'till', '-'].includes(separator.lower)) return null;
+        const end = readDate(tokens, index + 2 + start.length, today, true);
+        if (!end) return null;
+        return { from: start.from, to: end.to, length: 2 + start.length + end.length };
+    }
+    if (word === 'in' || word === 'during' || word === 'on') {
+        const date = readDate(tokens, index + 1, today, true);
+        return date ? { from: date.from, to: date.to, length: date.length + 1 } : null;
+    }
+    return readDate(tokens, index, today);
+}
+
+/**
+ * Reads an amount at a position: '1M', '250k', '1,000,000', '2.5 million', optionally with a
+ * currency before or after it ('USD 1M', '1M USD', '$2m', '3 million euros').
+ * @param {Array<object>} tokens - The tokens.
+ * @param {number} index - The position.
+ * @returns {{amount: number, currency: string, length: number}|null} The amount, its currency ('' if
+ *   none was given) and the tokens read.
+ */
+function readAmount(tokens, index) {
+    let position = index;
+    let currency = '';
+    const currencyAt = (token) => {
+        if (!token) return '';
+        if (isCurrencyCode(token.text.toUpperCase()) && (token.text === token.text.toUpperCase() || position > index)) return token.text.toUpperCase();
+        return CURRENCY_WORDS[token.lower] || '';
+    };
+    currency = currencyAt(tokens[position]);
+    if (currency) position++;
+    const match = tokens[position] && tokens[position].lower.match(/^(\d[\d,]*(?:\.\d+)?)(k|m|mn|mio|b|bn)?$/);
+    if (!match) return null;
+    let amount = Number(match[1].replace(/,/g, ''));
+    if (isNaN(amount)) return null;
+    if (match[2]) amount *= MULTIPLIERS[match[2]];
+    position++;
+    if (!match[2] && tokens[position] && MULTIPLIERS[tokens[position].lower] && tokens[position].lower.length > 1) {
+        amount *= MULTIPLIERS[tokens[position].lower];
+        position++;
+    }
+    if (!currency) {
+        currency = currencyAt(tokens[position]);
+        if (currency) position++;
+    }
+    return { amount, currency, length: position - index };
+}
+
+/**
+ * Reads a country at a position: a name ('Turkey', 'United States'), an adjective ('Turkish')
+ * or an upper-case ISO code ('TR').
+ * @param {Array<object>} tokens - The tokens.
+ * @param {number} index - The position.
+ * @returns {{code: string, length: number}|null} The ISO 3166 code and the tokens read.
+ */
+function readCountry(tokens, index) {
+    for (let length = 3; length >= 1; length--) {
+        if (index + length > tokens.length) continue;
+        const span = tokens.slice(index, index + length);
+        const lower = span.map(token => token.lower).join(' ');
+        if (COUNTRY_WORDS[lower]) return { code: COUNTRY_WORDS[lower], length };
+        if (length === 1 && /^[A-Z]{2}$/.test(span[0].text)) return { code: span[0].text, length };
+        if (lower.length > 3) {
+            const code = toCountryCode(lower);
+            if (code) return { code, length };
+        }
+    }
+    return null;
+}
+
+/**
+ * The name of a country for a label.
+ * @param {string} code - The ISO 3166 code.
+ * @returns {string} E.g. 'Türkiye (TR)'.
+ */
+function countryLabel(code) {
+    try {
+        return `${new Intl.DisplayNames(['en'], { type: 'region' }).of(code)} (${code})`;
+    } catch (error) {
+        return code; // Not a region code
+    }
+}
+
+/**
+ * Creates a condition.
+ * @param {string} field - The row field.
+ * @param {string} op - 'is' (case-insensitive), 'in', 'country', 'contains', 'anyParty', 'gt', 'gte',
+ *   'lt', 'lte', 'between' (dates, `value` is [from, to] with '' for an open end), 'empty' or 'notEmpty'.
+ * @param {*} value - The value compared with.
+ * @param {string} label - How the condition is shown.
+ * @returns {{field: string, op: string, value: *, label: string}} The condition.
+ */
+function condition(field, op, value, label) {
+    return { field, op, value, label };
+}
+
+/**
+ * Parses a plain-language query into conditions on credit log rows.
+ * Recognized: request types (MSG02/05/07, assessment, cover, change), countries of the partner,
+ * buyer or seller ('from Turkish partners', 'buyers in Germany'), amounts ('over 1M USD', 'between
+ * 100k and 500k EUR'), received dates ('this month', 'last 30 days', 'since March'), the credit
+ * manager ('assigned to trey'), party names ('for Acme', 'buyer Acme'), currencies and statuses
+ * ('overdue', 'open', 'potential hits', 'reminders'). Amounts without a currency or in USD apply to
+ * the USD amount; in another currency, to the requested amount in that currency.
+ * @param {string} text - The query.
+ * @param {object} [options]
+ * @param {string} [options.today] - The day relative dates count from (YYYY-MM-DD); defaults to today.
+ * @param {Array<string>} [options.managers=[]] - Known credit managers, so a query may name one
+ *   without 'assigned to'.
+ * @returns {{conditions: Array<object>, words: Array<string>}} The conditions (see `conditionMatches`;
+ *   all must hold) and the words that were not understood, to be searched for as text.
+ */
+export function parseQuery(text, { today = new Date().toISOString().slice(0, 10), managers = [] } = {}) {
+    const tokens = tokenize(text);
+    const knownManagers = new Map(managers.filter(Boolean).map(manager => [String(manager).toLowerCase(), String(manager)]));
+    const conditions = [];
+    const messageTypes = [];
+    const words = [];
+
+    const addAmount = (op, amount, currency) => {
+        const usd = !currency || currency === 'USD';
+        const formatted = `${amount.toLocaleString('en-US')} ${currency || 'USD'}`;
+        if (!usd) conditions.push(condition('currency', 'is', currency, `Currency is ${currency}`));
+        conditions.push(condition(usd ? 'amountReqUSD' : 'amountReq', op, amount, `${usd ? 'Amount Req (USD)' : 'Amount Req'} ${OPERATOR_LABELS[op]} ${formatted}`));
+    };
+
+    // Each rule tries to read something at a position and returns the number of tokens it read (0 if none).
+    const rules = [
+        // Request types: 'MSG05', 'msg 5', 'cover requests'
+        (index) => {
+            const token = tokens[index];
+            let match = token.lower.match(/^msg-?0?([257])s?$/);
+            let length = 1;
+            if (!match && token.lower === 'msg' && tokens[index + 1]) {
+                match = tokens[index + 1].lower.match(/^0?([257])s?$/);
+                length = 2;
+            }
+            const type = match ? match[1] : MESSAGE_TYPE_WORDS[token.lower];
+            if (!type) return 0;
+            if (!messageTypes.includes(type)) messageTypes.push(type);
+            return match ? length : 1;
+        },
+        // Received dates
+        (index) => {
+            const range = readDateRange(tokens, index, today);
+            if (!range) return 0;
+            const label = range.from && range.to
+                ? (range.from === range.to ? `Received on ${range.from}` : `Received ${range.from} to ${range.to}`)
+                : (range.from ? `Received from ${range.from}` : `Received until ${range.to}`);
+            conditions.push(condition('dateReceived', 'between', [range.from, range.to], label));
+            return range.length;
+        },
+        // Amounts: 'over 1M USD', 'between 100k and 500k'
+        (index) => {
+            if (tokens[index].lower === 'between') {
+                const low = readAmount(tokens, index + 1);
+                if (!low || !tokens[index + 1 + low.length] || tokens[index + 1 + low.length].lower !== 'and') return 0;
+                const high = readAmount(tokens, index + 2 + low.length);
+                if (!high) return 0;
+                const currency = low.currency || high.currency;
+                addAmount('gte', low.amount, currency);
+                addAmount('lte', high.amount, currency);
+                return 2 + low.length + high.length;
+            }
+            const operator = AMOUNT_OPERATORS.find(([phrase]) => matchesPhrase(tokens, index, phrase));
+            if (!operator) return 0;
+            const amount = readAmount(tokens, index + operator[0].length);
+            if (!amount) return 0;
+            addAmount(operator[1], amount.amount, amount.currency);
+            return operator[0].length + amount.length;
+        },
+        // Statuses: 'overdue', 'due soon', 'potential hits', ...
+        (index) => {
+            const status = STATUS_PHRASES.find(([phrase]) => matchesPhrase(tokens, index, phrase));
+            if (!status) return 0;
+            conditions.push(condition(status[1], status[2], status[3], status[4]));
+            return status[0].length;
+        },
+        // Countries, with the party before ('partners in Turkey') or after ('Turkish partners') them
+        (index) => {
+            let role = ROLE_WORDS[tokens[index].lower];
+            let start = index;
+            if (role) {
+                start++;
+                while (tokens[start] && ['in', 'from', 'based', 'located'].includes(tokens[start].lower)) start++;
+                if (start === index + 1) return 0;
+            }
+            const country = readCountry(tokens, start);
+            if (!country) return 0;
+            let end = start + country.length;
+            if (!role) {
+                if (tokens[end] && tokens[end].lower === 'based') end++;
+                role = tokens[end] && ROLE_WORDS[tokens[end].lower];
+                if (role) end++;
+                else role = index > 0 && tokens[index - 1].lower === 'from' ? 'partner' : 'buyer';
+            }
+            conditions.push(condition(COUNTRY_FIELDS[role], 'country', country.code, `${ROLE_LABELS[role]} country is ${countryLabel(country.code)}`));
+            return end - index;
+        },
+        // The credit manager: 'assigned to trey', or a known manager's name
+        (index) => {
+            const phrase = MANAGER_PHRASES.find(words => matchesPhrase(tokens, index, words));
+            const position = phrase ? index + phrase.length : index;
+            const token = tokens[position];
+            if (!token || (!phrase && !knownManagers.has(token.lower))) return 0;
+            const manager = knownManagers.get(token.lower) || token.text;
+            conditions.push(condition('creditManager', 'is', manager, `Credit manager is ${manager}`));
+            return position - index + 1;
+        },
+        // A currency on its own: 'EUR requests', 'in dollars'
+        (index) => {
+            const token = tokens[index];
+            const currency = isCurrencyCode(token.text) ? token.text : CURRENCY_WORDS[token.lower];
+            if (!currency) return 0;
+            conditions.push(condition('currency', 'is', currency, `Currency is ${currency}`));
+            return 1;
+        },
+        // Party names: 'for Acme', 'buyer Acme Ltd'; the name runs up to the next word the grammar knows
+        (index) => {
+            const phrase = PARTY_PHRASES.find(([words]) => matchesPhrase(tokens, index, words));
+            if (!phrase) return 0;
+            let end = index + phrase[0].length;
+            while (end < tokens.length && !FILLER_WORDS.has(tokens[end].lower) && !startsPhrase(end)) end++;
+            const name = tokens.slice(index + phrase[0].length, end).map(token => token.text).join(' ');
+            if (name === '') return 0;
+            const role = phrase[1];
+            conditions.push(role
+                ? condition(NAME_FIELDS[role], 'contains', name, `${ROLE_LABELS[role]} contains "${name}"`)
+                : condition('', 'anyParty', name, `Buyer, seller or partner contains "${name}"`));
+            return end - index;
+        },
+    ];
+    const partyRule = rules[rules.length - 1];
+
+    // Whether a word is read by a rule other than the party rule, so it ends a party name.
+    function startsPhrase(index) {
+        const saved = [conditions.length, messageTypes.length];
+        const read = rules.some(rule => rule !== partyRule && rule(index) > 0);
+        conditions.length = saved[0];
+        messageTypes.length = saved[1];
+        return read || ROLE_WORDS[tokens[index].lower] !== undefined || AMOUNT_OPERATORS.some(([phrase]) => phrase[0] === tokens[index].lower);
+    }
+
+    for (let index = 0; index < tokens.length;) {
+        let read = 0;
+        for (const rule of rules) {
+            read = rule(index);
+            if (read > 0) break;
+        }
+        if (read === 0) {
+            // A party word without a name or country ('partner requests') filters nothing.
+            if (!FILLER_WORDS.has(tokens[index].lower) && !ROLE_WORDS[tokens[index].lower]) words.push(tokens[index].text);
+            read = 1;
+        }
+        index += read;
+    }
+
+    if (messageTypes.length > 0) {
+        const labels = messageTypes.map(type => `MSG0${type}`).join(' or ');
+        conditions.unshift(condition('messageType', 'in', messageTypes, `Message type is ${labels}`));
+    }
+    // 'between 100k and 500k EUR' asks for the currency twice.
+    const unique = conditions.filter((item, index) => conditions.findIndex(other => other.label === item.label) === index);
+    return { conditions: unique, words };
+}
+
+/**
+ * Whether a row meets a condition from `parseQuery`.
+ * @param {object} row - A credit log row.
+ * @param {{field: string, op: string, value: *}} condition - The condition.
+ * @returns {boolean} True if it does. Comparisons with an empty or non-numeric value fail.
+ */
+export function conditionMatches(row, { field, op, value }) {
+    const cell = row[field];
+    const text = cell === null || cell === undefined ? '' : String(cell);
+    switch (op) {
+        case 'is':
+            return text.toLowerCase() === String(value).toLowerCase();
+        case 'in':
+            return value.includes(text);
+        case 'country':
+            return toCountryCode(text) === value;
+        case 'contains':
+            return text.toLowerCase().includes(String(value).toLowerCase());
+        case 'anyParty':
+            return ['buyerName', 'sellerName', 'partnerName'].some(key => String(row[key] ?? '').toLowerCase().includes(String(value).toLowerCase()));
+        case 'gt':
+        case 'gte':
+        case 'lt':
+        case 'lte': {
+            if (typeof cell !== 'number' && text.trim() === '') return false;
+            const number = Number(cell);
+            if (isNaN(number)) return false;
+            return { gt: number > value, gte: number >= value, lt: number < value, lte: number <= value }[op];
+        }
+        case 'between': {
+            const day = text.slice(0, 10);
+            return day !== '' && (!value[0] || day >= value[0]) && (!value[1] || day <= value[1]);
+        }
+        case 'empty':
+            return text === '';
+        case 'notEmpty':
+            return text !== '';
+        default:
+            return true;
+    }
+}
@@ -0,0 +1,193 @@
+//requestThreads.js
+
+// JavaScript source code
+
+// Request lifecycle threads: every message about one relationship (a seller of an export
+// factor and one of its buyers) in a single timeline. The seller's MSG01s (onboarding and later
+// updates), the preliminary assessments (MSG02), the cover requests (MSG05) and later changes
+// (MSG07), and the answers to each (MSG03/06/08, joined to their request by RequestNr). Each
+// thread has a state from its latest request, and the credit log can show one row per thread.
+// Works on rows from `generateCombinedDisplayData` (creditLog.js).
+
+import { buyerKey } from './buyerExposure.js';
+
+/**
+ * The answer type of each request type.
+ */
+const ANSWER_TYPES = { 2: 'MSG03', 5: 'MSG06', 7: 'MSG08' };
+
+/**
+ * What each request asks for, for the timeline.
+ */
+const REQUEST_LABELS = { 2: 'Preliminary assessment requested', 5: 'Credit cover requested', 7: 'Cover change requested' };
+
+/**
+ * What an approving answer means for each request type.
+ */
+const APPROVED_LABELS = { 2: 'Assessed', 5: 'Cover approved', 7: 'Cover changed' };
+
+/**
+ * The key of the seller of a row, as used to join its MSG01 (see `generateCombinedDisplayData`).
+ * @param {object} row - A credit log row.
+ * @returns {string} The key: the export factor's sender code and the SellerNr.
+ */
+function sellerKey(row) {
+    const fields = row.fields || {};
+    return `${fields['MsgInfo.SenderCode'] || row.clientCode || ''}_${fields['Seller.SellerNr'] || ''}`;
+}
+
+/**
+ * The thread a row belongs to: its seller and its buyer (see `buyerKey` in buyerExposure.js).
+ * @param {object} row - A credit log row.
+ * @returns {string} The thread key.
+ */
+export function threadKey(row) {
+    return `${sellerKey(row)}|${buyerKey(row)}`;
+}
+
+/**
+ * Formats an amount with its currency.
+ * @param {*} amount - The amount.
+ * @param {string} currency - The currency code.
+ * @returns {string} E.g. '500,000 EUR', or '' without an amount.
+ */
+function formatAmount(amount, currency) {
+    if (amount === '' || amount === null || amount === undefined || isNaN(Number(amount))) return '';
+    return `${Number(amount).toLocaleString('en-US')} ${currency || ''}`.trim();
+}
+
+/**
+ * Whether a row's answer approved anything.
+ * @param {object} row - A credit log row with an answer.
+ * @returns {boolean} True if the approved amount is above zero.
+ */
+function isApproved(row) {
+    return row.amtApproved !== '' && row.amtApproved !== null && Number(row.amtApproved) > 0;
+}
+
+/**
+ * Describes the state of a thread from its latest request.
+ * @param {object} row - The thread's latest request row.
+ * @returns {string} E.g. 'Awaiting MSG06', 'Cover approved: 500,000 EUR', 'Cover cancelled' or 'Declined (MSG06)'.
+ */
+function describeState(row) {
+    const answerType = ANSWER_TYPES[row.messageType];
+    if (!row.responseDate) return `Awaiting ${answerType}`;
+    if (row.cancellation === 'Yes') return 'Cover cancelled';
+    if (!isApproved(row)) return `Declined (${answerType})`;
+    return `${APPROVED_LABELS[row.messageType]}: ${formatAmount(row.amtApproved, row.currency)}`;
+}
+
+/**
+ * Builds the timeline events of a request row: the request and, if answered, its answer.
+ * @param {object} row - A credit log row.
+ * @returns {Array<{date: string, type: string, label: string, rowKey: string, requestNr: string}>} The events.
+ */
+function requestEvents(row) {
+    const fields = row.fields || {};
+    const requestNr = String(fields.RequestNr ?? '');
+    const type = `MSG0${row.messageType}`;
+    let label = row.cancellation === 'Yes' && row.messageType === '7'
+        ? 'Cover cancellation requested'
+        : `${REQUEST_LABELS[row.messageType]}: ${formatAmount(row.amountReq, row.currency)}`;
+    const current = fields['CurrentCreditCoverDetails.CurrentCreditCoverAmt'];
+    if (row.messageType === '7' && typeof current === 'number') label += ` (cover in force ${formatAmount(current, row.currency)})`;
+    if (row.reminder === 'Yes') label += ' (reminder)';
+    const events = [{ date: fields['MsgInfo.DateTime'] || row.dateReceived, type, label, rowKey: row.rowKey, requestNr }];
+
+    if (row.responseDate) {
+        const answerType = ANSWER_TYPES[row.messageType];
+        const answer = isApproved(row)
+            ? `${APPROVED_LABELS[row.messageType]}: ${formatAmount(row.amtApproved, row.currency)}`
+            : 'Declined';
+        events.push({ date: fields['Response.MsgInfo.DateTime'] || row.responseDate, type: answerType, label: answer, rowKey: '', requestNr });
+    }
+    return events;
+}
+
+/**
+ * Groups credit log rows into threads, with the MSG01s of their sellers.
+ * @param {Array<object>} rows - Credit log rows.
+ * @param {Array<object>} [msg01History=[]] - Every MSG01 received (see `createMessageCollections`
+ *   in creditLog.js), for the onboarding and seller updates in the timeline.
+ * @returns {Array<object>} The threads, most recent activity first: `{key, sellerName, sellerNr,
+ *   buyerName, buyerNr, partnerName, rows, latestRow, state, events}`. `rows` are in the order
+ *   received; `events` are `{date, type, label, rowKey, requestNr}` in date order, where `rowKey`
+ *   is set on request events.
+ */
+export function buildThreads(rows, msg01History = []) {
+    const msg01sBySeller = new Map();
+    msg01History.forEach(msg01 => {
+        const key = `${msg01.msgInfo.SenderCode}_${msg01.seller.SellerNr}`;
+        if (!msg01sBySeller.has(key)) msg01sBySeller.set(key, []);
+        msg01sBySeller.get(key).push(msg01);
+    });
+
+    const threads = new Map();
+    rows.forEach(row => {
+        const key = threadKey(row);
+        if (!threads.has(key)) threads.set(key, { key, seller: sellerKey(row), rows: [] });
+        threads.get(key).rows.push(row);
+    });
+
+    const received = (row) => String((row.fields && row.fields['MsgInfo.DateTime']) || row.dateReceived || '');
+    return [...threads.values()].map(({ key, seller, rows: threadRows }) => {
+        threadRows.sort((a, b) => received(a).localeCompare(received(b)));
+        const latestRow = threadRows[threadRows.length - 1];
+        const fields = latestRow.fields || {};
+
+        const msg01Events = (msg01sBySeller.get(seller) || [])
+            .map(msg01 => ({ date: msg01.msgInfo.DateTime || '', msg01 }))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(({ date, msg01 }, index) => ({
+                date,
+                type: 'MSG01',
+                label: `${index === 0 ? 'Seller onboarded' : 'Seller details updated'}: ${msg01.seller.SellerName || msg01.seller.SellerNr}`,
+                rowKey: '',
+                requestNr: '',
+            }));
+        // Rows that share a RequestNr (e.g. a request and its reminder) share an answer: list it once.
+        const seenAnswers = new Set();
+        const events = [...msg01Events, ...threadRows.flatMap(requestEvents).filter(event => {
+            if (event.rowKey) return true;
+            const answerKey = `${event.type}|${event.requestNr}|${event.date}`;
+            if (seenAnswers.has(answerKey)) return false;
+            seenAnswers.add(answerKey);
+            return true;
+        })].sort((a, b) => String(a.date).localeCompare(String(b.date)) || (a.type === 'MSG01' ? -1 : 0) - (b.type === 'MSG01' ? -1 : 0));
+
+        return {
+            key,
+            sellerName: threadRows.map(row => row.sellerName).filter(Boolean).pop() || fields['Seller.SellerNr'] || '',
+            sellerNr: fields['Seller.SellerNr'] || '',
+            buyerName: latestRow.buyerName || '',
+            buyerNr: fields['Buyer.BuyerNr'] || '',
+            partnerName: [latestRow.partnerName, latestRow.clientCode].filter(Boolean).join(' - '),
+            rows: threadRows,
+            latestRow,
+            state: describeState(latestRow),
+            events,
+        };
+    }).sort((a, b) => String(b.events[b.events.length - 1].date).localeCompare(String(a.events[a.events.length - 1].date)));
+}
+
+/**
+ * Sets the thread columns of the rows: the thread's state and number of requests, and whether
+ * the row is the thread's latest request (the row kept when the log shows one row per thread).
+ * @param {Array<object>} rows - Credit log rows; updated in place.
+ * @param {Array<object>} threads - The threads from `buildThreads`.
+ * @returns {Array<object>} The same rows.
+ */
+export function applyThreads(rows, threads) {
+    threads.forEach(thread => {
+        thread.rows.forEach(row => {
+            row.threadKey = thread.key;
+            row.threadState = thread.state;
+            row.threadSize = thread.rows.length;
+            row.threadLatest = row === thread.latestRow;
+            row.notes = row.notes || {};
+            row.notes.threadState = `${thread.rows.length} request(s) from ${thread.sellerName} on ${thread.buyerName}`;
+        });
+    });
+    return rows;
+}
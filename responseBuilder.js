@@ -0,0 +1,172 @@
+//responseBuilder.js
+
+// JavaScript source code
+
+// Builds the import factor's response to a request: MSG03 for a MSG02, MSG06 for a MSG05 and
+// MSG08 for a MSG07. MsgInfo, EF/IF, seller, buyer and RequestNr are copied from the request,
+// with sender and receiver swapped; the decision fills the answer section. The result is
+// checked with the same schema rules used for parsing (see msgSchemas.js) and by reading the
+// generated XML back, so a file that downloads is one this tool would accept itself.
+// The form that collects the decision is responseForm.js.
+
+import { MESSAGE_CLASSES } from './msgClasses.js';
+import { MSG_SCHEMAS, schemaFieldPaths, schemaFieldValues, validateMessage, serializeMessage } from './msgSchemas.js';
+import { ROW_SOURCE_FIELDS } from './creditLog.js';
+
+/**
+ * The response type of each request type.
+ */
+export const RESPONSE_TYPES = { MSG02: 'MSG03', MSG05: 'MSG06', MSG07: 'MSG08' };
+
+/**
+ * The answer section of each response type and its approved-amount field.
+ */
+export const ANSWER_SECTIONS = {
+    MSG03: { group: 'PrelCreditAssessAnswer', amountField: 'AmtCreditAssessAppr' },
+    MSG06: { group: 'CreditCoverAnswer', amountField: 'CreditCoverAmtAppr' },
+    MSG08: { group: 'CreditCoverChangeAnswer', amountField: 'NewCreditCoverAmtAppr' },
+};
+
+/**
+ * Reads a field of a message by dotted path.
+ * @param {Message} message - The message.
+ * @param {string} path - E.g. 'Buyer.BuyerNr'.
+ * @returns {*} The value, or null.
+ */
+function readPath(message, path) {
+    return path.split('.').reduce((object, name) => (object ? object[name] ?? null : null), message.payload);
+}
+
+/**
+ * Lists the fields of a response type's answer section, for the decision form.
+ * @param {string} responseType - 'MSG03', 'MSG06' or 'MSG08'.
+ * @returns {Array<{name: string, type: string}>} The fields, in schema order.
+ */
+export function answerFields(responseType) {
+    const { group } = ANSWER_SECTIONS[responseType];
+    return schemaFieldPaths(MSG_SCHEMAS[responseType])
+        .filter(({ path }) => path.startsWith(`${group}.`))
+        .map(({ path, type }) => ({ name: path.slice(group.length + 1), type }));
+}
+
+/**
+ * The decision a form starts with: the requested amount and currency approved as asked.
+ * @param {Message} request - A MSG02, MSG05 or MSG07.
+ * @param {string} [today] - Today's date (YYYY-MM-DD).
+ * @returns {object} Answer field values keyed by field name, plus `ResponseDate` and `MsgFunction`.
+ */
+export function defaultDecision(request, today = new Date().toISOString().slice(0, 10)) {
+    const responseType = RESPONSE_TYPES[request.type];
+    const { amountField } = ANSWER_SECTIONS[responseType];
+    const requested = (key) => readPath(request, ROW_SOURCE_FIELDS[key][request.type][0]);
+    const answer = { [amountField]: requested('amountReq'), Currency: requested('currency') };
+    if (answerFields(responseType).some(field => field.name === 'ValidFrom')) answer.ValidFrom = today;
+    return { answer, ResponseDate: today, MsgFunction: request.payload.MsgFunction ?? null };
+}
+
+/**
+ * Builds the data object of a response.
+ * @param {Message} request - A MSG02, MSG05 or MSG07.
+ * @param {object} decision
+ * @param {object} decision.answer - Answer section values keyed by field name (see `answerFields`);
+ *   numbers may be given as text.
+ * @param {number|string} decision.sequenceNr - The response's SequenceNr in the sender's numbering.
+ * @param {string} [decision.createdBy] - Who created the response.
+ * @param {string} [decision.ResponseDate] - YYYY-MM-DD; defaults to today.
+ * @param {number|string} [decision.MsgFunction] - The message function code.
+ * @param {string} [decision.conditions] - Conditions of the decision; written to MsgText.
+ * @param {string} [decision.text] - Free text; written to MsgText after the conditions.
+ * @param {string} [decision.dateTime] - The MsgInfo DateTime; defaults to now.
+ * @returns {object} The response data, shaped like its schema.
+ */
+export function buildResponseData(request, decision) {
+    const responseType = RESPONSE_TYPES[request.type];
+    const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(String(value).replace(/,/g, '')));
+    const toText = (value) => (value === '' || value === undefined ? null : value);
+    const { MsgInfo, EF, IF, RequestNr, Seller, Buyer } = request.payload;
+
+    const answer = {};
+    answerFields(responseType).forEach(({ name, type }) => {
+        const value = (decision.answer || {})[name];
+        answer[name] = type === 'number' ? toNumber(value) : toText(value ?? null);
+    });
+    const messageText = [decision.conditions ? `Conditions: ${decision.conditions.trim()}` : '', (decision.text || '').trim()]
+        .filter(Boolean)
+        .join('\n');
+
+    return {
+        // The response goes back the other way: the request's receiver sends it.
+        MsgInfo: {
+            SenderCode: MsgInfo.ReceiverCode || (IF && IF.FactorCode) || null,
+            ReceiverCode: MsgInfo.SenderCode,
+            CreatedBy: toText(decision.createdBy ?? null),
+            SequenceNr: toNumber(decision.sequenceNr),
+            DateTime: decision.dateTime || new Date().toISOString().slice(0, 19),
+            Status: null,
+        },
+        EF: { FactorCode: EF ? EF.FactorCode : null, FactorName: EF ? EF.FactorName : null },
+        IF: { FactorCode: IF ? IF.FactorCode : null, FactorName: IF ? IF.FactorName : null },
+        ResponseDate: decision.ResponseDate || new Date().toISOString().slice(0, 10),
+        RequestNr: RequestNr ?? null,
+        MsgFunction: toNumber(decision.MsgFunction),
+        Seller: { SellerNr: Seller.SellerNr, SellerName: Seller.SellerName ?? null },
+        Buyer: { BuyerNr: Buyer ? Buyer.BuyerNr ?? null : null, BuyerName: Buyer ? Buyer.BuyerName ?? null : null },
+        [ANSWER_SECTIONS[responseType].group]: answer,
+        MsgText: messageText || null,
+    };
+}
+
+/**
+ * Builds a response message and its XML, and checks both.
+ * Besides the schema rules, every number entered must be numeric, and the response must carry a
+ * SequenceNr, an approved amount and a currency, and an expiry date may not be before the validity date. The XML is then read back
+ * with the response's message class.
+ * @param {Message} request - A MSG02, MSG05 or MSG07.
+ * @param {object} decision - See `buildResponseData`.
+ * @returns {{message: Message|null, xml: string|null, errors: Array<string>, warnings: Array<string>}}
+ *   The response and its XML document, or null with the problems in `errors`. `warnings` notes
+ *   unusual but valid decisions, e.g. more than was requested.
+ */
+export function createResponse(request, decision) {
+    const responseType = RESPONSE_TYPES[request.type];
+    if (!responseType) return { message: null, xml: null, errors: [`${request.type} is not a request; only MSG02, MSG05 and MSG07 are answered.`], warnings: [] };
+
+    const data = buildResponseData(request, decision);
+    const { group, amountField } = ANSWER_SECTIONS[responseType];
+    const answer = data[group];
+    const errors = validateMessage(MSG_SCHEMAS[responseType], data).map(error => error.message);
+    const values = schemaFieldValues(MSG_SCHEMAS[responseType], data);
+    schemaFieldPaths(MSG_SCHEMAS[responseType]).forEach(({ path, type }) => {
+        if (type === 'number' && Number.isNaN(values[path])) errors.push(`${path} is not a number.`);
+    });
+    const warnings = [];
+    if (data.MsgInfo.SequenceNr === null) errors.push('Enter the SequenceNr of the response.');
+    if (answer[amountField] === null) errors.push(`Enter the approved amount (${amountField}); use 0 to decline.`);
+    else if (answer[amountField] < 0) errors.push('The approved amount cannot be negative.');
+    if (!answer.Currency) errors.push('Enter the currency of the approved amount.');
+    if (answer.ValidFrom && answer.ExpiryDate && answer.ExpiryDate < answer.ValidFrom) errors.push('The expiry date is before the validity date.');
+    if (errors.length > 0) return { message: null, xml: null, errors, warnings };
+
+    const requestedAmount = readPath(request, ROW_SOURCE_FIELDS.amountReq[request.type][0]);
+    if (requestedAmount !== null && answer[amountField] > requestedAmount) {
+        warnings.push(`The approved amount is more than the ${requestedAmount} requested.`);
+    }
+    if (answer.ExpiryDate && answer.ExpiryDate < data.ResponseDate) warnings.push('The expiry date is before the response date.');
+
+    const xml = `<?xml version="1.0" encoding="UTF-8"?>\n${serializeMessage(MSG_SCHEMAS[responseType], data)}\n`;
+    try {
+        return { message: MESSAGE_CLASSES[responseType].fromXMLString(xml), xml, errors, warnings };
+    } catch (error) {
+        return { message: null, xml: null, errors: [`The generated XML does not read back: ${error.message}`], warnings };
+    }
+}
+
+/**
+ * Suggests a file name for a response.
+ * @param {Message} response - The response message.
+ * @returns {string} E.g. 'MSG06_US200_8_R1.xml'.
+ */
+export function responseFileName(response) {
+    const { MsgInfo, RequestNr } = response.payload;
+    return `${[response.type, MsgInfo.SenderCode, MsgInfo.SequenceNr, RequestNr].filter(part => part !== null && part !== undefined && part !== '').join('_').replace(/[^\w.-]+/g, '_')}.xml`;
+}
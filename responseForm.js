@@ -0,0 +1,128 @@
+//responseForm.js
+
+// JavaScript source code
+
+// The decision form of the row drill-down: enter the credit decision for a request and
+// download the response message (MSG03/06/08) as XML. The response itself is built and
+// checked by responseBuilder.js; this module only deals with the form.
+
+import { RESPONSE_TYPES, answerFields, defaultDecision, createResponse, responseFileName } from './responseBuilder.js';
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `type`, `value`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Builds a labelled input.
+ * @param {string} label - The label text.
+ * @param {HTMLElement} input - The input.
+ * @returns {HTMLLabelElement} The label wrapping the input.
+ */
+function labelled(label, input) {
+    return createElement('label', {}, [document.createTextNode(`${label}: `), input]);
+}
+
+/**
+ * Builds the input for a field of a given schema type.
+ * @param {string} type - 'text', 'number', 'date' or 'datetime'.
+ * @param {*} value - The initial value.
+ * @returns {HTMLInputElement} The input.
+ */
+function createTypedInput(type, value) {
+    const input = createElement('input', { type: type === 'date' ? 'date' : 'text', value: value ?? '' });
+    if (type === 'number') {
+        input.inputMode = 'decimal';
+        input.size = 12;
+    }
+    return input;
+}
+
+/**
+ * Renders the response form for a request into a container, replacing its content.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {Message} request - A MSG02, MSG05 or MSG07.
+ * @param {object} [defaults={}]
+ * @param {number} [defaults.sequenceNr] - The suggested SequenceNr of the response.
+ * @param {string} [defaults.createdBy] - The suggested CreatedBy.
+ */
+export function renderResponseForm(container, request, { sequenceNr, createdBy } = {}) {
+    container.innerHTML = '';
+    const responseType = RESPONSE_TYPES[request.type];
+    if (!responseType) return;
+
+    const initial = defaultDecision(request);
+    const sequenceInput = createTypedInput('number', sequenceNr);
+    const createdByInput = createTypedInput('text', createdBy);
+    const responseDateInput = createTypedInput('date', initial.ResponseDate);
+    const functionInput = createTypedInput('number', initial.MsgFunction);
+    const answerInputs = new Map(answerFields(responseType).map(({ name, type }) => [name, createTypedInput(type, initial.answer[name])]));
+    const conditionsInput = createElement('textarea', { rows: 2, cols: 60 });
+    const textInput = createElement('textarea', { rows: 3, cols: 60 });
+    const message = createElement('div', { className: 'response-form-message' });
+    const preview = createElement('pre', { hidden: true });
+
+    const collectDecision = () => ({
+        sequenceNr: sequenceInput.value.trim(),
+        createdBy: createdByInput.value.trim(),
+        ResponseDate: responseDateInput.value,
+        MsgFunction: functionInput.value.trim(),
+        answer: Object.fromEntries([...answerInputs].map(([name, input]) => [name, input.value.trim()])),
+        conditions: conditionsInput.value,
+        text: textInput.value,
+    });
+
+    // Builds the response and shows its problems or its XML; returns it when it can be downloaded.
+    const check = () => {
+        const result = createResponse(request, collectDecision());
+        message.textContent = [...result.errors, ...result.warnings.map(warning => `Note: ${warning}`)].join(' ')
+            || `The ${responseType} is valid.`;
+        message.classList.toggle('response-form-error', result.errors.length > 0);
+        preview.hidden = !result.xml;
+        preview.textContent = result.xml || '';
+        return result.message ? result : null;
+    };
+
+    const checkButton = createElement('button', { type: 'button', textContent: 'Check' });
+    checkButton.addEventListener('click', check);
+    const downloadButton = createElement('button', { type: 'button', textContent: `Download ${responseType} XML` });
+    downloadButton.addEventListener('click', () => {
+        const result = check();
+        if (!result) return;
+        const link = createElement('a', {
+            href: URL.createObjectURL(new Blob([result.xml], { type: 'application/xml' })),
+            download: responseFileName(result.message),
+        });
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+
+    container.append(
+        createElement('h3', { textContent: `Respond (${responseType})` }),
+        createElement('div', {
+            className: 'row-detail-legend',
+            textContent: 'MsgInfo, EF/IF, seller, buyer and RequestNr are copied from the request, with sender and receiver swapped. Conditions and free text go into MsgText.',
+        }),
+        createElement('div', { className: 'response-form' }, [
+            labelled('SequenceNr', sequenceInput),
+            labelled('Created By', createdByInput),
+            labelled('Response Date', responseDateInput),
+            labelled('MsgFunction', functionInput),
+        ]),
+        createElement('div', { className: 'response-form' }, [...answerInputs].map(([name, input]) => labelled(name, input))),
+        createElement('div', { className: 'response-form' }, [labelled('Conditions', conditionsInput)]),
+        createElement('div', { className: 'response-form' }, [labelled('Free Text', textInput)]),
+        createElement('div', { className: 'response-form' }, [checkButton, downloadButton]),
+        message,
+        preview,
+    );
+}
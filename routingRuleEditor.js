@@ -0,0 +1,179 @@
+//routingRuleEditor.js
+
+// JavaScript source code
+
+// In-page editor for the credit-manager routing rules (see routingRules.js).
+// Each rule is one row of a table; list conditions are edited as comma-separated text.
+// Saving validates the rules and hands them to the page, which stores them and
+// re-routes the current table.
+
+import { DEFAULT_ROUTING_RULES, RULE_CONDITIONS, validateRuleSet, parseRuleSet, stringifyRuleSet } from './routingRules.js';
+
+// The editable rule fields, in column order.
+const RULE_FIELDS = [
+    { key: 'enabled', header: 'On', kind: 'checkbox' },
+    { key: 'id', header: 'Id', kind: 'text' },
+    { key: 'name', header: 'Name', kind: 'text' },
+    { key: 'manager', header: 'Manager', kind: 'text' },
+    { key: 'minAmountUSD', header: 'Over (USD)', kind: 'number', condition: true },
+    { key: 'maxAmountUSD', header: 'Up to (USD)', kind: 'number', condition: true },
+    { key: 'countryCodes', header: 'Countries', kind: 'list', condition: true },
+    { key: 'factorCodes', header: 'Factor Codes', kind: 'list', condition: true },
+    { key: 'factorNamePatterns', header: 'Factor Name Contains', kind: 'list', condition: true },
+    { key: 'messageTypes', header: 'Message Types', kind: 'list', condition: true },
+];
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `type`, `value`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Builds the input for one field of a rule.
+ * @param {object} field - An entry of `RULE_FIELDS`.
+ * @param {object} rule - The rule.
+ * @returns {HTMLInputElement} The input, with `dataset.field` set to the field key.
+ */
+function createFieldInput(field, rule) {
+    const value = field.condition ? (rule.when || {})[field.key] : rule[field.key];
+    const input = createElement('input', { type: field.kind === 'list' ? 'text' : field.kind });
+    input.dataset.field = field.key;
+    if (field.kind === 'checkbox') {
+        input.checked = value !== false;
+    } else if (field.kind === 'list') {
+        input.value = (value || []).join(', ');
+    } else {
+        input.value = value ?? '';
+    }
+    return input;
+}
+
+/**
+ * Reads a rule back from its table row.
+ * Empty conditions are left out of `when`.
+ * @param {HTMLTableRowElement} tableRow - The row built by `createRuleRow`.
+ * @returns {object} The rule.
+ */
+function readRuleRow(tableRow) {
+    const rule = { id: '', name: '', manager: '', enabled: true, when: {} };
+    tableRow.querySelectorAll('input[data-field]').forEach(input => {
+        const field = RULE_FIELDS.find(candidate => candidate.key === input.dataset.field);
+        if (field.kind === 'checkbox') {
+            rule.enabled = input.checked;
+        } else if (!field.condition) {
+            rule[field.key] = input.value.trim();
+        } else if (RULE_CONDITIONS[field.key] === 'number') {
+            if (input.value.trim() !== '') rule.when[field.key] = Number(input.value);
+        } else {
+            const items = input.value.split(',').map(item => item.trim()).filter(item => item !== '');
+            if (items.length > 0) rule.when[field.key] = items;
+        }
+    });
+    return rule;
+}
+
+/**
+ * Renders the rule editor into a container.
+ * @param {HTMLElement} container - The element to render into; its content is replaced.
+ * @param {object} ruleSet - The rule set to edit.
+ * @param {function(object): void} onSave - Called with the new rule set when valid rules are saved or imported.
+ */
+export function renderRuleEditor(container, ruleSet, onSave) {
+    container.innerHTML = '';
+
+    const tbody = createElement('tbody');
+    const message = createElement('div', { className: 'rule-editor-message' });
+    const defaultManagerInput = createElement('input', { type: 'text', value: ruleSet.defaultManager });
+
+    // One table row per rule, with buttons to move or remove it.
+    const createRuleRow = (rule) => {
+        const tableRow = createElement('tr');
+        RULE_FIELDS.forEach(field => {
+            tableRow.appendChild(createElement('td', {}, [createFieldInput(field, rule)]));
+        });
+        const moveUp = createElement('button', { type: 'button', textContent: '↑', title: 'Move up' });
+        const moveDown = createElement('button', { type: 'button', textContent: '↓', title: 'Move down' });
+        const remove = createElement('button', { type: 'button', textContent: '✕', title: 'Remove rule' });
+        moveUp.addEventListener('click', () => tableRow.previousElementSibling && tbody.insertBefore(tableRow, tableRow.previousElementSibling));
+        moveDown.addEventListener('click', () => tableRow.nextElementSibling && tbody.insertBefore(tableRow.nextElementSibling, tableRow));
+        remove.addEventListener('click', () => tableRow.remove());
+        tableRow.appendChild(createElement('td', {}, [moveUp, moveDown, remove]));
+        return tableRow;
+    };
+
+    const collectRuleSet = () => ({
+        version: ruleSet.version,
+        defaultManager: defaultManagerInput.value.trim(),
+        rules: Array.from(tbody.rows).map(readRuleRow),
+    });
+
+    // Saves the rule set if it is valid, otherwise lists the problems.
+    const trySave = (newRuleSet, successText) => {
+        const errors = validateRuleSet(newRuleSet);
+        if (errors.length > 0) {
+            message.textContent = errors.join(' ');
+            return;
+        }
+        onSave(newRuleSet);
+        renderRuleEditor(container, newRuleSet, onSave);
+        container.querySelector('.rule-editor-message').textContent = successText;
+    };
+
+    ruleSet.rules.forEach(rule => tbody.appendChild(createRuleRow(rule)));
+    const headerRow = createElement('tr', {}, [...RULE_FIELDS.map(field => createElement('th', { textContent: field.header })), createElement('th')]);
+    const table = createElement('table', {}, [createElement('thead', {}, [headerRow]), tbody]);
+
+    const addButton = createElement('button', { type: 'button', textContent: 'Add Rule' });
+    addButton.addEventListener('click', () => {
+        tbody.appendChild(createRuleRow({ id: `rule-${tbody.rows.length + 1}`, name: '', manager: '', when: {} }));
+    });
+
+    const saveButton = createElement('button', { type: 'button', textContent: 'Save Rules' });
+    saveButton.addEventListener('click', () => trySave(collectRuleSet(), 'Rules saved.'));
+
+    const exportButton = createElement('button', { type: 'button', textContent: 'Export JSON' });
+    exportButton.addEventListener('click', () => {
+        const link = createElement('a', {
+            href: URL.createObjectURL(new Blob([stringifyRuleSet(collectRuleSet())], { type: 'application/json' })),
+            download: 'routing-rules.json',
+        });
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    });
+
+    const importInput = createElement('input', { type: 'file', accept: '.json' });
+    importInput.addEventListener('change', async () => {
+        const file = importInput.files[0];
+        if (!file) return;
+        try {
+            trySave(parseRuleSet(await file.text()), `Imported ${file.name}.`);
+        } catch (error) {
+            message.textContent = error.message;
+        }
+    });
+
+    const resetButton = createElement('button', { type: 'button', textContent: 'Reset to Defaults' });
+    resetButton.addEventListener('click', () => trySave(structuredClone(DEFAULT_ROUTING_RULES), 'Default rules restored.'));
+
+    container.appendChild(createElement('p', {
+        className: 'rule-editor-help',
+        textContent: 'Rules are checked from top to bottom; the first enabled rule whose filled-in conditions all hold assigns the manager. '
+            + 'Lists are comma-separated. A name pattern written as /.../ is a regular expression.',
+    }));
+    container.appendChild(table);
+    container.appendChild(createElement('div', {}, [
+        createElement('label', { textContent: 'Default manager: ' }), defaultManagerInput,
+        addButton, saveButton, exportButton, resetButton,
+        createElement('label', { textContent: ' Import JSON: ' }), importInput,
+    ]));
+    container.appendChild(message);
+}
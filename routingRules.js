@@ -0,0 +1,270 @@
+//routingRules.js
+
+// JavaScript source code
+
+// Credit-manager routing rules.
+// Which credit manager handles a request used to be hardcoded in getCreditManager. It is now
+// decided by a rule set that can be edited on the page, exported and imported as JSON:
+//
+// {
+//   "version": 1,
+//   "defaultManager": "bost",
+//   "rules": [
+//     { "id": "small-lines", "name": "Up to 500,000 USD", "manager": "lux",
+//       "when": { "maxAmountUSD": 500000 } },
+//     ...
+//   ]
+// }
+//
+// Rules are checked in order and the first enabled rule whose conditions all hold assigns
+// the manager. Conditions left out (or empty) always hold. Available conditions:
+//   minAmountUSD       - the USD amount is greater than this
+//   maxAmountUSD       - the USD amount is at most this
+//   countryCodes       - the export factor's country (first two letters of its FactorCode)
+//   factorCodes        - the export factor's FactorCode
+//   factorNamePatterns - the export factor's name contains one of these texts (case-insensitive),
+//                        or matches one written as a regular expression, e.g. "/^Mitsu/i"
+//   messageTypes       - the request type: 'MSG02', 'MSG05' or 'MSG07'
+// If no rule matches, the request goes to `defaultManager`, unless it has no USD amount,
+// in which case the manager is 'N/A'.
+
+export const RULE_SET_VERSION = 1;
+
+// Key of the rule set saved in browser storage.
+const STORAGE_KEY = 'creditLog.routingRules';
+
+// The conditions a rule may use, and whether each holds a number or a list of texts.
+export const RULE_CONDITIONS = {
+    minAmountUSD: 'number',
+    maxAmountUSD: 'number',
+    countryCodes: 'list',
+    factorCodes: 'list',
+    factorNamePatterns: 'list',
+    messageTypes: 'list',
+};
+
+/**
+ * The rules that getCreditManager used to hardcode.
+ */
+export const DEFAULT_ROUTING_RULES = {
+    version: RULE_SET_VERSION,
+    defaultManager: 'bost',
+    rules: [
+        {
+            id: 'small-lines',
+            name: 'Credit lines up to 500,000 USD',
+            manager: 'lux',
+            when: { maxAmountUSD: 500000 },
+        },
+        {
+            id: 'trey-countries',
+            name: 'Large lines from trey countries',
+            manager: 'trey',
+            when: { minAmountUSD: 500000, countryCodes: ['AM', 'EG', 'GR', 'IN', 'MT', 'RO', 'TW', 'TR', 'VN'] },
+        },
+        {
+            id: 'trey-sg-mogli',
+            name: 'Large lines from Mogli (Singapore)',
+            manager: 'trey',
+            when: { minAmountUSD: 500000, countryCodes: ['SG'], factorNamePatterns: ['Mogli'] },
+        },
+        {
+            id: 'trey-jp-banks',
+            name: 'Large lines from Mitsubishi or Sumitomo Mitsui (Japan)',
+            manager: 'trey',
+            when: { minAmountUSD: 500000, countryCodes: ['JP'], factorNamePatterns: ['Mitsubishi', 'Sumitomo Mitsui'] },
+        },
+        {
+            id: 'trey-us-scb',
+            name: 'Large lines from Standard Chartered Bank New York',
+            manager: 'trey',
+            when: { minAmountUSD: 500000, countryCodes: ['US'], factorNamePatterns: ['Standard Chartered Bank New York'] },
+        },
+    ],
+};
+
+/**
+ * Checks a rule set and lists everything wrong with it.
+ * @param {object} ruleSet - The rule set to check.
+ * @returns {Array<string>} The problems found; empty if the rule set is valid.
+ */
+export function validateRuleSet(ruleSet) {
+    const errors = [];
+    if (!ruleSet || typeof ruleSet !== 'object' || Array.isArray(ruleSet)) {
+        return ['The rule set must be a JSON object.'];
+    }
+    if (ruleSet.version !== undefined && ruleSet.version !== RULE_SET_VERSION) {
+        errors.push(`Unsupported rule set version ${ruleSet.version} (expected ${RULE_SET_VERSION}).`);
+    }
+    if (typeof ruleSet.defaultManager !== 'string' || ruleSet.defaultManager.trim() === '') {
+        errors.push('defaultManager must be a non-empty text.');
+    }
+    if (!Array.isArray(ruleSet.rules)) {
+        errors.push('rules must be a list.');
+        return errors;
+    }
+
+    const ids = new Set();
+    ruleSet.rules.forEach((rule, i) => {
+        const label = `Rule ${i + 1}${rule && rule.id ? ` (${rule.id})` : ''}`;
+        if (!rule || typeof rule !== 'object') {
+            errors.push(`${label} must be an object.`);
+            return;
+        }
+        if (typeof rule.id !== 'string' || rule.id.trim() === '') {
+            errors.push(`${label}: id must be a non-empty text.`);
+        } else if (ids.has(rule.id)) {
+            errors.push(`${label}: id is used more than once.`);
+        } else {
+            ids.add(rule.id);
+        }
+        if (typeof rule.manager !== 'string' || rule.manager.trim() === '') {
+            errors.push(`${label}: manager must be a non-empty text.`);
+        }
+        Object.entries(rule.when || {}).forEach(([condition, value]) => {
+            const kind = RULE_CONDITIONS[condition];
+            if (!kind) {
+                errors.push(`${label}: unknown condition '${condition}'.`);
+            } else if (kind === 'number' && value !== null && typeof value !== 'number') {
+                errors.push(`${label}: ${condition} must be a number.`);
+            } else if (kind === 'list' && !(Array.isArray(value) && value.every(item => typeof item === 'string'))) {
+                errors.push(`${label}: ${condition} must be a list of texts.`);
+            } else if (condition === 'factorNamePatterns') {
+                value.filter(isRegExpPattern).forEach(pattern => {
+                    try {
+                        toRegExp(pattern);
+                    } catch (error) {
+                        errors.push(`${label}: invalid pattern ${pattern}.`);
+                    }
+                });
+            }
+        });
+    });
+    return errors;
+}
+
+/**
+ * Parses a rule set from JSON text, e.g. an imported file.
+ * @param {string} text - The JSON text.
+ * @returns {object} The rule set.
+ * @throws {Error} If the text is not valid JSON or not a valid rule set.
+ */
+export function parseRuleSet(text) {
+    const ruleSet = JSON.parse(text);
+    const errors = validateRuleSet(ruleSet);
+    if (errors.length > 0) {
+        throw new Error(`Invalid routing rules: ${errors.join(' ')}`);
+    }
+    return { version: RULE_SET_VERSION, ...ruleSet };
+}
+
+/**
+ * Serializes a rule set to JSON text for export.
+ * @param {object} ruleSet - The rule set.
+ * @returns {string} The JSON text.
+ */
+export function stringifyRuleSet(ruleSet) {
+    return JSON.stringify(ruleSet, null, 2) + '\n';
+}
+
+/**
+ * Reads the saved rule set from browser storage.
+ * @param {Storage} storage - The storage (e.g. `localStorage`).
+ * @returns {object} The saved rule set, or a copy of the defaults if none is saved or it is invalid.
+ */
+export function loadRoutingRules(storage) {
+    const saved = storage.getItem(STORAGE_KEY);
+    if (saved) {
+        try {
+            return parseRuleSet(saved);
+        } catch (error) {
+            console.warn('Ignoring saved routing rules.', error);
+        }
+    }
+    return structuredClone(DEFAULT_ROUTING_RULES);
+}
+
+/**
+ * Saves a rule set to browser storage.
+ * @param {Storage} storage - The storage.
+ * @param {object} ruleSet - The rule set; it must be valid.
+ */
+export function saveRoutingRules(storage, ruleSet) {
+    storage.setItem(STORAGE_KEY, JSON.stringify(ruleSet));
+}
+
+/**
+ * Whether a name pattern is written as a regular expression ("/.../flags").
+ * @param {string} pattern - The pattern.
+ * @returns {boolean} True for a regular expression.
+ */
+function isRegExpPattern(pattern) {
+    return /^\/.+\/[a-z]*$/.test(pattern);
+}
+
+/**
+ * Converts a "/.../flags" pattern to a RegExp.
+ * @param {string} pattern - The pattern.
+ * @returns {RegExp} The regular expression.
+ */
+function toRegExp(pattern) {
+    const lastSlash = pattern.lastIndexOf('/');
+    return new RegExp(pattern.slice(1, lastSlash), pattern.slice(lastSlash + 1));
+}
+
+/**
+ * Whether a factor name matches a pattern.
+ * @param {string} name - The factor name.
+ * @param {string} pattern - Text to look for (case-insensitive) or a "/.../flags" regular expression.
+ * @returns {boolean} True if it matches.
+ */
+function matchesNamePattern(name, pattern) {
+    if (isRegExpPattern(pattern)) return toRegExp(pattern).test(name);
+    return name.toLowerCase().includes(pattern.toLowerCase());
+}
+
+/**
+ * Whether all conditions of a rule hold for a request.
+ * @param {object} when - The rule's conditions.
+ * @param {object} request - See `routeCreditManager`.
+ * @returns {boolean} True if the rule applies.
+ */
+function ruleMatches(when, request) {
+    const { amountUSD, countryCode, factorCode, factorName, messageType } = request;
+    const listed = (list) => Array.isArray(list) && list.length > 0;
+    const upper = (list) => list.map(item => item.trim().toUpperCase());
+
+    if (typeof when.minAmountUSD === 'number' && !(amountUSD > when.minAmountUSD)) return false;
+    if (typeof when.maxAmountUSD === 'number' && !(amountUSD <= when.maxAmountUSD)) return false;
+    if (listed(when.countryCodes) && !upper(when.countryCodes).includes((countryCode || '').toUpperCase())) return false;
+    if (listed(when.factorCodes) && !upper(when.factorCodes).includes((factorCode || '').toUpperCase())) return false;
+    if (listed(when.factorNamePatterns) && !when.factorNamePatterns.some(pattern => matchesNamePattern(factorName || '', pattern))) return false;
+    if (listed(when.messageTypes) && !upper(when.messageTypes).includes((messageType || '').toUpperCase())) return false;
+    return true;
+}
+
+/**
+ * Assigns a credit manager to a request with a rule set.
+ * @param {object} ruleSet - The rule set.
+ * @param {object} request - What is known about the request.
+ * @param {number|string} request.amountUSD - The requested amount in USD (not a number if it could not be converted).
+ * @param {string} request.countryCode - The export factor's two-letter country code.
+ * @param {string} request.factorCode - The export factor's FactorCode.
+ * @param {string} request.factorName - The export factor's name.
+ * @param {string} request.messageType - The request type ('MSG02', 'MSG05' or 'MSG07').
+ * @returns {{manager: string, rule: object|null, reason: string}} The manager, the rule that
+ *   assigned it (null for the default), and a description of why.
+ */
+export function routeCreditManager(ruleSet, request) {
+    const amountUSD = parseFloat(request.amountUSD);
+    const normalized = { ...request, amountUSD };
+
+    const rule = ruleSet.rules.find(candidate => candidate.enabled !== false && ruleMatches(candidate.when || {}, normalized));
+    if (rule) {
+        return { manager: rule.manager, rule, reason: `Rule '${rule.name || rule.id}'` };
+    }
+    if (isNaN(amountUSD)) {
+        return { manager: 'N/A', rule: null, reason: 'No rule matched and there is no USD amount' };
+    }
+    return { manager: ruleSet.defaultManager, rule: null, reason: 'No rule matched: default manager' };
+}
@@ -0,0 +1,147 @@
+//rowDetail.js
+
+// JavaScript source code
+
+// The drill-down panel of a credit log row: every parsed field of the request message
+// (MSG02/05/07) and of its seller's MSG01, next to the original XML they were read from.
+// The fields that fed the row's columns (see ROW_SOURCE_FIELDS in creditLog.js) are
+// highlighted in both. Returns HTML text; the page decides where to show it (see script.js).
+
+import { CREDIT_LOG_COLUMNS, ROW_SOURCE_FIELDS } from './creditLog.js';
+import { MSG_SCHEMAS, schemaFieldValues } from './msgSchemas.js';
+
+// One XML token: a comment, CDATA section, declaration, tag or run of text.
+const XML_TOKEN_PATTERN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<\/?[^>]+>|[^<]+|</g;
+
+// Indentation per nesting level in the XML view.
+const XML_INDENT = '  ';
+
+/**
+ * Escapes text for use in HTML.
+ * @param {*} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Lists which columns each message field feeds, for one request type.
+ * @param {string} messageType - The request type ('MSG02', 'MSG05' or 'MSG07').
+ * @returns {{request: Map<string, Array<string>>, msg01: Map<string, Array<string>>}} Column headers
+ *   keyed by field path, for the request and for its MSG01 (paths without the 'MSG01.' prefix).
+ */
+export function getSourceFieldColumns(messageType) {
+    const sources = { request: new Map(), msg01: new Map() };
+    CREDIT_LOG_COLUMNS.forEach(column => {
+        const entry = ROW_SOURCE_FIELDS[column.key];
+        if (!entry) return;
+        (Array.isArray(entry) ? entry : entry[messageType] || []).forEach(path => {
+            const [target, fieldPath] = path.startsWith('MSG01.') ? [sources.msg01, path.slice('MSG01.'.length)] : [sources.request, path];
+            if (!target.has(fieldPath)) target.set(fieldPath, []);
+            target.get(fieldPath).push(column.header);
+        });
+    });
+    return sources;
+}
+
+/**
+ * Renders an XML fragment indented one element per line, with the given fields highlighted.
+ * Works on the original text rather than a DOM, so the XML is shown exactly as it was sent.
+ * @param {string} xml - The XML of one message element.
+ * @param {Map<string, Array<string>>} highlights - Column headers keyed by the dotted field path
+ *   relative to the message element (e.g. 'Buyer.BuyerName').
+ * @returns {string} HTML for a <pre> element; highlighted lines are <mark> elements.
+ */
+export function renderXmlFragment(xml, highlights) {
+    const tokens = (xml.match(XML_TOKEN_PATTERN) || []).filter(token => token.trim() !== '');
+    const lines = [];
+    const stack = [];
+    const tagName = (tag) => tag.replace(/^<\/?/, '').match(/^[^\s/>]*/)[0];
+    const addLine = (html, name) => {
+        // The message element itself is not part of the path.
+        const path = stack.length === 0 ? '' : [...stack.slice(1), name].join('.');
+        const line = XML_INDENT.repeat(stack.length) + html;
+        const columns = name && highlights.get(path);
+        lines.push(columns ? `<mark title="${escapeHtml(`Feeds: ${columns.join(', ')}`)}">${line}</mark>` : line);
+    };
+
+    for (let i = 0; i < tokens.length; i++) {
+        const token = tokens[i];
+        if (!token.startsWith('<') || /^<[?!]/.test(token)) {
+            // Text outside a leaf element, a comment, CDATA or a declaration.
+            lines.push(XML_INDENT.repeat(stack.length) + escapeHtml(token.trim()));
+        } else if (token.startsWith('</')) {
+            stack.pop();
+            lines.push(XML_INDENT.repeat(stack.length) + escapeHtml(token));
+        } else if (token.endsWith('/>')) {
+            addLine(escapeHtml(token), tagName(token));
+        } else {
+            const name = tagName(token);
+            const next = tokens[i + 1] || '';
+            if (next === `</${name}>`) {
+                addLine(escapeHtml(token + next), name);
+                i++;
+            } else if ((!next.startsWith('<') || next.startsWith('<![CDATA[')) && tokens[i + 2] === `</${name}>`) {
+                // A leaf element with its value on one line.
+                addLine(escapeHtml(token + next.trim() + tokens[i + 2]), name);
+                i += 2;
+            } else {
+                addLine(escapeHtml(token), name);
+                stack.push(name);
+            }
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Renders one message: a table of its parsed fields and its XML, side by side.
+ * Messages read from CSV, or stored before their XML was kept, are shown as rebuilt from the
+ * parsed fields (see `toXMLString` in msgClasses.js), which the panel says.
+ * @param {string} title - The section title.
+ * @param {Message} message - The message.
+ * @param {Map<string, Array<string>>} highlights - Column headers keyed by field path.
+ * @returns {string} The HTML.
+ */
+function renderMessage(title, message, highlights) {
+    const values = schemaFieldValues(MSG_SCHEMAS[message.type], message.payload);
+    let fieldsHTML = '<table class="excel-table"><tr><th>Field</th><th>Value</th><th>Shown In</th></tr>';
+    Object.entries(values).forEach(([path, value]) => {
+        const columns = highlights.get(path);
+        fieldsHTML += `<tr${columns ? ' class="row-detail-source"' : ''}><td>${escapeHtml(path)}</td>`
+            + `<td>${escapeHtml(value)}</td><td>${escapeHtml(columns ? columns.join(', ') : '')}</td></tr>`;
+    });
+    fieldsHTML += '</table>';
+
+    const source = message.source || {};
+    const where = source.fileName ? `${source.fileName}${source.line ? `, ${source.xml ? 'line' : 'row'} ${source.line}` : ''}` : '';
+    const xmlTitle = source.xml
+        ? `Original XML${where ? ` (${escapeHtml(where)})` : ''}`
+        : `XML rebuilt from the parsed fields${where ? ` (read from ${escapeHtml(where)})` : ' (the original was not kept)'}`;
+    const xml = source.xml || message.toXMLString();
+
+    return `<h3>${escapeHtml(title)}</h3>`
+        + '<div class="row-detail-columns">'
+        + `<div class="row-detail-fields"><h4>Parsed Fields (${Object.keys(values).length})</h4>${fieldsHTML}</div>`
+        + `<div class="row-detail-xml"><h4>${xmlTitle}</h4><pre>${renderXmlFragment(xml, highlights)}</pre></div>`
+        + '</div>';
+}
+
+/**
+ * Renders the drill-down of a credit log row.
+ * @param {object} row - A row from `generateCombinedDisplayData`.
+ * @param {Message} request - The row's MSG02, MSG05 or MSG07.
+ * @param {MSG01|null} msg01 - The seller's MSG01 the row was matched with, if any.
+ * @returns {string} The HTML.
+ */
+export function renderRowDetail(row, request, msg01) {
+    const sources = getSourceFieldColumns(request.type);
+    let html = `<h2>${escapeHtml(`${request.type} ${row.rowKey}: ${row.buyerName || 'unknown buyer'} / ${row.sellerName || 'unknown seller'}`)}</h2>`;
+    html += '<div class="row-detail-legend">Highlighted fields fill the row\'s columns; hover over a line to see which.</div>';
+    html += renderMessage(`Request (${request.type})`, request, sources.request);
+    html += msg01
+        ? renderMessage('Seller (MSG01)', msg01, sources.msg01)
+        : '<h3>Seller (MSG01)</h3><div>No MSG01 has been received for this seller.</div>';
+    return html;
+}
@@ -0,0 +1,650 @@
+//sanctionsScreening.js
+
+// JavaScript source code
+
+// Offline sanctions screening of the parties in the credit log.
+// A locally stored watch list (e.g. OFAC's SDN list) is loaded from files, and the buyer,
+// seller, export factor and import factor of every row are compared with its names and
+// aliases. Matching is fuzzy and transliteration-aware: names are folded to Latin letters
+// (Cyrillic and Greek are transliterated, accents dropped), legal forms are ignored, and a
+// phonetic key also catches spelling variants such as 'Mohammed' and 'Muhammad', and the Arabic
+// name particles of a person written apart or joined ('Al Rashid', 'Al-Rashid', 'Alrashid'). Parties in
+// comprehensively sanctioned countries are flagged as well. Every row records when it was
+// screened and against which list version, and potential hits wait for a review.
+// The page and the command-line builder (`--watch-list`) screen through the same functions.
+//
+// Watch list files (see parseWatchList):
+//   SDN XML      OFAC's sdn.xml or consolidated list (sdnEntry elements with akaList and addressList)
+//   SDN CSV      OFAC's sdn.csv (12 columns: ent_num, SDN_Name, SDN_Type, Program, ...),
+//                alt.csv (5 columns: ent_num, alt_num, alt_type, alt_name, remarks) and
+//                add.csv (6 columns: ent_num, add_num, address, city, country, remarks);
+//                load them together so the aliases and countries join their entries
+//   CSV          any list with a header row and a 'name' column, and optionally 'id', 'aliases'
+//                (separated by ';'), 'country' (codes or names, separated by ';'), 'program' and 'type'
+//   XML          any list of <entry> or <record> elements with name, alias, country, program and id children
+
+import { parseCSV } from './csvReader.js';
+import { normalizePartyName, hasLegalForm } from './partyDirectory.js';
+
+/**
+ * How similar a party name must be to a listed name (0 to 1) to be a potential hit.
+ */
+export const DEFAULT_SCREENING_THRESHOLD = 0.85;
+
+/**
+ * Countries under comprehensive sanctions: every party located there is a potential hit.
+ */
+export const SANCTIONED_COUNTRIES = ['CU', 'IR', 'KP', 'SY'];
+
+/**
+ * The screening result of a row (see `getScreeningStatus`).
+ */
+export const SCREENING_STATUS = {
+    clear: 'Clear',
+    potentialHit: 'Potential hit',
+    confirmed: 'Confirmed hit',
+    cleared: 'Cleared on review',
+};
+
+/**
+ * The review decisions for a potential hit.
+ */
+export const REVIEW_DECISIONS = {
+    falsePositive: 'False positive',
+    confirmed: 'Confirmed',
+};
+
+// A phonetic match counts a little less than a spelling match.
+const PHONETIC_WEIGHT = 0.95;
+
+// Folded names shorter than this only match when they are equal ('ABC' and 'ABD' are not alike).
+const MIN_FUZZY_LENGTH = 5;
+
+// How much a matching or different country moves the score of a listed name with countries.
+const COUNTRY_MATCH_BONUS = 0.05;
+const COUNTRY_MISMATCH_PENALTY = 0.1;
+
+// The most hits kept per party.
+const MAX_HITS_PER_PARTY = 3;
+
+// OFAC's CSV files write an empty value as '-0-'.
+const OFAC_EMPTY = '-0-';
+
+// Latin spellings of Cyrillic and Greek letters, and of Latin letters that do not decompose.
+const TRANSLITERATIONS = {
+    а: 'a', б: 'b', в: 'v', г: 'g', ґ: 'g', д: 'd', е: 'e', ё: 'e', є: 'ye', ж: 'zh', з: 'z', и: 'i', і: 'i', ї: 'yi',
+    й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's', т: 't', у: 'u', ф: 'f', х: 'kh',
+    ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch', ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+    α: 'a', β: 'v', γ: 'g', δ: 'd', ε: 'e', ζ: 'z', η: 'i', θ: 'th', ι: 'i', κ: 'k', λ: 'l', μ: 'm', ν: 'n',
+    ξ: 'x', ο: 'o', π: 'p', ρ: 'r', σ: 's', ς: 's', τ: 't', υ: 'y', φ: 'f', χ: 'ch', ψ: 'ps', ω: 'o',
+    ß: 'ss', æ: 'ae', œ: 'oe', ø: 'o', đ: 'd', ð: 'd', ł: 'l', ı: 'i', þ: 'th',
+};
+
+/**
+ * Writes a name in plain Latin letters: accents dropped, Cyrillic and Greek transliterated.
+ * @param {string} name - The name.
+ * @returns {string} The name in lower case.
+ */
+function transliterate(name) {
+    return String(name || '')
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\u0020-\u007e]/g, letter => TRANSLITERATIONS[letter] ?? letter);
+}
+
+/**
+ * Folds a name to plain Latin letters and normalizes it like the party directory does
+ * (see `normalizePartyName`): 'ООО «Ромашка»' becomes 'romashka'.
+ * @param {string} name - The name.
+ * @returns {string} The folded name, words separated by single spaces.
+ */
+export function foldName(name) {
+    return normalizePartyName(transliterate(name));
+}
+
+/**
+ * Whether a name is a person's name, whose Arabic particles are joined in its phonetic key.
+ * @param {string} name - The name as sent or listed.
+ * @param {string} [type=''] - The watch list entry type, e.g. 'Individual' or 'Entity'; '' for a party.
+ * @returns {boolean} True for an individual, or, without a type, a name without a legal form.
+ */
+export function isPersonName(name, type = '') {
+    if (type) return /individual|person/i.test(type);
+    return !hasLegalForm(transliterate(name));
+}
+
+// Arabic name particles, written apart, hyphenated or joined to the next word depending on the
+// transliteration ('Al Rashid', 'Al-Rashid', 'Alrashid'). Only whole words are particles.
+const NAME_PARTICLES = ['al', 'el', 'ul', 'abd', 'abdul', 'abu', 'bin', 'ibn', 'bint'];
+
+/**
+ * Joins the name particles of a folded person's name to the word after them: 'al rashid' becomes 'alrashid'.
+ * @param {string} folded - A name from `foldName`.
+ * @returns {Array<string>} The words.
+ */
+function joinParticles(folded) {
+    const words = [];
+    let particles = '';
+    folded.split(' ').filter(Boolean).forEach((word, index, all) => {
+        if (NAME_PARTICLES.includes(word) && index < all.length - 1) {
+            particles += word;
+            return;
+        }
+        words.push(particles + word);
+        particles = '';
+    });
+    return words;
+}
+
+/**
+ * The phonetic key of a folded name: in a person's name the particles are joined to the next
+ * word ('al rashid' and 'alrashid' are alike), letters that transliterations spell differently
+ * are merged ('ph'/'f', 'c'/'k', 'y'/'j'/'i', 'kh'/'k'), every vowel is written 'a' and doubled
+ * letters are dropped. 'mohammed al-rashid' and 'muhammad alrashid' both become 'mamad alrasad'.
+ * @param {string} folded - A name from `foldName`.
+ * @param {boolean} [person=true] - Whether it is a person's name (see `isPersonName`).
+ * @returns {string} The key, words separated by single spaces.
+ */
+export function phoneticKey(folded, person = true) {
+    const words = person ? joinParticles(folded) : folded.split(' ').filter(Boolean);
+    return words.map(word => {
+        const key = word
+            .replace(/ph/g, 'f').replace(/ck/g, 'k').replace(/q/g, 'k').replace(/x/g, 'ks')
+            .replace(/([a-z])h/g, '$1')
+            .replace(/c/g, 'k').replace(/z/g, 's').replace(/w/g, 'v').replace(/[jy]/g, 'i')
+            .replace(/[aeiou]/g, 'a');
+        return key.replace(/(.)\1+/g, '$1');
+    }).join(' ');
+}
+
+/**
+ * The character pairs of a name, ignoring spaces.
+ * @param {string} text - A folded name.
+ * @returns {Set<string>} The distinct pairs.
+ */
+function bigrams(text) {
+    const letters = text.replace(/ /g, '');
+    const pairs = new Set();
+    for (let i = 0; i < letters.length - 1; i++) pairs.add(letters.slice(i, i + 2));
+    return pairs;
+}
+
+// What names are compared by: the character pairs of the folded name, and the words of the
+// phonetic key (its pairs would be too alike, since every vowel is written 'a').
+const COMPARED_UNITS = {
+    folded: bigrams,
+    phonetic: (key) => new Set(key.split(' ')),
+};
+
+// Country names (lower case) to 2-letter codes, built on first use.
+let countryCodesByName = null;
+
+/**
+ * Reads a country as a 2-letter code.
+ * @param {string} value - A code ('IR') or an English name ('Iran').
+ * @returns {string} The code, or '' if unknown.
+ */
+export function toCountryCode(value) {
+    const text = String(value || '').trim();
+    if (/^[A-Za-z]{2}$/.test(text)) return text.toUpperCase();
+    if (!countryCodesByName) {
+        countryCodesByName = new Map();
+        const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+        const letters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+        for (const first of letters) {
+            for (const second of letters) {
+                const code = first + second;
+                const name = regionNames.of(code);
+                if (name && name !== code) countryCodesByName.set(name.toLowerCase(), code);
+            }
+        }
+    }
+    return countryCodesByName.get(text.toLowerCase()) || '';
+}
+
+/**
+ * Splits a list cell ('a; b|c') into trimmed values.
+ * @param {string} value - The cell.
+ * @returns {Array<string>} The values, without empty ones and OFAC's '-0-'.
+ */
+function splitList(value) {
+    return String(value || '').split(/[;|]/).map(part => part.trim()).filter(part => part !== '' && part !== OFAC_EMPTY);
+}
+
+/**
+ * Reads the text of the first child element with a given name.
+ * @param {Element} element - The parent element.
+ * @param {string} name - The child's local name.
+ * @returns {string} The trimmed text, or '' if there is no such child.
+ */
+function childText(element, name) {
+    const child = Array.from(element.children).find(node => node.localName === name);
+    return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Lists the descendants of an element with a given local name.
+ * @param {Element|Document} element - The element.
+ * @param {string} name - The local name.
+ * @returns {Array<Element>} The elements, in document order.
+ */
+function elementsNamed(element, name) {
+    return Array.from(element.getElementsByTagName('*')).filter(node => node.localName === name);
+}
+
+/**
+ * Reads a watch list XML file: OFAC's SDN XML, or a list of <entry>/<record> elements.
+ * @param {string} text - The XML.
+ * @param {string} fileName - The file name, for messages.
+ * @returns {{version: string, entries: Array<object>}} The list date (if given) and the entries.
+ * @throws {Error} If the XML cannot be read.
+ */
+function parseWatchListXML(text, fileName) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    const errorNode = doc.getElementsByTagName('parsererror')[0];
+    if (errorNode) throw new Error(`${fileName} is not valid XML: ${errorNode.textContent}`);
+
+    const sdnEntries = elementsNamed(doc, 'sdnEntry');
+    if (sdnEntries.length > 0) {
+        const personName = (element) => [childText(element, 'firstName'), childText(element, 'lastName')].filter(Boolean).join(' ');
+        const publishInformation = elementsNamed(doc, 'publshInformation')[0] || elementsNamed(doc, 'publishInformation')[0];
+        return {
+            version: publishInformation ? childText(publishInformation, 'Publish_Date') : '',
+            entries: sdnEntries.map(entry => ({
+                id: childText(entry, 'uid'),
+                name: personName(entry),
+                aliases: elementsNamed(entry, 'aka').map(personName).filter(Boolean),
+                countries: elementsNamed(entry, 'address').map(address => toCountryCode(childText(address, 'country'))).filter(Boolean),
+                programs: elementsNamed(entry, 'program').map(program => program.textContent.trim()),
+                type: childText(entry, 'sdnType'),
+            })),
+        };
+    }
+
+    const records = [...elementsNamed(doc, 'entry'), ...elementsNamed(doc, 'record')];
+    return {
+        version: doc.documentElement ? doc.documentElement.getAttribute('version') || '' : '',
+        entries: records.map((record, index) => ({
+            id: childText(record, 'id') || `${fileName}#${index + 1}`,
+            name: childText(record, 'name'),
+            aliases: elementsNamed(record, 'alias').map(alias => alias.textContent.trim()).filter(Boolean),
+            countries: elementsNamed(record, 'country').map(country => toCountryCode(country.textContent)).filter(Boolean),
+            programs: elementsNamed(record, 'program').map(program => program.textContent.trim()).filter(Boolean),
+            type: childText(record, 'type'),
+        })),
+    };
+}
+
+/**
+ * Reads a watch list CSV file: OFAC's sdn.csv, alt.csv or add.csv, or a list with a header row.
+ * @param {string} text - The CSV.
+ * @param {string} fileName - The file name, for messages.
+ * @returns {{entries: Array<object>, aliases: Array<{id: string, name: string}>, countries: Array<{id: string, country: string}>}}
+ *   The entries, and aliases and countries of entries listed in another file.
+ * @throws {Error} If the layout is not recognized.
+ */
+function parseWatchListCSV(text, fileName) {
+    const rows = parseCSV(text).filter(cells => cells.some(cell => cell.trim() !== ''));
+    const result = { entries: [], aliases: [], countries: [] };
+    if (rows.length === 0) return result;
+    const value = (cell) => (cell && cell.trim() !== OFAC_EMPTY ? cell.trim() : '');
+
+    // OFAC's files have no header row and start with the numeric entry id.
+    if (/^\d+$/.test(rows[0][0].trim())) {
+        rows.forEach(cells => {
+            const id = cells[0].trim();
+            if (cells.length >= 12) {
+                result.entries.push({ id, name: value(cells[1]), aliases: [], countries: [], programs: splitList(cells[3]), type: value(cells[2]) });
+            } else if (cells.length === 5) {
+                if (value(cells[3])) result.aliases.push({ id, name: value(cells[3]) });
+            } else if (cells.length === 6) {
+                const country = toCountryCode(value(cells[4]));
+                if (country) result.countries.push({ id, country });
+            } else {
+                throw new Error(`${fileName}: unrecognized OFAC file (${cells.length} columns; expected sdn.csv, alt.csv or add.csv).`);
+            }
+        });
+        return result;
+    }
+
+    const [headers, ...records] = rows;
+    const column = (...names) => headers.findIndex(header => names.includes(header.trim().toLowerCase()));
+    const columns = {
+        id: column('id', 'uid', 'ent_num'),
+        name: column('name', 'sdn_name', 'full name'),
+        aliases: column('aliases', 'alias', 'aka'),
+        country: column('country', 'countries'),
+        program: column('program', 'programs'),
+        type: column('type', 'sdn_type'),
+    };
+    if (columns.name === -1) throw new Error(`Watch list ${fileName} needs a 'name' column.`);
+    const cell = (cells, index) => (index !== -1 ? value(cells[index]) : '');
+    records.forEach((cells, index) => {
+        result.entries.push({
+            id: cell(cells, columns.id) || `${fileName}#${index + 1}`,
+            name: cell(cells, columns.name),
+            aliases: splitList(cell(cells, columns.aliases)),
+            countries: splitList(cell(cells, columns.country)).map(toCountryCode).filter(Boolean),
+            programs: splitList(cell(cells, columns.program)),
+            type: cell(cells, columns.type),
+        });
+    });
+    return result;
+}
+
+/**
+ * Parses a watch list file (see the layouts at the top of this file).
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name; '.xml' files are read as XML, anything else as CSV.
+ * @returns {{source: string, version: string, entries: Array<{id: string, name: string, aliases: Array<string>, countries: Array<string>, programs: Array<string>, type: string}>, aliases: Array<object>, countries: Array<object>}}
+ *   The list, ready for `WatchList`. `version` names the file and, when the list gives it, its publish date.
+ * @throws {Error} If the file cannot be read or has no names.
+ */
+export function parseWatchList(text, fileName) {
+    const parsed = /\.xml$/i.test(fileName)
+        ? { aliases: [], countries: [], ...parseWatchListXML(text, fileName) }
+        : parseWatchListCSV(text, fileName);
+    const entries = parsed.entries.filter(entry => entry.name);
+    if (entries.length === 0 && parsed.aliases.length === 0 && parsed.countries.length === 0) {
+        throw new Error(`No names found in watch list ${fileName}.`);
+    }
+    return {
+        source: fileName,
+        version: parsed.version ? `${fileName} (published ${parsed.version})` : fileName,
+        entries,
+        aliases: parsed.aliases,
+        countries: parsed.countries,
+    };
+}
+
+/**
+ * Watch List
+ * The names of one or more watch list files, indexed for fuzzy screening.
+ */
+export class WatchList {
+    /**
+     * Constructs a new WatchList.
+     * @param {Array<object>} [lists=[]] - Parsed files (see `parseWatchList`). Aliases and countries
+     *   from OFAC's alt.csv and add.csv join the entries with the same id.
+     */
+    constructor(lists = []) {
+        this.lists = lists;
+        this.entries = new Map();
+        lists.forEach(list => list.entries.forEach(entry => {
+            this.entries.set(entry.id, { ...entry, aliases: [...entry.aliases], countries: [...entry.countries] });
+        }));
+        lists.forEach(list => {
+            list.aliases.forEach(({ id, name }) => { if (this.entries.has(id)) this.entries.get(id).aliases.push(name); });
+            list.countries.forEach(({ id, country }) => {
+                const entry = this.entries.get(id);
+                if (entry && !entry.countries.includes(country)) entry.countries.push(country);
+            });
+        });
+
+        // Every name and alias, with the number of units (see COMPARED_UNITS) of its folded name
+        // and phonetic key. `index` maps a unit to the names containing it, so a screening only
+        // compares a party with the names it shares letters or words with.
+        this.names = [];
+        this.index = { folded: new Map(), phonetic: new Map() };
+        // Folded name or phonetic key -> positions in `names`. Phonetic keys are kept without their
+        // spaces, so a name split or joined differently ('abdul rahman', 'abdulrahman') still matches.
+        this.exact = { folded: new Map(), phonetic: new Map() };
+        this.cache = new Map(); // Results of `screenName`.
+        this.shared = null;     // Per-name counts while screening (see `findMatches`), sized below.
+        this.entries.forEach(entry => {
+            [entry.name, ...entry.aliases].forEach(name => {
+                const folded = foldName(name);
+                if (!folded) return;
+                const phonetic = phoneticKey(folded, isPersonName(name, entry.type));
+                const position = this.names.length;
+                this.names.push({ entry, name, folded, size: { folded: COMPARED_UNITS.folded(folded).size, phonetic: COMPARED_UNITS.phonetic(phonetic).size } });
+                [['folded', folded], ['phonetic', phonetic]].forEach(([kind, text]) => {
+                    const exactKey = kind === 'phonetic' ? text.replace(/ /g, '') : text;
+                    if (!this.exact[kind].has(exactKey)) this.exact[kind].set(exactKey, []);
+                    this.exact[kind].get(exactKey).push(position);
+                    COMPARED_UNITS[kind](text).forEach(pair => {
+                        if (!this.index[kind].has(pair)) this.index[kind].set(pair, []);
+                        this.index[kind].get(pair).push(position);
+                    });
+                });
+            });
+        });
+        this.shared = new Int32Array(this.names.length);
+    }
+
+    /**
+     * The versions of the loaded files, as recorded with each screening.
+     * @returns {string} E.g. 'sdn.xml (published 12/31/2024)'; '' if nothing is loaded.
+     */
+    get version() {
+        return this.lists.map(list => list.version).join('; ');
+    }
+
+    /**
+     * Finds the listed names most like a party's name.
+     * @param {string} name - The party's name.
+     * @param {string} [country=''] - The party's 2-letter country code; a listed name whose entry has
+     *   countries scores a little higher when it matches and lower when it does not.
+     * @param {number} [threshold=DEFAULT_SCREENING_THRESHOLD] - The lowest score returned.
+     * @returns {Array<{entryId: string, entryName: string, matchedName: string, programs: Array<string>, type: string, score: number, countryMatch: boolean|null}>}
+     *   The best matches, highest score first; one per entry.
+     */
+    screenName(name, country = '', threshold = DEFAULT_SCREENING_THRESHOLD) {
+        // The same buyers and factors come up in many rows.
+        const cacheKey = `${threshold}|${country}|${name}`;
+        if (!this.cache.has(cacheKey)) this.cache.set(cacheKey, this.findMatches(name, country, threshold));
+        return this.cache.get(cacheKey);
+    }
+
+    /**
+     * Finds the listed names most like a party's name, without the cache (see `screenName`).
+     * @param {string} name - The party's name.
+     * @param {string} country - The party's 2-letter country code, or ''.
+     * @param {number} threshold - The lowest score returned.
+     * @returns {Array<object>} The matches.
+     */
+    findMatches(name, country, threshold) {
+        const folded = foldName(name);
+        if (!folded) return [];
+        const phonetic = phoneticKey(folded, isPersonName(name));
+        const scores = new Map(); // Name position -> best score.
+        // The lowest name score that can still reach the threshold with a matching country.
+        const lowest = threshold - COUNTRY_MATCH_BONUS;
+        // Short names are too easily alike: they only match when equal (see below).
+        const fuzzy = folded.length >= MIN_FUZZY_LENGTH;
+        [['folded', folded, 1], ['phonetic', phonetic, PHONETIC_WEIGHT]].forEach(([kind, text, weight]) => {
+            if (!fuzzy) return;
+            const pairs = COMPARED_UNITS[kind](text);
+            // Count the units each listed name shares with this one; a typed array is much
+            // faster than a map for the long lists of common pairs.
+            const shared = this.shared;
+            const touched = [];
+            pairs.forEach(pair => {
+                const positions = this.index[kind].get(pair);
+                if (!positions) return;
+                for (let i = 0; i < positions.length; i++) {
+                    if (shared[positions[i]]++ === 0) touched.push(positions[i]);
+                }
+            });
+            touched.forEach(position => {
+                const listed = this.names[position];
+                const score = weight * (2 * shared[position]) / (pairs.size + listed.size[kind]);
+                shared[position] = 0;
+                if (listed.folded.length < MIN_FUZZY_LENGTH || score < lowest) return;
+                if (score > (scores.get(position) || 0)) scores.set(position, score);
+            });
+        });
+        (this.exact.phonetic.get(phonetic.replace(/ /g, '')) || []).forEach(position => {
+            if (PHONETIC_WEIGHT > (scores.get(position) || 0)) scores.set(position, PHONETIC_WEIGHT);
+        });
+        (this.exact.folded.get(folded) || []).forEach(position => scores.set(position, 1));
+
+        const byEntry = new Map();
+        scores.forEach((nameScore, position) => {
+            const { entry, name: matchedName } = this.names[position];
+            let score = nameScore;
+            let countryMatch = null;
+            if (country && entry.countries.length > 0) {
+                countryMatch = entry.countries.includes(country.toUpperCase());
+                score = countryMatch ? Math.min(1, score + COUNTRY_MATCH_BONUS) : score - COUNTRY_MISMATCH_PENALTY;
+            }
+            score = Math.round(score * 100) / 100;
+            if (score < threshold) return;
+            const best = byEntry.get(entry.id);
+            if (!best || score > best.score) {
+                byEntry.set(entry.id, {
+                    entryId: entry.id, entryName: entry.name, matchedName, programs: entry.programs, type: entry.type, score, countryMatch,
+                });
+            }
+        });
+        return [...byEntry.values()].sort((a, b) => b.score - a.score);
+    }
+}
+
+/**
+ * Lists the parties of a row that are screened, from its parsed message fields.
+ * @param {object} row - A row from `generateCombinedDisplayData`.
+ * @returns {Array<{party: string, name: string, country: string}>} The buyer, seller, export factor
+ *   and import factor that have a name; factor countries come from their FactorCode.
+ */
+export function rowParties(row) {
+    const fields = row.fields || {};
+    const factorCountry = (code) => (code ? String(code).slice(0, 2).toUpperCase() : '');
+    return [
+        { party: 'Buyer', name: fields['Buyer.BuyerName'] ?? row.buyerName, country: fields['Buyer.Country'] || '' },
+        { party: 'Seller', name: fields['Seller.SellerName'] ?? row.sellerName, country: fields['MSG01.Seller.Country'] || '' },
+        { party: 'Export Factor', name: fields['EF.FactorName'] ?? row.partnerName, country: factorCountry(fields['EF.FactorCode']) },
+        { party: 'Import Factor', name: fields['IF.FactorName'] || '', country: factorCountry(fields['IF.FactorCode']) },
+    ].filter(party => party.name);
+}
+
+/**
+ * Screens one row: every party's name against the watch list and its country against
+ * `SANCTIONED_COUNTRIES`.
+ * @param {object} row - A row from `generateCombinedDisplayData`.
+ * @param {WatchList} watchList - The watch list.
+ * @param {object} [options={}]
+ * @param {string} [options.today] - The screening date (YYYY-MM-DD); defaults to today.
+ * @param {number} [options.threshold=DEFAULT_SCREENING_THRESHOLD] - The lowest score of a potential hit.
+ * @returns {{rowKey: string, screenedAt: string, listVersion: string, parties: string, hits: Array<object>, reviews: object}}
+ *   The screening record. Each hit has a `key` (party and entry) under which its review is kept;
+ *   `parties` lists what was screened, so a changed name is screened again.
+ */
+export function screenRow(row, watchList, { today = new Date().toISOString().slice(0, 10), threshold = DEFAULT_SCREENING_THRESHOLD } = {}) {
+    const parties = rowParties(row);
+    const hits = [];
+    const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
+    parties.forEach(({ party, name, country }) => {
+        watchList.screenName(name, country, threshold).slice(0, MAX_HITS_PER_PARTY).forEach(match => {
+            hits.push({ key: `${party}:${match.entryId}`, party, name, country, ...match });
+        });
+        if (SANCTIONED_COUNTRIES.includes(country)) {
+            hits.push({
+                key: `${party}:country:${country}`, party, name, country, entryId: `country:${country}`,
+                entryName: `Located in ${regionNames.of(country)}`, matchedName: country, programs: ['Sanctioned country'],
+                type: 'Country', score: 1, countryMatch: true,
+            });
+        }
+    });
+    return {
+        rowKey: row.rowKey,
+        screenedAt: today,
+        listVersion: watchList.version,
+        parties: parties.map(({ party, name, country }) => `${party}=${name}/${country}`).join('; '),
+        hits,
+        reviews: {},
+    };
+}
+
+/**
+ * Screens the rows that have not been screened against the current watch list, or whose
+ * parties have changed since. Review decisions are kept for hits that come up again.
+ * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`.
+ * @param {WatchList} watchList - The watch list.
+ * @param {Map<string, object>} screenings - The screening records, keyed by row key; updated in place.
+ * @param {object} [options={}] - See `screenRow`; `force: true` screens every row again.
+ * @returns {Array<object>} The new or updated records, e.g. to store them.
+ */
+export function screenRows(rows, watchList, screenings, options = {}) {
+    const changed = [];
+    rows.forEach(row => {
+        const existing = screenings.get(row.rowKey);
+        const parties = rowParties(row).map(({ party, name, country }) => `${party}=${name}/${country}`).join('; ');
+        if (existing && !options.force && existing.listVersion === watchList.version && existing.parties === parties) return;
+        const record = screenRow(row, watchList, options);
+        if (existing) {
+            record.hits.forEach(hit => {
+                if (existing.reviews[hit.key]) record.reviews[hit.key] = existing.reviews[hit.key];
+            });
+        }
+        screenings.set(row.rowKey, record);
+        changed.push(record);
+    });
+    return changed;
+}
+
+/**
+ * The result of a screening: clear without hits, confirmed if any hit was confirmed,
+ * cleared if every hit was reviewed as a false positive, and otherwise a potential hit.
+ * @param {object} record - A screening record from `screenRow`.
+ * @returns {string} One of `SCREENING_STATUS`.
+ */
+export function getScreeningStatus(record) {
+    if (record.hits.length === 0) return SCREENING_STATUS.clear;
+    const decisions = record.hits.map(hit => record.reviews[hit.key] && record.reviews[hit.key].decision);
+    if (decisions.includes(REVIEW_DECISIONS.confirmed)) return SCREENING_STATUS.confirmed;
+    if (decisions.every(decision => decision === REVIEW_DECISIONS.falsePositive)) return SCREENING_STATUS.cleared;
+    return SCREENING_STATUS.potentialHit;
+}
+
+/**
+ * Records the review of a hit.
+ * @param {object} record - A screening record; updated in place.
+ * @param {string} hitKey - The hit's `key`.
+ * @param {string} decision - One of `REVIEW_DECISIONS`, or '' to undo the review.
+ * @param {string} [today] - The review date (YYYY-MM-DD); defaults to today.
+ * @returns {object} The same record.
+ */
+export function reviewHit(record, hitKey, decision, today = new Date().toISOString().slice(0, 10)) {
+    if (decision) record.reviews[hitKey] = { decision, reviewedAt: today };
+    else delete record.reviews[hitKey];
+    return record;
+}
+
+/**
+ * Describes a hit for a note, e.g. "Buyer 'Bank Melli' ~ 'BANK MELLI IRAN' (SDN 1234; IRAN) 97%, country matches".
+ * @param {object} hit - A hit from `screenRow`.
+ * @param {object} [review] - Its review, if any.
+ * @returns {string} The description.
+ */
+export function describeHit(hit, review) {
+    const programs = hit.programs.length > 0 ? `; ${hit.programs.join(', ')}` : '';
+    const matched = hit.matchedName !== hit.entryName && hit.type !== 'Country' ? ` as '${hit.matchedName}'` : '';
+    const country = hit.countryMatch === true ? ', country matches' : hit.countryMatch === false ? ', other country' : '';
+    const reviewed = review ? ` - ${review.decision} (${review.reviewedAt})` : '';
+    return hit.type === 'Country'
+        ? `${hit.party} '${hit.name}': ${hit.entryName}${reviewed}`
+        : `${hit.party} '${hit.name}' ~ '${hit.entryName}'${matched} (entry ${hit.entryId}${programs}) ${Math.round(hit.score * 100)}%${country}${reviewed}`;
+}
+
+/**
+ * Copies the screening results into the rows: the OFAC Date, OFAC Result and OFAC List columns,
+ * with the hits as a note.
+ * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`; updated in place.
+ * @param {Map<string, object>} screenings - The screening records, keyed by row key.
+ * @returns {Array<object>} The same rows.
+ */
+export function applyScreenings(rows, screenings) {
+    rows.forEach(row => {
+        const record = screenings.get(row.rowKey);
+        if (!record) return;
+        row.ofacDate = record.screenedAt;
+        row.ofacStatus = getScreeningStatus(record);
+        row.ofacList = record.listVersion;
+        row.notes.ofacStatus = record.hits.length > 0
+            ? record.hits.map(hit => describeHit(hit, record.reviews[hit.key])).join('\n')
+            : `No names within the screening threshold (${record.parties})`;
+    });
+    return rows;
+}
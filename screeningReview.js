@@ -0,0 +1,68 @@
+//screeningReview.js
+
+// JavaScript source code
+
+// The sanctions screening section of the row drill-down: the potential hits of a row's
+// parties and a review decision for each. The screening itself is done by
+// sanctionsScreening.js; this module only deals with the page.
+
+import { REVIEW_DECISIONS, getScreeningStatus, describeHit, reviewHit } from './sanctionsScreening.js';
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `className`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Renders the screening of a row into a container, replacing its content.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {object|null} record - The row's screening record (see `screenRow`), or null if not screened.
+ * @param {function(object): void} onReview - Called with the record after a decision changes;
+ *   the record is already updated (see `reviewHit`).
+ */
+export function renderScreeningReview(container, record, onReview) {
+    container.innerHTML = '';
+    container.appendChild(createElement('h3', { textContent: 'Sanctions Screening' }));
+    if (!record) {
+        container.appendChild(createElement('div', { textContent: 'Not screened yet: load a watch list (e.g. the SDN list) above the table.' }));
+        return;
+    }
+
+    const summary = createElement('div', { className: 'row-detail-legend' });
+    const showSummary = () => {
+        summary.textContent = `Screened on ${record.screenedAt} against ${record.listVersion}: ${getScreeningStatus(record)}. Parties: ${record.parties}.`;
+    };
+    showSummary();
+    container.appendChild(summary);
+    if (record.hits.length === 0) return;
+
+    const table = createElement('table', { className: 'excel-table screening-hits' });
+    table.appendChild(createElement('tr', {}, ['Potential Hit', 'Review'].map(text => createElement('th', { textContent: text }))));
+    record.hits.forEach(hit => {
+        const select = createElement('select', {}, [
+            new Option('To review', ''),
+            ...Object.values(REVIEW_DECISIONS).map(decision => new Option(decision, decision)),
+        ]);
+        const review = record.reviews[hit.key];
+        select.value = review ? review.decision : '';
+        select.addEventListener('change', () => {
+            reviewHit(record, hit.key, select.value);
+            showSummary();
+            onReview(record);
+        });
+        table.appendChild(createElement('tr', {}, [
+            createElement('td', { textContent: describeHit(hit) }),
+            createElement('td', {}, [select]),
+        ]));
+    });
+    container.appendChild(table);
+}
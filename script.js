@@ -1,29 +1,72 @@
-﻿// Import the necessary message classes from the msgClasses.js module.
-// This allows us to create structured objects from the parsed XML data.
-import { Message, MSG01, MSG02, MSG05, MSG07 } from './msgClasses.js';
+﻿// Import the file reading and credit log modules.
+// messageReader.js turns uploaded files into message objects (see msgClasses.js),
+// and creditLog.js combines them into the rows of the credit log table.
+import { parseFiles } from './fileParser.js';
+import { CREDIT_LOG_COLUMNS, MANUAL_FIELDS, createMessageCollections, resetMessageCollections, addMessage, keepVersion, getMessageId, generateCombinedDisplayData, applyManualFields, getRowCells } from './creditLog.js';
+import { openCreditLogStore } from './creditLogStore.js';
+import { createFileReport, formatValidationReport, hasProblems } from './validationReport.js';
+import { FACETS, EMPTY_FACET_VALUE, createFilterState, applyTableView, facetValues, toggleSort } from './tableFilter.js';
+import { parseQuery } from './queryParser.js';
+import { creditLogToXlsx } from './xlsxExport.js';
+import { loadRoutingRules, saveRoutingRules } from './routingRules.js';
+import { renderRuleEditor } from './routingRuleEditor.js';
+import { TEMPLATE_STORAGE_KEY, loadColumnTemplates, saveColumnTemplates, getActiveTemplate, resolveTemplate } from './columnTemplates.js';
+import { loadStandardRateBook, summarizeRateSources, parseRateFile } from './exchangeRates.js';
+import { renderRowDetail } from './rowDetail.js';
+import { renderResponseForm } from './responseForm.js';
+import { WatchList, parseWatchList, screenRows, applyScreenings, SCREENING_STATUS } from './sanctionsScreening.js';
+import { renderScreeningReview } from './screeningReview.js';
+import { buildThreads } from './requestThreads.js';
+import { renderThreadTimeline } from './threadTimeline.js';
+import { formatConflictReport } from './messageConflicts.js';
+import { renderConflictReview } from './conflictReview.js';
+import { ALERT_LEVELS, buildExposure, checkExposureLimits, describeAlert, loadExposureLimits } from './buyerExposure.js';
+import { BusinessCalendar, parseCalendarFile, loadCalendarSettings, saveCalendarSettings, updateSlaStatus, summarizeSla, SLA_STATUS } from './slaCalendar.js';
 
 
 // script.js
 // This file contains the core client-side logic for the Credit Log application.
 // It handles:
 // 1. User interactions (file selection, button clicks).
-// 2. Asynchronously reading and parsing uploaded XML files.
-// 3. Fetching external data (currency exchange rates).
+// 2. Asynchronously reading and parsing uploaded XML and CSV files in Web Workers (see fileParser.js),
+//    with a progress bar, a cancel button and rows appearing while files are parsed.
+// 3. Loading currency exchange rates (live, cached or from an uploaded rate table).
 // 4. Processing and combining data from different message types (MSG01, MSG02, etc.).
 // 5. Dynamically generating and displaying an HTML table with the results.
-// 6. Providing functionality to copy the table data.
+// 6. Providing functionality to copy the table data or download it as an Excel workbook.
+// 7. Searching, filtering and sorting the table.
+// 8. Showing a validation report of every uploaded file.
+// 9. Keeping the messages, rows and manual columns in the browser (IndexedDB) between visits.
+// 10. Showing the columns of the chosen column template (designed on the Custom Format page).
+// 11. Opening a row's full parsed messages and original XML when the row is clicked.
+// 12. Drafting the response (MSG03/06/08) to a row's request and downloading it as XML.
+// 13. Measuring turnaround in business days with holiday calendars, flagging rows near or past
+//     their response deadline and summarizing them per credit manager.
+// 14. Screening buyers, sellers and factors against a stored sanctions watch list, and reviewing the hits.
 
 const fileInput = document.getElementById('fileInput');         // The <input type="file"> element.
 const processButton = document.getElementById('processButton');   // The "Process Files" button.
 const output = document.getElementById('output');                 // The <div> where the results table will be rendered.
 let uploadedFiles = [];                                           // An array to hold the File objects selected by the user.
 
-// Global collections to store the parsed message objects from all uploaded files.
-const allMsg01s = new Map(); // Key: SenderCode_SellerNr, Value: MSG01 instance
-const allMsg02s = [];
-const allMsg05s = [];
-const allMsg07s = [];
-let exchangeRates = null;
+// Global collections to store the parsed message objects from all uploaded files (see creditLog.js).
+const collections = createMessageCollections();
+let rateBook = null;         // The exchange rates used for the last run (see exchangeRates.js).
+let manualRateTables = [];   // Rate tables read from the optional rate file input.
+let routingRules = loadRoutingRules(localStorage); // Credit-manager routing rules (see routingRules.js).
+let currentDisplayRows = []; // All rows of the credit log.
+let visibleRows = [];        // The rows that pass the search and filters, in display order; used by the exports.
+const filterState = createFilterState(); // Search, query, facet, date range and sort settings (see tableFilter.js).
+let columnTemplates = loadColumnTemplates(localStorage); // Column presets (see columnTemplates.js).
+let tableColumns = resolveActiveColumns();                // The columns of the active preset, used by the table and the exports.
+let store = null;            // The persistent store (see creditLogStore.js), or null if IndexedDB is unavailable.
+let manualFields = new Map(); // Manual column values (comments, AE/CSO), keyed by row key.
+let calendarSettings = loadCalendarSettings(localStorage); // Uploaded holiday calendars (see slaCalendar.js).
+let businessCalendar = new BusinessCalendar(calendarSettings);
+let watchList = new WatchList(); // The sanctions watch list (see sanctionsScreening.js); restored from the store.
+let screenings = new Map();      // Sanctions screening records, keyed by row key.
+const storeStatus = document.getElementById('storeStatus');
+const clearStoreButton = document.getElementById('clearStoreButton');
 
 // Handle the 'change' event on the file input element.
 fileInput.addEventListener('change', (event) => {
@@ -35,404 +78,887 @@ fileInput.addEventListener('change', (event) => {
     }
 });
 
-// Main processing logic triggered by clicking the "Process Files" button.
-// The function is `async` to allow for `await`ing the fetch request for exchange rates.
-processButton.addEventListener('click', async () => { // Make the event listener async
-    output.innerHTML = ''; // Clear previous output
-    resetGlobalMessageCollections(); // Clear previous data
+// Optional manual rate tables (CSV or JSON). They take precedence over live and cached rates of the same date.
+const rateFileInput = document.getElementById('rateFileInput');
+const rateStatus = document.getElementById('rateStatus');
+if (rateFileInput) {
+    rateFileInput.addEventListener('change', async (event) => {
+        manualRateTables = [];
+        const messages = [];
+        for (const file of Array.from(event.target.files)) {
+            try {
+                const tables = parseRateFile(await file.text(), file.name);
+                manualRateTables.push(...tables);
+                messages.push(`${file.name}: ${tables.length} rate table(s)`);
+            } catch (error) {
+                messages.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (rateStatus) rateStatus.textContent = messages.join('; ');
+    });
+}
 
-    // Fetch up-to-date exchange rates once when the button is clicked.
-    
-    try {
-        // Use the fetch API to get the latest USD exchange rates from a free public API.
-        const response = await fetch('https://open.er-api.com/v6/latest/USD');
-        if (!response.ok) {
-            throw new Error(`Network response was not ok: ${response.statusText}`);
+// Optional weekend/holiday calendars and response times (CSV or JSON). They are kept in the browser
+// and replace the ones uploaded before; the table already shown is recalculated.
+const calendarFileInput = document.getElementById('calendarFileInput');
+const calendarStatus = document.getElementById('calendarStatus');
+if (calendarStatus && calendarSettings.length > 0) {
+    calendarStatus.textContent = `Using ${businessCalendar.sources.join(', ')}`;
+}
+if (calendarFileInput) {
+    calendarFileInput.addEventListener('change', async (event) => {
+        const settingsList = [];
+        const messages = [];
+        for (const file of Array.from(event.target.files)) {
+            try {
+                const settings = parseCalendarFile(await file.text(), file.name);
+                settingsList.push(settings);
+                messages.push(`${file.name}: ${settings.calendars.length} calendar(s)`);
+            } catch (error) {
+                messages.push(`${file.name}: ${error.message}`);
+            }
         }
-        const data = await response.json();
-        if (data.result === 'success') {
-            exchangeRates = data.rates;
-            console.log("Successfully fetched up-to-date exchange rates.");
-        } else {
-            throw new Error(`API returned an error: ${data['error-type']}`);
+        if (settingsList.length > 0) {
+            calendarSettings = settingsList;
+            businessCalendar = new BusinessCalendar(calendarSettings);
+            saveCalendarSettings(localStorage, calendarSettings);
+            if (rateBook) refreshTable();
+        }
+        if (calendarStatus) calendarStatus.textContent = messages.join('; ');
+    });
+}
+
+// Sanctions watch lists (e.g. OFAC's sdn.xml, or sdn.csv with alt.csv and add.csv). They replace the
+// lists loaded before, are kept in the store, and every row of the table is screened against them.
+const watchListInput = document.getElementById('watchListInput');
+const watchListStatus = document.getElementById('watchListStatus');
+if (watchListInput) {
+    watchListInput.addEventListener('change', async (event) => {
+        const lists = [];
+        const messages = [];
+        for (const file of Array.from(event.target.files)) {
+            try {
+                const list = parseWatchList(await file.text(), file.name);
+                lists.push(list);
+                messages.push(`${file.name}: ${list.entries.length} entries`);
+            } catch (error) {
+                messages.push(`${file.name}: ${error.message}`);
+            }
+        }
+        if (lists.length > 0) {
+            watchList = new WatchList(lists);
+            if (store) {
+                store.saveWatchLists(lists).catch(error => console.error('Could not store the watch lists.', error));
+            }
+            screenAndApply(currentDisplayRows);
+            displayTable(currentDisplayRows);
+            if (store) {
+                store.saveRows(currentDisplayRows).catch(error => console.error('Could not store the credit log rows.', error));
+            }
+            messages.push(describeWatchList());
+        }
+        if (watchListStatus) watchListStatus.textContent = messages.join('; ');
+    });
+}
+
+/**
+ * Describes the loaded watch list.
+ * @returns {string} E.g. '18,432 names from sdn.xml (published 12/31/2024)'.
+ */
+function describeWatchList() {
+    return watchList.names.length > 0 ? `${watchList.names.length.toLocaleString()} names from ${watchList.version}` : 'No watch list loaded.';
+}
+
+/**
+ * Screens the rows not yet screened against the current watch list, copies the results into
+ * the OFAC columns and stores the new screenings. Rows are not screened without a watch list.
+ * @param {Array<object>} rows - Rows from `generateCombinedDisplayData`; updated in place.
+ * @returns {Array<object>} The same rows.
+ */
+function screenAndApply(rows) {
+    if (watchList.names.length > 0) {
+        const changed = screenRows(rows, watchList, screenings);
+        if (store && changed.length > 0) {
+            store.saveScreenings(changed).catch(error => console.error('Could not store the screenings.', error));
+        }
+    }
+    return applyScreenings(rows, screenings);
+}
+
+// The routing rule editor. Saved rules are kept in the browser and re-route the table already shown.
+const ruleEditor = document.getElementById('ruleEditor');
+if (ruleEditor) {
+    renderRuleEditor(ruleEditor, routingRules, (newRules) => {
+        routingRules = newRules;
+        saveRoutingRules(localStorage, routingRules);
+        if (rateBook) {
+            refreshTable();
+        }
+    });
+}
+
+/**
+ * Regenerates the table from all messages, merges in the manual columns,
+ * shows it and stores the rows.
+ */
+async function refreshTable() {
+    const displayRows = screenAndApply(applyManualFields(generateCombinedDisplayData(collections, rateBook, routingRules, businessCalendar), manualFields));
+    displayTable(displayRows);
+    if (store) {
+        try {
+            await store.saveRows(displayRows);
+        } catch (error) {
+            console.error('Could not store the credit log rows.', error);
+        }
+    }
+    updateStoreStatus();
+}
+
+/**
+ * Shows how many messages and rows the log holds.
+ */
+function updateStoreStatus() {
+    if (!storeStatus) return;
+    const storage = store ? 'stored in this browser' : 'not stored (IndexedDB unavailable)';
+    storeStatus.textContent = `${collections.messageIds.size} message(s), ${currentDisplayRows.length} row(s), ${storage}.`;
+}
+
+/**
+ * Opens the persistent store and restores the messages, manual columns and the last table.
+ * The stored rows are shown as they were saved, with their SLA status brought up to date;
+ * they are regenerated on the next "Process Files".
+ */
+async function restoreStoredLog() {
+    try {
+        store = await openCreditLogStore();
+        (await store.loadMessages()).forEach(instance => addMessage(collections, instance));
+        (await store.loadConflictVersions()).forEach(instance => addMessage(collections, instance));
+        manualFields = await store.loadManualFields();
+        screenings = await store.loadScreenings();
+        watchList = new WatchList(await store.loadWatchLists());
+        if (watchListStatus) watchListStatus.textContent = describeWatchList();
+        const storedRows = await store.loadRows();
+        if (storedRows.length > 0) {
+            displayTable(screenAndApply(applyManualFields(updateSlaStatus(storedRows), manualFields)));
         }
+        renderConflicts(false);
+        // Stored messages can be re-processed (e.g. with new rates) without selecting files.
+        if (collections.messageIds.size > 0) processButton.disabled = false;
     } catch (error) {
-        console.error("Could not fetch exchange rates. Conversion to USD will not be available.", error);
+        store = null;
+        console.error('Could not open the stored credit log. Uploads will not be kept.', error);
     }
+    updateStoreStatus();
+}
 
-    // Initialize a counter to track when all files have been read.
-    let filesReadCount = 0;
-    const totalFilesToRead = uploadedFiles.length;
-
-    // Iterate over each file the user selected.
-    uploadedFiles.forEach((file) => {
-        // Use FileReader to read the file content asynchronously.
-        const reader = new FileReader();
-
-        // The 'onload' event fires when the file has been successfully read.
-        reader.onload = () => {
-            // Read the file as an ArrayBuffer to handle character encoding correctly.
-            const buffer = new Uint8Array(reader.result);
-            // Decode a small initial chunk of the file to look for an XML encoding declaration.
-            const chunk = buffer.subarray(0, 1024);
-            const chunkAsString = new TextDecoder('latin1').decode(chunk);
-
-            let encoding = 'utf-8';
-            let encodingDeclared = false;
-            const encodingMatch = chunkAsString.match(/<\?xml\s+.*?encoding\s*=\s*"(.*?)"/i);
-            if (encodingMatch) {
-                encoding = encodingMatch[1].toLowerCase();
-                encodingDeclared = true;
-            }
+restoreStoredLog();
 
-            let xmlString;
-            // Attempt to decode the entire file into a string.
-            try {
-                // Use the detected encoding (or the 'utf-8' default). `fatal: true` ensures an error is thrown for invalid characters.
-                xmlString = new TextDecoder(encoding, { fatal: true }).decode(buffer);
-            } catch (e) {
-                console.warn(`Failed to decode with primary encoding ('${encoding}'). Error:`, e);
-                // If decoding fails and no encoding was declared, it's likely a legacy encoding.
-                if (!encodingDeclared) {
-                    // Try 'windows-1254' as a fallback, which is common for Turkish characters.
-                    const fallbackEncoding = 'windows-1254';
-                    try {
-                        xmlString = new TextDecoder(fallbackEncoding).decode(buffer);
-                    } catch (fallbackError) {
-                        console.error(`Fallback to '${fallbackEncoding}' also failed. Decoding with lossy UTF-8 as a last resort.`, fallbackError);
-                        // If all else fails, decode as UTF-8, which may result in replacement characters ().
-                        xmlString = new TextDecoder('utf-8').decode(buffer);
-                    }
-                } else {
-                    console.warn(`The declared encoding '${encoding}' seems incorrect. Falling back to lossy UTF-8.`);
-                    xmlString = new TextDecoder('utf-8').decode(buffer);
-                }
-            }
+// Deletes the stored log, including manual column values, after confirmation.
+if (clearStoreButton) {
+    clearStoreButton.addEventListener('click', async () => {
+        if (!confirm('Delete all stored messages, rows and manual column values?')) return;
+        if (store) await store.clear();
+        resetMessageCollections(collections);
+        manualFields = new Map();
+        screenings = new Map();
+        currentDisplayRows = [];
+        visibleRows = [];
+        output.innerHTML = '';
+        renderSlaSummary();
+        renderExposureAlerts();
+        renderConflicts(false);
+        updateFacetOptions();
+        if (rowCount) rowCount.textContent = '';
+        processButton.disabled = uploadedFiles.length === 0;
+        updateStoreStatus();
+    });
+}
 
-            // Use the browser's built-in DOMParser to parse the XML string into a document object.
-            const parser = new DOMParser();
-            const xmlDoc = parser.parseFromString(xmlString, 'application/xml');
-
-            // Find all relevant message nodes within the parsed XML document.
-            const msgNodes = xmlDoc.querySelectorAll('MSG01, MSG02, MSG05, MSG07');
-
-            // Process each found message node.
-            msgNodes.forEach(node => {
-                try {
-                    const nodeName = node.nodeName;
-                    let instance;
-                    // Based on the node name, create an instance of the corresponding class.
-                    if (nodeName === 'MSG01') {
-                        instance = MSG01.fromXMLString(node.outerHTML);
-                        const key = `${instance.msgInfo.SenderCode}_${instance.seller.SellerNr}`;
-                        allMsg01s.set(key, instance);
-                    } else if (nodeName === 'MSG02') {
-                        instance = MSG02.fromXMLString(node.outerHTML);
-                        allMsg02s.push(instance);
-                    } else if (nodeName === 'MSG05') {
-                        instance = MSG05.fromXMLString(node.outerHTML);
-                        allMsg05s.push(instance);
-                    } else if (nodeName === 'MSG07') {
-                        instance = MSG07.fromXMLString(node.outerHTML);
-                        allMsg07s.push(instance);
-                    }
-                } catch (error) {
-                    console.error(`Error parsing ${node.nodeName} from file ${file.name}:`, error.message);
-                }
-            });
+// Save edits of the manual columns when a cell loses focus.
+output.addEventListener('focusout', (event) => {
+    const cell = event.target;
+    if (!cell.dataset || !cell.dataset.manualField) return;
+    const row = visibleRows[Number(cell.dataset.rowIndex)];
+    const key = cell.dataset.manualField;
+    const value = cell.innerText.trim();
+    cell.innerText = value;
+    if (row[key] === value) return;
+
+    row[key] = value;
+    const values = { ...(manualFields.get(row.rowKey) || {}), [key]: value };
+    manualFields.set(row.rowKey, values);
+    if (store) {
+        Promise.all([store.saveManualFields(row.rowKey, values), store.saveRows(currentDisplayRows)])
+            .catch(error => console.error('Could not store the edited value.', error));
+    }
+});
+
+// Main processing logic triggered by clicking the "Process Files" button.
+// The function is `async` to allow for `await`ing the fetch request for exchange rates.
+// New files are added to the stored log; messages already in it (same sender and SequenceNr, or same
+// content) are skipped, and messages that disagree with it are listed under Duplicates and Conflicts.
+processButton.addEventListener('click', async () => { // Make the event listener async
+
+    // Load the exchange rates once when the button is clicked: uploaded tables, the latest
+    // live rates, and the cached rates of earlier runs (used when the fetch fails, and for older message dates).
+    const loaded = await loadStandardRateBook(manualRateTables, localStorage);
+    rateBook = loaded.rateBook;
+    loaded.warnings.forEach(warning => console.warn(warning));
+    if (!rateBook.hasRates()) {
+        console.error("No exchange rates available. Conversion to USD will not be available.");
+    }
+    if (rateStatus) rateStatus.textContent = summarizeRateSources(rateBook);
+
+    if (uploadedFiles.length === 0) {
+        // Nothing new selected: re-process the stored messages.
+        refreshTable();
+        return;
+    }
+
+    const files = uploadedFiles;
+    const pendingSaves = []; // Stores of the new messages, awaited before the rows are saved.
+    const fileReports = [];  // One validation report per file, in upload order.
+    const fileMessages = files.map(() => ({ parsed: [], duplicates: 0 }));
+    processButton.disabled = true;
+    showProgress(true);
 
-            // Increment the counter for processed files.
-            filesReadCount++;
-            if (filesReadCount === totalFilesToRead) {
-                // Once all files have been read and parsed, generate the combined data and display the table.
-                // All files have been read, now combine and display
-                const displayRows = generateCombinedDisplayData();
-                displayTable(displayRows, exchangeRates);
+    currentJob = parseFiles(files, {
+        onProgress: updateProgress,
+        // Rows appear while files are parsed: new messages are added and the table is refreshed now and then.
+        onMessages: (fileIndex, messages) => {
+            const newMessages = messages.filter(instance => addMessage(collections, instance));
+            // Versions skipped for reusing a SequenceNr are stored too, so their conflicts survive a reload.
+            const conflictVersions = messages.filter(instance => {
+                if (newMessages.includes(instance)) return false;
+                const conflict = collections.conflicts.get(`sequence:${getMessageId(instance)}`);
+                return conflict && conflict.versions.includes(instance);
+            });
+            fileMessages[fileIndex].parsed.push(...messages);
+            fileMessages[fileIndex].duplicates += messages.length - newMessages.length;
+            if (store && newMessages.length > 0) {
+                pendingSaves.push(store.addMessages(newMessages, files[fileIndex].name).catch(error => {
+                    console.error(`Could not store the messages from ${files[fileIndex].name}.`, error);
+                }));
+            }
+            if (store && conflictVersions.length > 0) {
+                pendingSaves.push(store.addConflictVersions(conflictVersions, files[fileIndex].name).catch(error => {
+                    console.error(`Could not store the conflicting messages from ${files[fileIndex].name}.`, error);
+                }));
             }
-        };
-        reader.readAsArrayBuffer(file);
+            scheduleStreamingRefresh();
+        },
+        onFileDone: (fileIndex, { decoded, errors, found }) => {
+            const { parsed, duplicates } = fileMessages[fileIndex];
+            errors.forEach(error => {
+                console.error(`Error parsing ${error.msgType || 'file'} from file ${files[fileIndex].name}:`, error.message);
+            });
+            fileReports[fileIndex] = createFileReport(files[fileIndex].name, decoded, { messages: parsed, errors, found }, duplicates);
+        },
     });
+
+    const { cancelled } = await currentJob.done;
+    currentJob = null;
+    clearTimeout(streamingRefreshTimer);
+    streamingRefreshTimer = null;
+    showProgress(false);
+    processButton.disabled = false;
+
+    // Once all files have been read and parsed, generate the combined data and display the table.
+    renderDiagnostics(fileReports.filter(report => report));
+    renderConflicts(true);
+    if (cancelled && progressText) progressText.textContent = 'Cancelled. Messages parsed before cancelling were kept.';
+    await Promise.all(pendingSaves);
+    refreshTable();
 });
 
+// Progress of the current upload, and the button to cancel it.
+const progressArea = document.getElementById('progressArea');
+const progressBar = document.getElementById('progressBar');
+const progressText = document.getElementById('progressText');
+const cancelButton = document.getElementById('cancelButton');
+let currentJob = null;             // The running parse job (see fileParser.js), or null.
+let streamingRefreshTimer = null;  // Pending table refresh while files are parsed.
+
 /**
- * Clears all data from the global message collections.
- * This is called at the beginning of processing to ensure no data from previous runs is carried over.
+ * Shows or hides the progress bar and cancel button.
+ * @param {boolean} visible - Whether an upload is running.
  */
-function resetGlobalMessageCollections() {
-    allMsg01s.clear();
-    allMsg02s.length = 0;
-    allMsg05s.length = 0;
-    allMsg07s.length = 0;
+function showProgress(visible) {
+    if (progressArea) progressArea.hidden = false;
+    if (progressBar) {
+        progressBar.hidden = !visible;
+        progressBar.value = 0;
+    }
+    if (cancelButton) cancelButton.hidden = !visible;
+    if (progressText && visible) progressText.textContent = 'Starting...';
 }
 
 /**
- * Generates an array of row objects ready for display.
- * It iterates through transactional messages (02, 05, 07), combines them with
- * their corresponding seller info message (01), and structures the data for the table.
- * @returns {Array<object>} An array of objects, where each object represents a row in the final table.
+ * Updates the progress bar: whole files done, plus the share of the current file's messages.
+ * @param {object} progress - See `onProgress` of `parseFiles`.
  */
-function generateCombinedDisplayData() {
-    const combinedData = [];
-
-    // Combine all transactional messages into a single array to iterate over.
-    [...allMsg02s, ...allMsg05s, ...allMsg07s].forEach(msg => {
-        const msgType = msg.type;
-        // Create a unique key based on the sender and seller number to find the matching MSG01.
-        const key = `${msg.msgInfo.SenderCode}_${msg.seller.SellerNr}`;
-        const matchedMsg01 = allMsg01s.get(key);
-
-        // Create a structured 'row' object with default/empty values.
-        let row = {
-            requestDate: '',
-            dateReceived: msg.msgInfo.DateTime ? msg.msgInfo.DateTime.slice(0, 10) : '',
-            reminder: 'No',
-            newAcctNameAddressChange: 'No',
-            cancellation: 'No',
-            buyerName: msg.buyer ? msg.buyer.BuyerName : '',
-            buyerCountry: msg.buyer ? msg.buyer.Country || '' : '', // MSG07 might not have Country
-            sellerName: msg.seller ? msg.seller.SellerName : '',
-            sellerCountry: '', // To be inferred
-            partnerName: msg.ef ? msg.ef.FactorName : '',
-            partnerCountry: '', // To be inferred
-            messageType: msgType.slice(-1), // '2', '5', '7'
-            amountReq: '',
-            currency: '',
-            term: '',
-            contactAllowed: 'No',
-            msgFunctionCode: '', // 3, 6, 8
-            amtApproved: '',
-            msg3ExpirationDate: '',
-            insurance: '',
-            responseDate: '',
-            ofacDate: '',
-            rate: '',
-            incomingComments: msg.msgText || '',
-            creditComments: '',
-            aeComments: '',
-            daysToRespond: '',
-            creditManager: '', // To be calculated
-            aeCso: '',
-            industryProduct: '', // From MSG01
-            clientCode: msg.ef ? msg.ef.FactorCode : '',
-            amountReqUSD: '' // To be calculated
-        };
-
-        // Populate fields that vary based on the message type (Amount, Currency, Term, etc.).
-        if (msgType === 'MSG02') {
-            row.requestDate = msg.requestDate || '';
-            row.amountReq = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.AmtCreditAssessReq : '';
-            row.currency = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.Currency : '';
-            row.term = msg.prelCreditAssessDetails ? msg.prelCreditAssessDetails.NetPmtTerms : '';
-            row.contactAllowed = (msg.buyer && msg.buyer.DirectContact == 1) ? 'Yes' : 'No';
-        } else if (msgType === 'MSG05') {
-            row.requestDate = msg.requestDate || '';
-            row.amountReq = msg.creditCoverDetails ? msg.creditCoverDetails.NewCreditCoverAmt : '';
-            row.currency = msg.creditCoverDetails ? msg.creditCoverDetails.Currency : '';
-            row.term = msg.creditCoverDetails ? msg.creditCoverDetails.NetPmtTerms : '';
-            row.contactAllowed = (msg.buyer && msg.buyer.DirectContact == 1) ? 'Yes' : 'No';
-        } else if (msgType === 'MSG07') {
-            row.requestDate = msg.requestDate || '';
-            row.amountReq = msg.newCreditCoverDetails ? msg.newCreditCoverDetails.NewCreditCoverAmt : '';
-            row.currency = msg.currentCreditCoverDetails ? msg.currentCreditCoverDetails.Currency : '';
-            row.term = msg.newCreditCoverDetails ? msg.newCreditCoverDetails.LongCreditPeriodDays : '';
-            // MSG07 buyer doesn't have DirectContact
-        }
+function updateProgress({ fileName, done, total, filesDone, fileCount }) {
+    if (progressBar) {
+        progressBar.value = fileCount > 0 ? (filesDone + (total > 0 ? done / total : 0)) / fileCount : 1;
+    }
+    if (progressText) {
+        const current = total > 0 && filesDone < fileCount ? ` - ${fileName}: ${done} / ${total} messages` : '';
+        progressText.textContent = `${filesDone} of ${fileCount} file(s) done${current}`;
+    }
+}
 
-        // If a matching MSG01 was found, populate the row with its data.
-        if (matchedMsg01) {
-            row.industryProduct = matchedMsg01.sellerDetails ? matchedMsg01.sellerDetails.BusinessProduct : '';
-            // If MSG01 MsgDate is relevant for Request Date when the paired msg doesn't have it, uncomment below
-            // if (!row.requestDate) {
-            //     row.requestDate = matchedMsg01.msgDate || '';
-            // }
-        }
+/**
+ * Refreshes the table from the messages parsed so far, at most twice a second.
+ * The rows are stored only once the upload is finished.
+ */
+function scheduleStreamingRefresh() {
+    if (streamingRefreshTimer) return;
+    streamingRefreshTimer = setTimeout(() => {
+        streamingRefreshTimer = null;
+        displayTable(screenAndApply(applyManualFields(generateCombinedDisplayData(collections, rateBook, routingRules, businessCalendar), manualFields)));
+    }, 500);
+}
 
-        // Infer country names from the 2-letter country codes in the FactorCode.
-        const regionNames = new Intl.DisplayNames(['en'], { type: 'region' });
-        const exportFactorCodeCharacters = msg.ef ? msg.ef.FactorCode.substring(0, 2) : '';
-        row.partnerCountry = exportFactorCodeCharacters ? regionNames.of(exportFactorCodeCharacters) : '';
-        row.sellerCountry = row.partnerCountry; // Assuming seller country is same as export factor country based on current script's logic
-
-        // Calculate the USD equivalent for the requested amount.
-        let creditAmountUSDformat = convertToUSD(row.amountReq, row.currency, exchangeRates);
-        console.log(creditAmountUSDformat);
-        
-        // Determine the assigned credit manager based on business rules.
-        row.creditManager = getCreditManager(exportFactorCodeCharacters, creditAmountUSDformat, row.partnerName);
-        combinedData.push(row);
+if (cancelButton) {
+    cancelButton.addEventListener('click', () => {
+        if (currentJob) currentJob.cancel();
     });
+}
 
-    // Sort the final data by the date the message was received for a chronological view.
-    combinedData.sort((a, b) => new Date(a.dateReceived) - new Date(b.dateReceived));
-
-    return combinedData;
+/**
+ * Resolves the columns of the active column template.
+ * @returns {Array<object>} The columns; all credit log columns if the template cannot be used.
+ */
+function resolveActiveColumns() {
+    try {
+        return resolveTemplate(getActiveTemplate(columnTemplates));
+    } catch (error) {
+        console.warn('Showing all columns: the column template cannot be used.', error);
+        return CREDIT_LOG_COLUMNS;
+    }
 }
 
 /**
- * Renders the final HTML table from the processed data rows.
+ * Shows a new set of credit log rows, keeping the current search, filters and sort.
  * @param {Array<object>} displayRows - An array of row objects from `generateCombinedDisplayData`.
- * @param {object|null} exchangeRates - The exchange rate data fetched from the API.
  */
-function displayTable(displayRows, exchangeRates) {
-    // Start building the table HTML with the header row.
-    let tableHTML = `<table border="1"><tr>
-        <th>Request Date</th>
-        <th>Date Received</th>
-        <th>Reminder (Yes/No)</th>
-        <th>New Acct / Name Address Change (Yes/No)</th>
-        <th>Cancellation (Yes/No)</th>
-        <th>Buyer</th>
-        <th>Buyer Country</th>
-        <th>Seller</th>
-        <th>Seller Country</th>
-        <th>Partner</th>
-        <th>Partner Country</th>
-        <th>2,5,7</th>
-        <th>Amount Req</th>
-        <th>Currency</th>
-        <th>Term</th>
-        <th>Contact Allowed (Yes/No)</th>
-        <th>3, 6, 8</th>
-        <th>Amt Appr</th>
-        <th>Msg 3 Expiration Date</th>
-        <th>Insurance (Yes/No)</th>
-        <th>Response Date</th>
-        <th>OFAC Date</th>
-        <th>Rate</th>
-        <th>Incoming Comments</th>
-        <th>Credit Comments</th>
-        <th>AE Comments</th>
-        <th># Days to Respond</th>
-        <th>Credit Manager</th>
-        <th>AE/CSO</th>
-        <th>Industry / Product</th>
-        <th>Client Code</th>
-    </tr>`;
-
-    //        <th>Amount Req (USD)</th>
-
-    // Iterate over each processed row object to create a <tr> element.
-    displayRows.forEach(row => {
-
-        // Find today's date:
-        var today = new Date();
-        today = String(today.getMonth() + 1).padStart(2, '0') + '-' + String(today.getDate()).padStart(2, '0') + '-' + today.getFullYear();
-
-        // Append the new table row with all its data cells (<td>).
-        tableHTML += `<tr>
-            <td>${row.requestDate}</td>
-            <td>${today}</td>
-            <td>${row.reminder}</td>
-            <td>${row.newAcctNameAddressChange}</td>
-            <td>${row.cancellation}</td>
-            <td>${row.buyerName}</td>
-            <td>${row.buyerCountry}</td>
-            <td>${row.sellerName}</td>
-            <td>${row.sellerCountry}</td>
-            <td>${row.partnerName}</td>
-            <td>${row.partnerCountry}</td>
-            <td>${row.messageType}</td>
-            <td>${row.amountReq}</td>
-            <td>${row.currency}</td>
-            <td>${row.term}</td>
-            <td>${row.contactAllowed}</td>
-            <td>${row.msgFunctionCode}</td>
-            <td>${row.amtApproved}</td>
-            <td>${row.msg3ExpirationDate}</td>
-            <td>${row.insurance}</td>
-            <td>${row.responseDate}</td>
-            <td>${row.ofacDate}</td>
-            <td>${row.rate}</td>
-            <td>${row.incomingComments}</td>
-            <td>${row.creditComments}</td>
-            <td>${row.aeComments}</td>
-            <td>${row.daysToRespond}</td>
-            <td>${row.creditManager}</td>
-            <td>${row.aeCso}</td>
-            <td>${row.industryProduct}</td>
-            <td>${row.clientCode}</td>
-        </tr>`;
+function displayTable(displayRows) {
+    currentDisplayRows = displayRows;
+    updateFacetOptions();
+    renderTable();
+    renderSlaSummary();
+    renderExposureAlerts();
+}
+
+const exposureAlerts = document.getElementById('exposureAlerts');
+
+/**
+ * Lists the buyers and countries whose cover is, or would be if the open requests were granted,
+ * over the limits set on the Exposure page (see buyerExposure.js).
+ */
+function renderExposureAlerts() {
+    if (!exposureAlerts) return;
+    exposureAlerts.innerHTML = '';
+    const alerts = checkExposureLimits(buildExposure(currentDisplayRows), loadExposureLimits(localStorage));
+    if (alerts.length === 0) return;
+    const heading = document.createElement('h3');
+    heading.textContent = `Exposure Limit Alerts (${alerts.length}) `;
+    const link = document.createElement('a');
+    link.href = 'option4.html';
+    link.textContent = 'Open the Exposure page';
+    heading.appendChild(link);
+    const list = document.createElement('ul');
+    alerts.forEach(alert => {
+        const item = document.createElement('li');
+        item.className = alert.level === ALERT_LEVELS.over ? 'exposure-over' : 'exposure-warning';
+        item.textContent = describeAlert(alert);
+        list.appendChild(item);
     });
+    exposureAlerts.append(heading, list);
+}
+
+// Row classes that colour requests by their SLA status (see slaCalendar.js).
+const SLA_ROW_CLASSES = {
+    [SLA_STATUS.overdue]: 'sla-overdue',
+    [SLA_STATUS.dueSoon]: 'sla-due-soon',
+    [SLA_STATUS.late]: 'sla-late',
+};
 
-    // <td>${creditAmountUSDformat}</td>
+// Row classes that mark unresolved and confirmed sanctions hits (see sanctionsScreening.js).
+const SCREENING_ROW_CLASSES = {
+    [SCREENING_STATUS.potentialHit]: 'ofac-hit',
+    [SCREENING_STATUS.confirmed]: 'ofac-confirmed',
+};
+
+const slaSummary = document.getElementById('slaSummary');
+
+/**
+ * Shows the number of overdue, due-soon and late requests per credit manager.
+ * Clicking a manager filters the table to their rows.
+ */
+function renderSlaSummary() {
+    if (!slaSummary) return;
+    const entries = summarizeSla(currentDisplayRows);
+    if (entries.length === 0) {
+        slaSummary.innerHTML = '';
+        return;
+    }
+    let summaryHTML = '<table class="excel-table"><tr><th>Credit Manager</th><th>Overdue</th><th>Due Soon</th><th>Answered Late</th><th>Open</th></tr>';
+    entries.forEach(entry => {
+        summaryHTML += `<tr data-manager="${escapeAttribute(entry.manager)}"${entry.overdue > 0 ? ' class="sla-overdue"' : ''}>`
+            + `<td>${escapeAttribute(entry.manager)}</td><td>${entry.overdue}</td><td>${entry.dueSoon}</td><td>${entry.late}</td><td>${entry.open}</td></tr>`;
+    });
+    slaSummary.innerHTML = `<h3>Response Deadlines</h3>${summaryHTML}</table>`;
+}
+
+if (slaSummary) {
+    slaSummary.addEventListener('click', (event) => {
+        const tr = event.target.closest('tr[data-manager]');
+        if (!tr) return;
+        filterState.facets.creditManager = tr.dataset.manager === '(unassigned)' ? EMPTY_FACET_VALUE : tr.dataset.manager;
+        updateFacetOptions();
+        renderTable();
+    });
+}
+
+/**
+ * Renders the HTML table from the rows that pass the search and filters, in sort order.
+ * Cells with a note (e.g. which exchange rate was used) show it as a tooltip.
+ */
+function renderTable() {
+    visibleRows = applyTableView(currentDisplayRows, filterState, tableColumns);
+
+    // Start building the table HTML with the header row. Clicking a header sorts by that column.
+    let tableHTML = '<table border="1"><tr>';
+    tableColumns.forEach(column => {
+        const sortClass = filterState.sortKey === column.key ? ` class="sorted-${filterState.sortDirection}"` : '';
+        tableHTML += `<th data-sort-key="${escapeAttribute(column.key)}"${sortClass}>${escapeAttribute(column.header)}</th>`;
+    });
+    tableHTML += '</tr>';
+
+    // Iterate over each processed row object to create a <tr> element with all its data cells (<td>).
+    // The manual columns are editable; edits are saved by the 'focusout' listener above.
+    visibleRows.forEach((row, rowIndex) => {
+        const rowClasses = [SLA_ROW_CLASSES[row.slaStatus], SCREENING_ROW_CLASSES[row.ofacStatus]].filter(Boolean);
+        tableHTML += `<tr data-row-index="${rowIndex}"${rowClasses.length > 0 ? ` class="${rowClasses.join(' ')}"` : ''}>`;
+        getRowCells(row, tableColumns).forEach((value, i) => {
+            const key = tableColumns[i].key;
+            const note = row.notes && row.notes[key];
+            let attributes = note ? ` title="${escapeAttribute(note)}"` : '';
+            if (MANUAL_FIELDS.includes(key)) {
+                attributes += ` contenteditable="true" class="manual-cell" data-manual-field="${key}" data-row-index="${rowIndex}"`;
+            }
+            // Values come from uploaded files, typed manual columns and template formulas: escape them.
+            tableHTML += `<td${attributes}>${escapeAttribute(value)}</td>`;
+        });
+        tableHTML += '</tr>';
+    });
 
     // Close the table tag and set the innerHTML of the output div.
     tableHTML += '</table>';
     output.innerHTML = tableHTML;
-    console.log("All files processed. Table output updated.");
-    // Now that the table exists, enable the "Copy as TSV" buttons.
+    if (rowCount) rowCount.textContent = `Showing ${visibleRows.length} of ${currentDisplayRows.length} rows`;
+    // Now that the table exists, enable the "Copy as TSV" and export buttons.
     if (copyTSVWithHeader) copyTSVWithHeader.disabled = false;
     if (copyTSVNoHeader) copyTSVNoHeader.disabled = false;
+    if (downloadXlsxButton) downloadXlsxButton.disabled = false;
+}
+
+// Search, query, facet filter and date range controls. Every change re-renders the table.
+const searchInput = document.getElementById('searchInput');
+const facetFilters = document.getElementById('facetFilters');
+const dateFromInput = document.getElementById('dateFrom');
+const dateToInput = document.getElementById('dateTo');
+const clearFiltersButton = document.getElementById('clearFilters');
+const rowCount = document.getElementById('rowCount');
+const oneRowPerThreadInput = document.getElementById('oneRowPerThread');
+const queryInput = document.getElementById('queryInput');
+const queryConditions = document.getElementById('queryConditions');
+
+// One drop-down per facet (see FACETS in tableFilter.js); options are filled by updateFacetOptions.
+const facetSelects = new Map();
+if (facetFilters) {
+    FACETS.forEach(facet => {
+        const label = document.createElement('label');
+        label.textContent = `${facet.label}: `;
+        const select = document.createElement('select');
+        select.addEventListener('change', () => {
+            filterState.facets[facet.key] = select.value;
+            updateFacetOptions();
+            renderTable();
+        });
+        label.appendChild(select);
+        facetFilters.appendChild(label);
+        facetSelects.set(facet.key, select);
+    });
 }
 
 /**
- * Converts an amount from a given currency to USD using the fetched exchange rates.
- * @param {string|number} amount - The amount to convert.
- * @param {string} currency - The currency code of the amount (e.g., 'EUR', 'TRY').
- * @param {object|null} rates - The exchange rate data object where keys are currency codes.
- * @returns {string} A formatted string representing the amount in USD or an error/status message.
+ * Refills the facet drop-downs with the values in the current rows and their row counts.
+ * The selected values are kept.
  */
-function convertToUSD(amount, currency, rates) {
-    if (amount == null || amount === '') return ' ';
-    if (currency == null || currency === '') return 'N/A';
-
-    // Ensure the amount is a valid number.
-    const numericAmount = parseFloat(amount);
-    if (isNaN(numericAmount)) return 'Invalid Amount';
+function updateFacetOptions() {
+    facetSelects.forEach((select, key) => {
+        const selected = filterState.facets[key];
+        const values = facetValues(currentDisplayRows, filterState, key);
+        if (selected !== '' && !values.some(entry => entry.value === selected)) {
+            values.push({ value: selected, count: 0 });
+        }
+        select.innerHTML = '';
+        select.appendChild(new Option('All', ''));
+        values.forEach(({ value, count }) => {
+            select.appendChild(new Option(`${value === EMPTY_FACET_VALUE ? '(empty)' : value} (${count})`, value));
+        });
+        select.value = selected;
+    });
+}
 
-    // Handle cases where the exchange rates could not be fetched.
-    if (!rates) {
-        return `Failed to fetch rates`;
+if (searchInput) {
+    // Links from other pages (e.g. the directory) open the log with a search: index.html?search=...
+    const linkedSearch = new URLSearchParams(window.location.search).get('search');
+    if (linkedSearch) {
+        searchInput.value = linkedSearch;
+        filterState.search = linkedSearch;
     }
-
-    // If the currency is already USD, just format and return it.
-    if (currency.toUpperCase() === 'USD') {
-        return amount;
+    searchInput.addEventListener('input', () => {
+        filterState.search = searchInput.value;
+        updateFacetOptions();
+        renderTable();
+    });
+}
+/**
+ * Lists the conditions the query was understood as, each with a button that drops it,
+ * so a misread part can be corrected without retyping the query.
+ */
+function renderQueryConditions() {
+    if (!queryConditions) return;
+    queryConditions.innerHTML = '';
+    const { conditions, words } = filterState.query;
+    if (conditions.length === 0 && words.length === 0) return;
+    const remove = (label, onRemove) => {
+        const chip = document.createElement('span');
+        const button = document.createElement('button');
+        button.textContent = '\u00d7';
+        button.title = 'Remove this condition';
+        button.addEventListener('click', () => {
+            onRemove();
+            renderQueryConditions();
+            updateFacetOptions();
+            renderTable();
+        });
+        chip.append(document.createTextNode(label), button);
+        queryConditions.appendChild(chip);
+    };
+    queryConditions.appendChild(document.createTextNode('Understood as: '));
+    conditions.forEach(condition => {
+        remove(condition.label, () => { filterState.query.conditions = filterState.query.conditions.filter(other => other !== condition); });
+    });
+    if (words.length > 0) {
+        remove(`Text contains "${words.join(' ')}"`, () => { filterState.query.words = []; });
     }
+}
 
-    const rate = rates[currency.toUpperCase()];
-    if (!rate) {
-        console.warn(`Exchange rate for ${currency.toUpperCase()} not found.`);
-        return `${numericAmount.toFixed(2)} ${currency} (No Rate)`;
-    }
+if (queryInput) {
+    queryInput.addEventListener('input', () => {
+        // Managers are recognized by name, so "trey's open requests" needs no "assigned to".
+        const managers = new Set([
+            routingRules.defaultManager,
+            ...routingRules.rules.map(rule => rule.manager),
+            ...currentDisplayRows.map(row => row.creditManager),
+        ]);
+        filterState.query = parseQuery(queryInput.value, { managers: [...managers] });
+        renderQueryConditions();
+        updateFacetOptions();
+        renderTable();
+    });
+}
+[[dateFromInput, 'dateFrom'], [dateToInput, 'dateTo']].forEach(([input, key]) => {
+    if (!input) return;
+    input.addEventListener('change', () => {
+        filterState[key] = input.value;
+        updateFacetOptions();
+        renderTable();
+    });
+});
+// Collapsing the log to one row per thread is a way of viewing it, like the sort, and is kept by Clear Filters.
+if (oneRowPerThreadInput) {
+    oneRowPerThreadInput.addEventListener('change', () => {
+        filterState.oneRowPerThread = oneRowPerThreadInput.checked;
+        renderTable();
+    });
+}
+if (clearFiltersButton) {
+    clearFiltersButton.addEventListener('click', () => {
+        Object.assign(filterState, createFilterState(), {
+            oneRowPerThread: filterState.oneRowPerThread,
+            sortKey: filterState.sortKey,
+            sortDirection: filterState.sortDirection,
+        });
+        if (searchInput) searchInput.value = '';
+        if (queryInput) queryInput.value = '';
+        renderQueryConditions();
+        if (dateFromInput) dateFromInput.value = '';
+        if (dateToInput) dateToInput.value = '';
+        updateFacetOptions();
+        renderTable();
+    });
+}
 
-    // Perform the conversion (rates are relative to 1 USD).
-    const amountInUSD = numericAmount / rate;
-    return amountInUSD;
+// The column preset drop-down. Presets are designed on the Custom Format page; changes made
+// there in another tab are picked up through the 'storage' event.
+const templateSelect = document.getElementById('templateSelect');
+
+/**
+ * Refills the column preset drop-down and selects the active preset.
+ */
+function updateTemplateOptions() {
+    if (!templateSelect) return;
+    templateSelect.innerHTML = '';
+    columnTemplates.templates.forEach(template => templateSelect.appendChild(new Option(template.name, template.name)));
+    templateSelect.value = getActiveTemplate(columnTemplates).name;
 }
 
 /**
- * Determines the responsible credit manager based on a set of business rules.
- * @param {string} countryCode - The two-letter country code of the partner.
- * @param {string|number} creditLine - The requested credit amount.
- * @param {string} factorName - The name of the factoring partner.
- * @returns {string} The name of the assigned credit manager ('lux', 'trey', or 'bost').
+ * Switches the table to the active preset's columns. A sort on a column that is no longer shown is dropped.
  */
-function getCreditManager(countryCode, creditLine, factorName) {
-    const numericCreditLine = parseFloat(creditLine);
-    if (isNaN(numericCreditLine)) return "N/A"; // Handle invalid credit line
+function applyColumnTemplate() {
+    tableColumns = resolveActiveColumns();
+    if (filterState.sortKey && !tableColumns.some(column => column.key === filterState.sortKey)) filterState.sortKey = null;
+    if (currentDisplayRows.length > 0) renderTable();
+}
 
-    // Rule 1: Based on credit line amount.
-    if (numericCreditLine <= 500000) {
-        return "lux";
+updateTemplateOptions();
+if (templateSelect) {
+    templateSelect.addEventListener('change', () => {
+        columnTemplates.active = templateSelect.value;
+        saveColumnTemplates(localStorage, columnTemplates);
+        applyColumnTemplate();
+    });
+}
+window.addEventListener('storage', (event) => {
+    if (event.key !== TEMPLATE_STORAGE_KEY) return;
+    columnTemplates = loadColumnTemplates(localStorage);
+    updateTemplateOptions();
+    applyColumnTemplate();
+});
+
+// Sort by a column when its header is clicked; a second click reverses the order.
+output.addEventListener('click', (event) => {
+    const header = event.target.closest('th[data-sort-key]');
+    if (!header) return;
+    toggleSort(filterState, header.dataset.sortKey);
+    renderTable();
+});
+
+// The row drill-down panel (see rowDetail.js).
+const rowDetail = document.getElementById('rowDetail');
+const rowDetailOutput = document.getElementById('rowDetailOutput');
+const closeRowDetailButton = document.getElementById('closeRowDetail');
+
+/**
+ * Suggests the SequenceNr of a new message from a sender: one more than the highest in the log.
+ * @param {string} senderCode - The sender code.
+ * @returns {number} The SequenceNr.
+ */
+function nextSequenceNr(senderCode) {
+    let highest = 0;
+    collections.messageIds.forEach(id => {
+        const match = id.match(/^(.*)_(\d+)$/);
+        if (match && match[1] === senderCode) highest = Math.max(highest, Number(match[2]));
+    });
+    return highest + 1;
+}
+
+/**
+ * Marks the row shown in the drill-down.
+ * @param {object} row - A row of the table.
+ */
+function markSelectedRow(row) {
+    output.querySelectorAll('tr.selected-row').forEach(tr => tr.classList.remove('selected-row'));
+    const selected = output.querySelector(`tr[data-row-index="${visibleRows.indexOf(row)}"]`);
+    if (selected) selected.classList.add('selected-row');
+}
+
+/**
+ * Shows every parsed field of a row's request message and its seller's MSG01, with their XML,
+ * the timeline of its thread, the sanctions screening of its parties and the form to answer the request.
+ * @param {object} row - A row of the table.
+ */
+function showRowDetail(row) {
+    const request = [...collections.allMsg02s, ...collections.allMsg05s, ...collections.allMsg07s]
+        .find(msg => getMessageId(msg) === row.rowKey);
+    if (!request) {
+        rowDetailOutput.textContent = `The message of row ${row.rowKey} is no longer stored.`;
     } else {
-        // Rule 2: Based on country code and specific partner names.
-        const treyCountryCodes = ['AM', 'EG', 'GR', 'IN', 'MT', 'RO', 'TW', 'TR', 'VN'];
-        const treySpecialCodes = ['SG', 'JP', 'US'];
-        if (treyCountryCodes.includes(countryCode)) {
-            return "trey";
-        } else if (treySpecialCodes.includes(countryCode)) {
-            if (countryCode === 'SG' && factorName.includes("Mogli")) {
-                return "trey";
-            } else if (countryCode === 'JP' && (factorName.includes("Mitsubishi") || factorName.includes("Sumitomo Mitsui"))) {
-                return "trey";
-            } else if (countryCode === 'US' && factorName.includes("Standard Chartered Bank New York")) {
-                return "trey";
+        // The same MSG01 the row was built from (see generateCombinedDisplayData in creditLog.js).
+        const msg01 = collections.allMsg01s.get(`${request.msgInfo.SenderCode}_${request.seller.SellerNr}`) || null;
+        rowDetailOutput.innerHTML = renderRowDetail(row, request, msg01);
+        const threadTimeline = document.createElement('div');
+        rowDetailOutput.appendChild(threadTimeline);
+        const [thread] = row.threadKey
+            ? buildThreads(currentDisplayRows.filter(other => other.threadKey === row.threadKey), collections.msg01History)
+            : [];
+        renderThreadTimeline(threadTimeline, thread || null, row.rowKey, (rowKey) => {
+            const other = currentDisplayRows.find(candidate => candidate.rowKey === rowKey);
+            if (other) showRowDetail(other);
+        });
+        const screeningReview = document.createElement('div');
+        rowDetailOutput.appendChild(screeningReview);
+        renderScreeningReview(screeningReview, screenings.get(row.rowKey) || null, (record) => {
+            // A review changes the row's OFAC Result: update the table and store both.
+            applyScreenings([row], screenings);
+            updateFacetOptions();
+            renderTable();
+            markSelectedRow(row);
+            if (store) {
+                Promise.all([store.saveScreenings([record]), store.saveRows(currentDisplayRows)])
+                    .catch(error => console.error('Could not store the review.', error));
             }
+        });
+        const responseForm = document.createElement('div');
+        rowDetailOutput.appendChild(responseForm);
+        const responder = request.msgInfo.ReceiverCode || (request.payload.IF && request.payload.IF.FactorCode) || '';
+        renderResponseForm(responseForm, request, { sequenceNr: nextSequenceNr(responder) });
+    }
+    markSelectedRow(row);
+    rowDetail.hidden = false;
+    rowDetail.scrollIntoView({ behavior: 'smooth', block: 'start' });
+}
+
+// Clicking a row opens its drill-down; clicks in the editable manual columns are for editing.
+if (rowDetail) {
+    output.addEventListener('click', (event) => {
+        const tr = event.target.closest('tr[data-row-index]');
+        if (!tr || event.target.closest('.manual-cell')) return;
+        showRowDetail(visibleRows[Number(tr.dataset.rowIndex)]);
+    });
+    closeRowDetailButton.addEventListener('click', () => {
+        rowDetail.hidden = true;
+        output.querySelectorAll('tr.selected-row').forEach(tr => tr.classList.remove('selected-row'));
+    });
+}
+
+// The validation report panel and its download button.
+const diagnostics = document.getElementById('diagnostics');
+const diagnosticsSummary = document.getElementById('diagnosticsSummary');
+const diagnosticsOutput = document.getElementById('diagnosticsOutput');
+const downloadReportButton = document.getElementById('downloadReport');
+let currentReports = []; // The file reports of the last "Process Files" run.
+
+/**
+ * Shows the validation report of the last upload: per file the messages found and parsed per
+ * type, and every failure with its position and the elements that are missing or invalid.
+ * The panel opens by itself when a file has a problem.
+ * @param {Array<object>} reports - Reports from `createFileReport`.
+ */
+function renderDiagnostics(reports) {
+    currentReports = reports;
+    if (!diagnostics) return;
+
+    const failureCount = reports.reduce((sum, report) => sum + report.failures.length, 0);
+    diagnosticsSummary.textContent = `Validation Report: ${reports.length} file(s), ${failureCount} failure(s)`;
+
+    let html = '<table border="1"><tr><th>File</th><th>Messages (found / parsed)</th><th>Problems</th></tr>';
+    reports.forEach(report => {
+        const counts = Object.entries(report.counts)
+            .map(([type, { found, parsed }]) => `${type}: ${found} / ${parsed}`)
+            .join('<br>') || 'No messages found';
+        const problems = [];
+        if (report.encodingWarning) problems.push(escapeAttribute(report.encodingWarning));
+        if (report.duplicates > 0) problems.push(`${report.duplicates} already in the log or conflicting with it`);
+        report.failures.forEach(failure => {
+            const where = [failure.msgType, failure.position].filter(part => part).join(' ');
+            const elements = failure.elements.length > 0 ? ` [${failure.elements.join(', ')}]` : '';
+            problems.push(`<strong>${escapeAttribute(where || 'File')}</strong>${escapeAttribute(elements)}: ${escapeAttribute(failure.message)}`);
+        });
+        const rowClass = hasProblems(report) ? ' class="report-problem"' : '';
+        html += `<tr${rowClass}><td>${escapeAttribute(report.fileName)}</td><td>${counts}</td><td>${problems.join('<br>')}</td></tr>`;
+    });
+    html += '</table>';
+    diagnosticsOutput.innerHTML = html;
+    diagnostics.hidden = false;
+    diagnostics.open = reports.some(hasProblems);
+    if (downloadReportButton) downloadReportButton.disabled = false;
+}
+
+/**
+ * Downloads the validation report as a text file, e.g. to send back to the sending factor.
+ */
+function downloadValidationReport() {
+    if (currentReports.length === 0) return;
+    const blob = new Blob([formatValidationReport(currentReports)], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `validation-report-${new Date().toISOString().slice(0, 10)}.txt`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (downloadReportButton) {
+    downloadReportButton.disabled = true;
+    downloadReportButton.addEventListener('click', downloadValidationReport);
+}
+
+// The duplicates and conflicts panel and its download button.
+const conflictPanel = document.getElementById('conflicts');
+const conflictSummary = document.getElementById('conflictSummary');
+const conflictOutput = document.getElementById('conflictOutput');
+const downloadConflictsButton = document.getElementById('downloadConflicts');
+
+/**
+ * Shows the messages skipped as duplicates and the conflicts of the log, each with the choice of
+ * the version to keep. The panel is hidden while there is nothing to show.
+ * @param {boolean} openOnConflict - Whether to open the panel if there is a conflict (after an upload).
+ */
+function renderConflicts(openOnConflict) {
+    if (!conflictPanel) return;
+    const { conflicts, duplicates } = collections;
+    conflictSummary.textContent = `Duplicates and Conflicts: ${duplicates.length} duplicate(s), ${conflicts.size} conflict(s)`;
+    renderConflictReview(conflictOutput, collections, keepConflictVersion);
+    conflictPanel.hidden = conflicts.size === 0 && duplicates.length === 0;
+    if (openOnConflict && conflicts.size > 0) conflictPanel.open = true;
+}
+
+/**
+ * Keeps the chosen version of a conflict, stores the choice and regenerates the table.
+ * @param {object} conflict - A conflict from `collections.conflicts`.
+ * @param {Message} instance - The version to keep.
+ */
+async function keepConflictVersion(conflict, instance) {
+    const replaced = conflict.kind === 'sequence' ? collections.messagesById.get(conflict.key) : null;
+    keepVersion(collections, conflict, instance);
+    if (store) {
+        try {
+            await store.keepMessage(instance, replaced !== instance ? replaced : null);
+        } catch (error) {
+            console.error('Could not store the kept version.', error);
         }
     }
-    // Default assignment.
-    return "bost";
+    renderConflicts(false);
+    await refreshTable();
+}
+
+/**
+ * Downloads the duplicates and conflicts, with the field-by-field diff of each conflict, as a text file.
+ */
+function downloadConflictReport() {
+    const blob = new Blob([formatConflictReport(collections)], { type: 'text/plain' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `conflict-report-${new Date().toISOString().slice(0, 10)}.txt`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+if (downloadConflictsButton) downloadConflictsButton.addEventListener('click', downloadConflictReport);
+
+/**
+ * Escapes text for use in an HTML attribute value or element content.
+ * @param {string} text - The text.
+ * @returns {string} The escaped text.
+ */
+function escapeAttribute(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
 }
 
 // Get references to the "Copy as TSV" buttons.
@@ -441,6 +967,7 @@ const copyTSVNoHeader = document.getElementById('copyTSVNoHeader');
 
 /**
  * Copies the content of the generated table to the clipboard in Tab-Separated Values (TSV) format.
+ * Only the rows that pass the current search and filters are in the table, so only they are copied.
  * @param {boolean} [includeHeader=true] - Whether to include the table's header row in the copied data.
  */
 function copyTableAsTSV(includeHeader = true) {
@@ -486,5 +1013,28 @@ if (copyTSVNoHeader) {
     copyTSVNoHeader.addEventListener('click', () => copyTableAsTSV(false));
 }
 
+// Get a reference to the "Download Excel" button.
+const downloadXlsxButton = document.getElementById('downloadXlsx');
+
+/**
+ * Downloads the current table as an .xlsx workbook, with the rows that pass the current
+ * search and filters, in the order shown. The workbook is built from the row objects rather than the rendered HTML, so amounts
+ * and dates arrive in Excel as numbers and dates instead of text.
+ */
+function downloadTableAsXlsx() {
+    if (visibleRows.length === 0) return;
 
+    const workbook = creditLogToXlsx(visibleRows, tableColumns);
+    const blob = new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `credit-log-${new Date().toISOString().slice(0, 10)}.xlsx`;
+    link.click();
+    // Release the object URL once the download has started.
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
 
+if (downloadXlsxButton) {
+    downloadXlsxButton.disabled = true;
+    downloadXlsxButton.addEventListener('click', downloadTableAsXlsx);
+}
@@ -0,0 +1,355 @@
+//slaCalendar.js
+
+// JavaScript source code
+
+// Business-day calendars and response deadlines (SLA) for the credit log.
+// A request is answered by the import factor, so its turnaround is counted in business
+// days of the import factor's country: that country's weekend days and holidays are skipped.
+// The number of business days agreed for an answer, per request type, gives each row its
+// response deadline; rows close to or past it are flagged.
+//
+// Calendar files are loaded like rate tables (see parseCalendarFile), as CSV or JSON:
+//   CSV:  country,date,name                      one holiday per line
+//   JSON: {
+//           "responseDays": { "MSG02": 5, "MSG05": 10, "MSG07": 10 },
+//           "warningDays": 2,
+//           "calendars": [
+//             { "country": "US", "weekend": ["Sat", "Sun"],
+//               "holidays": ["2025-01-01", { "date": "2025-07-04", "name": "Independence Day" }] }
+//           ]
+//         }
+// A country without a calendar has a Saturday/Sunday weekend and no holidays.
+
+import { parseCSV } from './csvReader.js';
+
+/**
+ * Business days agreed for an answer, per request type, unless a calendar file sets them.
+ */
+export const DEFAULT_RESPONSE_DAYS = { MSG02: 5, MSG05: 10, MSG07: 10 };
+
+/**
+ * How many business days before the deadline an open request counts as "due soon".
+ */
+export const DEFAULT_WARNING_DAYS = 2;
+
+/**
+ * The weekend of a country without a calendar: Saturday and Sunday (as `Date.getUTCDay` numbers).
+ */
+export const DEFAULT_WEEKEND = [6, 0];
+
+/**
+ * The SLA status of a row (see `getSlaStatus`).
+ */
+export const SLA_STATUS = {
+    onTime: 'On time',
+    late: 'Late',
+    open: 'Open',
+    dueSoon: 'Due soon',
+    overdue: 'Overdue',
+};
+
+// Key of the uploaded calendar files in browser storage.
+const CALENDAR_STORAGE_KEY = 'creditLog.calendars';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Normalizes a date or timestamp to YYYY-MM-DD, keeping the calendar date it was sent on.
+ * @param {*} value - E.g. '2025-01-02', '2025-01-02T10:00:00' or a Date.
+ * @returns {string|null} The date, or null if missing or unreadable.
+ */
+function toDay(value) {
+    if (!value) return null;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}/.test(value)) return value.slice(0, 10);
+    const date = new Date(value);
+    return isNaN(date) ? null : date.toISOString().slice(0, 10);
+}
+
+/**
+ * Moves a YYYY-MM-DD date by a number of calendar days.
+ * @param {string} day - The date.
+ * @param {number} offset - Days to add; may be negative.
+ * @returns {string} The new date.
+ */
+function shiftDay(day, offset) {
+    return new Date(Date.parse(`${day}T00:00:00Z`) + offset * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Reads a weekend definition: day names ('Sat'), full names ('Saturday') or day numbers (0 = Sunday).
+ * @param {Array<string|number>|string} weekend - The weekend days; a string is split on commas and spaces.
+ * @returns {Array<number>} The day numbers.
+ * @throws {Error} If a day cannot be read.
+ */
+function parseWeekend(weekend) {
+    const days = Array.isArray(weekend) ? weekend : String(weekend).split(/[\s,;]+/).filter(Boolean);
+    return days.map(day => {
+        if (typeof day === 'number' && day >= 0 && day <= 6) return day;
+        const index = WEEKDAY_NAMES.findIndex(name => name.toLowerCase() === String(day).slice(0, 3).toLowerCase());
+        if (index === -1) throw new Error(`Unknown weekend day '${day}'.`);
+        return index;
+    });
+}
+
+/**
+ * Business Calendar
+ * Combines calendar files into weekend days and holidays per country, and the agreed response times.
+ */
+export class BusinessCalendar {
+    /**
+     * Constructs a new BusinessCalendar.
+     * @param {Array<object>} [settingsList=[]] - Parsed calendar files (see `parseCalendarFile`), applied in order.
+     */
+    constructor(settingsList = []) {
+        this.responseDays = { ...DEFAULT_RESPONSE_DAYS };
+        this.warningDays = DEFAULT_WARNING_DAYS;
+        this.calendars = new Map();
+        this.sources = [];
+        settingsList.forEach(settings => this.addSettings(settings));
+    }
+
+    /**
+     * Adds a parsed calendar file. Its response times replace earlier ones; a country's weekend is
+     * replaced and its holidays are added to those already known.
+     * @param {{source: string, responseDays?: object, warningDays?: number, calendars: Array<object>}} settings - A parsed file.
+     */
+    addSettings(settings) {
+        Object.assign(this.responseDays, settings.responseDays || {});
+        if (settings.warningDays !== undefined && settings.warningDays !== null) this.warningDays = settings.warningDays;
+        (settings.calendars || []).forEach(({ country, weekend, holidays }) => {
+            const code = country.toUpperCase();
+            if (!this.calendars.has(code)) this.calendars.set(code, { weekend: DEFAULT_WEEKEND, holidays: new Map() });
+            const calendar = this.calendars.get(code);
+            if (weekend) calendar.weekend = weekend;
+            (holidays || []).forEach(holiday => calendar.holidays.set(holiday.date, holiday.name || 'Holiday'));
+        });
+        if (settings.source) this.sources.push(settings.source);
+    }
+
+    /**
+     * The weekend and holidays of a country.
+     * @param {string} country - The 2-letter country code.
+     * @returns {{weekend: Array<number>, holidays: Map<string, string>, known: boolean}} The calendar;
+     *   `known` is false when the country has no calendar and the default weekend is used.
+     */
+    calendarFor(country) {
+        const calendar = this.calendars.get(String(country || '').toUpperCase());
+        return calendar ? { ...calendar, known: true } : { weekend: DEFAULT_WEEKEND, holidays: new Map(), known: false };
+    }
+
+    /**
+     * Whether a date is a business day in a country.
+     * @param {string} day - The date (YYYY-MM-DD).
+     * @param {string} country - The 2-letter country code.
+     * @returns {boolean} False on weekend days and holidays.
+     */
+    isBusinessDay(day, country) {
+        const { weekend, holidays } = this.calendarFor(country);
+        return !weekend.includes(new Date(`${day}T00:00:00Z`).getUTCDay()) && !holidays.has(day);
+    }
+
+    /**
+     * Counts the business days after one date up to and including another, so a message
+     * answered on the business day after it arrived took 1 day, whatever the weekend in between.
+     * @param {*} from - The start date or timestamp.
+     * @param {*} to - The end date or timestamp.
+     * @param {string} country - The 2-letter country code.
+     * @returns {number|string} The count (negative if `to` is before `from`), or '' if either date is missing or invalid.
+     */
+    businessDaysBetween(from, to, country) {
+        const start = toDay(from);
+        const end = toDay(to);
+        if (!start || !end) return '';
+        const [first, last, sign] = start <= end ? [start, end, 1] : [end, start, -1];
+        let count = 0;
+        for (let day = shiftDay(first, 1); day <= last; day = shiftDay(day, 1)) {
+            if (this.isBusinessDay(day, country)) count++;
+        }
+        return sign * count;
+    }
+
+    /**
+     * Finds the date a number of business days after another.
+     * @param {*} from - The start date or timestamp.
+     * @param {number} days - The number of business days.
+     * @param {string} country - The 2-letter country code.
+     * @returns {string} The date (YYYY-MM-DD), or '' if `from` is missing or invalid.
+     */
+    addBusinessDays(from, days, country) {
+        let day = toDay(from);
+        if (!day) return '';
+        for (let counted = 0; counted < days;) {
+            day = shiftDay(day, 1);
+            if (this.isBusinessDay(day, country)) counted++;
+        }
+        return day;
+    }
+
+    /**
+     * Lists the holidays of a country between two dates (after `from`, up to and including `to`).
+     * @param {*} from - The start date or timestamp.
+     * @param {*} to - The end date or timestamp.
+     * @param {string} country - The 2-letter country code.
+     * @returns {Array<string>} E.g. ['2025-01-01 New Year\'s Day'].
+     */
+    holidaysBetween(from, to, country) {
+        const start = toDay(from);
+        const end = toDay(to);
+        if (!start || !end) return [];
+        return [...this.calendarFor(country).holidays]
+            .filter(([day]) => day > start && day <= end)
+            .sort(([a], [b]) => (a < b ? -1 : 1))
+            .map(([day, name]) => `${day} ${name}`);
+    }
+
+    /**
+     * Describes the calendar used for a country, for notes.
+     * @param {string} country - The 2-letter country code.
+     * @returns {string} E.g. 'US calendar: weekend Sat, Sun; 11 holidays'.
+     */
+    describe(country) {
+        const { weekend, holidays, known } = this.calendarFor(country);
+        const weekendText = `weekend ${weekend.map(day => WEEKDAY_NAMES[day]).join(', ') || 'none'}`;
+        return known
+            ? `${country.toUpperCase()} calendar: ${weekendText}; ${holidays.size} holiday(s)`
+            : `no calendar for ${country || 'an unknown country'}: ${weekendText}, no holidays`;
+    }
+}
+
+/**
+ * Parses an uploaded calendar file (see the layouts at the top of this file).
+ * @param {string} text - The file content.
+ * @param {string} fileName - The file name; '.json' files are read as JSON, anything else as CSV.
+ * @returns {{source: string, responseDays?: object, warningDays?: number, calendars: Array<{country: string, weekend?: Array<number>, holidays: Array<{date: string, name: string}>}>}}
+ *   The settings, ready for `BusinessCalendar`.
+ * @throws {Error} If the file cannot be read or a date, day or response time is invalid.
+ */
+export function parseCalendarFile(text, fileName) {
+    const settings = { source: fileName, calendars: [] };
+    const readHoliday = (holiday) => {
+        const entry = typeof holiday === 'string' ? { date: holiday } : holiday;
+        const date = toDay(entry && entry.date);
+        if (!date) throw new Error(`Invalid holiday date '${entry && entry.date}' in ${fileName}.`);
+        return { date, name: entry.name ? String(entry.name) : 'Holiday' };
+    };
+
+    if (/\.json$/i.test(fileName)) {
+        const data = JSON.parse(text);
+        if (data.responseDays) {
+            settings.responseDays = {};
+            Object.entries(data.responseDays).forEach(([type, days]) => {
+                if (!Number.isInteger(days) || days < 0) throw new Error(`Invalid response time ${JSON.stringify(days)} for ${type} in ${fileName}.`);
+                settings.responseDays[type.toUpperCase()] = days;
+            });
+        }
+        if (data.warningDays !== undefined) {
+            if (!Number.isInteger(data.warningDays) || data.warningDays < 0) throw new Error(`Invalid warningDays in ${fileName}.`);
+            settings.warningDays = data.warningDays;
+        }
+        (data.calendars || []).forEach(calendar => {
+            if (!calendar.country) throw new Error(`A calendar in ${fileName} has no country.`);
+            settings.calendars.push({
+                country: String(calendar.country).toUpperCase(),
+                weekend: calendar.weekend !== undefined ? parseWeekend(calendar.weekend) : undefined,
+                holidays: (calendar.holidays || []).map(readHoliday),
+            });
+        });
+    } else {
+        const [headers, ...rows] = parseCSV(text);
+        const column = (name) => (headers || []).findIndex(header => header.trim().toLowerCase() === name);
+        const countryColumn = column('country');
+        const dateColumn = column('date');
+        const nameColumn = column('name');
+        if (countryColumn === -1 || dateColumn === -1) {
+            throw new Error(`Calendar file ${fileName} needs 'country' and 'date' columns.`);
+        }
+        const byCountry = new Map();
+        rows.filter(cells => cells.some(cell => cell.trim() !== '')).forEach(cells => {
+            const cell = (index) => (index !== -1 && cells[index] ? cells[index].trim() : '');
+            const country = cell(countryColumn).toUpperCase();
+            if (!country) throw new Error(`A holiday in ${fileName} has no country.`);
+            if (!byCountry.has(country)) byCountry.set(country, []);
+            byCountry.get(country).push(readHoliday({ date: cell(dateColumn), name: cell(nameColumn) }));
+        });
+        byCountry.forEach((holidays, country) => settings.calendars.push({ country, holidays }));
+    }
+
+    if (settings.calendars.length === 0 && !settings.responseDays && settings.warningDays === undefined) {
+        throw new Error(`No calendars or response times found in ${fileName}.`);
+    }
+    return settings;
+}
+
+/**
+ * Loads the calendar files saved in browser storage.
+ * @param {Storage} storage - The storage (e.g. `localStorage`).
+ * @returns {Array<object>} The parsed files; empty if none are saved or they cannot be read.
+ */
+export function loadCalendarSettings(storage) {
+    try {
+        const saved = JSON.parse(storage.getItem(CALENDAR_STORAGE_KEY) || '[]');
+        return Array.isArray(saved) ? saved : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable calendars.', error);
+        return [];
+    }
+}
+
+/**
+ * Saves the calendar files to browser storage, so they apply on every visit.
+ * @param {Storage} storage - The storage.
+ * @param {Array<object>} settingsList - The parsed files.
+ */
+export function saveCalendarSettings(storage, settingsList) {
+    storage.setItem(CALENDAR_STORAGE_KEY, JSON.stringify(settingsList));
+}
+
+/**
+ * The SLA status of a row on a given day.
+ * Answered requests are on time or late; open ones are open, due soon (from `slaWarnFrom`)
+ * or overdue (after `responseDue`). Rows from `generateCombinedDisplayData` carry both dates.
+ * @param {object} row - A credit log row.
+ * @param {string} [today] - The day to judge open requests on (YYYY-MM-DD); defaults to today.
+ * @returns {string} One of `SLA_STATUS`, or '' if the row has no deadline.
+ */
+export function getSlaStatus(row, today = new Date().toISOString().slice(0, 10)) {
+    if (!row.responseDue) return '';
+    if (row.responseDate) return row.responseDate <= row.responseDue ? SLA_STATUS.onTime : SLA_STATUS.late;
+    if (today > row.responseDue) return SLA_STATUS.overdue;
+    if (row.slaWarnFrom && today >= row.slaWarnFrom) return SLA_STATUS.dueSoon;
+    return SLA_STATUS.open;
+}
+
+/**
+ * Recomputes the SLA status of stored rows, whose open requests may have become due since.
+ * @param {Array<object>} rows - Credit log rows; updated in place.
+ * @param {string} [today] - The day to judge on (YYYY-MM-DD); defaults to today.
+ * @returns {Array<object>} The same rows.
+ */
+export function updateSlaStatus(rows, today) {
+    rows.forEach(row => { row.slaStatus = getSlaStatus(row, today); });
+    return rows;
+}
+
+/**
+ * Counts the rows per credit manager that are overdue, due soon or were answered late.
+ * @param {Array<object>} rows - Credit log rows.
+ * @returns {Array<{manager: string, overdue: number, dueSoon: number, late: number, open: number}>}
+ *   One entry per manager with at least one such row or open request, most overdue first.
+ */
+export function summarizeSla(rows) {
+    const byManager = new Map();
+    rows.forEach(row => {
+        const manager = row.creditManager || '(unassigned)';
+        if (!byManager.has(manager)) byManager.set(manager, { manager, overdue: 0, dueSoon: 0, late: 0, open: 0 });
+        const entry = byManager.get(manager);
+        if (row.slaStatus === SLA_STATUS.overdue) entry.overdue++;
+        else if (row.slaStatus === SLA_STATUS.dueSoon) entry.dueSoon++;
+        else if (row.slaStatus === SLA_STATUS.late) entry.late++;
+        else if (row.slaStatus === SLA_STATUS.open) entry.open++;
+    });
+    return [...byManager.values()]
+        .filter(entry => entry.overdue + entry.dueSoon + entry.late + entry.open > 0)
+        .sort((a, b) => b.overdue - a.overdue || b.dueSoon - a.dueSoon || a.manager.localeCompare(b.manager));
+}
@@ -0,0 +1,232 @@
+//snapshots.js
+
+// JavaScript source code
+
+// Page script of snapshots.html: saves named snapshots of the credit log and compares two of
+// them (see logSnapshots.js). A snapshot is taken of the rows last shown on the Credit Log page,
+// as stored with their manual columns (see creditLogStore.js). The comparison lists the rows
+// added, removed and changed, with the changed cells, and can be downloaded as an Excel workbook.
+
+import { openCreditLogStore, onStoreChange } from './creditLogStore.js';
+import {
+    COMPARED_COLUMNS, IDENTITY_COLUMNS, COMPARISON_COLUMNS, createSnapshot, compareSnapshots, comparisonCells,
+} from './logSnapshots.js';
+import { buildXlsx } from './xlsxExport.js';
+
+const snapshotStatus = document.getElementById('snapshotStatus');
+const snapshotName = document.getElementById('snapshotName');
+const saveSnapshotButton = document.getElementById('saveSnapshot');
+const snapshotList = document.getElementById('snapshotList');
+const compareBefore = document.getElementById('compareBefore');
+const compareAfter = document.getElementById('compareAfter');
+const compareButton = document.getElementById('compareButton');
+const downloadComparisonButton = document.getElementById('downloadComparison');
+const comparisonOutput = document.getElementById('comparisonOutput');
+
+let store = null;
+let snapshots = [];       // The saved snapshots, oldest first.
+let comparison = null;    // The comparison shown, or null.
+let lastSaved = '';       // What the last save did, shown with the number of snapshots.
+
+/**
+ * Creates a table.
+ * @param {Array<string>} headers - The column headers.
+ * @param {Array<Array<string|Node>>} rows - The cells of each row; strings become text.
+ * @returns {HTMLTableElement} The table.
+ */
+function createTable(headers, rows) {
+    const table = document.createElement('table');
+    table.className = 'excel-table';
+    const headerRow = table.createTHead().insertRow();
+    headers.forEach(header => {
+        const th = document.createElement('th');
+        th.textContent = header;
+        headerRow.appendChild(th);
+    });
+    const body = table.createTBody();
+    rows.forEach(cells => {
+        const tr = body.insertRow();
+        cells.forEach(cell => {
+            const td = tr.insertCell();
+            if (cell instanceof Node) td.appendChild(cell);
+            else td.textContent = cell ?? '';
+        });
+    });
+    return table;
+}
+
+/**
+ * Creates a link to a row in the credit log.
+ * @param {string} rowKey - The row key.
+ * @returns {HTMLAnchorElement} The link.
+ */
+function rowLink(rowKey) {
+    const link = document.createElement('a');
+    link.href = `index.html?search=${encodeURIComponent(rowKey)}`;
+    link.textContent = rowKey;
+    return link;
+}
+
+/**
+ * Formats a snapshot's date.
+ * @param {object} snapshot - A snapshot.
+ * @returns {string} E.g. '2024-03-01 10:00'.
+ */
+function savedAt(snapshot) {
+    return snapshot.createdAt.replace('T', ' ').slice(0, 16);
+}
+
+/**
+ * Lists the saved snapshots, each with a delete button, and fills the Before and After choices.
+ * @param {boolean} chooseLatest - Whether to compare the two latest snapshots (after a save);
+ *   otherwise the choices keep their selection while the snapshot exists.
+ */
+function renderSnapshots(chooseLatest) {
+    snapshotList.innerHTML = '';
+    snapshotList.appendChild(createTable(['Name', 'Saved', 'Rows', ''], snapshots.map(snapshot => {
+        const deleteButton = document.createElement('button');
+        deleteButton.textContent = 'Delete';
+        deleteButton.addEventListener('click', async () => {
+            if (!confirm(`Delete the snapshot '${snapshot.name}'?`)) return;
+            await store.deleteSnapshot(snapshot.name);
+            lastSaved = '';
+            await reloadSnapshots();
+        });
+        return [snapshot.name, savedAt(snapshot), String(snapshot.rows.length), deleteButton];
+    })));
+
+    const names = snapshots.map(snapshot => snapshot.name);
+    [[compareBefore, names.length - 2], [compareAfter, names.length - 1]].forEach(([select, defaultIndex]) => {
+        const selected = select.value;
+        select.innerHTML = '';
+        snapshots.forEach(snapshot => select.appendChild(new Option(`${snapshot.name} (${savedAt(snapshot)})`, snapshot.name)));
+        select.value = !chooseLatest && names.includes(selected) ? selected : names[Math.max(defaultIndex, 0)] || '';
+    });
+    compareButton.disabled = snapshots.length < 2;
+    snapshotStatus.textContent = snapshots.length === 0
+        ? 'No snapshots saved yet.'
+        : `${snapshots.length} snapshot(s) saved in this browser.${lastSaved}`;
+}
+
+/**
+ * Shows a value of a compared column; a changed one shows its earlier and later value.
+ * @param {*} value - The value in the later snapshot.
+ * @param {{before: *, after: *}|undefined} cell - The change of the cell, if it changed.
+ * @returns {string|Node} The cell content.
+ */
+function comparedValue(value, cell) {
+    if (!cell) return String(value ?? '');
+    const span = document.createElement('span');
+    span.className = 'snapshot-changed';
+    span.textContent = `${cell.before === '' ? '(empty)' : cell.before} → ${cell.after === '' ? '(empty)' : cell.after}`;
+    return span;
+}
+
+/**
+ * Draws the comparison: a summary, then the changed, added and removed rows.
+ */
+function renderComparison() {
+    comparisonOutput.innerHTML = '';
+    downloadComparisonButton.disabled = !comparison;
+    if (!comparison) return;
+
+    const { added, removed, changed, unchanged } = comparison;
+    const summary = document.createElement('div');
+    summary.className = 'center';
+    summary.textContent = `${comparison.before} → ${comparison.after}: ${added.length} added, ${removed.length} removed, ${changed.length} changed, ${unchanged} unchanged.`;
+    comparisonOutput.appendChild(summary);
+
+    const headers = ['Row Key', ...IDENTITY_COLUMNS.map(column => column.header), ...COMPARED_COLUMNS.map(column => column.header)];
+    const identity = (row) => [rowLink(row.rowKey), ...IDENTITY_COLUMNS.map(({ key }) => String(row[key] ?? ''))];
+    const section = (title, rows) => {
+        if (rows.length === 0) return;
+        const heading = document.createElement('h3');
+        heading.textContent = `${title} (${rows.length})`;
+        comparisonOutput.append(heading, createTable(headers, rows));
+    };
+    section('Changed', changed.map(({ row, cells }) => [
+        ...identity(row),
+        ...COMPARED_COLUMNS.map(({ key }) => comparedValue(row[key], cells.find(cell => cell.key === key))),
+    ]));
+    section('Added', added.map(row => [...identity(row), ...COMPARED_COLUMNS.map(({ key }) => String(row[key] ?? ''))]));
+    section('Removed', removed.map(row => [...identity(row), ...COMPARED_COLUMNS.map(({ key }) => String(row[key] ?? ''))]));
+}
+
+/**
+ * Reloads the saved snapshots and redraws the list. A comparison of a deleted snapshot is removed.
+ * @param {boolean} [chooseLatest=false] - Whether to compare the two latest snapshots next.
+ */
+async function reloadSnapshots(chooseLatest = false) {
+    snapshots = await store.loadSnapshots();
+    const names = snapshots.map(snapshot => snapshot.name);
+    if (comparison && !(names.includes(comparison.before) && names.includes(comparison.after))) {
+        comparison = null;
+        renderComparison();
+    }
+    renderSnapshots(chooseLatest);
+}
+
+/**
+ * Saves a snapshot of the stored credit log rows under the entered name.
+ */
+async function saveSnapshot() {
+    const name = snapshotName.value.trim() || `Snapshot ${new Date().toISOString().slice(0, 10)}`;
+    if (snapshots.some(snapshot => snapshot.name === name) && !confirm(`Replace the snapshot '${name}'?`)) return;
+    const rows = await store.loadRows();
+    if (rows.length === 0) {
+        snapshotStatus.textContent = 'The credit log is empty. Process files on the Credit Log page first.';
+        return;
+    }
+    await store.saveSnapshot(createSnapshot(name, rows));
+    snapshotName.value = '';
+    lastSaved = ` Saved '${name}' with ${rows.length} row(s).`;
+    await reloadSnapshots(true);
+}
+
+/**
+ * Compares the chosen snapshots.
+ */
+function compareChosen() {
+    const before = snapshots.find(snapshot => snapshot.name === compareBefore.value);
+    const after = snapshots.find(snapshot => snapshot.name === compareAfter.value);
+    if (!before || !after) return;
+    comparison = compareSnapshots(before, after);
+    renderComparison();
+}
+
+/**
+ * Downloads the comparison as an Excel workbook: one line per added or removed row and per changed cell.
+ */
+function downloadComparison() {
+    if (!comparison) return;
+    const workbook = buildXlsx(COMPARISON_COLUMNS, comparisonCells(comparison), 'Comparison');
+    const blob = new Blob([workbook], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `comparison-${comparison.before}-${comparison.after}.xlsx`.replace(/[\\/:*?"<>|\s]+/g, '_');
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+
+saveSnapshotButton.addEventListener('click', () => {
+    saveSnapshot().catch(error => {
+        console.error('Could not save the snapshot.', error);
+        snapshotStatus.textContent = `Could not save the snapshot: ${error.message}`;
+    });
+});
+compareButton.addEventListener('click', compareChosen);
+downloadComparisonButton.addEventListener('click', downloadComparison);
+
+try {
+    store = await openCreditLogStore();
+    await reloadSnapshots();
+    // Snapshots saved in another tab show up here too.
+    onStoreChange(storeName => {
+        if (storeName === 'snapshots') reloadSnapshots().catch(error => console.error('Could not reload the snapshots.', error));
+    });
+} catch (error) {
+    console.error('Could not open the stored credit log.', error);
+    snapshotStatus.textContent = `Could not open the stored credit log: ${error.message}`;
+    saveSnapshotButton.disabled = true;
+    compareButton.disabled = true;
+}
@@ -0,0 +1,187 @@
+//tableFilter.js
+
+// JavaScript source code
+
+// Search, facet filters and sorting for the credit log table.
+// Works on the row objects from generateCombinedDisplayData (creditLog.js).
+
+import { CREDIT_LOG_COLUMNS } from './creditLog.js';
+import { conditionMatches } from './queryParser.js';
+
+/**
+ * The row fields searched by the full-text search box. The row key (the message id) lets
+ * other pages link to a single row.
+ */
+export const SEARCH_FIELDS = ['buyerName', 'sellerName', 'partnerName', 'incomingComments', 'creditComments', 'aeComments', 'rowKey'];
+
+/**
+ * The columns offered as facet filters, in display order.
+ */
+export const FACETS = [
+    { key: 'messageType', label: 'Message Type' },
+    { key: 'partnerCountry', label: 'Partner Country' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'creditManager', label: 'Credit Manager' },
+    { key: 'slaStatus', label: 'SLA Status' },
+    { key: 'ofacStatus', label: 'OFAC Result' },
+];
+
+/**
+ * The facet value that selects the rows where the column is empty. '' already means "All".
+ */
+export const EMPTY_FACET_VALUE = '\u0000empty';
+
+/**
+ * Creates an empty filter state: no search, no query, no facet selected, no date range, every row
+ * of each thread and the rows in their original order.
+ * @returns {{search: string, query: object, facets: object, dateFrom: string, dateTo: string, oneRowPerThread: boolean, sortKey: string|null, sortDirection: string}}
+ *   `query` is a plain-language query parsed by `parseQuery` (queryParser.js); `facets` maps a facet
+ *   key to the selected value ('' for all, `EMPTY_FACET_VALUE` for empty cells); dates are YYYY-MM-DD and apply to the date received;
+ *   `oneRowPerThread` keeps only the latest matching request of each thread (see requestThreads.js);
+ *   `sortDirection` is 'asc' or 'desc'.
+ */
+export function createFilterState() {
+    return {
+        search: '',
+        query: { conditions: [], words: [] },
+        facets: Object.fromEntries(FACETS.map(facet => [facet.key, ''])),
+        dateFrom: '',
+        dateTo: '',
+        oneRowPerThread: false,
+        sortKey: null,
+        sortDirection: 'asc',
+    };
+}
+
+/**
+ * Whether a row passes the search, query, facets and date range of a filter state.
+ * The search is case-insensitive and every word must appear in one of `SEARCH_FIELDS`; the words
+ * of the query that were not understood are searched for the same way.
+ * @param {object} row - A credit log row.
+ * @param {object} state - The filter state from `createFilterState`.
+ * @returns {boolean} True if the row matches.
+ */
+export function rowMatches(row, state) {
+    const words = [state.search, ...state.query.words].join(' ').toLowerCase().split(/\s+/).filter(word => word !== '');
+    if (!state.query.conditions.every(condition => conditionMatches(row, condition))) return false;
+    if (words.length > 0) {
+        const text = SEARCH_FIELDS.map(field => row[field] ?? '').join(' ').toLowerCase();
+        if (!words.every(word => text.includes(word))) return false;
+    }
+    for (const [key, value] of Object.entries(state.facets)) {
+        if (value !== '' && String(row[key] ?? '') !== (value === EMPTY_FACET_VALUE ? '' : value)) return false;
+    }
+    const received = String(row.dateReceived || '').slice(0, 10);
+    if (state.dateFrom && !(received && received >= state.dateFrom)) return false;
+    if (state.dateTo && !(received && received <= state.dateTo)) return false;
+    return true;
+}
+
+/**
+ * Whether a cell value is empty.
+ * @param {*} value - The value.
+ * @returns {boolean} True for null, undefined and ''.
+ */
+function isEmpty(value) {
+    return value === null || value === undefined || value === '';
+}
+
+/**
+ * Compares two non-empty cell values of a column, for sorting.
+ * Numbers compare numerically, everything else as text with embedded numbers in order
+ * ('R2' before 'R10').
+ * @param {*} a - A value.
+ * @param {*} b - Another value.
+ * @param {string} type - The column type ('text', 'number', 'integer' or 'date').
+ * @returns {number} Negative, zero or positive, like `Array.prototype.sort` expects.
+ */
+function compareValues(a, b, type) {
+    if (type === 'number' || type === 'integer') {
+        const numberA = parseFloat(a);
+        const numberB = parseFloat(b);
+        if (!isNaN(numberA) && !isNaN(numberB)) return numberA - numberB;
+    }
+    return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
+
+/**
+ * Keeps the latest request of each thread (see `threadKey` in requestThreads.js).
+ * Rows without a thread are kept.
+ * @param {Array<object>} rows - The credit log rows.
+ * @returns {Array<object>} The kept rows, in their original order.
+ */
+function latestPerThread(rows) {
+    const received = (row) => String((row.fields && row.fields['MsgInfo.DateTime']) || row.dateReceived || '');
+    const latest = new Map();
+    rows.forEach(row => {
+        if (!row.threadKey) return;
+        const kept = latest.get(row.threadKey);
+        if (!kept || received(row) >= received(kept)) latest.set(row.threadKey, row);
+    });
+    return rows.filter(row => !row.threadKey || latest.get(row.threadKey) === row);
+}
+
+/**
+ * Returns the rows that pass the filter state, sorted by its sort column.
+ * Rows with an empty value come last in either direction; rows with equal values keep their original order.
+ * With `oneRowPerThread`, only the latest matching request of each thread is kept.
+ * @param {Array<object>} rows - The credit log rows.
+ * @param {object} state - The filter state from `createFilterState`.
+ * @param {Array<object>} [columns=CREDIT_LOG_COLUMNS] - The shown columns; template columns with a
+ *   `value` function (see columnTemplates.js) are sorted by that value.
+ * @returns {Array<object>} The visible rows (a new array).
+ */
+export function applyTableView(rows, state, columns = CREDIT_LOG_COLUMNS) {
+    let visible = rows.filter(row => rowMatches(row, state));
+    if (state.oneRowPerThread) visible = latestPerThread(visible);
+    if (!state.sortKey) return visible;
+
+    const column = columns.find(candidate => candidate.key === state.sortKey);
+    const valueOf = column && column.value ? column.value : (row) => row[state.sortKey];
+    const direction = state.sortDirection === 'desc' ? -1 : 1;
+    return visible
+        .map((row, index) => ({ row, index, value: valueOf(row) }))
+        .sort((a, b) => {
+            const valueA = a.value;
+            const valueB = b.value;
+            if (isEmpty(valueA) || isEmpty(valueB)) return (isEmpty(valueA) - isEmpty(valueB)) || a.index - b.index;
+            return (compareValues(valueA, valueB, column ? column.type : 'text') * direction) || a.index - b.index;
+        })
+        .map(entry => entry.row);
+}
+
+/**
+ * Lists the values of a facet with the number of rows for each.
+ * Counts are taken over the rows that pass all other filters, so they show how many
+ * rows selecting that value would leave.
+ * @param {Array<object>} rows - The credit log rows.
+ * @param {object} state - The filter state.
+ * @param {string} key - The facet key.
+ * @returns {Array<{value: string, count: number}>} The values, sorted; empty cells are counted
+ *   under `EMPTY_FACET_VALUE`.
+ */
+export function facetValues(rows, state, key) {
+    const otherFilters = { ...state, facets: { ...state.facets, [key]: '' } };
+    const counts = new Map();
+    rows.filter(row => rowMatches(row, otherFilters)).forEach(row => {
+        const value = String(row[key] ?? '') || EMPTY_FACET_VALUE;
+        counts.set(value, (counts.get(value) || 0) + 1);
+    });
+    return Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+}
+
+/**
+ * Moves the sort to a column: a new column sorts ascending, the same column toggles
+ * between ascending and descending.
+ * @param {object} state - The filter state; updated in place.
+ * @param {string} key - The column key that was clicked.
+ */
+export function toggleSort(state, key) {
+    if (state.sortKey === key) {
+        state.sortDirection = state.sortDirection === 'asc' ? 'desc' : 'asc';
+    } else {
+        state.sortKey = key;
+        state.sortDirection = 'asc';
+    }
+}
@@ -0,0 +1,68 @@
+//threadTimeline.js
+
+// JavaScript source code
+
+// The lifecycle thread section of the row drill-down: the timeline of every message about the
+// row's seller and buyer, from onboarding to the latest answer. The threads themselves are
+// built by requestThreads.js; this module only deals with the page.
+
+/**
+ * Creates an element with attributes and children.
+ * @param {string} tagName - The element name.
+ * @param {object} [attributes={}] - Properties to set on the element (e.g. `className`, `textContent`).
+ * @param {Array<Node>} [children=[]] - Child nodes to append.
+ * @returns {HTMLElement} The element.
+ */
+function createElement(tagName, attributes = {}, children = []) {
+    const element = document.createElement(tagName);
+    Object.assign(element, attributes);
+    children.forEach(child => element.appendChild(child));
+    return element;
+}
+
+/**
+ * Renders a thread's timeline into a container, replacing its content.
+ * @param {HTMLElement} container - The element to render into.
+ * @param {object|null} thread - The thread (see `buildThreads`), or null if the row has none.
+ * @param {string} rowKey - The row shown in the drill-down; its request is highlighted.
+ * @param {function(string): void} onSelectRow - Called with the row key of another request of the
+ *   thread when it is clicked.
+ */
+export function renderThreadTimeline(container, thread, rowKey, onSelectRow) {
+    container.innerHTML = '';
+    container.appendChild(createElement('h3', { textContent: 'Request Thread' }));
+    if (!thread) {
+        container.appendChild(createElement('div', { textContent: 'This row has no thread yet: process the files again.' }));
+        return;
+    }
+
+    const parties = [
+        `Seller ${[thread.sellerName, thread.sellerNr].filter(Boolean).join(' - ')}`,
+        `buyer ${[thread.buyerName, thread.buyerNr].filter(Boolean).join(' - ')}`,
+        thread.partnerName ? `via ${thread.partnerName}` : '',
+    ].filter(Boolean).join(', ');
+    container.appendChild(createElement('div', {
+        className: 'row-detail-legend',
+        textContent: `${parties}. ${thread.rows.length} request(s); state: ${thread.state}.`,
+    }));
+
+    const table = createElement('table', { className: 'excel-table thread-timeline' });
+    table.appendChild(createElement('tr', {}, ['Date', 'Message', 'Event', 'RequestNr'].map(text => createElement('th', { textContent: text }))));
+    thread.events.forEach(event => {
+        let message = document.createTextNode(event.type);
+        if (event.rowKey && event.rowKey !== rowKey) {
+            message = createElement('a', { href: '#', textContent: event.type, title: `Open row ${event.rowKey}` });
+            message.addEventListener('click', (clickEvent) => {
+                clickEvent.preventDefault();
+                onSelectRow(event.rowKey);
+            });
+        }
+        table.appendChild(createElement('tr', { className: event.rowKey === rowKey ? 'thread-current' : '' }, [
+            createElement('td', { textContent: String(event.date).replace('T', ' ').slice(0, 16) }),
+            createElement('td', {}, [message]),
+            createElement('td', { textContent: event.label }),
+            createElement('td', { textContent: event.requestNr }),
+        ]));
+    });
+    container.appendChild(table);
+}
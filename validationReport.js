@@ -0,0 +1,87 @@
+//validationReport.js
+
+// JavaScript source code
+
+// Per-file validation report of an upload: which messages were found and parsed,
+// and every failure with its message type, missing or invalid elements and position.
+// The text form is meant to be sent back to the sending factor.
+
+/**
+ * Builds the report entry for one file.
+ * @param {string} fileName - The file name.
+ * @param {{encoding: string, warning: string|null}} decoded - The result of `decodeFile` (messageReader.js).
+ * @param {{messages: Array<Message>, errors: Array<object>, found: object}} result - The result of `readMessages`.
+ * @param {number} [duplicates=0] - How many parsed messages were not added: duplicates of messages
+ *   already in the log, or conflicting with them (see messageConflicts.js).
+ * @returns {{fileName: string, encoding: string, encodingWarning: string|null, counts: object, failures: Array<object>, duplicates: number}}
+ *   `counts` maps each message type to `{ found, parsed }`; `failures` lists
+ *   `{ msgType, position, elements, message }` per failed message, where `elements` are the
+ *   paths of the missing or invalid elements (e.g. 'Buyer/BuyerNr').
+ */
+export function createFileReport(fileName, decoded, result, duplicates = 0) {
+    const counts = {};
+    Object.entries(result.found || {}).forEach(([type, found]) => {
+        counts[type] = { found, parsed: 0 };
+    });
+    result.messages.forEach(msg => {
+        counts[msg.type] = counts[msg.type] || { found: 0, parsed: 0 };
+        counts[msg.type].parsed++;
+    });
+
+    return {
+        fileName,
+        encoding: decoded.encoding,
+        encodingWarning: decoded.warning,
+        counts,
+        failures: result.errors.map(error => ({
+            msgType: error.msgType || '',
+            position: error.position || '',
+            elements: (error.problems || []).map(problem => problem.path),
+            // Several problems are listed once under a single "Invalid MSGxx message:" prefix.
+            message: (error.problems || []).length > 1
+                ? `Invalid ${error.msgType} message: ${error.problems.map(problem => problem.message.replace(/^Invalid \w+ message: /, '').replace(/\.$/, '')).join('; ')}.`
+                : error.message,
+        })),
+        duplicates,
+    };
+}
+
+/**
+ * Whether a file report shows a problem: a failure, an encoding fallback, or no messages at all.
+ * @param {object} report - A report from `createFileReport`.
+ * @returns {boolean} True if the file needs attention.
+ */
+export function hasProblems(report) {
+    return report.failures.length > 0 || Boolean(report.encodingWarning) || Object.keys(report.counts).length === 0;
+}
+
+/**
+ * Formats file reports as plain text.
+ * @param {Array<object>} reports - Reports from `createFileReport`.
+ * @param {Date} [createdAt=new Date()] - When the report was made.
+ * @returns {string} The report text.
+ */
+export function formatValidationReport(reports, createdAt = new Date()) {
+    const lines = [`Validation report, ${createdAt.toISOString()}`, `${reports.length} file(s)`, ''];
+    reports.forEach(report => {
+        lines.push(`File: ${report.fileName}`);
+        lines.push(`  Encoding: ${report.encoding}${report.encodingWarning ? ` (${report.encodingWarning})` : ''}`);
+        const types = Object.keys(report.counts).sort();
+        if (types.length === 0) {
+            lines.push('  No EDIFactoring messages found.');
+        }
+        types.forEach(type => {
+            const { found, parsed } = report.counts[type];
+            lines.push(`  ${type}: ${found} found, ${parsed} parsed`);
+        });
+        if (report.duplicates > 0) {
+            lines.push(`  ${report.duplicates} message(s) not added: already in the log (same sender and SequenceNr, or same content) or conflicting with it`);
+        }
+        report.failures.forEach(failure => {
+            const where = [failure.msgType, failure.position].filter(part => part).join(' ');
+            lines.push(`  FAILED${where ? ` ${where}` : ''}: ${failure.message}`);
+        });
+        lines.push('');
+    });
+    return lines.join('\n');
+}
@@ -0,0 +1,283 @@
+//xlsxExport.js
+
+// JavaScript source code
+
+// Builds a native Excel workbook (.xlsx) from credit log rows, with typed cells:
+// amounts and day counts as numbers, dates as real Excel dates, codes and names as text.
+// An .xlsx file is a ZIP archive of XML parts; both the archive and the parts are
+// written here, so no library is needed and the module works in the browser and in Node.js.
+
+import { CREDIT_LOG_COLUMNS, getRowCells } from './creditLog.js';
+
+// Cell style indexes into <cellXfs> in styles.xml below.
+const STYLE_DEFAULT = 0;
+const STYLE_HEADER = 1;
+const STYLE_DATE = 2;
+const STYLE_NUMBER = 3;
+const STYLE_INTEGER = 4;
+
+const STYLES_XML = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd"/></numFmts>
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><color rgb="FFFFFFFF"/><name val="Calibri"/></font></fonts>
+<fills count="3"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill><fill><patternFill patternType="solid"><fgColor rgb="FF002147"/><bgColor indexed="64"/></patternFill></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="2" borderId="0" xfId="0" applyFont="1" applyFill="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="4" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="1" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+/**
+ * Escapes text for use in XML, removing characters that XML 1.0 does not allow.
+ * @param {string} text - The text to escape.
+ * @returns {string} The escaped text.
+ */
+function escapeXML(text) {
+    return String(text)
+        .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Converts a column index to its Excel letter(s): 0 -> 'A', 26 -> 'AA'.
+ * @param {number} index - The zero-based column index.
+ * @returns {string} The column letters.
+ */
+function columnLetter(index) {
+    let letters = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+    }
+    return letters;
+}
+
+/**
+ * Converts a date string to an Excel date serial number (days since 1899-12-30).
+ * Accepts YYYY-MM-DD (optionally followed by a time) and MM-DD-YYYY.
+ * @param {string} value - The date string.
+ * @returns {number|null} The serial number, or null if the value is not a date.
+ */
+function toExcelDate(value) {
+    const text = String(value);
+    let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    let year, month, day;
+    if (match) {
+        [, year, month, day] = match;
+    } else if ((match = text.match(/^(\d{2})-(\d{2})-(\d{4})$/))) {
+        [, month, day, year] = match;
+    } else {
+        return null;
+    }
+    const utc = Date.UTC(Number(year), Number(month) - 1, Number(day));
+    return isNaN(utc) ? null : utc / 86400000 + 25569;
+}
+
+/**
+ * Builds the XML for one cell, typed by its column.
+ * Values that do not fit the column type (e.g. "N/A" in an amount column) are written as text.
+ * @param {string} reference - The cell reference, e.g. 'B2'.
+ * @param {*} value - The cell value.
+ * @param {string} type - The column type: 'text', 'number', 'integer' or 'date'.
+ * @returns {string} The <c> element, or '' for an empty cell.
+ */
+function cellXML(reference, value, type) {
+    if (value === null || value === undefined || value === '') return '';
+
+    if (type === 'date') {
+        const serial = toExcelDate(value);
+        if (serial !== null) return `<c r="${reference}" s="${STYLE_DATE}"><v>${serial}</v></c>`;
+    } else if (type === 'number' || type === 'integer') {
+        const number = typeof value === 'number' ? value : Number(String(value).replace(/,/g, ''));
+        if (String(value).trim() !== '' && isFinite(number)) {
+            const style = type === 'integer' ? STYLE_INTEGER : STYLE_NUMBER;
+            return `<c r="${reference}" s="${style}"><v>${number}</v></c>`;
+        }
+    }
+    return `<c r="${reference}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+}
+
+/**
+ * Builds the worksheet XML: a frozen, bold header row, auto-filter and column widths
+ * sized to the longest value (capped so comment columns stay readable).
+ * @param {Array<{header: string, type: string}>} columns - The column definitions.
+ * @param {Array<Array<*>>} cellRows - The cell values, one array per row.
+ * @returns {string} The sheet XML.
+ */
+function sheetXML(columns, cellRows) {
+    const lastColumn = columnLetter(columns.length - 1);
+    const lastRow = cellRows.length + 1;
+
+    const widths = columns.map((column, i) => {
+        const longest = cellRows.reduce((max, cells) => Math.max(max, String(cells[i] ?? '').length), column.header.length);
+        return Math.min(Math.max(longest + 2, 8), 50);
+    });
+    const cols = widths.map((width, i) => `<col min="${i + 1}" max="${i + 1}" width="${width}" customWidth="1"/>`).join('');
+
+    const headerCells = columns.map((column, i) =>
+        `<c r="${columnLetter(i)}1" t="inlineStr" s="${STYLE_HEADER}"><is><t>${escapeXML(column.header)}</t></is></c>`).join('');
+    const rows = [`<row r="1">${headerCells}</row>`];
+    cellRows.forEach((cells, rowIndex) => {
+        const rowNumber = rowIndex + 2;
+        const cellsXML = columns.map((column, i) => cellXML(`${columnLetter(i)}${rowNumber}`, cells[i], column.type)).join('');
+        rows.push(`<row r="${rowNumber}">${cellsXML}</row>`);
+    });
+
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastColumn}${lastRow}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft" activeCell="A2" sqref="A2"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<cols>${cols}</cols>
+<sheetData>${rows.join('')}</sheetData>
+<autoFilter ref="A1:${lastColumn}${lastRow}"/>
+</worksheet>`;
+}
+
+// CRC-32 lookup table for the ZIP entries.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+/**
+ * Calculates the CRC-32 checksum of some bytes.
+ * @param {Uint8Array} bytes - The data.
+ * @returns {number} The checksum.
+ */
+function crc32(bytes) {
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Packs files into an uncompressed (stored) ZIP archive.
+ * @param {Array<{name: string, content: string}>} files - The file names and text contents.
+ * @returns {Uint8Array} The ZIP archive.
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = crc32(data);
+
+        // Local file header (30 bytes + name), followed by the data.
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034B50, true);
+        local.setUint16(4, 20, true);           // Version needed to extract.
+        local.setUint16(8, 0, true);            // Compression method: stored.
+        local.setUint16(12, 0x21, true);        // Date: 1980-01-01.
+        local.setUint32(14, crc, true);
+        local.setUint32(18, data.length, true); // Compressed size.
+        local.setUint32(22, data.length, true); // Uncompressed size.
+        local.setUint16(26, name.length, true);
+        localParts.push(new Uint8Array(local.buffer), name, data);
+
+        // Central directory header (46 bytes + name).
+        const central = new DataView(new ArrayBuffer(46));
+        central.setUint32(0, 0x02014B50, true);
+        central.setUint16(4, 20, true);         // Version made by.
+        central.setUint16(6, 20, true);         // Version needed to extract.
+        central.setUint16(14, 0x21, true);
+        central.setUint32(16, crc, true);
+        central.setUint32(20, data.length, true);
+        central.setUint32(24, data.length, true);
+        central.setUint16(28, name.length, true);
+        central.setUint32(42, offset, true);    // Offset of the local header.
+        centralParts.push(new Uint8Array(central.buffer), name);
+
+        offset += 30 + name.length + data.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054B50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Builds an .xlsx workbook with a single sheet.
+ * @param {Array<{header: string, type: string}>} columns - The column definitions.
+ * @param {Array<Array<*>>} cellRows - The cell values, one array per row, in column order.
+ * @param {string} [sheetName='Credit Log'] - The worksheet name.
+ * @returns {Uint8Array} The workbook file content.
+ */
+export function buildXlsx(columns, cellRows, sheetName = 'Credit Log') {
+    const lastCell = `${columnLetter(columns.length - 1)}${cellRows.length + 1}`;
+    return createZip([
+        {
+            name: '[Content_Types].xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`,
+        },
+        {
+            name: '_rels/.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`,
+        },
+        {
+            name: 'xl/workbook.xml',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${escapeXML(sheetName)}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${escapeXML(sheetName.replace(/'/g, "''"))}'!$A$1:$${lastCell.replace(/(\d+)$/, '$$$1')}</definedName></definedNames>
+</workbook>`,
+        },
+        {
+            name: 'xl/_rels/workbook.xml.rels',
+            content: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`,
+        },
+        { name: 'xl/worksheets/sheet1.xml', content: sheetXML(columns, cellRows) },
+        { name: 'xl/styles.xml', content: STYLES_XML },
+    ]);
+}
+
+/**
+ * Builds the credit log workbook from the row objects of `generateCombinedDisplayData`.
+ * The cells hold the same values as the on-screen table, typed per column.
+ * @param {Array<object>} rows - The row objects.
+ * @param {Array<object>} [columns=CREDIT_LOG_COLUMNS] - The columns, e.g. of the chosen column template.
+ * @returns {Uint8Array} The workbook file content.
+ */
+export function creditLogToXlsx(rows, columns = CREDIT_LOG_COLUMNS) {
+    return buildXlsx(columns, rows.map(row => getRowCells(row, columns)));
+}
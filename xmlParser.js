@@ -0,0 +1,234 @@
+//xmlParser.js
+
+// JavaScript source code
+
+// A small, dependency-free XML parser for environments without a browser DOM
+// (Node.js, Web Workers). It implements just the part of the DOM that the message
+// schemas and messageReader.js use: `DOMParser.parseFromString`, `nodeName`,
+// `children`, `textContent`, `getAttribute` and `getElementsByTagName`.
+
+/**
+ * XML Element
+ * A parsed element with its attributes and child nodes. Text is stored as plain strings.
+ */
+export class XMLElement {
+    /**
+     * Constructs a new XMLElement.
+     * @param {string} nodeName - The element name, including any namespace prefix.
+     * @param {object} [attributes={}] - The attributes, keyed by name.
+     */
+    constructor(nodeName, attributes = {}) {
+        this.nodeName = nodeName;
+        this.localName = nodeName.includes(':') ? nodeName.split(':').pop() : nodeName;
+        this.attributes = attributes;
+        this.childNodes = []; // Elements and text strings, in document order.
+        this.parentNode = null;
+    }
+
+    /**
+     * The child elements (text is excluded).
+     * @returns {Array<XMLElement>} The child elements.
+     */
+    get children() {
+        return this.childNodes.filter(node => node instanceof XMLElement);
+    }
+
+    /**
+     * The concatenated text of this element and all its descendants.
+     * @returns {string} The text content.
+     */
+    get textContent() {
+        return this.childNodes.map(node => (typeof node === 'string' ? node : node.textContent)).join('');
+    }
+
+    /**
+     * Returns the value of an attribute.
+     * @param {string} name - The attribute name.
+     * @returns {string|null} The value, or null if the attribute is not set.
+     */
+    getAttribute(name) {
+        return Object.prototype.hasOwnProperty.call(this.attributes, name) ? this.attributes[name] : null;
+    }
+
+    /**
+     * Finds all descendant elements with the given name, in document order.
+     * @param {string} name - The element name, or '*' for every element.
+     * @returns {Array<XMLElement>} The matching elements.
+     */
+    getElementsByTagName(name) {
+        const matches = [];
+        const walk = (element) => {
+            element.children.forEach(child => {
+                if (name === '*' || child.nodeName === name) matches.push(child);
+                walk(child);
+            });
+        };
+        walk(this);
+        return matches;
+    }
+}
+
+/**
+ * XML Document
+ * The result of `DOMParser.parseFromString`. Behaves like an element whose only
+ * child is the document element.
+ */
+export class XMLDocument extends XMLElement {
+    constructor() {
+        super('#document');
+    }
+
+    /**
+     * The root element of the document.
+     * @returns {XMLElement|null} The root element.
+     */
+    get documentElement() {
+        return this.children[0] || null;
+    }
+}
+
+// The predefined XML entities.
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+/**
+ * Replaces entity and character references in text.
+ * Unknown entities are left as they are.
+ * @param {string} text - The raw text.
+ * @returns {string} The decoded text.
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, name) => {
+        if (name[0] === '#') {
+            const code = name[1] === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+            return String.fromCodePoint(code);
+        }
+        return ENTITIES[name] !== undefined ? ENTITIES[name] : match;
+    });
+}
+
+/**
+ * Parses an XML string into an XMLDocument.
+ * Comments, processing instructions and the DOCTYPE are skipped; CDATA becomes text.
+ * @param {string} xmlString - The XML text.
+ * @returns {XMLDocument} The parsed document.
+ * @throws {Error} If the XML is not well-formed. The message includes the line number.
+ */
+export function parseXML(xmlString) {
+    const doc = new XMLDocument();
+    let current = doc;
+    let pos = 0;
+
+    const lineAt = (index) => xmlString.slice(0, index).split('\n').length;
+    const fail = (message, index) => {
+        throw new Error(`${message} (line ${lineAt(index)})`);
+    };
+    // Skips to just after `terminator`, failing if it never appears.
+    const skipPast = (terminator, start) => {
+        const end = xmlString.indexOf(terminator, start);
+        if (end === -1) fail(`Unterminated markup, expected '${terminator}'`, start);
+        return end + terminator.length;
+    };
+
+    while (pos < xmlString.length) {
+        const tagStart = xmlString.indexOf('<', pos);
+        const textEnd = tagStart === -1 ? xmlString.length : tagStart;
+
+        // Text between tags. Whitespace outside the root element is ignored.
+        if (textEnd > pos) {
+            const text = xmlString.slice(pos, textEnd);
+            if (current !== doc) {
+                current.childNodes.push(decodeEntities(text));
+            } else if (text.trim() !== '') {
+                fail('Text outside the root element', pos);
+            }
+        }
+        if (tagStart === -1) break;
+
+        if (xmlString.startsWith('<!--', tagStart)) {
+            pos = skipPast('-->', tagStart + 4);
+        } else if (xmlString.startsWith('<![CDATA[', tagStart)) {
+            const end = xmlString.indexOf(']]>', tagStart);
+            if (end === -1) fail('Unterminated CDATA section', tagStart);
+            current.childNodes.push(xmlString.slice(tagStart + 9, end));
+            pos = end + 3;
+        } else if (xmlString.startsWith('<?', tagStart)) {
+            pos = skipPast('?>', tagStart + 2);
+        } else if (xmlString.startsWith('<!', tagStart)) {
+            // DOCTYPE, possibly with an internal subset in [...].
+            const bracket = xmlString.indexOf('[', tagStart);
+            const close = xmlString.indexOf('>', tagStart);
+            pos = bracket !== -1 && bracket < close ? skipPast(']>', bracket) : skipPast('>', tagStart);
+        } else if (xmlString[tagStart + 1] === '/') {
+            // Closing tag: must match the open element.
+            const end = skipPast('>', tagStart);
+            const name = xmlString.slice(tagStart + 2, end - 1).trim();
+            if (current === doc || current.nodeName !== name) {
+                fail(`Unexpected closing tag </${name}>`, tagStart);
+            }
+            current = current.parentNode;
+            pos = end;
+        } else {
+            // Opening or self-closing tag. Find the end of the tag, skipping '>' inside quoted attribute values.
+            let end = tagStart + 1;
+            let quote = null;
+            while (end < xmlString.length && (quote || xmlString[end] !== '>')) {
+                if (quote && xmlString[end] === quote) quote = null;
+                else if (!quote && (xmlString[end] === '"' || xmlString[end] === "'")) quote = xmlString[end];
+                end++;
+            }
+            if (end >= xmlString.length) fail('Unterminated tag', tagStart);
+
+            let inner = xmlString.slice(tagStart + 1, end);
+            const selfClosing = inner.endsWith('/');
+            if (selfClosing) inner = inner.slice(0, -1);
+
+            const nameMatch = inner.match(/^[^\s/>]+/);
+            if (!nameMatch) fail('Invalid tag', tagStart);
+            const attributes = {};
+            const attributeText = inner.slice(nameMatch[0].length);
+            const attributePattern = /([^\s=]+)\s*=\s*("([^"]*)"|'([^']*)')/g;
+            let attribute;
+            while ((attribute = attributePattern.exec(attributeText)) !== null) {
+                attributes[attribute[1]] = decodeEntities(attribute[3] !== undefined ? attribute[3] : attribute[4]);
+            }
+
+            if (current === doc && doc.documentElement) fail('More than one root element', tagStart);
+            const element = new XMLElement(nameMatch[0], attributes);
+            element.parentNode = current;
+            current.childNodes.push(element);
+            if (!selfClosing) current = element;
+            pos = end + 1;
+        }
+    }
+
+    if (current !== doc) fail(`Missing closing tag </${current.nodeName}>`, xmlString.length);
+    if (!doc.documentElement) fail('No root element', 0);
+    return doc;
+}
+
+/**
+ * DOMParser
+ * A drop-in for the browser's `DOMParser` on top of `parseXML`. Like the browser,
+ * it does not throw on malformed XML but returns a document containing a
+ * <parsererror> element with the error message.
+ */
+export class DOMParser {
+    /**
+     * Parses an XML string.
+     * @param {string} xmlString - The XML text.
+     * @param {string} [mimeType] - Ignored; the input is always treated as XML.
+     * @returns {XMLDocument} The parsed document, or one with a <parsererror> root on failure.
+     */
+    parseFromString(xmlString, mimeType) {
+        try {
+            return parseXML(xmlString);
+        } catch (error) {
+            const doc = new XMLDocument();
+            const errorElement = new XMLElement('parsererror');
+            errorElement.parentNode = doc;
+            errorElement.childNodes.push(error.message);
+            doc.childNodes.push(errorElement);
+            return doc;
+        }
+    }
+}